@@ -1,29 +1,38 @@
 // FILE: docs/src/bom/index.js
+import { formatLength } from '../units.js';
 
-export function renderBOM(sections) {
-  const tbody = document.getElementById('bomTable');
+/**
+ * Render structured BOM items (see bom/model.js) into a cutting-list table.
+ * Columns: Item, Qty, L, W, [D,] Notes. Headings/summaries render with blank sizes; level indents the label.
+ * opts: { tbodyId = 'bomTable', depth = true, empty = '', units = 'metric' } — sizes show in units (items stay mm).
+ */
+export function renderBOM(items, opts) {
+  const o = Object.assign({ tbodyId: 'bomTable', depth: true, empty: '', units: 'metric' }, opts || {});
+  const size = (mm) => (mm == null ? '' : formatLength(mm, o.units));
+  const tbody = document.getElementById(o.tbodyId);
   if (!tbody) return;
   tbody.innerHTML = '';
-  for (const row of sections) {
+
+  for (const it of items || []) {
     const tr = document.createElement('tr');
+    tr.dataset.partId = it.partId || '';
+    if (it.kind !== 'part') tr.className = `bom-${it.kind}`;
 
-    // Backward compatible:
-    // Legacy rows: [item, qty, L, W, notes]
-    // New rows:    [item, qty, L, W, D, notes]
-    const item = row && row.length ? row[0] : '';
-    const qty = row && row.length > 1 ? row[1] : '';
-    const L = row && row.length > 2 ? row[2] : '';
-    const W = row && row.length > 3 ? row[3] : '';
-    const hasDepth = row && row.length >= 6;
-    const D = hasDepth ? row[4] : '';
-    const notes = hasDepth ? row[5] : (row && row.length > 4 ? row[4] : '');
+    appendCell(tr, '  '.repeat(it.level || 0) + (it.item || ''));
+    appendCell(tr, it.qty == null ? '' : String(it.qty));
+    appendCell(tr, size(it.length_mm));
+    appendCell(tr, size(it.width_mm));
+    if (o.depth) appendCell(tr, size(it.depth_mm));
+    appendCell(tr, it.notes || '');
+    tbody.appendChild(tr);
+  }
 
-    appendCell(tr, item);
-    appendCell(tr, String(qty));
-    appendCell(tr, String(L));
-    appendCell(tr, String(W));
-    appendCell(tr, String(D));
-    appendCell(tr, notes || '');
+  if (!tbody.children.length && o.empty) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = o.depth ? 6 : 5;
+    td.textContent = o.empty;
+    tr.appendChild(td);
     tbody.appendChild(tr);
   }
 }
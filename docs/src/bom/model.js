@@ -0,0 +1,88 @@
+// FILE: docs/src/bom/model.js
+/**
+ * Structured bill of materials shared by every element.
+ * - Each element's updateBOM(state) returns { items } built with bomItem().
+ * - kind: "part" (something to buy/cut), "heading" (group title row) or "summary" (totals / notes).
+ * - Only parts are exported; headings and summaries exist for the on-screen pages.
+ * - Sizes are mm; blank dimensions are null. partId defaults to element.group.item.length (slugged).
+ */
+
+export const BOM_COLUMNS = ['element', 'group', 'partId', 'item', 'material', 'section', 'qty', 'length_mm', 'width_mm', 'depth_mm', 'notes'];
+
+export function bomItem(f) {
+  const element = String(f.element || '');
+  const group = String(f.group || '');
+  const item = String(f.item || '').trim();
+  return {
+    kind: f.kind || 'part',
+    element,
+    group,
+    level: Math.max(0, Math.floor(Number(f.level) || 0)),
+    partId: f.partId || [element, group, item, f.length_mm].filter(v => v != null && v !== '').map(slug).join('.'),
+    item,
+    material: String(f.material || ''),
+    section: f.section != null ? String(f.section) : (f.width_mm != null && f.depth_mm != null ? sectionOf(f.width_mm, f.depth_mm) : ''),
+    qty: dimOrNull(f.qty),
+    length_mm: dimOrNull(f.length_mm),
+    width_mm: dimOrNull(f.width_mm),
+    depth_mm: dimOrNull(f.depth_mm),
+    notes: String(f.notes || ''),
+  };
+}
+
+/** Suffix repeated partIds (same item + length, different notes) with -2, -3… so every row is addressable. */
+export function uniquePartIds(items) {
+  const seen = {};
+  for (const it of items) {
+    const n = (seen[it.partId] || 0) + 1;
+    seen[it.partId] = n;
+    if (n > 1) it.partId = `${it.partId}-${n}`;
+  }
+  return items;
+}
+
+/** Timber section label, smaller dimension first ("50×100"). */
+export function sectionOf(a, b) {
+  const x = Math.round(Number(a) || 0), y = Math.round(Number(b) || 0);
+  return `${Math.min(x, y)}×${Math.max(x, y)}`;
+}
+
+export function bomParts(items) {
+  return (items || []).filter(it => it && it.kind === 'part');
+}
+
+export function bomToCsv(items) {
+  const header = ['Element', 'Group', 'Part ID', 'Item', 'Material', 'Section', 'Qty', 'L_mm', 'W_mm', 'D_mm', 'Notes'];
+  const rows = [header].concat(bomParts(items).map(it => BOM_COLUMNS.map(k => it[k])));
+  return rows.map(r => r.map(v => {
+    const s = String(v ?? '');
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(',')).join('\n');
+}
+
+export function bomToJson(items, meta) {
+  const parts = bomParts(items).map(it => {
+    const out = {};
+    for (const k of BOM_COLUMNS) out[k] = it[k];
+    return out;
+  });
+  return JSON.stringify(Object.assign({ generated: new Date().toISOString() }, meta || {}, { items: parts }), null, 2);
+}
+
+export function downloadText(filename, text, mime) {
+  const blob = new Blob([text], { type: mime || 'text/plain;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+function dimOrNull(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,302 @@
+// FILE: docs/src/bom/pricing.js
+/**
+ * Price catalogue + quotation.
+ * - Catalogue entries are keyed by material + section (the same fields bom/model.js puts on every part).
+ * - unit "length": priced per stock length; qty = lengths needed after packing the cuts (bom/stock.js).
+ * - unit "sheet":  priced per sheet; qty = sheets needed after guillotine nesting (bom/sheets.js).
+ * - unit "each":   priced per piece; qty = sum of part quantities.
+ * - unit "volume": priced per m³; qty = sum of qty × length × width × depth, rounded up to 0.01 m³ (concrete, fill).
+ * - unit "area":   priced per m²; qty = sum of qty × length × width, rounded up to 0.1 m² (membranes).
+ * - The catalogue lives in localStorage (it is business data, not part of a design); quote settings live in state.quote.
+ */
+
+import { optimiseStock } from './stock.js';
+import { nestSheets } from './sheets.js';
+
+const LS_CATALOGUE_KEY = 'shedPriceCatalogue_v1';
+
+export const DEFAULT_CATALOGUE = [
+  { material: 'timber', section: '50×100', label: 'C24 treated 47×100 (50×100 nominal)', unit: 'length', stock_mm: 4800, unitPrice: 11.5, vatRate: 0.2 },
+  { material: 'timber', section: '50×75', label: 'C24 treated 47×75 (50×75 nominal)', unit: 'length', stock_mm: 4800, unitPrice: 8.4, vatRate: 0.2 },
+  { material: 'timber', section: '50×125', label: 'C24 treated 47×125 (50×125 nominal)', unit: 'length', stock_mm: 4800, unitPrice: 14.2, vatRate: 0.2 },
+  { material: 'timber', section: '50×150', label: 'C24 treated 47×150 (50×150 nominal)', unit: 'length', stock_mm: 4800, unitPrice: 17.4, vatRate: 0.2 },
+  { material: 'cladding', section: '20×150', label: 'Shiplap cladding 150×20', unit: 'length', stock_mm: 4800, unitPrice: 9.6, vatRate: 0.2 },
+  { material: 'cladding', section: '19×133', label: 'T&G cladding 133×19', unit: 'length', stock_mm: 4800, unitPrice: 8.9, vatRate: 0.2 },
+  { material: 'cladding', section: '22×150', label: 'Feather-edge 150×22', unit: 'length', stock_mm: 4800, unitPrice: 7.2, vatRate: 0.2 },
+  { material: 'cladding', section: '19×150', label: 'Sawn board 150×19', unit: 'length', stock_mm: 4800, unitPrice: 6.8, vatRate: 0.2 },
+  { material: 'cladding', section: '19×50', label: 'Batten 50×19', unit: 'length', stock_mm: 4800, unitPrice: 2.9, vatRate: 0.2 },
+  { material: 'OSB 18mm', section: '18mm sheet', label: 'OSB3 18mm 2440×1220', unit: 'sheet', sheetL_mm: 2440, sheetW_mm: 1220, unitPrice: 28, vatRate: 0.2 },
+  { material: 'PIR 50mm', section: '50mm board', label: 'PIR 50mm 2400×1200', unit: 'sheet', sheetL_mm: 2400, sheetW_mm: 1200, unitPrice: 32, vatRate: 0.2 },
+  { material: 'plastic grid', section: '50mm tile', label: 'Plastic base grid 500×500', unit: 'each', unitPrice: 3.2, vatRate: 0.2 },
+  { material: 'ground screw', section: '76mm', label: 'Ground screw 76mm with head plate', unit: 'each', unitPrice: 24, vatRate: 0.2 },
+  { material: 'concrete', section: 'ready-mix', label: 'Concrete C25 ready-mix (pads, slabs)', unit: 'volume', unitPrice: 135, vatRate: 0.2 },
+  { material: 'MOT type 1', section: 'compacted', label: 'MOT type 1 sub-base / fill', unit: 'volume', unitPrice: 45, vatRate: 0.2 },
+  { material: 'DPM', section: '1200 gauge', label: 'DPM 1200 gauge polythene', unit: 'area', unitPrice: 0.9, vatRate: 0.2 },
+];
+
+const UNITS = ['length', 'sheet', 'each', 'volume', 'area'];
+const CSV_FIELDS = ['material', 'section', 'label', 'unit', 'unitPrice', 'vatRate', 'stock_mm', 'sheetL_mm', 'sheetW_mm'];
+
+export function catalogueKey(material, section) {
+  return `${String(material || '')}|${String(section || '')}`;
+}
+
+/** Clean one entry; returns null when material or unit is unusable. */
+export function normaliseEntry(e) {
+  if (!e || !e.material) return null;
+  const unit = UNITS.indexOf(e.unit) >= 0 ? e.unit : null;
+  if (!unit) return null;
+  const n = (v, d) => { const x = Number(v); return Number.isFinite(x) && x >= 0 ? x : d; };
+  const out = {
+    material: String(e.material),
+    section: String(e.section || ''),
+    label: String(e.label || `${e.material} ${e.section || ''}`.trim()),
+    unit,
+    unitPrice: n(e.unitPrice, 0),
+    vatRate: Math.min(1, n(e.vatRate, 0.2)),
+  };
+  if (unit === 'length') out.stock_mm = Math.max(1, Math.floor(n(e.stock_mm, 4800)));
+  if (unit === 'sheet') {
+    out.sheetL_mm = Math.max(1, Math.floor(n(e.sheetL_mm, 2440)));
+    out.sheetW_mm = Math.max(1, Math.floor(n(e.sheetW_mm, 1220)));
+  }
+  return out;
+}
+
+export function loadCatalogue() {
+  try {
+    const raw = window.localStorage.getItem(LS_CATALOGUE_KEY);
+    const list = raw ? JSON.parse(raw) : null;
+    if (Array.isArray(list)) {
+      const clean = list.map(normaliseEntry).filter(Boolean);
+      if (clean.length) return clean;
+    }
+  } catch (e) {}
+  return DEFAULT_CATALOGUE.map(normaliseEntry);
+}
+
+export function saveCatalogue(list) {
+  try { window.localStorage.setItem(LS_CATALOGUE_KEY, JSON.stringify(list)); return true; } catch (e) { return false; }
+}
+
+/** Parse an imported catalogue: JSON array (or { entries }) or CSV with a header row of CSV_FIELDS. */
+export function parseCatalogue(text) {
+  const src = String(text || '').trim();
+  let rows = null;
+  if (src.startsWith('[') || src.startsWith('{')) {
+    const j = JSON.parse(src);
+    rows = Array.isArray(j) ? j : (j && Array.isArray(j.entries) ? j.entries : null);
+  } else {
+    const lines = src.split(/\r?\n/).filter(l => l.trim() !== '');
+    const head = splitCsvLine(lines.shift() || '').map(h => h.trim());
+    rows = lines.map(l => {
+      const cells = splitCsvLine(l);
+      const o = {};
+      head.forEach((h, i) => { o[h] = cells[i]; });
+      return o;
+    });
+  }
+  if (!rows) throw new Error('Catalogue must be a JSON array or a CSV with a header row');
+  const clean = rows.map(normaliseEntry).filter(Boolean);
+  if (!clean.length) throw new Error('No usable catalogue entries found');
+  return clean;
+}
+
+export function catalogueToCsv(list) {
+  return [CSV_FIELDS].concat(list.map(e => CSV_FIELDS.map(f => e[f] == null ? '' : e[f])))
+    .map(r => r.map(v => {
+      const s = String(v);
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }).join(',')).join('\n');
+}
+
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '', q = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (q) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') q = false;
+      else cur += ch;
+    } else if (ch === '"') q = true;
+    else if (ch === ',') { out.push(cur); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+/**
+ * Price BOM parts against the catalogue.
+ * opts: { kerf_mm, labourHours, labourRate, labourVatRate, marginPct }
+ * Margin is charged on materials + labour; its VAT uses the blended rate of what it is charged on.
+ */
+export function priceBom(items, catalogue, opts) {
+  const o = Object.assign({ kerf_mm: 3, labourHours: 0, labourRate: 0, labourVatRate: 0.2, marginPct: 0 }, opts || {});
+  const byKey = {};
+  for (const e of catalogue || []) byKey[catalogueKey(e.material, e.section)] = e;
+
+  const groups = {};
+  const order = [];
+  const unpriced = [];
+  for (const it of items || []) {
+    if (!it || it.kind !== 'part' || it.material === 'assembly' || !(it.qty > 0)) continue;
+    const key = catalogueKey(it.material, it.section);
+    if (!byKey[key]) { unpriced.push(it); continue; }
+    if (!groups[key]) { groups[key] = []; order.push(key); }
+    groups[key].push(it);
+  }
+
+  const lines = order.map(key => {
+    const e = byKey[key];
+    const parts = groups[key];
+    let qty = 0;
+    let detail = '';
+    if (e.unit === 'length') {
+      const plan = optimiseStock(parts.map(p => ({ item: p.item, qty: p.qty, L: p.length_mm, section: key })), { lengths_mm: [e.stock_mm], kerf_mm: o.kerf_mm });
+      qty = plan.sections.reduce((n, s) => n + s.bars.length, 0);
+      detail = `${qty} × ${e.stock_mm}mm; waste ${plan.waste_pct.toFixed(1)}%`;
+    } else if (e.unit === 'sheet') {
+      const pieces = [];
+      for (const p of parts) pieces.push(...splitToSheet(p.length_mm, p.width_mm, p.qty, e.sheetL_mm, e.sheetW_mm));
+      const nest = nestSheets(pieces, { w: e.sheetW_mm, d: e.sheetL_mm }, o.kerf_mm);
+      qty = nest.count;
+      detail = `${nest.pieces} pieces nested; ${nest.utilisation_pct.toFixed(0)}% used`;
+    } else if (e.unit === 'volume') {
+      const m3 = parts.reduce((n, p) => n + p.qty * p.length_mm * p.width_mm * (p.depth_mm || 0), 0) / 1e9;
+      qty = Math.ceil(round2(m3 * 100)) / 100;
+      detail = `${m3.toFixed(3)} m³ over ${parts.reduce((n, p) => n + p.qty, 0)} pieces`;
+    } else if (e.unit === 'area') {
+      const m2 = parts.reduce((n, p) => n + p.qty * p.length_mm * p.width_mm, 0) / 1e6;
+      qty = Math.ceil(round2(m2 * 10)) / 10;
+      detail = `${m2.toFixed(2)} m²`;
+    } else {
+      qty = parts.reduce((n, p) => n + p.qty, 0);
+    }
+    const net = round2(qty * e.unitPrice);
+    return { key, label: e.label, unit: e.unit, qty, unitPrice: e.unitPrice, net, vatRate: e.vatRate, vat: round2(net * e.vatRate), detail };
+  });
+
+  const materialsNet = round2(lines.reduce((n, l) => n + l.net, 0));
+  const materialsVat = lines.reduce((n, l) => n + l.vat, 0);
+  const labourNet = round2(Math.max(0, o.labourHours) * Math.max(0, o.labourRate));
+  const labourVat = labourNet * o.labourVatRate;
+  const base = materialsNet + labourNet;
+  const blended = base > 0 ? (materialsVat + labourVat) / base : 0;
+  const marginNet = round2(base * Math.max(0, o.marginPct) / 100);
+  const net = round2(base + marginNet);
+  const vat = round2(materialsVat + labourVat + marginNet * blended);
+
+  return { lines, unpriced, materialsNet, labourNet, marginNet, marginPct: o.marginPct, net, vat, gross: round2(net + vat) };
+}
+
+/** Panels bigger than a sheet (whole roof slopes) are cut on a sheet grid, long side along the sheet. */
+function splitToSheet(L, W, qty, sheetL, sheetW) {
+  const a = Math.max(L, W), b = Math.min(L, W);
+  if (a <= sheetL && b <= sheetW) return [{ L: a, W: b, qty }];
+  const out = [];
+  for (let x = 0; x < a; x += sheetL) {
+    for (let y = 0; y < b; y += sheetW) out.push({ L: Math.min(sheetL, a - x), W: Math.min(sheetW, b - y), qty });
+  }
+  return out;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export function formatMoney(n) {
+  try {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency: 'GBP' }).format(n);
+  } catch (e) {
+    return `£${Number(n).toFixed(2)}`;
+  }
+}
+
+/** Render the quotation lines/totals into #quoteLinesBody / #quoteTotals / #quoteUnpriced. */
+export function renderQuote(quote) {
+  const body = document.getElementById('quoteLinesBody');
+  const totals = document.getElementById('quoteTotals');
+  const unpricedEl = document.getElementById('quoteUnpriced');
+  if (!body) return;
+
+  const unitTxt = { length: 'length', sheet: 'sheet', each: 'each', volume: 'm³', area: 'm²' };
+  body.innerHTML = quote.lines.map(l =>
+    `<tr><td>${esc(l.label)}<div class="subtle">${esc(l.detail)}</div></td><td>${l.qty}</td><td>${unitTxt[l.unit]}</td>` +
+    `<td>${formatMoney(l.unitPrice)}</td><td>${Math.round(l.vatRate * 100)}%</td><td>${formatMoney(l.net)}</td></tr>`
+  ).join('') || `<tr><td colspan="6">No priced materials.</td></tr>`;
+
+  if (totals) {
+    const row = (label, v, cls) => `<tr${cls ? ` class="${cls}"` : ''}><td colspan="5">${label}</td><td>${formatMoney(v)}</td></tr>`;
+    totals.innerHTML =
+      row('Materials', quote.materialsNet) +
+      row('Labour allowance', quote.labourNet) +
+      row(`Margin (${quote.marginPct}%)`, quote.marginNet) +
+      row('Total excl. VAT', quote.net, 'totals-row') +
+      row('VAT', quote.vat) +
+      row('Total incl. VAT', quote.gross, 'totals-row');
+  }
+
+  if (unpricedEl) {
+    const names = {};
+    for (const it of quote.unpriced) names[`${it.material} ${it.section}`.trim()] = true;
+    const keys = Object.keys(names);
+    unpricedEl.textContent = keys.length ? `Not in catalogue (not priced): ${keys.join(', ')}` : '';
+  }
+}
+
+/**
+ * Editable catalogue table into #catalogueBody. onChange(nextList) fires after any committed edit.
+ */
+export function renderCatalogueEditor(list, onChange) {
+  const body = document.getElementById('catalogueBody');
+  if (!body) return;
+  body.innerHTML = '';
+
+  list.forEach((e, idx) => {
+    const tr = document.createElement('tr');
+    const cell = (field, type, extra) => {
+      const td = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = type;
+      input.value = e[field] == null ? '' : String(e[field]);
+      if (extra) Object.assign(input, extra);
+      input.addEventListener('change', () => {
+        const next = list.slice();
+        const patch = {};
+        patch[field] = type === 'number' ? Number(input.value) : input.value;
+        const clean = normaliseEntry(Object.assign({}, e, patch));
+        if (clean) next[idx] = clean;
+        onChange(next);
+      });
+      td.appendChild(input);
+      tr.appendChild(td);
+    };
+    const text = (t) => { const td = document.createElement('td'); td.textContent = t; tr.appendChild(td); };
+
+    text(e.material);
+    text(e.section);
+    cell('label', 'text');
+    text(e.unit);
+    cell('unitPrice', 'number', { step: '0.01', min: '0' });
+    if (e.unit === 'length') cell('stock_mm', 'number', { step: '100', min: '100' });
+    else if (e.unit === 'sheet') text(`${e.sheetL_mm}×${e.sheetW_mm}`);
+    else text('');
+    cell('vatRate', 'number', { step: '0.01', min: '0', max: '1' });
+
+    const td = document.createElement('td');
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.textContent = 'Remove';
+    del.addEventListener('click', () => onChange(list.filter((_, i) => i !== idx)));
+    td.appendChild(del);
+    tr.appendChild(td);
+
+    body.appendChild(tr);
+  });
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
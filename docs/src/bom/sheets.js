@@ -0,0 +1,130 @@
+// FILE: docs/src/bom/sheets.js
+/**
+ * Guillotine sheet nesting for OSB / PIR.
+ * - Input pieces come from each element's sheetCuts(state): { L, W, qty, label, source } in mm.
+ * - Sheets are laid with their long side along X. Pieces may rotate 90°.
+ * - Largest pieces first; each goes to the free rectangle (on any open sheet) with the best short-side fit,
+ *   then that rectangle is split in two along the shorter leftover axis (every cut runs edge to edge).
+ * - Kerf is added to a piece's footprint unless it already reaches the edge of its free rectangle.
+ */
+
+export function nestSheets(pieces, sheet, kerf_mm = 3) {
+  const SW = Math.max(sheet.w, sheet.d);
+  const SH = Math.min(sheet.w, sheet.d);
+  const kerf = Math.max(0, Number(kerf_mm) || 0);
+
+  const list = [];
+  for (const p of pieces || []) {
+    const qty = Math.floor(Number(p && p.qty));
+    const L = Math.round(Number(p && p.L));
+    const W = Math.round(Number(p && p.W));
+    if (!(qty > 0) || !(L > 0) || !(W > 0)) continue;
+    for (let i = 0; i < qty; i++) list.push({ L: Math.max(L, W), W: Math.min(L, W), label: p.label || '', source: p.source || '' });
+  }
+  list.sort((a, b) => b.L - a.L || b.W - a.W);
+
+  const sheets = [];
+  const oversize = [];
+  let pieceArea = 0;
+
+  for (const pc of list) {
+    if (pc.L > SW || pc.W > SH) { oversize.push(pc); continue; }
+
+    let best = null;
+    for (const sh of sheets) {
+      for (let i = 0; i < sh.free.length; i++) {
+        const fit = fitInto(sh.free[i], pc);
+        if (fit && (!best || fit.score < best.score)) best = { ...fit, sheet: sh, index: i };
+      }
+    }
+    if (!best) {
+      const sh = { free: [{ x: 0, y: 0, w: SW, h: SH }], placements: [], area_mm2: 0 };
+      sheets.push(sh);
+      best = { ...fitInto(sh.free[0], pc), sheet: sh, index: 0 };
+    }
+
+    const fr = best.sheet.free[best.index];
+    best.sheet.placements.push({ x: fr.x, y: fr.y, w: best.w, h: best.h, rotated: best.rotated, L: pc.L, W: pc.W, label: pc.label, source: pc.source });
+    best.sheet.area_mm2 += pc.L * pc.W;
+    pieceArea += pc.L * pc.W;
+    best.sheet.free.splice(best.index, 1, ...splitFree(fr, best.w, best.h, kerf));
+  }
+
+  const sheetArea = SW * SH;
+  const used = sheets.length * sheetArea;
+
+  return {
+    sheet: { w: SW, h: SH },
+    sheets: sheets.map(s => ({ placements: s.placements, area_mm2: s.area_mm2, utilisation_pct: sheetArea > 0 ? (s.area_mm2 / sheetArea) * 100 : 0 })),
+    count: sheets.length,
+    areaMinimum: sheetArea > 0 ? Math.ceil(pieceArea / sheetArea) : 0,
+    pieces: list.length - oversize.length,
+    oversize,
+    utilisation_pct: used > 0 ? (pieceArea / used) * 100 : 0
+  };
+}
+
+function fitInto(fr, pc) {
+  let out = null;
+  // Long side along the sheet first, then rotated.
+  const options = [[pc.L, pc.W, false], [pc.W, pc.L, true]];
+  for (const [w, h, rotated] of options) {
+    if (w > fr.w || h > fr.h) continue;
+    const score = Math.min(fr.w - w, fr.h - h);
+    if (!out || score < out.score) out = { w, h, rotated, score };
+  }
+  return out;
+}
+
+function splitFree(fr, w, h, kerf) {
+  const ow = Math.min(fr.w, w + kerf);
+  const oh = Math.min(fr.h, h + kerf);
+  const restW = fr.w - ow;
+  const restH = fr.h - oh;
+
+  // Shorter leftover axis: the smaller leftover stays short, the larger one keeps the full span.
+  const out = restW < restH
+    ? [{ x: fr.x + ow, y: fr.y, w: restW, h: oh }, { x: fr.x, y: fr.y + oh, w: fr.w, h: restH }]
+    : [{ x: fr.x + ow, y: fr.y, w: restW, h: fr.h }, { x: fr.x, y: fr.y + oh, w: ow, h: restH }];
+  return out.filter(r => r.w > 0 && r.h > 0);
+}
+
+/** Render nesting summaries and one SVG cutting diagram per sheet into a container element. */
+export function renderSheetPlan(containerId, groups) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+
+  let html = '';
+  for (const g of groups) {
+    const r = g.result;
+    html += `<div class="sheetGroup"><h5>${esc(g.title)} — ${r.count} sheet${r.count === 1 ? '' : 's'} ` +
+      `(${r.sheet.w}×${r.sheet.h}mm)</h5>`;
+    html += `<p class="subtle">${r.pieces} pieces; ${r.utilisation_pct.toFixed(1)}% used; area-only minimum ${r.areaMinimum}` +
+      `${r.oversize.length ? `; ${r.oversize.length} piece(s) larger than a sheet not placed` : ''}.</p>`;
+    html += '<div class="sheetDiagrams">';
+    r.sheets.forEach((s, i) => { html += sheetSvg(r.sheet, s, `${g.title} ${i + 1}`); });
+    html += '</div></div>';
+  }
+  el.innerHTML = html || '<p class="subtle">No sheet material.</p>';
+}
+
+function sheetSvg(sheet, s, caption) {
+  const k = 0.12;
+  const W = Math.round(sheet.w * k);
+  const H = Math.round(sheet.h * k);
+  let body = `<rect x="0" y="0" width="${W}" height="${H}" fill="#f3f3f3" stroke="#333" stroke-width="1"/>`;
+  for (const p of s.placements) {
+    const x = p.x * k, y = p.y * k, w = p.w * k, h = p.h * k;
+    body += `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${w.toFixed(1)}" height="${h.toFixed(1)}" fill="#d9c9a3" stroke="#333" stroke-width="0.75">` +
+      `<title>${esc(`${p.L}×${p.W}mm ${p.label} ${p.source}`.trim())}</title></rect>`;
+    if (w > 34 && h > 10) {
+      body += `<text x="${(x + w / 2).toFixed(1)}" y="${(y + h / 2 + 3).toFixed(1)}" font-size="8" text-anchor="middle">${p.L}×${p.W}</text>`;
+    }
+  }
+  return `<figure class="sheetDiagram"><svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" role="img" aria-label="${esc(caption)}">${body}</svg>` +
+    `<figcaption>${esc(caption)} — ${s.utilisation_pct.toFixed(0)}%</figcaption></figure>`;
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
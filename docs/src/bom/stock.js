@@ -0,0 +1,136 @@
+// FILE: docs/src/bom/stock.js
+/**
+ * Timber stock-length optimiser.
+ * - Input pieces come from each element's timberCuts(state): { item, qty, L, W, D, section?, source? }.
+ * - Pieces are grouped by section (W×D, smaller dimension first unless the element names the section).
+ * - Per section: first-fit decreasing into the best-fitting open length, new lengths opened at the
+ *   longest stock size, then each length is shrunk to the shortest stock size that still holds its cuts.
+ * - Kerf is charged between cuts; a length cut exactly to its last piece needs no trailing kerf.
+ * - Pieces longer than the longest stock length are split into equal parts and flagged for a joint.
+ */
+
+export function optimiseStock(pieces, stock) {
+  const lengths = (stock && Array.isArray(stock.lengths_mm) ? stock.lengths_mm : []).slice().sort((a, b) => a - b);
+  const kerf = Math.max(0, Number(stock && stock.kerf_mm) || 0);
+  const maxStock = lengths.length ? lengths[lengths.length - 1] : 0;
+
+  const bySection = {};
+  const order = [];
+  for (const p of pieces || []) {
+    const qty = Math.floor(Number(p && p.qty));
+    const L = Math.floor(Number(p && p.L));
+    if (!(qty > 0) || !(L > 0)) continue;
+    const section = p.section || sectionKey(p.W, p.D);
+    if (!bySection[section]) { bySection[section] = []; order.push(section); }
+
+    const parts = maxStock > 0 && L > maxStock ? Math.ceil(L / maxStock) : 1;
+    const partL = parts > 1 ? Math.ceil(L / parts) : L;
+    const label = String(p.item || '').trim() + (p.source ? ` (${p.source})` : '');
+    for (let i = 0; i < qty; i++) {
+      for (let k = 0; k < parts; k++) {
+        bySection[section].push({ L: partL, label, joined: parts > 1 ? `${k + 1}/${parts} of ${L}mm` : '' });
+      }
+    }
+  }
+
+  const sections = order.map(section => packSection(section, bySection[section], lengths, kerf));
+
+  let cut = 0, bought = 0;
+  for (const s of sections) { cut += s.cut_mm; bought += s.bought_mm; }
+
+  return {
+    kerf_mm: kerf,
+    lengths_mm: lengths,
+    sections,
+    cut_mm: cut,
+    bought_mm: bought,
+    waste_mm: bought - cut,
+    waste_pct: bought > 0 ? ((bought - cut) / bought) * 100 : 0
+  };
+}
+
+function packSection(section, cuts, lengths, kerf) {
+  cuts.sort((a, b) => b.L - a.L);
+  const maxStock = lengths.length ? lengths[lengths.length - 1] : 0;
+
+  // used = sum of cuts + kerf between them (no kerf after the last cut yet).
+  const bars = [];
+  for (const c of cuts) {
+    let best = null;
+    let bestRoom = Infinity;
+    for (const b of bars) {
+      const room = b.stock_mm - (b.used_mm + kerf + c.L);
+      if (room >= 0 && room < bestRoom) { best = b; bestRoom = room; }
+    }
+    if (!best) {
+      best = { stock_mm: Math.max(maxStock, c.L), cuts: [], used_mm: -kerf };
+      bars.push(best);
+    }
+    best.cuts.push(c);
+    best.used_mm += kerf + c.L;
+  }
+
+  let cut = 0, bought = 0;
+  const purchase = {};
+  for (const b of bars) {
+    for (const l of lengths) {
+      if (l >= b.used_mm) { b.stock_mm = l; break; }
+    }
+    b.offcut_mm = Math.max(0, b.stock_mm - b.used_mm - (b.stock_mm > b.used_mm ? kerf : 0));
+    for (const c of b.cuts) cut += c.L;
+    bought += b.stock_mm;
+    purchase[b.stock_mm] = (purchase[b.stock_mm] || 0) + 1;
+  }
+
+  bars.sort((a, b) => b.stock_mm - a.stock_mm || a.offcut_mm - b.offcut_mm);
+
+  return {
+    section,
+    bars,
+    purchase: Object.keys(purchase).map(Number).sort((a, b) => a - b).map(l => ({ stock_mm: l, qty: purchase[l] })),
+    pieces: cuts.length,
+    cut_mm: cut,
+    bought_mm: bought,
+    waste_pct: bought > 0 ? ((bought - cut) / bought) * 100 : 0
+  };
+}
+
+function sectionKey(W, D) {
+  const a = Math.floor(Number(W) || 0), b = Math.floor(Number(D) || 0);
+  return `${Math.min(a, b)}×${Math.max(a, b)}`;
+}
+
+/** Render the purchase list, per-length cutting plan and waste summary on the master schedule page. */
+export function renderStockPlan(plan) {
+  const purchaseBody = document.getElementById('stockPurchaseBody');
+  const cutBody = document.getElementById('stockCutBody');
+  const summaryEl = document.getElementById('stockSummary');
+  if (!purchaseBody && !cutBody) return;
+
+  let purchaseHtml = '';
+  let cutHtml = '';
+  for (const s of plan.sections) {
+    for (const p of s.purchase) {
+      purchaseHtml += `<tr><td>${esc(s.section)}</td><td>${p.qty}</td><td class="highlight">${p.stock_mm}mm</td><td></td></tr>`;
+    }
+    purchaseHtml += `<tr class="totals-row"><td>${esc(s.section)} total</td><td>${s.bars.length}</td><td>${(s.bought_mm / 1000).toFixed(1)} m</td>` +
+      `<td>${s.pieces} cuts; waste ${s.waste_pct.toFixed(1)}%</td></tr>`;
+
+    s.bars.forEach((b, i) => {
+      const cuts = b.cuts.map(c => `${c.L} ${c.label}${c.joined ? ` [joint ${c.joined}]` : ''}`).join(' | ');
+      cutHtml += `<tr><td>${esc(s.section)} #${i + 1}</td><td>${b.stock_mm}mm</td><td>${esc(cuts)}</td><td>${b.offcut_mm}mm</td></tr>`;
+    });
+  }
+
+  if (purchaseBody) purchaseBody.innerHTML = purchaseHtml || `<tr><td colspan="4">None</td></tr>`;
+  if (cutBody) cutBody.innerHTML = cutHtml || `<tr><td colspan="4">None</td></tr>`;
+  if (summaryEl) {
+    summaryEl.textContent = `Stock ${plan.lengths_mm.join('/')}mm; kerf ${plan.kerf_mm}mm. ` +
+      `Bought ${(plan.bought_mm / 1000).toFixed(1)} m, cut ${(plan.cut_mm / 1000).toFixed(1)} m, ` +
+      `waste ${(plan.waste_mm / 1000).toFixed(1)} m (${plan.waste_pct.toFixed(1)}%).`;
+  }
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
@@ -0,0 +1,31 @@
+// FILE: docs/src/bom/structure.js
+//
+// Structural check results (model/structure.js) above each cutting list: base -> #baseStructureChecks,
+// walls -> #wallsStructureChecks, roof -> #roofStructureChecks. Failures are listed first, in red.
+
+const CONTAINERS = { base: 'baseStructureChecks', walls: 'wallsStructureChecks', roof: 'roofStructureChecks' };
+
+export function renderStructureChecks(result) {
+  for (const element of Object.keys(CONTAINERS)) {
+    const el = document.getElementById(CONTAINERS[element]);
+    if (!el) continue;
+
+    const checks = result.checks.filter(c => c.element === element);
+    el.hidden = checks.length === 0;
+    if (!checks.length) { el.innerHTML = ''; continue; }
+
+    const failed = checks.some(c => !c.ok);
+    el.classList.toggle('structureChecks--fail', failed);
+
+    const rows = checks
+      .slice()
+      .sort((a, b) => Number(a.ok) - Number(b.ok))
+      .map(c => `<li class="${c.ok ? 'ok' : 'fail'}">${c.ok ? '' : '⚠ '}${esc(c.message)}</li>`)
+      .join('');
+    el.innerHTML = `<h5>Structural checks (${esc(result.grade)})${failed ? ' — members over their limit are highlighted red in 3D' : ''}</h5><ul>${rows}</ul>`;
+  }
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
@@ -0,0 +1,81 @@
+// FILE: docs/src/drawings/dxf.js
+import { DRAWING_LAYERS, expandDims } from './model.js';
+
+/**
+ * DXF writer for the drawing set (see model.js).
+ * - AutoCAD R12 ASCII (AC1009): LINE, closed POLYLINE and TEXT only, so every CAD package opens it.
+ * - Units are mm ($INSUNITS 4), drawn 1:1. Drawings are laid out left to right with a gap between them.
+ * - One layer per element type (BASE_JOIST, WALL_STUDS, OPENINGS, ROOF_TRUSS, DIMENSIONS, …) with
+ *   a fixed colour each, so joiners can switch members on and off.
+ */
+
+const GAP_MM = 1000;
+
+export function drawingsToDxf(drawings) {
+  const out = [];
+  const g = (code, value) => { out.push(String(code), String(value)); };
+  const num = (v) => (Math.round(v * 1000) / 1000).toString();
+
+  // Lay drawings side by side, bottoms aligned.
+  let x = 0;
+  const placed = [];
+  for (const d of drawings || []) {
+    placed.push({ d, dx: x });
+    x += d.width + GAP_MM * 2;
+  }
+
+  const used = new Set(['0']);
+  for (const p of placed) for (const e of p.d.entities) used.add(e.layer || '0');
+
+  g(0, 'SECTION'); g(2, 'HEADER');
+  g(9, '$ACADVER'); g(1, 'AC1009');
+  g(9, '$INSUNITS'); g(70, 4);
+  g(9, '$EXTMIN'); g(10, 0); g(20, -1000); g(30, 0);
+  g(9, '$EXTMAX'); g(10, num(Math.max(1, x))); g(20, num(Math.max(1, ...placed.map(p => p.d.height + 1000)))); g(30, 0);
+  g(0, 'ENDSEC');
+
+  g(0, 'SECTION'); g(2, 'TABLES');
+  g(0, 'TABLE'); g(2, 'LTYPE'); g(70, 1);
+  g(0, 'LTYPE'); g(2, 'CONTINUOUS'); g(70, 0); g(3, 'Solid line'); g(72, 65); g(73, 0); g(40, 0);
+  g(0, 'ENDTAB');
+  g(0, 'TABLE'); g(2, 'LAYER'); g(70, used.size);
+  for (const name of used) {
+    g(0, 'LAYER'); g(2, name); g(70, 0); g(62, DRAWING_LAYERS[name] || 7); g(6, 'CONTINUOUS');
+  }
+  g(0, 'ENDTAB');
+  g(0, 'ENDSEC');
+
+  g(0, 'SECTION'); g(2, 'ENTITIES');
+  for (const p of placed) {
+    const X = (pt) => num(pt[0] + p.dx);
+    const Y = (pt) => num(pt[1]);
+    for (const e of expandDims(p.d.entities)) {
+      const layer = e.layer || '0';
+      if (e.type === 'line') {
+        g(0, 'LINE'); g(8, layer);
+        g(10, X(e.a)); g(20, Y(e.a)); g(30, 0);
+        g(11, X(e.b)); g(21, Y(e.b)); g(31, 0);
+      } else if (e.type === 'poly') {
+        if (!e.points || e.points.length < 2) continue;
+        g(0, 'POLYLINE'); g(8, layer); g(66, 1); g(10, 0); g(20, 0); g(30, 0); g(70, e.closed ? 1 : 0);
+        for (const pt of e.points) {
+          g(0, 'VERTEX'); g(8, layer); g(10, X(pt)); g(20, Y(pt)); g(30, 0);
+        }
+        g(0, 'SEQEND'); g(8, layer);
+      } else if (e.type === 'text') {
+        // R12 text is single-byte: keep it plain ASCII.
+        const text = String(e.text || '').replace(/[\r\n]+/g, ' ').replace(/×/g, 'x').replace(/[^\x20-\x7e]/g, '?');
+        if (!text) continue;
+        g(0, 'TEXT'); g(8, layer);
+        g(10, X(e.at)); g(20, Y(e.at)); g(30, 0);
+        g(40, num(e.h || 80)); g(1, text);
+        if (e.rotation) g(50, num(e.rotation));
+        const h72 = e.align === 'center' ? 1 : (e.align === 'right' ? 2 : 0);
+        if (h72) { g(72, h72); g(11, X(e.at)); g(21, Y(e.at)); g(31, 0); }
+      }
+    }
+  }
+  g(0, 'ENDSEC');
+  g(0, 'EOF');
+  return out.join('\r\n') + '\r\n';
+}
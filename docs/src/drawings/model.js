@@ -0,0 +1,526 @@
+// FILE: docs/src/drawings/model.js
+import { resolveDims } from '../params.js';
+import { resolveUnits, formatLengthUnit } from '../units.js';
+import { buildModel } from '../model/index.js';
+import { memberCorners } from '../model/members.js';
+
+/**
+ * 2D drawings built from the headless model's members (model/index.js buildModel), not the scene.
+ * - Every member is a box or solid; its outline in a view is the convex hull of its world corners
+ *   projected onto the view plane, so sloped rafters, plates and hip faces come out true.
+ * - Coordinates are mm with y up; each drawing starts at (0, 0).
+ * - Entities: { type: 'poly', layer, points, closed } | { type: 'line', layer, a, b }
+ *   | { type: 'text', layer, at, h, text, rotation?, align? } | { type: 'dim', layer, a, b, offset, text? }.
+ *   align is 'center' / 'right' (default left). Writers call expandDims() to turn dims into lines + text.
+ * - buildDrawings(): the DXF set (floor plan, one framing elevation per wall seen from outside, roof framing plan).
+ *   buildDrawingSet(): the printed set (plan, building elevations, per-panel framing, roof detail).
+ * The 3D view's show / hide toggles do not apply: every drawing has the whole design (walls only when
+ * state.vis.wallsEnabled, as in the BOM).
+ */
+
+export const DRAWING_LAYERS = {
+  BASE_RIM: 1,
+  BASE_JOIST: 3,
+  BASE_DECK: 3,
+  WALL_OUTLINE: 5,
+  WALL_PLATES: 5,
+  WALL_STUDS: 4,
+  WALL_HEADERS: 6,
+  OPENINGS: 2,
+  ROOF_RIM: 1,
+  ROOF_RAFTER: 30,
+  ROOF_TRUSS: 30,
+  ROOF_RIDGE: 6,
+  ROOF_PURLIN: 4,
+  ROOF_HIP: 6,
+  ROOF_JACK: 40,
+  ROOF_COMMON: 30,
+  ROOF_COVER: 1,
+  ROOF_OUTLINE: 1,
+  DIMENSIONS: 8,
+  TEXT: 7
+};
+
+const TEXT_H = 80;
+const TITLE_H = 150;
+
+// Wall elevations are seen from outside: horizontal axis and direction per wall.
+const WALL_VIEWS = {
+  front: { name: 'Front', axis: 'x', flip: false },
+  back: { name: 'Back', axis: 'x', flip: true },
+  left: { name: 'Left', axis: 'z', flip: true },
+  right: { name: 'Right', axis: 'z', flip: false }
+};
+
+export function buildDrawings(state) {
+  const units = resolveUnits(state);
+  const members = collectMembers(state);
+  const out = [];
+
+  const plan = planDrawing(members, state, units);
+  if (plan) out.push(plan);
+
+  for (const wallId of Object.keys(WALL_VIEWS)) {
+    const d = wallDrawing(members, wallId, units);
+    if (d) out.push(d);
+  }
+
+  const roof = roofDrawing(members, state, units);
+  if (roof) out.push(roof);
+  return out;
+}
+
+/**
+ * Printed drawing set: { dims, plan, elevations[], framing: [{ wallId, title, panels[] }], details[] }.
+ * Framing panels are set out from the wall origin (panel start on the left), as they are built.
+ */
+export function buildDrawingSet(state) {
+  const units = resolveUnits(state);
+  const members = collectMembers(state);
+  const framing = [];
+  for (const wallId of Object.keys(WALL_VIEWS)) {
+    const panels = framingDrawings(members, wallId, units);
+    if (panels.length) framing.push({ wallId, title: `${WALL_VIEWS[wallId].name} Wall Framing`, panels });
+  }
+  const detail = roofDetailDrawing(members, state, units);
+
+  return {
+    dims: resolveDims(state),
+    units,
+    plan: planDrawing(members, state, units),
+    elevations: Object.keys(WALL_VIEWS).map(side => elevationDrawing(members, side, units)).filter(Boolean),
+    framing,
+    details: detail ? [detail] : []
+  };
+}
+
+// ---- members ----
+
+// { name (member id), element, meta, corners: [{ x, y, z }] (world mm) } for every model member.
+function collectMembers(state) {
+  const model = buildModel(state);
+  return model.members.map(m => ({
+    name: String(m.id || ''),
+    element: m.element,
+    meta: m.meta || {},
+    corners: memberCorners(m, model.nodes).map(c => ({ x: c[0], y: c[1], z: c[2] }))
+  }));
+}
+
+// Floor frame / deck member of the given part (model/base.js).
+function basePart(m) {
+  return m.element === 'base' ? m.meta.part : null;
+}
+
+function project(member, fn) {
+  return hull(member.corners.map(fn));
+}
+
+// ---- floor plan ----
+
+function planDrawing(members, state, units) {
+  const ents = [];
+  const toPlan = (p) => [p.x, p.z];
+  const roofPts = [];
+
+  for (const m of members) {
+    let layer = null;
+    if (basePart(m) === 'rim') layer = 'BASE_RIM';
+    else if (basePart(m) === 'joist') layer = 'BASE_JOIST';
+    else if (/^wall-[a-z]+-(panel-\d+-)?plate-bottom$/.test(m.name)) layer = 'WALL_PLATES';
+    else if (isRoofMember(m)) m.corners.forEach(p => roofPts.push(toPlan(p)));
+    if (!layer) continue;
+    ents.push({ type: 'poly', layer, points: project(m, toPlan), closed: true });
+  }
+  if (roofPts.length) ents.push({ type: 'poly', layer: 'ROOF_OUTLINE', points: hull(roofPts), closed: true });
+  if (!ents.length) return null;
+
+  // Overall sizes come from resolveDims (what the design says), placed on the outlines they belong to.
+  const R = resolveDims(state);
+  const all = bounds(ents);
+  const rings = [
+    { label: 'Base', layers: ['BASE_RIM', 'BASE_JOIST'], dims: R.base },
+    { label: 'Frame', layers: ['WALL_PLATES'], dims: R.frame },
+    { label: 'Roof', layers: ['ROOF_OUTLINE'], dims: R.roof }
+  ];
+  let level = 0;
+  for (const r of rings) {
+    const own = ents.filter(e => r.layers.indexOf(e.layer) >= 0);
+    if (!own.length) continue;
+    const b = bounds(own);
+    const step = 250 + 200 * level++;
+    ents.push({ type: 'dim', layer: 'DIMENSIONS', a: [b.x0, b.y0], b: [b.x1, b.y0], offset: -(step + b.y0 - all.y0), text: `${r.label} ${formatLengthUnit(r.dims.w_mm, units)}` });
+    ents.push({ type: 'dim', layer: 'DIMENSIONS', a: [b.x0, b.y1], b: [b.x0, b.y0], offset: -(step + b.x0 - all.x0), text: `${r.label} ${formatLengthUnit(r.dims.d_mm, units)}` });
+  }
+  return finish('plan', 'Floor Plan', ents, units, {});
+}
+
+// ---- walls ----
+
+function wallMembers(members, wallId) {
+  const prefix = `wall-${wallId}-`;
+  return members.filter(m => m.name.indexOf(prefix) === 0);
+}
+
+function wallView(wallId, outside) {
+  const view = WALL_VIEWS[wallId];
+  const sign = outside && view.flip ? -1 : 1;
+  return (p) => [sign * (view.axis === 'x' ? p.x : p.z), p.y];
+}
+
+function wallLayer(name) {
+  if (/plate/.test(name)) return 'WALL_PLATES';
+  if (/-(header|sill)$/.test(name)) return 'WALL_HEADERS';
+  return 'WALL_STUDS';
+}
+
+// Openings = clear hole between the uprights, from sill (or sole plate) to header.
+function wallHoles(mine, toElev) {
+  const openings = {};
+  let plateTop = null;
+
+  for (const m of mine) {
+    const op = m.name.match(/-(door|win)-(.+)-(upright-left|upright-right|header|sill)$/);
+    const isSole = /plate-bottom$/.test(m.name);
+    if (!op && !isSole) continue;
+    const pts = project(m, toElev);
+    if (isSole) plateTop = Math.max(plateTop == null ? -Infinity : plateTop, maxOf(pts, 1));
+    if (!op) continue;
+    const key = `${op[1]}-${op[2]}`;
+    if (!openings[key]) openings[key] = { type: op[1], uprights: [] };
+    if (op[3] === 'header') openings[key].top = minOf(pts, 1);
+    else if (op[3] === 'sill') openings[key].bottom = maxOf(pts, 1);
+    else openings[key].uprights.push([minOf(pts, 0), maxOf(pts, 0)]);
+  }
+
+  const holes = [];
+  for (const key of Object.keys(openings)) {
+    const o = openings[key];
+    if (o.uprights.length !== 2 || o.top == null) continue;
+    o.uprights.sort((a, b) => a[0] - b[0]);
+    const x0 = o.uprights[0][1], x1 = o.uprights[1][0];
+    const y0 = o.bottom != null ? o.bottom : (plateTop != null ? plateTop : 0);
+    const y1 = o.top;
+    if (!(x1 > x0 && y1 > y0)) continue;
+    holes.push({ x0, x1, y0, y1, type: o.type });
+  }
+  return holes.sort((a, b) => a.x0 - b.x0);
+}
+
+function holeEntities(holes, units) {
+  const ents = [];
+  for (const h of holes) {
+    ents.push({ type: 'poly', layer: 'OPENINGS', points: [[h.x0, h.y0], [h.x1, h.y0], [h.x1, h.y1], [h.x0, h.y1]], closed: true });
+    ents.push({ type: 'line', layer: 'OPENINGS', a: [h.x0, h.y0], b: [h.x1, h.y1] });
+    ents.push({ type: 'line', layer: 'OPENINGS', a: [h.x1, h.y0], b: [h.x0, h.y1] });
+    ents.push({
+      type: 'text', layer: 'TEXT', at: [(h.x0 + h.x1) / 2, (h.y0 + h.y1) / 2 + TEXT_H], h: TEXT_H, align: 'center',
+      text: `${h.type === 'door' ? 'Door' : 'Window'} ${formatLengthUnit(Math.round(h.x1 - h.x0), units)} × ${formatLengthUnit(Math.round(h.y1 - h.y0), units)}`
+    });
+  }
+  return ents;
+}
+
+// One framing elevation per wall, seen from outside (DXF).
+function wallDrawing(members, wallId, units) {
+  const mine = wallMembers(members, wallId);
+  if (!mine.length) return null;
+  const toElev = wallView(wallId, true);
+
+  const ents = mine.map(m => ({ type: 'poly', layer: wallLayer(m.name), points: project(m, toElev), closed: true }));
+  const holes = wallHoles(mine, toElev);
+  const all = ents.concat(holeEntities(holes, units));
+  return finish(`wall-${wallId}`, `${WALL_VIEWS[wallId].name} Wall Elevation`, all, units, { overallDims: true, chain: holes });
+}
+
+// Framing per panel ("basic" walls are built as panels; "insulated" walls are one panel), with stud
+// positions as running dimensions from the panel start.
+function framingDrawings(members, wallId, units) {
+  const mine = wallMembers(members, wallId);
+  if (!mine.length) return [];
+  const toElev = wallView(wallId, false);
+  const prefix = `wall-${wallId}-`;
+
+  const groups = {};
+  const loose = [];
+  for (const m of mine) {
+    const pm = m.name.slice(prefix.length).match(/^panel-(\d+)-/);
+    if (pm) (groups[pm[1]] = groups[pm[1]] || []).push(m);
+    else loose.push(m);
+  }
+  let keys = Object.keys(groups).sort((a, b) => Number(a) - Number(b));
+  if (!keys.length) {
+    groups['1'] = loose.splice(0);
+    keys = ['1'];
+  }
+
+  const panels = keys.map(k => {
+    const pts = [];
+    for (const m of groups[k]) project(m, toElev).forEach(p => pts.push(p));
+    return { index: Number(k), list: groups[k].slice(), x0: minOf(pts, 0), x1: maxOf(pts, 0) };
+  });
+  // Opening framing belongs to the panel its centre falls in; wall-level members (continuous plates)
+  // are cut to each panel.
+  const spans = [];
+  for (const m of loose) {
+    if (!/-(door|win)-/.test(m.name)) { spans.push(m); continue; }
+    const pts = project(m, toElev);
+    const cx = (minOf(pts, 0) + maxOf(pts, 0)) / 2;
+    const p = panels.find(pp => cx >= pp.x0 - 1 && cx <= pp.x1 + 1) || panels[0];
+    p.list.push(m);
+  }
+
+  const wallName = WALL_VIEWS[wallId].name;
+  return panels.map(p => {
+    const ents = p.list.map(m => ({ type: 'poly', layer: wallLayer(m.name), points: project(m, toElev), closed: true }));
+    for (const m of spans) {
+      const pts = clipX(project(m, toElev), p.x0, p.x1);
+      if (pts.length >= 3) ents.push({ type: 'poly', layer: wallLayer(m.name), points: pts, closed: true });
+    }
+    const holes = wallHoles(p.list, toElev).filter(h => (h.x0 + h.x1) / 2 >= p.x0 && (h.x0 + h.x1) / 2 <= p.x1);
+    const b = bounds(ents);
+
+    const xs = [];
+    for (const m of p.list) {
+      if (!/-(stud-\d+|upright-left|upright-right)$/.test(m.name)) continue;
+      const x = Math.round(minOf(project(m, toElev), 0) - b.x0);
+      if (xs.indexOf(x) < 0) xs.push(x);
+    }
+    xs.sort((a, c) => a - c);
+    const marks = [];
+    let lastX = -Infinity;
+    for (const x of xs) {
+      // Running dimension: tick on the panel base, value reading upwards, all measured from panel start.
+      marks.push({ type: 'line', layer: 'DIMENSIONS', a: [b.x0 + x, b.y0 - 60], b: [b.x0 + x, b.y0 - 200] });
+      const tx = Math.max(b.x0 + x + TEXT_H / 2, lastX + TEXT_H * 1.2);
+      marks.push({ type: 'text', layer: 'DIMENSIONS', at: [tx, b.y0 - 230], h: TEXT_H, align: 'right', rotation: 90, text: formatLengthUnit(x, units) });
+      lastX = tx;
+    }
+
+    const title = panels.length > 1 ? `${wallName} Wall — Panel ${p.index} of ${panels.length}` : `${wallName} Wall Framing`;
+    return finish(`frame-${wallId}-${p.index}`, title, ents.concat(holeEntities(holes, units), marks), units, { overallDims: true, widthDimOffset: xs.length ? -750 : -250 });
+  });
+}
+
+// ---- building elevations ----
+
+function elevationDrawing(members, side, units) {
+  const toElev = wallView(side, true);
+  const ents = [];
+
+  for (const m of members) {
+    const baseLayer = { rim: 'BASE_RIM', joist: 'BASE_JOIST', deck: 'BASE_DECK' }[basePart(m)];
+    if (baseLayer) {
+      ents.push({ type: 'poly', layer: baseLayer, points: project(m, toElev), closed: true });
+    } else if (isRoofMember(m) && m.meta && (m.meta.part === 'osb' || m.meta.part === 'rim')) {
+      ents.push({ type: 'poly', layer: 'ROOF_COVER', points: project(m, toElev), closed: true });
+    }
+  }
+  for (const wallId of Object.keys(WALL_VIEWS)) {
+    const pts = [];
+    for (const m of wallMembers(members, wallId)) m.corners.forEach(p => pts.push(toElev(p)));
+    if (pts.length) ents.push({ type: 'poly', layer: 'WALL_OUTLINE', points: hull(pts), closed: true });
+  }
+  if (!ents.length) return null;
+  ents.push(...holeEntities(wallHoles(wallMembers(members, side), toElev), units));
+  return finish(`elev-${side}`, `${WALL_VIEWS[side].name} Elevation`, ents, units, { overallDims: true });
+}
+
+// ---- roof framing plan ----
+
+function roofDrawing(members, state, units) {
+  const ents = [];
+  const toPlan = (p) => [p.x, p.z];
+  for (const m of members) {
+    if (!isRoofMember(m)) continue;
+    const part = m.meta && m.meta.part;
+    if (!part || part === 'osb') continue;
+    const layer = `ROOF_${String(part).toUpperCase()}`;
+    ents.push({ type: 'poly', layer: DRAWING_LAYERS[layer] ? layer : 'ROOF_RAFTER', points: project(m, toPlan), closed: true });
+  }
+  if (!ents.length) return null;
+  const style = state && state.roof && state.roof.style ? String(state.roof.style) : 'apex';
+  return finish('roof', `Roof Framing Plan (${style})`, ents, units, { overallDims: true });
+}
+
+function isRoofMember(m) {
+  return m.name.indexOf('roof-') === 0 && m.name.indexOf('roof-dbg') !== 0;
+}
+
+// Truss (apex), common rafter pair (hipped) or one rafter with its rims (pent), drawn in its own plane
+// with member lengths, overall span / rise and pitch.
+function roofDetailDrawing(members, state, units) {
+  const style = state && state.roof && state.roof.style ? String(state.roof.style) : 'apex';
+  let list = members.filter(m => /^roof-truss-0-/.test(m.name));
+  let title = 'Truss Detail';
+  if (!list.length) {
+    list = members.filter(m => m.name === 'roof-common-L-0' || m.name === 'roof-common-R-0');
+    title = 'Common Rafter Detail';
+  }
+  if (!list.length) {
+    list = members.filter(m => m.name === 'roof-rafter-0' || /^roof-rim-/.test(m.name));
+    title = 'Rafter Detail';
+  }
+  const main = list.filter(m => !/^roof-rim-/.test(m.name));
+  if (!main.length) return null;
+
+  // Draw in the plane the members span: across x (trusses) or along z (pent rafters).
+  const ext = (k) => {
+    const v = [];
+    main.forEach(m => m.corners.forEach(p => v.push(p[k])));
+    return Math.max(...v) - Math.min(...v);
+  };
+  const axis = ext('x') >= ext('z') ? 'x' : 'z';
+  const toView = (p) => [axis === 'x' ? p.x : p.z, p.y];
+
+  const ents = [];
+  let pitch = 0;
+  for (const m of list) {
+    const pts = project(m, toView);
+    const part = m.meta && m.meta.part;
+    const layer = `ROOF_${String(part || 'rafter').toUpperCase()}`;
+    ents.push({ type: 'poly', layer: DRAWING_LAYERS[layer] ? layer : 'ROOF_RAFTER', points: pts, closed: true });
+    if (/^roof-rim-/.test(m.name)) continue;
+
+    // Longest outline edge = member length (and slope, for rafters).
+    let len = 0, ang = 0;
+    for (let i = 0; i < pts.length; i++) {
+      const a = pts[i], c = pts[(i + 1) % pts.length];
+      const l = Math.hypot(c[0] - a[0], c[1] - a[1]);
+      if (l > len) { len = l; ang = Math.atan2(c[1] - a[1], c[0] - a[0]) * 180 / Math.PI; }
+    }
+    if (ang > 90) ang -= 180;
+    if (ang < -90) ang += 180;
+    if (/rafter|common/.test(m.name)) pitch = Math.max(pitch, Math.abs(ang));
+    const member = (m.meta && m.meta.member) || m.name.replace(/^roof-(truss-0-)?/, '');
+    const cx = (minOf(pts, 0) + maxOf(pts, 0)) / 2, cy = (minOf(pts, 1) + maxOf(pts, 1)) / 2;
+    const below = Math.abs(ang) < 1;
+    ents.push({
+      type: 'text', layer: 'TEXT', at: [cx, below ? minOf(pts, 1) - TEXT_H * 2 : cy + TEXT_H], h: TEXT_H, align: 'center',
+      rotation: Math.abs(ang) > 80 ? 0 : ang, text: `${member} ${formatLengthUnit(Math.round(len), units)}`
+    });
+  }
+
+  const d = finish(`detail-${style}`, `${title} (${style})`, ents, units, { overallDims: true, widthDimOffset: -400 });
+  if (pitch > 0) {
+    d.entities.push({ type: 'text', layer: 'TEXT', at: [d.width / 2, d.height + 80], h: TEXT_H, align: 'center', text: `Pitch ${pitch.toFixed(1)}°` });
+  }
+  return d;
+}
+
+// ---- shared: normalise to (0,0), add dims + title ----
+
+function finish(id, title, ents, units, opts) {
+  const b = bounds(ents);
+  const dx = -b.x0, dy = -b.y0;
+  const moved = ents.map(e => shift(e, dx, dy));
+  const W = b.x1 - b.x0, H = b.y1 - b.y0;
+
+  if (opts.overallDims) {
+    const below = opts.widthDimOffset != null ? opts.widthDimOffset : -(opts.chain && opts.chain.length ? 450 : 250);
+    moved.push({ type: 'dim', layer: 'DIMENSIONS', a: [0, 0], b: [W, 0], offset: below, text: formatLengthUnit(Math.round(W), units) });
+    moved.push({ type: 'dim', layer: 'DIMENSIONS', a: [0, H], b: [0, 0], offset: -250, text: formatLengthUnit(Math.round(H), units) });
+  }
+  if (opts.chain && opts.chain.length) {
+    const xs = [0];
+    for (const h of opts.chain) xs.push(h.x0 + dx, h.x1 + dx);
+    xs.push(W);
+    for (let i = 0; i + 1 < xs.length; i++) {
+      if (xs[i + 1] - xs[i] < 1) continue;
+      moved.push({ type: 'dim', layer: 'DIMENSIONS', a: [xs[i], 0], b: [xs[i + 1], 0], offset: -200, text: formatLengthUnit(Math.round(xs[i + 1] - xs[i]), units) });
+    }
+  }
+  moved.push({ type: 'text', layer: 'TEXT', at: [W / 2, H + 300], h: TITLE_H, align: 'center', text: title });
+
+  return { id, title, width: W, height: H, entities: moved };
+}
+
+/** Replace dim entities with extension lines, the dimension line, end ticks and the value text. */
+export function expandDims(entities) {
+  const out = [];
+  for (const e of entities) {
+    if (e.type !== 'dim') { out.push(e); continue; }
+    const [ax, ay] = e.a, [bx, by] = e.b;
+    const len = Math.hypot(bx - ax, by - ay);
+    if (!(len > 0)) continue;
+    const ux = (bx - ax) / len, uy = (by - ay) / len;
+    const nx = -uy, ny = ux;
+    const o = e.offset || 0;
+    const s = o < 0 ? -1 : 1;
+    const at = (px, py, k) => [px + nx * k, py + ny * k];
+
+    const a1 = at(ax, ay, o), b1 = at(bx, by, o);
+    out.push({ type: 'line', layer: e.layer, a: at(ax, ay, s * 30), b: at(ax, ay, o + s * 60) });
+    out.push({ type: 'line', layer: e.layer, a: at(bx, by, s * 30), b: at(bx, by, o + s * 60) });
+    out.push({ type: 'line', layer: e.layer, a: a1, b: b1 });
+    for (const p of [a1, b1]) {
+      const t = 35;
+      out.push({ type: 'line', layer: e.layer, a: [p[0] - (ux + nx) * t, p[1] - (uy + ny) * t], b: [p[0] + (ux + nx) * t, p[1] + (uy + ny) * t] });
+    }
+    let rot = Math.atan2(uy, ux) * 180 / Math.PI;
+    if (rot > 90.5 || rot < -89.5) rot += rot > 0 ? -180 : 180;
+    const mid = at((ax + bx) / 2, (ay + by) / 2, o + s * 40 + (s < 0 ? -TEXT_H : 0));
+    out.push({ type: 'text', layer: e.layer, at: mid, h: TEXT_H, align: 'center', rotation: rot, text: e.text || String(Math.round(len)) });
+  }
+  return out;
+}
+
+function shift(e, dx, dy) {
+  const mv = (p) => [p[0] + dx, p[1] + dy];
+  if (e.type === 'poly') return Object.assign({}, e, { points: e.points.map(mv) });
+  if (e.type === 'line' || e.type === 'dim') return Object.assign({}, e, { a: mv(e.a), b: mv(e.b) });
+  if (e.type === 'text') return Object.assign({}, e, { at: mv(e.at) });
+  return e;
+}
+
+function bounds(ents) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  const add = (p) => { x0 = Math.min(x0, p[0]); y0 = Math.min(y0, p[1]); x1 = Math.max(x1, p[0]); y1 = Math.max(y1, p[1]); };
+  for (const e of ents) {
+    if (e.type === 'poly') e.points.forEach(add);
+    else if (e.type === 'line') { add(e.a); add(e.b); }
+  }
+  if (!Number.isFinite(x0)) return { x0: 0, y0: 0, x1: 0, y1: 0 };
+  return { x0, y0, x1, y1 };
+}
+
+function minOf(pts, k) { return Math.min(...pts.map(p => p[k])); }
+function maxOf(pts, k) { return Math.max(...pts.map(p => p[k])); }
+
+// Clip a convex outline to the strip x0 <= x <= x1.
+function clipX(points, x0, x1) {
+  const edge = (pts, inside, cut) => {
+    const out = [];
+    for (let i = 0; i < pts.length; i++) {
+      const a = pts[i], b = pts[(i + 1) % pts.length];
+      if (inside(a)) out.push(a);
+      if (inside(a) !== inside(b)) {
+        const t = (cut - a[0]) / (b[0] - a[0]);
+        out.push([cut, a[1] + (b[1] - a[1]) * t]);
+      }
+    }
+    return out;
+  };
+  return edge(edge(points, p => p[0] >= x0, x0), p => p[0] <= x1, x1);
+}
+
+// Convex hull (monotone chain), rounded to 0.1 mm; counter-clockwise.
+function hull(points) {
+  const pts = points
+    .map(p => [Math.round(p[0] * 10) / 10, Math.round(p[1] * 10) / 10])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+    .filter((p, i, arr) => i === 0 || p[0] !== arr[i - 1][0] || p[1] !== arr[i - 1][1]);
+  if (pts.length < 3) return pts;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [], upper = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
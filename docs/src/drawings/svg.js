@@ -0,0 +1,193 @@
+// FILE: docs/src/drawings/svg.js
+import { expandDims } from './model.js';
+import { unitLabel, formatLengthUnit } from '../units.js';
+
+/**
+ * Printable SVG sheets for the drawing set (see buildDrawingSet in model.js).
+ * - One landscape A4 / A3 sheet per group: plan, elevations, each wall's framing panels (up to 4 a sheet),
+ *   roof detail. Every sheet has a border and a title block.
+ * - SVG user units are paper mm, so sheets print at the stated scale. All drawings on a sheet share
+ *   the largest standard scale (1:N) that fits them in their grid cells.
+ */
+
+export const PAPER_SIZES = {
+  A4: { w: 297, h: 210 },
+  A3: { w: 420, h: 297 }
+};
+
+const SCALES = [5, 10, 20, 25, 50, 75, 100, 125, 150, 200, 250, 500, 1000];
+const MARGIN = 10;
+const BLOCK_H = 24;
+const PAD = 6;
+// Paper text heights (mm): model text scales with the drawing, within these limits.
+const MIN_FONT = 1.8;
+const MAX_FONT = 3;
+const MAX_TITLE_FONT = 5;
+
+const TIMBER = '#f3ead6';
+const LAYER_STYLE = {
+  OPENINGS: { w: 0.25, dash: '2 1' },
+  ROOF_OUTLINE: { w: 0.25, dash: '4 2' },
+  ROOF_COVER: { w: 0.3 },
+  WALL_OUTLINE: { w: 0.35 },
+  BASE_DECK: { w: 0.25 },
+  DIMENSIONS: { w: 0.18, color: '#333' },
+  TEXT: { w: 0.18 }
+};
+const DEFAULT_STYLE = { w: 0.3, fill: TIMBER };
+
+/** Group the set into sheets: [{ title, drawings }]. */
+export function drawingSheets(set) {
+  const sheets = [];
+  if (set.plan) sheets.push({ title: 'Floor Plan', drawings: [set.plan] });
+  if (set.elevations.length) sheets.push({ title: 'Elevations', drawings: set.elevations });
+  for (const w of set.framing) {
+    for (let i = 0; i < w.panels.length; i += 4) {
+      const part = w.panels.length > 4 ? ` (${i / 4 + 1})` : '';
+      sheets.push({ title: w.title + part, drawings: w.panels.slice(i, i + 4) });
+    }
+  }
+  if (set.details.length) sheets.push({ title: set.details[0].title, drawings: set.details });
+  return sheets;
+}
+
+/** Render every sheet into a container element. opts: { paper, customer, reference, date }. */
+export function renderDrawingSet(containerId, set, opts = {}) {
+  const el = document.getElementById(containerId);
+  if (!el) return;
+  const sheets = drawingSheets(set);
+  if (!sheets.length) {
+    el.innerHTML = '<p class="subtle">Nothing to draw.</p>';
+    return;
+  }
+  const paper = PAPER_SIZES[opts.paper] ? opts.paper : 'A3';
+  el.innerHTML = sheets.map((s, i) =>
+    `<div class="drawingSheet drawingSheet--${paper}">${sheetSvg(s, i + 1, sheets.length, paper, set, opts)}</div>`
+  ).join('');
+}
+
+function sheetSvg(sheet, no, count, paper, set, opts) {
+  const P = PAPER_SIZES[paper];
+  const area = { x: MARGIN, y: MARGIN, w: P.w - 2 * MARGIN, h: P.h - 2 * MARGIN - BLOCK_H };
+
+  const parts = sheet.drawings.map(d => {
+    const ents = expandDims(d.entities);
+    return { ents, ext: extent(ents) };
+  });
+
+  // Grid with the column count that allows the largest common scale.
+  const n = parts.length;
+  let cols = 1, k = 0;
+  for (let c = 1; c <= n; c++) {
+    const r = Math.ceil(n / c);
+    let kc = Infinity;
+    for (const p of parts) {
+      const w = p.ext.x1 - p.ext.x0, h = p.ext.y1 - p.ext.y0;
+      kc = Math.min(kc, (area.w / c - 2 * PAD) / Math.max(1, w), (area.h / r - 2 * PAD) / Math.max(1, h));
+    }
+    if (kc > k) { k = kc; cols = c; }
+  }
+  const rows = Math.ceil(n / cols);
+  const cw = area.w / cols, ch = area.h / rows;
+  const N = SCALES.find(s => 1 / s <= k) || Math.ceil(1 / k);
+  const scale = 1 / N;
+
+  let body = `<rect x="${MARGIN / 2}" y="${MARGIN / 2}" width="${P.w - MARGIN}" height="${P.h - MARGIN}" fill="none" stroke="#000" stroke-width="0.5"/>`;
+  parts.forEach((p, i) => {
+    const col = i % cols, row = Math.floor(i / cols);
+    const w = (p.ext.x1 - p.ext.x0) * scale, h = (p.ext.y1 - p.ext.y0) * scale;
+    const ox = area.x + col * cw + (cw - w) / 2;
+    const oy = area.y + row * ch + (ch - h) / 2 + h;
+    const X = (x) => (ox + (x - p.ext.x0) * scale).toFixed(2);
+    const Y = (y) => (oy - (y - p.ext.y0) * scale).toFixed(2);
+    body += `<g>${p.ents.map(e => entitySvg(e, X, Y, scale)).join('')}</g>`;
+  });
+  body += titleBlock(P, sheet.title, no, count, `1:${N}`, paper, set, opts);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${P.w}mm" height="${P.h}mm" viewBox="0 0 ${P.w} ${P.h}" ` +
+    `font-family="Arial, Helvetica, sans-serif" role="img" aria-label="${esc(sheet.title)}">` +
+    `<rect x="0" y="0" width="${P.w}" height="${P.h}" fill="#fff"/>${body}</svg>`;
+}
+
+function entitySvg(e, X, Y, scale) {
+  const st = LAYER_STYLE[e.layer] || DEFAULT_STYLE;
+  const stroke = `stroke="${st.color || '#000'}" stroke-width="${st.w}"${st.dash ? ` stroke-dasharray="${st.dash}"` : ''}`;
+  if (e.type === 'line') {
+    return `<line x1="${X(e.a[0])}" y1="${Y(e.a[1])}" x2="${X(e.b[0])}" y2="${Y(e.b[1])}" ${stroke}/>`;
+  }
+  if (e.type === 'poly') {
+    const pts = e.points.map(p => `${X(p[0])},${Y(p[1])}`).join(' ');
+    const tag = e.closed ? 'polygon' : 'polyline';
+    return `<${tag} points="${pts}" fill="${e.closed && st.fill ? st.fill : 'none'}" ${stroke} stroke-linejoin="round"/>`;
+  }
+  if (e.type === 'text') {
+    const h = e.h || 80;
+    const size = Math.min(h >= 150 ? MAX_TITLE_FONT : MAX_FONT, Math.max(MIN_FONT, h * scale)).toFixed(2);
+    const anchor = e.align === 'center' ? 'middle' : (e.align === 'right' ? 'end' : 'start');
+    const x = X(e.at[0]), y = Y(e.at[1]);
+    const rot = e.rotation ? ` transform="rotate(${(-e.rotation).toFixed(2)} ${x} ${y})"` : '';
+    return `<text x="${x}" y="${y}" font-size="${size}" text-anchor="${anchor}"${rot}>${esc(e.text)}</text>`;
+  }
+  return '';
+}
+
+function titleBlock(P, title, no, count, scaleTxt, paper, set, opts) {
+  const x0 = MARGIN, y0 = P.h - MARGIN - BLOCK_H + 4, w = P.w - 2 * MARGIN, h = BLOCK_H - 4;
+  const R = set.dims;
+  const dim = (d) => `${formatLengthUnit(d.w_mm, set.units)} × ${formatLengthUnit(d.d_mm, set.units)}`;
+  const project = [opts.customer, opts.reference].filter(Boolean).join(' — ') || 'Garden building';
+  const cells = [
+    { w: 0.36, label: 'Project', value: project },
+    { w: 0.34, label: 'Drawing', value: title },
+    { w: 0.1, label: 'Scale', value: `${scaleTxt} @ ${paper}` },
+    { w: 0.08, label: 'Sheet', value: `${no} / ${count}` },
+    { w: 0.12, label: 'Date', value: opts.date || '' }
+  ];
+
+  let out = `<rect x="${x0}" y="${y0}" width="${w}" height="${h}" fill="#fff" stroke="#000" stroke-width="0.35"/>`;
+  out += `<line x1="${x0}" y1="${y0 + h - 6}" x2="${x0 + w}" y2="${y0 + h - 6}" stroke="#000" stroke-width="0.25"/>`;
+  let x = x0;
+  for (const c of cells) {
+    const cwid = c.w * w;
+    if (x > x0) out += `<line x1="${x.toFixed(2)}" y1="${y0}" x2="${x.toFixed(2)}" y2="${y0 + h - 6}" stroke="#000" stroke-width="0.25"/>`;
+    out += `<text x="${(x + 2).toFixed(2)}" y="${y0 + 4}" font-size="2.2" fill="#555">${esc(c.label)}</text>`;
+    out += `<text x="${(x + 2).toFixed(2)}" y="${y0 + 10.5}" font-size="3.4">${esc(fit(c.value, cwid, 3.4))}</text>`;
+    x += cwid;
+  }
+  out += `<text x="${x0 + 2}" y="${y0 + h - 1.8}" font-size="2.4">` +
+    `${esc(`Overall: base ${dim(R.base)} · frame ${dim(R.frame)} · roof ${dim(R.roof)}`)}</text>`;
+  out += `<text x="${(x0 + w - 2).toFixed(2)}" y="${y0 + h - 1.8}" font-size="2.2" fill="#555" text-anchor="end">` +
+    `Dimensions in ${esc(unitLabel(set.units))} unless noted. Do not scale; check on site.</text>`;
+  return out;
+}
+
+// Trim text to roughly fit a cell (average glyph ≈ 0.55 em).
+function fit(text, width, size) {
+  const s = String(text);
+  const max = Math.max(4, Math.floor((width - 4) / (size * 0.55)));
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function extent(ents) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  const add = (x, y) => { x0 = Math.min(x0, x); y0 = Math.min(y0, y); x1 = Math.max(x1, x); y1 = Math.max(y1, y); };
+  for (const e of ents) {
+    if (e.type === 'poly') e.points.forEach(p => add(p[0], p[1]));
+    else if (e.type === 'line') { add(e.a[0], e.a[1]); add(e.b[0], e.b[1]); }
+    else if (e.type === 'text') {
+      // Approximate text box: 0.55 em per glyph along the baseline, one em across it.
+      const h = e.h || 80, len = String(e.text).length * h * 0.55;
+      const a = (e.rotation || 0) * Math.PI / 180;
+      const start = e.align === 'center' ? -len / 2 : (e.align === 'right' ? -len : 0);
+      for (const t of [start, start + len]) {
+        for (const u of [0, h]) add(e.at[0] + Math.cos(a) * t - Math.sin(a) * u, e.at[1] + Math.sin(a) * t + Math.cos(a) * u);
+      }
+    }
+  }
+  if (!Number.isFinite(x0)) return { x0: 0, y0: 0, x1: 1, y1: 1 };
+  return { x0, y0, x1, y1 };
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
@@ -1,5 +1,36 @@
 // FILE: docs/src/elements/base.js
-import { CONFIG } from '../params.js';
+import { CONFIG, resolveFoundation } from '../params.js';
+import { nestSheets } from '../bom/sheets.js';
+import { resolveUnits, formatLengthUnit } from '../units.js';
+import { members, bomItems, sheetCuts, getLayout } from '../model/base.js';
+import { FOUNDATION_LABELS, summary as foundationSummary } from '../model/foundation.js';
+import { getGround } from '../model/ground.js';
+
+export { timberCuts, sheetCuts } from '../model/base.js';
+
+// State paths build3D and the BOM functions read (index.js rebuilds only when one changes); state.vis is applied by applyVisibility.
+export const DEPS = { build: ['w', 'd', 'base', 'site.ground'], bom: ['w', 'd', 'base', 'site.ground', 'units'] };
+
+const LAYERS = ['base', 'frame', 'ins', 'deck'];
+const MESH_NAMES = {
+  grid: 'g', rim: 'r', joist: 'j', noggin: 'n', ins: 'i', deck: 'd',
+  pad: 'p', screw: 's', screwHead: 's', bearer: 'b', slab: 'c', dpm: 'm', subBase: 'h', packer: 'k', fill: 'f'
+};
+const TERRAIN_MARGIN_MM = 1000;
+
+// One material per layer (the foundation layer: per material role); grid tiles, PIR and decking get outlined edges.
+// Slab, DPM and fill prisms follow the ground, so their materials are double-sided like the other custom prisms.
+const LOOKS = {
+  base: { color: [0.1, 0.1, 0.1], edges: { width: 1, color: [0.2, 0.2, 0.2, 1] } },
+  frame: { color: [0.5, 0.4, 0.3] },
+  ins: { color: [0.9, 0.85, 0.7], edges: { width: 2, color: [0.2, 0.2, 0.2, 1] } },
+  deck: { color: [0.8, 0.7, 0.6], edges: { width: 4, color: [0, 0, 0, 1] } },
+  concrete: { color: [0.62, 0.62, 0.6], twoSided: true },
+  steel: { color: [0.35, 0.37, 0.4] },
+  treated: { color: [0.45, 0.5, 0.32] },
+  dpm: { color: [0.05, 0.05, 0.05], twoSided: true },
+  hardcore: { color: [0.5, 0.47, 0.42], twoSided: true }
+};
 
 export function build3D(state, ctx) {
   const { scene } = ctx;
@@ -13,335 +44,172 @@ export function build3D(state, ctx) {
   meshes.ins = [];
   meshes.deck = [];
 
-  const L = getLayout(state);
-  const yB = 25, yF = 100, yI = 125, yD = 159;
-
-  if (state.vis.base) {
-    const mat = new BABYLON.StandardMaterial('m', scene);
-    mat.diffuseColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-    for (let x = 0; x < state.w; x += 500) {
-      for (let z = 0; z < state.d; z += 500) {
-        const bw = Math.min(500, state.w - x);
-        const bd = Math.min(500, state.d - z);
-        const b = BABYLON.MeshBuilder.CreateBox('g', {
-          width: bw * 0.001,
-          height: 50 * 0.001,
-          depth: bd * 0.001
+  const mats = getMaterials(scene);
+
+  for (const m of members(state)) {
+    const layer = m.meta.layer;
+    const look = layer === 'base' && m.material !== 'grid' ? m.material : layer;
+    const name = MESH_NAMES[m.meta.part];
+    let b;
+    if (m.shape === 'solid') {
+      const positions = [];
+      m.vertices_mm.forEach(v => positions.push(v[0] * 0.001, v[1] * 0.001, v[2] * 0.001));
+      const normals = [];
+      BABYLON.VertexData.ComputeNormals(positions, m.indices, normals);
+      const vd = new BABYLON.VertexData();
+      vd.positions = positions;
+      vd.indices = m.indices.slice();
+      vd.normals = normals;
+      b = new BABYLON.Mesh(name, scene);
+      vd.applyToMesh(b, true);
+    } else {
+      b = m.meta.round
+        ? BABYLON.MeshBuilder.CreateCylinder(name, { diameter: m.size_mm[0] * 0.001, height: m.size_mm[1] * 0.001, tessellation: 16 }, scene)
+        : BABYLON.MeshBuilder.CreateBox(name, {
+          width: m.size_mm[0] * 0.001,
+          height: m.size_mm[1] * 0.001,
+          depth: m.size_mm[2] * 0.001
         }, scene);
-        b.position = new BABYLON.Vector3((x + bw / 2) * 0.001, yB * 0.001, (z + bd / 2) * 0.001);
-        b.material = mat;
-        b.parent = shedRoot;
-        b.metadata = { dynamic: true };
-        if (b.enableEdgesRendering) {
-          b.enableEdgesRendering();
-          b.edgesWidth = 1;
-          b.edgesColor = new BABYLON.Color4(0.2, 0.2, 0.2, 1);
-        } else {
-          (scene._baseHL || (scene._baseHL = new BABYLON.HighlightLayer('baseHL', scene)))
-            .addMesh(b, new BABYLON.Color3(0.2, 0.2, 0.2));
-        }
-        meshes.base.push(b);
-      }
+      b.position = new BABYLON.Vector3(m.position_mm[0] * 0.001, m.position_mm[1] * 0.001, m.position_mm[2] * 0.001);
     }
-  }
-
-  if (state.vis.frame) {
-    const mat = new BABYLON.StandardMaterial('m', scene);
-    mat.diffuseColor = new BABYLON.Color3(0.5, 0.4, 0.3);
-    [0, L.joistSpan - 50].forEach(o => {
-      const r = BABYLON.MeshBuilder.CreateBox('r', {
-        width: (L.isWShort ? 50 : L.rimLen) * 0.001,
-        height: 100 * 0.001,
-        depth: (L.isWShort ? L.rimLen : 50) * 0.001
-      }, scene);
-      r.position = L.isWShort
-        ? new BABYLON.Vector3((o + 25) * 0.001, yF * 0.001, (L.rimLen / 2) * 0.001)
-        : new BABYLON.Vector3((L.rimLen / 2) * 0.001, yF * 0.001, (o + 25) * 0.001);
-      r.material = mat;
-      r.parent = shedRoot;
-      r.metadata = { dynamic: true };
-      meshes.frame.push(r);
-    });
-
-    L.positions.forEach(p => {
-      const j = BABYLON.MeshBuilder.CreateBox('j', {
-        width: (L.isWShort ? L.innerJoistLen : 50) * 0.001,
-        height: 100 * 0.001,
-        depth: (L.isWShort ? 50 : L.innerJoistLen) * 0.001
-      }, scene);
-      const mid = (L.innerJoistLen / 2 + 50) * 0.001;
-      j.position = L.isWShort
-        ? new BABYLON.Vector3(mid, yF * 0.001, p * 0.001)
-        : new BABYLON.Vector3(p * 0.001, yF * 0.001, mid);
-      j.material = mat;
-      j.parent = shedRoot;
-      j.metadata = { dynamic: true };
-      meshes.frame.push(j);
-    });
-  }
-
-  if (state.vis.ins) {
-    const mat = new BABYLON.StandardMaterial('m', scene);
-    mat.diffuseColor = new BABYLON.Color3(0.9, 0.85, 0.7);
-    for (let i = 0; i < L.positions.length - 1; i++) {
-      const start = L.positions[i] + 25;
-      const currentBayW = (L.positions[i + 1] - 25) - start;
-      for (let z = 0; z < L.innerJoistLen; z += 2400) {
-        const zL = Math.min(2400, L.innerJoistLen - z);
-        const ins = BABYLON.MeshBuilder.CreateBox('i', {
-          width: (L.isWShort ? zL : currentBayW) * 0.001,
-          height: 50 * 0.001,
-          depth: (L.isWShort ? currentBayW : zL) * 0.001
-        }, scene);
-        const mB = (start + currentBayW / 2) * 0.001;
-        const mS = (z + zL / 2 + 50) * 0.001;
-        ins.position = L.isWShort
-          ? new BABYLON.Vector3(mS, yI * 0.001, mB)
-          : new BABYLON.Vector3(mB, yI * 0.001, mS);
-        ins.material = mat;
-        ins.parent = shedRoot;
-        ins.metadata = { dynamic: true };
-        meshes.ins.push(ins);
-        ins.enableEdgesRendering();
-        ins.edgesWidth = 2;
-        ins.edgesColor = new BABYLON.Color4(0.2, 0.2, 0.2, 1);
-      }
+    b.material = mats[look];
+    b.parent = shedRoot;
+    b.metadata = { dynamic: true };
+    const edges = LOOKS[look].edges;
+    if (edges && b.enableEdgesRendering) {
+      b.enableEdgesRendering();
+      b.edgesWidth = edges.width;
+      b.edgesColor = new BABYLON.Color4(...edges.color);
+    } else if (edges) {
+      (scene._baseHL || (scene._baseHL = new BABYLON.HighlightLayer('baseHL', scene)))
+        .addMesh(b, new BABYLON.Color3(...edges.color.slice(0, 3)));
     }
+    meshes[layer].push(b);
   }
 
-  if (state.vis.deck) {
-    const mat = new BABYLON.StandardMaterial('m', scene);
-    mat.diffuseColor = new BABYLON.Color3(0.8, 0.7, 0.6);
-
-    // Canonical decking layout:
-    // A = shortest span (joists span A)
-    // B = longest (OSB 2440 always runs along B, i.e. perpendicular to joists)
-    const extA = L.joistSpan;
-    const extB = L.rimLen;
-
-    const piecesAB = computeDeckPiecesAB_NoStagger(extA, extB);
+  const terrain = buildTerrain(state, scene);
+  if (terrain) {
+    terrain.parent = shedRoot;
+    meshes.base.push(terrain);
+  }
 
-    for (const p of piecesAB) {
-      const mapped = mapABtoXZ(p, L.isWShort);
+  applyVisibility(state, ctx);
+}
 
-      const d = BABYLON.MeshBuilder.CreateBox('d', {
-        width: mapped.wX * 0.001,
-        height: 18 * 0.001,
-        depth: mapped.dZ * 0.001
-      }, scene);
+// Translucent ground surface around a sloping base (not a member: not picked, exported or drawn).
+function buildTerrain(state, scene) {
+  const ground = getGround(state);
+  if (!ground.sloped) return null;
+
+  const w = state.w + 2 * TERRAIN_MARGIN_MM, d = state.d + 2 * TERRAIN_MARGIN_MM;
+  const mesh = BABYLON.MeshBuilder.CreateGround('terrain', { width: w * 0.001, height: d * 0.001, subdivisions: 8, updatable: true }, scene);
+  const positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+  for (let i = 0; i < positions.length; i += 3) {
+    positions[i + 1] = ground.at(state.w / 2 + positions[i] * 1000, state.d / 2 + positions[i + 2] * 1000) * 0.001;
+  }
+  const normals = [];
+  BABYLON.VertexData.ComputeNormals(positions, mesh.getIndices(), normals);
+  mesh.updateVerticesData(BABYLON.VertexBuffer.PositionKind, positions);
+  mesh.updateVerticesData(BABYLON.VertexBuffer.NormalKind, normals);
+  mesh.refreshBoundingInfo();
+  mesh.position = new BABYLON.Vector3(state.w / 2 * 0.001, 0, state.d / 2 * 0.001);
+
+  mesh.material = getMaterials(scene).terrain;
+  mesh.isPickable = false;
+  mesh.metadata = { terrain: true };
+  return mesh;
+}
 
-      d.position = new BABYLON.Vector3(
-        (mapped.x0 + mapped.wX / 2) * 0.001,
-        yD * 0.001,
-        (mapped.z0 + mapped.dZ / 2) * 0.001
-      );
-      d.material = mat;
-      d.parent = shedRoot;
-      d.metadata = { dynamic: true };
-      d.enableEdgesRendering();
-      d.edgesWidth = 4;
-      d.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
-      meshes.deck.push(d);
-    }
-  }
+/** Show/hide the built layers from state.vis (base / frame / ins / deck) without rebuilding them. */
+export function applyVisibility(state, ctx) {
+  const meshes = getMeshes(ctx.scene);
+  LAYERS.forEach(k => meshes[k].forEach(m => { m.isVisible = !!(state.vis && state.vis[k]); }));
 }
 
 export function updateBOM(state) {
-  const unitsMode = (document.getElementById('unitsSelect')?.value) || 'mm';
-  const L = getLayout(state);
+  // Sizes show in the design's unit system; "both" adds the other system in brackets.
+  const both = document.getElementById('unitsSelect')?.value === 'both';
+  const units = resolveUnits(state);
+  const other = units === 'imperial' ? 'metric' : 'imperial';
+  const items = bomItems(state);
+  const inGroup = (g) => items.filter(it => it.group === g);
 
-  function mmToInFracStr(mm) {
-    const inches = mm / 25.4;
-    const whole = Math.floor(inches);
-    const frac = Math.round((inches - whole) * 16);
-    const adjWhole = frac === 16 ? whole + 1 : whole;
-    const adjFrac = frac === 16 ? 0 : frac;
-    return adjFrac === 0 ? `${adjWhole}"` : `${adjWhole}-${adjFrac}/16"`;
-  }
   function fmtSize(a, b) {
-    const mmTxt = `${a}mm × ${b}mm`;
-    if (unitsMode !== 'both') return mmTxt;
-    return `${mmTxt} (${mmToInFracStr(a)} × ${mmToInFracStr(b)})`;
+    const txt = `${formatLengthUnit(a, units)} × ${formatLengthUnit(b, units)}`;
+    if (!both) return txt;
+    return `${txt} (${formatLengthUnit(a, other)} × ${formatLengthUnit(b, other)})`;
   }
   function fmtLenOnly(a) {
-    const mmTxt = `${a}mm`;
-    if (unitsMode !== 'both') return mmTxt;
-    return `${mmTxt} (${mmToInFracStr(a)})`;
-  }
-
-  const csvRows = [];
-  function pushCsv(section, item, qty, Lmm, Wmm, notes) {
-    const Lin = (Lmm ? mmToInFracStr(Lmm) : '');
-    const Win = (Wmm ? mmToInFracStr(Wmm) : '');
-    csvRows.push([section, item, qty, Lmm || '', Wmm || '', Lin, Win, notes || '']);
+    const txt = formatLengthUnit(a, units);
+    if (!both) return txt;
+    return `${txt} (${formatLengthUnit(a, other)})`;
   }
 
   // ----- Timber -----
   let timberHtml = '';
   let timberCount = 0;
-
-  timberHtml += `<tr><td>Rim Joists</td><td>2</td><td class="highlight">${fmtLenOnly(L.rimLen)}</td><td>Section 50×100</td></tr>`;
-  pushCsv('Timber Frame', 'Rim Joist', 2, L.rimLen, '', '50×100 section');
-  timberCount += 2;
-
-  timberHtml += `<tr><td>Inner Joists</td><td>${L.positions.length}</td><td class="highlight">${fmtLenOnly(L.innerJoistLen)}</td><td>Section 50×100</td></tr>`;
-  pushCsv('Timber Frame', 'Inner Joist', L.positions.length, L.innerJoistLen, '', '50×100 section');
-  timberCount += L.positions.length;
-
+  for (const it of inGroup('Timber Frame')) {
+    timberHtml += `<tr data-part-id="${it.partId}"><td>${it.item}s</td><td>${it.qty}</td><td class="highlight">${fmtLenOnly(it.length_mm)}</td><td>Section ${it.section}</td></tr>`;
+    timberCount += it.qty;
+  }
   document.getElementById('timberTableBody').innerHTML = timberHtml;
   document.getElementById('timberTotals').textContent = `Total pieces: ${timberCount}`;
 
   // ----- OSB Decking (mirrors build3D; no stagger; rotation-invariant) -----
-  const extA = L.joistSpan;
-  const extB = L.rimLen;
-  const piecesAB = computeDeckPiecesAB_NoStagger(extA, extB);
-
-  const osbMap = {};
-  for (const p of piecesAB) {
-    const mapped = mapABtoXZ(p, L.isWShort);
-    const sw = Math.round(mapped.wX);
-    const sh = Math.round(mapped.dZ);
-    if (sw > 10 && sh > 10) {
-      const key = `${sw}x${sh}`;
-      osbMap[key] = (osbMap[key] || 0) + 1;
-    }
-  }
-
-  const sheetShort = CONFIG.decking.w; // 1220
-  const sheetLong = CONFIG.decking.d;  // 2440
-
-  const fullPieceXZ = mapABtoXZ({ a0: 0, b0: 0, aLen: sheetShort, bLen: sheetLong }, L.isWShort);
-  const fullKey = `${Math.round(fullPieceXZ.wX)}x${Math.round(fullPieceXZ.dZ)}`;
-
-  const osbStd = {};
-  const osbRip = {};
-  Object.keys(osbMap).forEach(key => {
-    if (key === fullKey) osbStd[key] = (osbStd[key] || 0) + osbMap[key];
-    else osbRip[key] = (osbRip[key] || 0) + osbMap[key];
-  });
-
-  function renderOsbTable(map, bodyId, totalsId, label) {
+  function renderOsbTable(rows, bodyId, totalsId, label) {
     let html = '';
     let count = 0;
-    Object.keys(map).sort((a, b) => {
-      const [aw, ah] = a.split('x').map(Number), [bw, bh] = b.split('x').map(Number);
-      return ah - bh || aw - bw;
-    }).forEach(key => {
-      const [wStr, hStr] = key.split('x');
-      const w = parseInt(wStr, 10), h = parseInt(hStr, 10);
-      const qty = map[key];
-      const pieceName = `Piece ${w}x${h}`;
-      const notes = label;
-      html += `<tr><td>${pieceName}</td><td>${qty}</td><td class="highlight">${fmtSize(w, h)}</td><td>${notes}</td></tr>`;
-      pushCsv('OSB Decking', pieceName, qty, w, h, notes);
-      count += qty;
+    rows.slice().sort((a, b) => a.width_mm - b.width_mm || a.length_mm - b.length_mm).forEach(it => {
+      html += `<tr data-part-id="${it.partId}"><td>${it.item}</td><td>${it.qty}</td><td class="highlight">${fmtSize(it.length_mm, it.width_mm)}</td><td>${it.notes}</td></tr>`;
+      count += it.qty;
     });
     document.getElementById(bodyId).innerHTML = html || `<tr><td colspan="4">None</td></tr>`;
     document.getElementById(totalsId).textContent = `Total ${label.toLowerCase()}: ${count}`;
   }
-  renderOsbTable(osbStd, 'osbStdBody', 'osbStdTotals', 'Standard Sheet');
-  renderOsbTable(osbRip, 'osbRipBody', 'osbRipTotals', 'Rip/Trim Cut');
+  const osbItems = inGroup('OSB Decking');
+  renderOsbTable(osbItems.filter(it => it.notes === 'Standard Sheet'), 'osbStdBody', 'osbStdTotals', 'Standard Sheet');
+  renderOsbTable(osbItems.filter(it => it.notes !== 'Standard Sheet'), 'osbRipBody', 'osbRipTotals', 'Rip/Trim Cut');
 
   // ----- PIR Insulation — Rip Cuts Only (derived from placement) -----
-  const gW = CONFIG.insulation.w;
-  const gL = CONFIG.insulation.d;
-  const pirRipCuts = {};
-  let totalPirArea = 0;
-  for (let i = 0; i < L.positions.length - 1; i++) {
-    const start = L.positions[i] + 25;
-    const currentBayW = (L.positions[i + 1] - 25) - start;
-    for (let z = 0; z < L.innerJoistLen; z += gL) {
-      const zL = Math.min(gL, L.innerJoistLen - z);
-      const pieceL = L.isWShort ? zL : currentBayW;
-      const pieceW = L.isWShort ? currentBayW : zL;
-      const lmm = Math.round(pieceL);
-      const wmm = Math.round(pieceW);
-      if (lmm > 0 && wmm > 0) {
-        totalPirArea += (lmm * wmm);
-        const isFull = (lmm === gL && wmm === gW) || (lmm === gW && wmm === gL);
-        if (!isFull) {
-          const key = `${lmm}x${wmm}`;
-          pirRipCuts[key] = (pirRipCuts[key] || 0) + 1;
-        }
-      }
-    }
-  }
   let pirRipHtml = '';
-  Object.keys(pirRipCuts).forEach(key => {
-    const [lStr, wStr] = key.split('x');
-    const lmm = parseInt(lStr, 10);
-    const wmm = parseInt(wStr, 10);
-    pirRipHtml += `<tr><td>PIR ${key}</td><td>${pirRipCuts[key]}</td><td class="highlight">${lmm}mm x ${wmm}mm</td><td>Cut Board</td></tr>`;
-  });
+  for (const it of inGroup('PIR Insulation')) {
+    if (it.notes !== 'Cut Board') continue;
+    pirRipHtml += `<tr data-part-id="${it.partId}"><td>${it.item}</td><td>${it.qty}</td><td class="highlight">${fmtSize(it.length_mm, it.width_mm)}</td><td>${it.notes}</td></tr>`;
+  }
   document.getElementById('pirRipBody').innerHTML = pirRipHtml || `<tr><td colspan="4">None</td></tr>`;
-  const pirSheetArea = gW * gL;
-  const pirMinSheets = pirSheetArea > 0 ? Math.ceil(totalPirArea / pirSheetArea) : 0;
+  const pirNest = nestSheets(sheetCuts(state).pir, CONFIG.insulation);
   const pirSummaryEl = document.getElementById('pirSummary');
-  if (pirSummaryEl) pirSummaryEl.textContent = `Minimum full sheets required (by area): ${pirMinSheets}`;
+  if (pirSummaryEl) pirSummaryEl.textContent = `Full sheets required (nested): ${pirNest.count} (area-only minimum ${pirNest.areaMinimum})`;
 
-  // ----- Plastic Grid Tiles (mirror base grid placement) -----
-  const g = CONFIG.grid.size;
-  const gridCuts = {};
-  for (let x = 0; x < state.w; x += g) {
-    const sw = Math.min(g, state.w - x);
-    for (let z = 0; z < state.d; z += g) {
-      const sd = Math.min(g, state.d - z);
-      if (sw > 0 && sd > 0) {
-        const key = `${sw}x${sd}`;
-        gridCuts[key] = (gridCuts[key] || 0) + 1;
-      }
-    }
-  }
-  let gridHtml = '';
-  Object.keys(gridCuts).forEach(key => {
-    const [wStr, hStr] = key.split('x');
-    const sw = parseInt(wStr, 10);
-    const sd = parseInt(hStr, 10);
-    const isFull = (sw === g && sd === g);
-    gridHtml += `<tr>
-      <td>Grid ${key}</td>
-      <td>${gridCuts[key]}</td>
-      <td class="highlight">${sw}mm x ${sd}mm</td>
-      <td>${isFull ? 'Full Tile' : 'Cut Tile'}</td>
+  // ----- Foundation (mirrors its placement; model/foundation.js) -----
+  const type = resolveFoundation(state).type;
+  const L = getLayout(state);
+  let foundationHtml = '';
+  for (const it of items.filter(it => it.group === 'Grid Tiles' || it.group === FOUNDATION_LABELS[type])) {
+    const size = it.group === 'Grid Tiles' || !it.depth_mm ? fmtSize(it.length_mm, it.width_mm) : `${fmtSize(it.length_mm, it.width_mm)} × ${fmtLenOnly(it.depth_mm)}`;
+    foundationHtml += `<tr data-part-id="${it.partId}">
+      <td>${it.item}</td>
+      <td>${it.qty}</td>
+      <td class="highlight">${size}</td>
+      <td>${it.notes}</td>
     </tr>`;
-  });
-  document.getElementById('gridBody').innerHTML = gridHtml || `<tr><td colspan="4">None</td></tr>`;
+  }
+  document.getElementById('foundationBody').innerHTML = foundationHtml || `<tr><td colspan="4">None</td></tr>`;
+  const foundationTitleEl = document.getElementById('foundationTitle');
+  if (foundationTitleEl) foundationTitleEl.textContent = FOUNDATION_LABELS[type];
+  const foundationSummaryEl = document.getElementById('foundationSummary');
+  if (foundationSummaryEl) foundationSummaryEl.textContent = foundationSummary(state, L);
 
-  // ----- OSB Minimum Sheet Summary (area-based) -----
-  let totalOSBArea = 0;
-  Object.keys(osbMap).forEach(key => {
-    const [wStr, hStr] = key.split('x');
-    const w = parseInt(wStr, 10);
-    const h = parseInt(hStr, 10);
-    const qty = osbMap[key];
-    totalOSBArea += qty * w * h;
-  });
-  const sheetArea = sheetShort * sheetLong;
-  const minSheets = sheetArea > 0 ? Math.ceil(totalOSBArea / sheetArea) : 0;
+  // ----- OSB Sheet Summary (guillotine nesting; floor only — see Sheet Nesting for floor + roof) -----
+  const osbNest = nestSheets(sheetCuts(state).osb, CONFIG.decking);
   const osbSummaryEl = document.getElementById('osbSummary');
-  if (osbSummaryEl) osbSummaryEl.textContent = `Minimum full sheets required (by area): ${minSheets}`;
+  if (osbSummaryEl) osbSummaryEl.textContent = `Full sheets required (nested): ${osbNest.count} (area-only minimum ${osbNest.areaMinimum})`;
 
   // ----- Renumber BOM section headings -----
   const h4s = Array.from(document.querySelectorAll('#bomPage .schedule-section > h4'));
   h4s.forEach((h, idx) => { h.textContent = `${idx + 1}. ${h.textContent.replace(/^\d+\.\s*/, '')}`; });
 
-  // ----- Export/Print wiring -----
-  const exportBtn = document.getElementById('exportCsvBtn');
-  if (exportBtn && !exportBtn._wired) {
-    exportBtn._wired = true;
-    exportBtn.addEventListener('click', () => {
-      const header = ['Section', 'Item', 'Qty', 'L_mm', 'W_mm', 'L_in', 'W_in', 'Notes'];
-      const rows = [header, ...csvRows].map(r => r.map(v => {
-        const s = String(v ?? '');
-        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
-      }).join(',')).join('\n');
-      const blob = new Blob([rows], { type: 'text/csv;charset=utf-8;' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url; a.download = 'cutting_list.csv';
-      document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
-    });
-  }
+  // ----- Print / units wiring (whole-shed export is wired in index.js) -----
   const printBtn = document.getElementById('printBtn');
   if (printBtn && !printBtn._wired) {
     printBtn._wired = true;
@@ -352,72 +220,8 @@ export function updateBOM(state) {
     unitsSel._wired = true;
     unitsSel.addEventListener('change', () => updateBOM(state));
   }
-}
-
-function computeDeckPiecesAB_NoStagger(extA, extB) {
-  const sheetA = CONFIG.decking.w; // 1220 (across joists span axis A)
-  const sheetB = CONFIG.decking.d; // 2440 (perpendicular to joists, along axis B)
-
-  const cols = Math.floor(extA / sheetA);
-  const rows = Math.floor(extB / sheetB);
-
-  const rectA = cols * sheetA;
-  const rectB = rows * sheetB;
 
-  const remA = Math.max(0, extA - rectA);
-  const remB = Math.max(0, extB - rectB);
-
-  const pieces = [];
-
-  // Full sheets
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      pieces.push({ a0: c * sheetA, b0: r * sheetB, aLen: sheetA, bLen: sheetB });
-    }
-  }
-
-  // Remainder column (remA × 2440) for each full row
-  if (remA > 0) {
-    for (let r = 0; r < rows; r++) {
-      pieces.push({ a0: rectA, b0: r * sheetB, aLen: remA, bLen: sheetB });
-    }
-  }
-
-  // Remainder row (1220 × remB) for each full col
-  if (remB > 0) {
-    for (let c = 0; c < cols; c++) {
-      pieces.push({ a0: c * sheetA, b0: rectB, aLen: sheetA, bLen: remB });
-    }
-  }
-
-  // Corner remainder (remA × remB)
-  if (remA > 0 && remB > 0) {
-    pieces.push({ a0: rectA, b0: rectB, aLen: remA, bLen: remB });
-  }
-
-  return pieces;
-}
-
-function mapABtoXZ(p, isWShort) {
-  // A = joist span (shorter), B = rim length (longer)
-  // If width is shorter: A->X, B->Z. Else: A->Z, B->X.
-  if (isWShort) return { x0: p.a0, z0: p.b0, wX: p.aLen, dZ: p.bLen };
-  return { x0: p.b0, z0: p.a0, wX: p.bLen, dZ: p.aLen };
-}
-
-function getLayout(state) {
-  const isWShort = state.w < state.d;
-  const rimLen = isWShort ? state.d : state.w;
-  const joistSpan = isWShort ? state.w : state.d;
-  const innerJoistLen = joistSpan - (CONFIG.timber.w * 2);
-  const positions = [CONFIG.timber.w / 2];
-  let cursor = CONFIG.spacing;
-  while (cursor < rimLen - CONFIG.timber.w) {
-    positions.push(cursor);
-    cursor += CONFIG.spacing;
-  }
-  positions.push(rimLen - CONFIG.timber.w / 2);
-  return { isWShort, rimLen, joistSpan, innerJoistLen, positions };
+  return { items };
 }
 
 function getRoot(scene) {
@@ -430,3 +234,20 @@ function getMeshes(scene) {
   if (!scene._baseMeshes) scene._baseMeshes = { base: [], frame: [], ins: [], deck: [] };
   return scene._baseMeshes;
 }
+
+// Materials are made once per scene and shared by every rebuild (disposing the meshes leaves them in place).
+function getMaterials(scene) {
+  if (scene._baseMaterials) return scene._baseMaterials;
+  const mats = {};
+  Object.keys(LOOKS).forEach(k => {
+    mats[k] = new BABYLON.StandardMaterial('m', scene);
+    mats[k].diffuseColor = new BABYLON.Color3(...LOOKS[k].color);
+    if (LOOKS[k].twoSided) mats[k].backFaceCulling = false;
+  });
+  mats.terrain = new BABYLON.StandardMaterial('terrain', scene);
+  mats.terrain.diffuseColor = new BABYLON.Color3(0.35, 0.5, 0.25);
+  mats.terrain.alpha = 0.45;
+  mats.terrain.backFaceCulling = false;
+  scene._baseMaterials = mats;
+  return mats;
+}
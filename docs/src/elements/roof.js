@@ -3,13 +3,32 @@
  * Roof:
  * - PENT: existing logic unchanged.
  * - APEX: adds gable roof with repeated trusses + ridge + purlins + simple sheathing.
+ * - HIPPED: ridge + common/hip/jack rafters + four sloped sheathing faces.
+ *
+ * Members, placement and the cutting list come from model/roof.js; this module turns them into
+ * meshes and renders the cutting list.
  *
  * All roof meshes:
  * - name prefix "roof-"
  * - metadata.dynamic === true
  */
 
-import { CONFIG, resolveDims } from "../params.js";
+import { renderBOM } from "../bom/index.js";
+import { resolveUnits } from "../units.js";
+import { members, bomItems } from "../model/roof.js";
+
+export { timberCuts, sheetCuts } from "../model/roof.js";
+
+/**
+ * State paths (of the roof state index.js passes in) that build3D and the BOM functions read.
+ * walls.height_mm is the eave height applyRoofWallHeight derives; dim / overhang feed resolveDims;
+ * base.joists.section sets the deck height index.js lifts the roof onto (wallRise).
+ */
+const BUILD_DEPS = ["w", "d", "roof", "walls.height_mm", "dim", "dimGap_mm", "overhang", "base.joists.section"];
+export const DEPS = {
+  build: BUILD_DEPS,
+  bom: BUILD_DEPS.concat(["units"]),
+};
 
 export function build3D(state, ctx) {
   const { scene, materials } = ctx || {};
@@ -61,292 +80,100 @@ export function build3D(state, ctx) {
     } catch (e) {}
   }
 
-  const style = String(state && state.roof && state.roof.style ? state.roof.style : "apex");
-
-  if (style === "pent") {
-    buildPent(state, ctx);
-    return;
-  }
-
-  if (style === "apex") {
-    buildApex(state, ctx);
-    return;
-  }
-
-  // Unsupported styles: do nothing.
+  // members() is null for unsupported styles: nothing to build.
+  const model = members(state);
+  if (model) buildFromModel(model, ctx);
 }
 
 export function updateBOM(state) {
-  const tbody = document.getElementById("roofBomTable");
-  if (!tbody) return;
-
-  tbody.innerHTML = "";
-
   const style = String(state && state.roof && state.roof.style ? state.roof.style : "apex");
 
-  if (style === "pent") {
-    updateBOM_Pent(state, tbody);
-    return;
-  }
-
-  if (style === "apex") {
-    updateBOM_Apex(state, tbody);
-    return;
-  }
+  const items = bomItems(state);
+  const known = style === "apex" || style === "hipped" || style === "pent";
+  renderBOM(items, { tbodyId: "roofBomTable", depth: false, units: resolveUnits(state), empty: known ? "Roof cutting list not yet generated." : "Roof not enabled." });
 
-  appendPlaceholderRow(tbody, "Roof not enabled.");
+  return { items };
 }
 
-/* ----------------------------- PENT (existing) ----------------------------- */
-
-function buildPent(state, ctx) {
-  const { scene, materials } = ctx || {};
-  if (!scene) return;
-  if (!isPentEnabled(state)) return;
-
-  const data = computeRoofData_Pent(state);
-  const dims = resolveDims(state);
-
-  const ovh = (dims && dims.overhang) ? dims.overhang : { l_mm: 0, r_mm: 0, f_mm: 0, b_mm: 0 };
-  const l_mm = Math.max(0, Math.floor(Number(ovh.l_mm || 0)));
-  const r_mm = Math.max(0, Math.floor(Number(ovh.r_mm || 0)));
-  const f_mm = Math.max(0, Math.floor(Number(ovh.f_mm || 0)));
-  const b_mm = Math.max(0, Math.floor(Number(ovh.b_mm || 0)));
-
-  const frameW_mm = Math.max(1, Math.floor(Number(dims?.frame?.w_mm ?? state?.w ?? 1)));
-  const frameD_mm = Math.max(1, Math.floor(Number(dims?.frame?.d_mm ?? state?.d ?? 1)));
-
-  // Analytic pent heights (authoritative for roof bearing)
-  const minH_mm = Math.max(100, Math.floor(Number(data.minH_mm || 2400)));
-  const maxH_mm = Math.max(100, Math.floor(Number(data.maxH_mm || 2400)));
-
-  // Materials
-  const joistMat = materials && materials.timber ? materials.timber : null;
+function buildFromModel(model, ctx) {
+  const { scene, materials } = ctx;
+
+  const roleMats = {
+    timber: materials && materials.timber ? materials.timber : null,
+    osb: (() => {
+      try {
+        if (scene._roofOsbMat) return scene._roofOsbMat;
+        const m = new BABYLON.StandardMaterial("roofOsbMat", scene);
+        m.diffuseColor = new BABYLON.Color3(0.75, 0.62, 0.45);
+        scene._roofOsbMat = m;
+        return m;
+      } catch (e) {
+        return null;
+      }
+    })(),
+  };
 
-  const osbMat = (() => {
+  // Sheathing faces are custom prisms; render them double-sided (same policy as sloped wall plates).
+  function solidMat(mat) {
+    if (mat !== roleMats.osb) return mat;
     try {
-      if (scene._roofOsbMat) return scene._roofOsbMat;
-      const m = new BABYLON.StandardMaterial("roofOsbMat", scene);
-      m.diffuseColor = new BABYLON.Color3(0.75, 0.62, 0.45);
-      scene._roofOsbMat = m;
-      return m;
+      if (scene._roofOsbSlabMat) return scene._roofOsbSlabMat;
+      const c = mat && mat.clone ? mat.clone("roofOsbSlabMat") : null;
+      if (c) c.backFaceCulling = false;
+      scene._roofOsbSlabMat = c;
+      return c || mat;
     } catch (e) {
-      return null;
+      return mat;
     }
-  })();
-
-  function mkBoxBottomLocal(name, Lx_mm, Ly_mm, Lz_mm, x_mm, yBottom_m, z_mm, parentNode, mat, meta) {
-    const mesh = BABYLON.MeshBuilder.CreateBox(
-      name,
-      { width: Lx_mm / 1000, height: Ly_mm / 1000, depth: Lz_mm / 1000 },
-      scene
-    );
-
-    mesh.position = new BABYLON.Vector3(
-      (x_mm + Lx_mm / 2) / 1000,
-      yBottom_m + (Ly_mm / 2) / 1000,
-      (z_mm + Lz_mm / 2) / 1000
-    );
-
-    mesh.material = mat;
-    mesh.metadata = Object.assign({ dynamic: true }, meta || {});
-    if (parentNode) mesh.parent = parentNode;
-    return mesh;
-  }
-
-  // ---- Build rigid roof assembly under roofRoot at identity (local underside y=0) ----
-  const roofRoot = new BABYLON.TransformNode("roof-root", scene);
-  roofRoot.metadata = { dynamic: true };
-  roofRoot.position = new BABYLON.Vector3(0, 0, 0);
-  roofRoot.rotationQuaternion = BABYLON.Quaternion.Identity();
-
-  const rimThkA_mm = data.rafterW_mm;
-  const rimRunB_mm = data.B_mm;
-  const rimBackA0_mm = Math.max(0, data.A_mm - rimThkA_mm);
-
-  function mapABtoLocalXZ(a0, b0, aLen, bLen, isWShort) {
-    if (isWShort) return { x0: a0, z0: b0, lenX: aLen, lenZ: bLen }; // A->X, B->Z
-    return { x0: b0, z0: a0, lenX: bLen, lenZ: aLen }; // A->Z, B->X
-  }
-
-  // Rim joists (front/back at ends of A; run along B)
-  {
-    const m = mapABtoLocalXZ(0, 0, rimThkA_mm, rimRunB_mm, data.isWShort);
-    mkBoxBottomLocal(
-      "roof-rim-front",
-      m.lenX,
-      data.rafterD_mm,
-      m.lenZ,
-      m.x0,
-      0,
-      m.z0,
-      roofRoot,
-      joistMat,
-      { roof: "pent", part: "rim", edge: "front" }
-    );
-  }
-  {
-    const m = mapABtoLocalXZ(rimBackA0_mm, 0, rimThkA_mm, rimRunB_mm, data.isWShort);
-    mkBoxBottomLocal(
-      "roof-rim-back",
-      m.lenX,
-      data.rafterD_mm,
-      m.lenZ,
-      m.x0,
-      0,
-      m.z0,
-      roofRoot,
-      joistMat,
-      { roof: "pent", part: "rim", edge: "back" }
-    );
-  }
-
-  // Rafters (span A, placed along B @600)
-  for (let i = 0; i < data.rafters.length; i++) {
-    const r = data.rafters[i];
-    const mapped = mapABtoLocalXZ(0, r.b0_mm, data.rafterLen_mm, data.rafterW_mm, data.isWShort);
-
-    mkBoxBottomLocal(
-      `roof-rafter-${i}`,
-      mapped.lenX,
-      data.rafterD_mm,
-      mapped.lenZ,
-      mapped.x0,
-      0,
-      mapped.z0,
-      roofRoot,
-      joistMat,
-      { roof: "pent", part: "rafter" }
-    );
-  }
-
-  // OSB (bottom on top of rafters)
-  const osbBottomY_m_local = data.rafterD_mm / 1000;
-  for (let i = 0; i < data.osb.all.length; i++) {
-    const p = data.osb.all[i];
-    mkBoxBottomLocal(
-      `roof-osb-${i}`,
-      p.xLen_mm,
-      data.osbThickness_mm,
-      p.zLen_mm,
-      p.x0_mm,
-      osbBottomY_m_local,
-      p.z0_mm,
-      roofRoot,
-      osbMat,
-      { roof: "pent", part: "osb", kind: p.kind }
-    );
   }
 
-  // ---- Analytic alignment (no wall mesh queries) ----
-  // Authoritative roof plan extents in world:
-  // - Frame is at world X:[0..frameW], Z:[0..frameD]
-  // - Roof should cover X:[-l..frameW+r], Z:[-f..frameD+b]
-  const targetMinX_m = (-l_mm) / 1000;
-  const targetMinZ_m = (-f_mm) / 1000;
-
-  // Rotation:
-  // - Pent slope follows the shortest plan dimension:
-  //   - If roofW <= roofD: slope along WORLD +X (span width)
-  //   - If roofW >  roofD: slope along WORLD +Z (span depth)
-  const slopeAlongWorldX = !!data.isWShort;
-  const slopeAxisWorld = slopeAlongWorldX ? new BABYLON.Vector3(1, 0, 0) : new BABYLON.Vector3(0, 0, 1);
-  const pitchAxisWorld = slopeAlongWorldX ? new BABYLON.Vector3(0, 0, 1) : new BABYLON.Vector3(1, 0, 0);
-
-  // Source axis in roof local that represents A (rafter span axis):
-  // data.isWShort => A maps to local X, else A maps to local Z
-  const slopeAxisLocal = data.isWShort ? new BABYLON.Vector3(1, 0, 0) : new BABYLON.Vector3(0, 0, 1);
-
-  // Yaw around Y to align slopeAxisLocal -> slopeAxisWorld
-  const dotYaw = clamp((slopeAxisLocal.x * slopeAxisWorld.x + slopeAxisLocal.z * slopeAxisWorld.z), -1, 1);
-  const crossYawY = (slopeAxisLocal.x * slopeAxisWorld.z - slopeAxisLocal.z * slopeAxisWorld.x);
-  let yaw = (Math.acos(dotYaw)) * (crossYawY >= 0 ? 1 : -1);
-  const qYaw = BABYLON.Quaternion.RotationAxis(new BABYLON.Vector3(0, 1, 0), yaw);
-
-  // Pitch angle derived from analytic rise/run over the SHORT frame span
-  const rise_m = (maxH_mm - minH_mm) / 1000;
-  const run_m = Math.max(1e-6, (slopeAlongWorldX ? frameW_mm : frameD_mm) / 1000);
-  const angle = Math.atan2(rise_m, run_m);
-  const qPitch = BABYLON.Quaternion.RotationAxis(pitchAxisWorld, slopeAlongWorldX ? angle : -angle);
-
-  roofRoot.rotationQuaternion = qPitch.multiply(qYaw);
-
-  // Step 1: translate in X/Z so rotated roof's PLAN min corner lands on targetMinX/Z.
-  // Compute 4 plan corners of the *roof rectangle* in local (0..roofW, 0..roofD).
-  const roofW_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? data.roofW_mm ?? 1)));
-  const roofD_mm = Math.max(1, Math.floor(Number(dims?.roof?.d_mm ?? data.roofD_mm ?? 1)));
-
-  const cornersLocal = [
-    new BABYLON.Vector3(0 / 1000, 0, 0 / 1000),
-    new BABYLON.Vector3(roofW_mm / 1000, 0, 0 / 1000),
-    new BABYLON.Vector3(0 / 1000, 0, roofD_mm / 1000),
-    new BABYLON.Vector3(roofW_mm / 1000, 0, roofD_mm / 1000),
-  ];
-
-  function worldOfLocal(pLocal) {
-    try {
-      const wm = roofRoot.getWorldMatrix();
-      return BABYLON.Vector3.TransformCoordinates(pLocal, wm);
-    } catch (e) {
-      return null;
+  const nodes = {};
+  for (let i = 0; i < model.nodes.length; i++) {
+    const n = model.nodes[i];
+    const t = new BABYLON.TransformNode(n.id, scene);
+    t.metadata = { dynamic: true };
+    if (n.parent) t.parent = nodes[n.parent];
+    t.position = new BABYLON.Vector3(n.position_mm[0] / 1000, n.position_mm[1] / 1000, n.position_mm[2] / 1000);
+    t.rotationQuaternion = new BABYLON.Quaternion(n.quaternion[0], n.quaternion[1], n.quaternion[2], n.quaternion[3]);
+    nodes[n.id] = t;
+  }
+
+  for (let i = 0; i < model.members.length; i++) {
+    const m = model.members[i];
+    let mesh;
+    if (m.shape === "solid") {
+      const positions = [];
+      m.vertices_mm.forEach((v) => positions.push(v[0] / 1000, v[1] / 1000, v[2] / 1000));
+      const normals = [];
+      BABYLON.VertexData.ComputeNormals(positions, m.indices, normals);
+
+      const vd = new BABYLON.VertexData();
+      vd.positions = positions;
+      vd.indices = m.indices.slice();
+      vd.normals = normals;
+
+      mesh = new BABYLON.Mesh(m.id, scene);
+      vd.applyToMesh(mesh, true);
+      mesh.material = solidMat(roleMats[m.material]);
+    } else {
+      mesh = BABYLON.MeshBuilder.CreateBox(
+        m.id,
+        { width: m.size_mm[0] / 1000, height: m.size_mm[1] / 1000, depth: m.size_mm[2] / 1000 },
+        scene
+      );
+      mesh.position = new BABYLON.Vector3(m.position_mm[0] / 1000, m.position_mm[1] / 1000, m.position_mm[2] / 1000);
+      if (m.rotation) mesh.rotation = new BABYLON.Vector3(m.rotation[0], m.rotation[1], m.rotation[2]);
+      mesh.material = roleMats[m.material];
     }
+    mesh.metadata = Object.assign({ dynamic: true }, m.meta);
+    if (m.parent) mesh.parent = nodes[m.parent];
   }
 
-  // With position at (0,0,0), get minX/minZ in world for the rotated corners
-  let minCornerX = Infinity;
-  let minCornerZ = Infinity;
-  for (let i = 0; i < cornersLocal.length; i++) {
-    const wpt = worldOfLocal(cornersLocal[i]);
-    if (!wpt) continue;
-    if (Number.isFinite(wpt.x) && wpt.x < minCornerX) minCornerX = wpt.x;
-    if (Number.isFinite(wpt.z) && wpt.z < minCornerZ) minCornerZ = wpt.z;
-  }
-  if (!Number.isFinite(minCornerX)) minCornerX = 0;
-  if (!Number.isFinite(minCornerZ)) minCornerZ = 0;
-
-  roofRoot.position.x += (targetMinX_m - minCornerX);
-  roofRoot.position.z += (targetMinZ_m - minCornerZ);
-
-  // Step 2: translate Y so the underside at the LOW edge hits minH,
-  // and (by construction) the HIGH edge hits maxH.
-  // Choose two analytic bearing sample points at mid of the other frame axis.
-  let pLowLocal = null;
-  let pHighLocal = null;
-
-  if (slopeAlongWorldX) {
-    const midFrameZ_mm = Math.floor(frameD_mm / 2);
-    pLowLocal = new BABYLON.Vector3((l_mm) / 1000, 0, (f_mm + midFrameZ_mm) / 1000);
-    pHighLocal = new BABYLON.Vector3((l_mm + frameW_mm) / 1000, 0, (f_mm + midFrameZ_mm) / 1000);
-  } else {
-    const midFrameX_mm = Math.floor(frameW_mm / 2);
-    pLowLocal = new BABYLON.Vector3((l_mm + midFrameX_mm) / 1000, 0, (f_mm) / 1000);
-    pHighLocal = new BABYLON.Vector3((l_mm + midFrameX_mm) / 1000, 0, (f_mm + frameD_mm) / 1000);
-  }
-
-  const worldLow = worldOfLocal(pLowLocal);
-  if (worldLow) {
-    const targetYLow_m = (minH_mm / 1000);
-    roofRoot.position.y += (targetYLow_m - worldLow.y);
-  } else {
-    roofRoot.position.y = (minH_mm / 1000);
-  }
-
-  // Debug-only: report high-edge error after final placement
-  let worldHigh = null;
-  let highError_m = null;
-  try {
-    worldHigh = worldOfLocal(pHighLocal);
-    if (worldHigh) {
-      const targetYHigh_m = (maxH_mm / 1000);
-      highError_m = targetYHigh_m - worldHigh.y;
-    }
-  } catch (e) {}
-
   // ---- Debug visuals + dbg object (roof.js only) ----
-  function mkDbgSphere(name, x_m, y_m, z_m, isGood) {
+  function mkDbgSphere(name, p_mm, isGood) {
     try {
       const s = BABYLON.MeshBuilder.CreateSphere(name, { diameter: 0.06 }, scene);
-      s.position = new BABYLON.Vector3(x_m, y_m, z_m);
+      s.position = new BABYLON.Vector3(p_mm[0] / 1000, p_mm[1] / 1000, p_mm[2] / 1000);
       const mat = new BABYLON.StandardMaterial(name + "-mat", scene);
       if (isGood) mat.emissiveColor = new BABYLON.Color3(0.1, 0.9, 0.1);
       else mat.emissiveColor = new BABYLON.Color3(0.9, 0.1, 0.1);
@@ -360,767 +187,13 @@ function buildPent(state, ctx) {
 
   try {
     if (typeof window !== "undefined" && window.__dbg) {
-      const lowW = worldOfLocal(pLowLocal);
-      const highW = worldOfLocal(pHighLocal);
-
-      window.__dbg.roofFit = {
-        mode: "analytic-bearing-lines",
-        frame: { w_mm: frameW_mm, d_mm: frameD_mm },
-        overhang_mm: { l: l_mm, r: r_mm, f: f_mm, b: b_mm },
-        heights_mm: { minH: minH_mm, maxH: maxH_mm },
-        rise_m: rise_m,
-        run_m: run_m,
-        angle: angle,
-        highError_mm: highError_m == null ? null : (highError_m * 1000),
-      };
-
-      // Visualize analytic bearing samples
-      if (lowW) mkDbgSphere("roof-dbg-bearing-low", lowW.x, lowW.y, lowW.z, true);
-      if (highW) mkDbgSphere("roof-dbg-bearing-high", highW.x, highW.y, highW.z, false);
-    }
-  } catch (e) {}
-}
-
-function updateBOM_Pent(state, tbody) {
-  if (!isPentEnabled(state)) {
-    appendPlaceholderRow(tbody, "Roof not enabled.");
-    return;
-  }
-
-  const data = computeRoofData_Pent(state);
-
-  const rows = [];
-
-  // Rim joists (2x)
-  rows.push({
-    item: "Roof Rim Joist",
-    qty: 2,
-    L: data.isWShort ? data.roofD_mm : data.roofW_mm,
-    W: data.rafterW_mm,
-    notes: "D (mm): " + String(data.rafterD_mm),
-  });
-
-  // Rafters
-  rows.push({
-    item: "Roof Rafter",
-    qty: data.rafters.length,
-    L: data.rafterLen_mm,
-    W: data.rafterW_mm,
-    notes: "D (mm): " + String(data.rafterD_mm) + "; spacing @600mm; pent roof",
-  });
-
-  // OSB pieces (group identical cut sizes)
-  const osbPieces = [];
-  for (let i = 0; i < data.osb.all.length; i++) {
-    const p = data.osb.all[i];
-    osbPieces.push({
-      L: Math.max(1, Math.floor(p.L_mm)),
-      W: Math.max(1, Math.floor(p.W_mm)),
-      notes: "18mm OSB; " + (p.kind === "std" ? "standard sheet" : "rip/trim"),
-    });
-  }
-
-  const grouped = groupByLWN(osbPieces);
-  const gKeys = Object.keys(grouped);
-  gKeys.sort((a, b) => String(a).localeCompare(String(b)));
-
-  for (let i = 0; i < gKeys.length; i++) {
-    const k = gKeys[i];
-    const g = grouped[k];
-    rows.push({
-      item: "Roof OSB",
-      qty: g.qty,
-      L: g.L,
-      W: g.W,
-      notes: g.notes,
-    });
-  }
-
-  rows.sort((a, b) => {
-    const ai = String(a.item), bi = String(b.item);
-    if (ai !== bi) return ai.localeCompare(bi);
-    const aL = Number(a.L), bL = Number(b.L);
-    if (aL !== bL) return aL - bL;
-    const aW = Number(a.W), bW = Number(b.W);
-    if (aW !== bW) return aW - bW;
-    return String(a.notes).localeCompare(String(b.notes));
-  });
-
-  for (let i = 0; i < rows.length; i++) {
-    const r = rows[i];
-    appendRow5(tbody, [r.item, String(r.qty), String(r.L), String(r.W), r.notes]);
-  }
-
-  if (!rows.length) appendPlaceholderRow(tbody, "Roof cutting list not yet generated.");
-}
-
-function isPentEnabled(state) {
-  return !!(state && state.roof && String(state.roof.style || "") === "pent");
-}
-
-function computeRoofData_Pent(state) {
-  const dims = resolveDims(state);
-
-  const roofW = Math.max(1, Math.floor(Number(dims?.roof?.w_mm)));
-  const roofD = Math.max(1, Math.floor(Number(dims?.roof?.d_mm)));
-
-  const frameW = Math.max(1, Math.floor(Number(dims?.frame?.w_mm)));
-  const frameD = Math.max(1, Math.floor(Number(dims?.frame?.d_mm)));
-
-  const originX_mm = 0;
-  const originZ_mm = 0;
-
-  const A = Math.min(roofW, roofD);
-  const B = Math.max(roofW, roofD);
-
-  const isWShort = roofW <= roofD;
-
-  const spacing = 600;
-
-  const baseW = Math.max(1, Math.floor(Number(CONFIG.timber.w)));
-  const baseD = Math.max(1, Math.floor(Number(CONFIG.timber.d)));
-
-  const rafterW_mm = baseD;
-  const rafterD_mm = baseW;
-
-  const rafterLen_mm = A;
-
-  const pos = [];
-  const maxP = Math.max(0, B - rafterW_mm);
-
-  let p = 0;
-  while (p <= maxP) {
-    pos.push(Math.floor(p));
-    p += spacing;
-  }
-  if (pos.length) {
-    const last = pos[pos.length - 1];
-    if (Math.abs(last - maxP) > 0) pos.push(Math.floor(maxP));
-  } else {
-    pos.push(0);
-  }
-
-  const rafters = [];
-  for (let i = 0; i < pos.length; i++) rafters.push({ b0_mm: pos[i] });
-
-  const osbAB = computeOsbPiecesNoStagger(A, B);
-
-  const mappedAll = [];
-  for (let i = 0; i < osbAB.all.length; i++) {
-    const p2 = osbAB.all[i];
-    if (isWShort) {
-      mappedAll.push({
-        kind: p2.kind,
-        x0_mm: originX_mm + p2.a0_mm,
-        z0_mm: originZ_mm + p2.b0_mm,
-        xLen_mm: p2.W_mm,
-        zLen_mm: p2.L_mm,
-        L_mm: p2.L_mm,
-        W_mm: p2.W_mm,
-      });
-    } else {
-      mappedAll.push({
-        kind: p2.kind,
-        x0_mm: originX_mm + p2.b0_mm,
-        z0_mm: originZ_mm + p2.a0_mm,
-        xLen_mm: p2.L_mm,
-        zLen_mm: p2.W_mm,
-        L_mm: p2.L_mm,
-        W_mm: p2.W_mm,
-      });
-    }
-  }
-
-  const baseH_mm = Math.max(
-    100,
-    Math.floor(
-      Number(state && state.walls && state.walls.height_mm != null ? state.walls.height_mm : 2400)
-    )
-  );
-  const minH = Math.max(
-    100,
-    Math.floor(
-      Number(
-        state && state.roof && state.roof.pent && state.roof.pent.minHeight_mm != null
-          ? state.roof.pent.minHeight_mm
-          : baseH_mm
-      )
-    )
-  );
-  const maxH = Math.max(
-    100,
-    Math.floor(
-      Number(
-        state && state.roof && state.roof.pent && state.roof.pent.maxHeight_mm != null
-          ? state.roof.pent.maxHeight_mm
-          : baseH_mm
-      )
-    )
-  );
-
-  return {
-    roofW_mm: roofW,
-    roofD_mm: roofD,
-    frameW_mm: frameW,
-    frameD_mm: frameD,
-    originX_mm,
-    originZ_mm,
-    A_mm: A,
-    B_mm: B,
-    isWShort: isWShort,
-    rafterW_mm,
-    rafterD_mm,
-    rafterLen_mm,
-    rafters,
-    osbThickness_mm: 18,
-    osb: {
-      all: mappedAll,
-      totalArea_mm2: osbAB.totalArea_mm2,
-    },
-    minH_mm: minH,
-    maxH_mm: maxH,
-  };
-}
-
-function computeOsbPiecesNoStagger(A_mm, B_mm) {
-  const A = Math.max(1, Math.floor(A_mm));
-  const B = Math.max(1, Math.floor(B_mm));
-
-  const SHEET_A = 1220;
-  const SHEET_B = 2440;
-
-  const aFull = Math.floor(A / SHEET_A);
-  const bFull = Math.floor(B / SHEET_B);
-
-  const aRem = A - aFull * SHEET_A;
-  const bRem = B - bFull * SHEET_B;
-
-  const all = [];
-
-  function pushPiece(kind, a0, b0, W, L) {
-    all.push({ kind, a0_mm: a0, b0_mm: b0, W_mm: W, L_mm: L });
-  }
+      window.__dbg.roofFit = model.fit;
 
-  for (let bi = 0; bi < bFull; bi++) {
-    for (let ai = 0; ai < aFull; ai++) {
-      pushPiece("std", ai * SHEET_A, bi * SHEET_B, SHEET_A, SHEET_B);
-    }
-  }
-
-  if (aRem > 0 && bFull > 0) {
-    for (let bi = 0; bi < bFull; bi++) {
-      pushPiece("rip", aFull * SHEET_A, bi * SHEET_B, aRem, SHEET_B);
-    }
-  }
-
-  if (bRem > 0 && aFull > 0) {
-    for (let ai = 0; ai < aFull; ai++) {
-      pushPiece("rip", ai * SHEET_A, bFull * SHEET_B, SHEET_A, bRem);
-    }
-  }
-
-  if (aRem > 0 && bRem > 0) {
-    pushPiece("rip", aFull * SHEET_A, bFull * SHEET_B, aRem, bRem);
-  }
-
-  let area = 0;
-  for (let i = 0; i < all.length; i++) {
-    area += Math.max(0, all[i].W_mm) * Math.max(0, all[i].L_mm);
-  }
-
-  return { all, totalArea_mm2: area };
-}
-
-/* ------------------------------ APEX (new) ------------------------------ */
-
-function buildApex(state, ctx) {
-  const { scene, materials } = ctx || {};
-  if (!scene) return;
-
-  const dims = resolveDims(state);
-
-  const ovh = (dims && dims.overhang) ? dims.overhang : { l_mm: 0, r_mm: 0, f_mm: 0, b_mm: 0 };
-  const l_mm = Math.max(0, Math.floor(Number(ovh.l_mm || 0)));
-  const r_mm = Math.max(0, Math.floor(Number(ovh.r_mm || 0)));
-  const f_mm = Math.max(0, Math.floor(Number(ovh.f_mm || 0)));
-  const b_mm = Math.max(0, Math.floor(Number(ovh.b_mm || 0)));
-
-  const frameW_mm = Math.max(1, Math.floor(Number(dims?.frame?.w_mm ?? state?.w ?? 1)));
-  const frameD_mm = Math.max(1, Math.floor(Number(dims?.frame?.d_mm ?? state?.d ?? 1)));
-
-  // Roof plan (outer) in mm
-  const roofW_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? frameW_mm)));
-  const roofD_mm = Math.max(1, Math.floor(Number(dims?.roof?.d_mm ?? frameD_mm)));
-
-  // Truss layout (rotation-invariant):
-  // A = span axis (shorter of roofW/roofD), B = ridge/run axis (longer)
-  const A_mm = Math.min(roofW_mm, roofD_mm);
-  const B_mm = Math.max(roofW_mm, roofD_mm);
-
-  // Ridge runs along B. If width is the long axis, ridge should run along world X; otherwise along world Z.
-  const ridgeAlongWorldX = frameW_mm >= frameD_mm;
-
-  // Rise: deterministic from span (no new UI constants). Only affects apex style.
-  const rise_mm = clamp(Math.floor(A_mm * 0.20), 200, 900);
-
-  // Timber section (matches existing roof timber orientation policy: uses CONFIG.timber.w / CONFIG.timber.d swapped)
-  const baseW = Math.max(1, Math.floor(Number(CONFIG.timber.w)));
-  const baseD = Math.max(1, Math.floor(Number(CONFIG.timber.d)));
-  const memberW_mm = baseD; // width in plan
-  const memberD_mm = baseW; // vertical depth
-
-  const joistMat = materials && materials.timber ? materials.timber : null;
-
-  const osbMat = (() => {
-    try {
-      if (scene._roofOsbMat) return scene._roofOsbMat;
-      const m = new BABYLON.StandardMaterial("roofOsbMat", scene);
-      m.diffuseColor = new BABYLON.Color3(0.75, 0.62, 0.45);
-      scene._roofOsbMat = m;
-      return m;
-    } catch (e) {
-      return null;
-    }
-  })();
-
-  function mkBoxBottomLocal(name, Lx_mm, Ly_mm, Lz_mm, x_mm, yBottom_m, z_mm, parentNode, mat, meta) {
-    const mesh = BABYLON.MeshBuilder.CreateBox(
-      name,
-      { width: Lx_mm / 1000, height: Ly_mm / 1000, depth: Lz_mm / 1000 },
-      scene
-    );
-    mesh.position = new BABYLON.Vector3(
-      (x_mm + Lx_mm / 2) / 1000,
-      yBottom_m + (Ly_mm / 2) / 1000,
-      (z_mm + Lz_mm / 2) / 1000
-    );
-    mesh.material = mat;
-    mesh.metadata = Object.assign({ dynamic: true }, meta || {});
-    if (parentNode) mesh.parent = parentNode;
-    return mesh;
-  }
-
-  function mkBoxCenteredLocal(name, Lx_mm, Ly_mm, Lz_mm, cx_mm, cy_mm, cz_mm, parentNode, mat, meta) {
-    const mesh = BABYLON.MeshBuilder.CreateBox(
-      name,
-      { width: Lx_mm / 1000, height: Ly_mm / 1000, depth: Lz_mm / 1000 },
-      scene
-    );
-    mesh.position = new BABYLON.Vector3(cx_mm / 1000, cy_mm / 1000, cz_mm / 1000);
-    mesh.material = mat;
-    mesh.metadata = Object.assign({ dynamic: true }, meta || {});
-    if (parentNode) mesh.parent = parentNode;
-    return mesh;
-  }
-
-  // Root at identity in local coords:
-  // local X = span axis A, local Z = ridge axis B, local Y up.
-  const roofRoot = new BABYLON.TransformNode("roof-root", scene);
-  roofRoot.metadata = { dynamic: true };
-  roofRoot.position = new BABYLON.Vector3(0, 0, 0);
-  roofRoot.rotationQuaternion = BABYLON.Quaternion.Identity();
-
-  // Truss spacing along B @600 (matches project roof policy)
-  const spacing = 600;
-  const trussPos = [];
-  const maxP = Math.max(0, B_mm - memberW_mm);
-  let p = 0;
-  while (p <= maxP) { trussPos.push(Math.floor(p)); p += spacing; }
-  if (trussPos.length) {
-    const last = trussPos[trussPos.length - 1];
-    if (Math.abs(last - maxP) > 0) trussPos.push(Math.floor(maxP));
-  } else {
-    trussPos.push(0);
-  }
-
-  // Geometry helpers for sloped rafters in local X-Y plane (depth extrudes along Z by memberW)
-  const halfSpan_mm = A_mm / 2;
-  const rafterLen_mm = Math.sqrt(halfSpan_mm * halfSpan_mm + rise_mm * rise_mm);
-  const slopeAng = Math.atan2(rise_mm, halfSpan_mm);
-
-  function buildTruss(idx, z0_mm) {
-    const tr = new BABYLON.TransformNode(`roof-truss-${idx}`, scene);
-    tr.metadata = { dynamic: true };
-    tr.parent = roofRoot;
-    tr.position = new BABYLON.Vector3(0, 0, z0_mm / 1000);
-
-    // Bottom chord (tie) along span at y=0
-    mkBoxBottomLocal(
-      `roof-truss-${idx}-tie`,
-      A_mm,
-      memberD_mm,
-      memberW_mm,
-      0,
-      0,
-      0,
-      tr,
-      joistMat,
-      { roof: "apex", part: "truss", member: "tie" }
-    );
-
-    // Left rafter: from x=0,y=0 up to ridge at x=halfSpan,y=rise
-    {
-      const cx = halfSpan_mm / 2;
-      const cy = rise_mm / 2 + memberD_mm / 2;
-      const r = mkBoxCenteredLocal(
-        `roof-truss-${idx}-rafter-L`,
-        rafterLen_mm,
-        memberD_mm,
-        memberW_mm,
-        cx,
-        cy,
-        memberW_mm / 2,
-        tr,
-        joistMat,
-        { roof: "apex", part: "truss", member: "rafterL" }
-      );
-      r.rotation = new BABYLON.Vector3(0, 0, slopeAng);
-    }
-
-    // Right rafter: mirrored about center
-    {
-      const cx = halfSpan_mm + (halfSpan_mm / 2);
-      const cy = rise_mm / 2 + memberD_mm / 2;
-      const r = mkBoxCenteredLocal(
-        `roof-truss-${idx}-rafter-R`,
-        rafterLen_mm,
-        memberD_mm,
-        memberW_mm,
-        cx,
-        cy,
-        memberW_mm / 2,
-        tr,
-        joistMat,
-        { roof: "apex", part: "truss", member: "rafterR" }
-      );
-      r.rotation = new BABYLON.Vector3(0, 0, -slopeAng);
-    }
-
-    // Simple web(s) for visual truss (non-structural; deterministic)
-    {
-      const webH = Math.max(1, Math.floor(rise_mm * 0.55));
-      const webLen = Math.sqrt((halfSpan_mm / 2) * (halfSpan_mm / 2) + (webH) * (webH));
-      const webAng = Math.atan2(webH, (halfSpan_mm / 2));
-
-      const cx = halfSpan_mm / 2;
-      const cy = webH / 2 + memberD_mm / 2;
-
-      const w = mkBoxCenteredLocal(
-        `roof-truss-${idx}-web-1`,
-        webLen,
-        memberD_mm,
-        memberW_mm,
-        cx,
-        cy,
-        memberW_mm / 2,
-        tr,
-        joistMat,
-        { roof: "apex", part: "truss", member: "web" }
-      );
-      w.rotation = new BABYLON.Vector3(0, 0, webAng);
-    }
-  }
-
-  for (let i = 0; i < trussPos.length; i++) buildTruss(i, trussPos[i]);
-
-  // Ridge beam along B at (x=A/2, y=rise)
-  mkBoxBottomLocal(
-    "roof-ridge",
-    memberW_mm,
-    memberD_mm,
-    B_mm,
-    Math.max(0, Math.floor(halfSpan_mm - memberW_mm / 2)),
-    rise_mm / 1000,
-    0,
-    roofRoot,
-    joistMat,
-    { roof: "apex", part: "ridge" }
-  );
-
-  // Two purlins along B (one each slope) at ~half rise
-  const purlY_mm = Math.floor(rise_mm * 0.5);
-  const purlX1_mm = Math.max(0, Math.floor(A_mm * 0.25 - memberW_mm / 2));
-  const purlX2_mm = Math.max(0, Math.floor(A_mm * 0.75 - memberW_mm / 2));
-
-  mkBoxBottomLocal(
-    "roof-purlin-L",
-    memberW_mm,
-    memberD_mm,
-    B_mm,
-    purlX1_mm,
-    purlY_mm / 1000,
-    0,
-    roofRoot,
-    joistMat,
-    { roof: "apex", part: "purlin", side: "L" }
-  );
-  mkBoxBottomLocal(
-    "roof-purlin-R",
-    memberW_mm,
-    memberD_mm,
-    B_mm,
-    purlX2_mm,
-    purlY_mm / 1000,
-    0,
-    roofRoot,
-    joistMat,
-    { roof: "apex", part: "purlin", side: "R" }
-  );
-
-  // Simple sheathing as two sloped OSB "panels" (visual)
-  // Panel thickness = 18mm, depth = B, length along slope = rafterLen
-  // IMPORTANT: panels are offset to the OTHER SIDE of the purlins (outside of the roof plane).
-  const osbThk = 18;
-
-  // Offset distance from the (rough) truss/purlin center plane to the outside face:
-  // move along the roof normal by (purlin depth/2 + osb thickness/2)
-  const osbOffset_mm = (memberD_mm / 2) + (osbThk / 2);
-
-  // For a slope angle theta, a unit normal (pointing "outwards") in local XY:
-  // left slope (+theta): n = (-sin(theta), +cos(theta))
-  // right slope (-theta): n = (+sin(theta), +cos(theta))
-  const sinT = Math.sin(slopeAng);
-  const cosT = Math.cos(slopeAng);
-
-  {
-    // Left panel baseline center
-    const baseCx = halfSpan_mm / 2;
-    const baseCy = rise_mm / 2 + osbThk / 2;
-
-    // Offset outward
-    const cx = baseCx + (-sinT) * osbOffset_mm;
-    const cy = baseCy + (cosT) * osbOffset_mm;
-
-    const left = mkBoxCenteredLocal(
-      "roof-apex-osb-L",
-      rafterLen_mm,
-      osbThk,
-      B_mm,
-      cx,
-      cy,
-      B_mm / 2,
-      roofRoot,
-      osbMat,
-      { roof: "apex", part: "osb", side: "L" }
-    );
-    left.rotation = new BABYLON.Vector3(0, 0, slopeAng);
-  }
-
-  {
-    // Right panel baseline center
-    const baseCx = halfSpan_mm + (halfSpan_mm / 2);
-    const baseCy = rise_mm / 2 + osbThk / 2;
-
-    // Offset outward
-    const cx = baseCx + (sinT) * osbOffset_mm;
-    const cy = baseCy + (cosT) * osbOffset_mm;
-
-    const right = mkBoxCenteredLocal(
-      "roof-apex-osb-R",
-      rafterLen_mm,
-      osbThk,
-      B_mm,
-      cx,
-      cy,
-      B_mm / 2,
-      roofRoot,
-      osbMat,
-      { roof: "apex", part: "osb", side: "R" }
-    );
-    right.rotation = new BABYLON.Vector3(0, 0, -slopeAng);
-  }
-
-  // ---- Placement in world: align plan min corner to [-l,-f], then lift to wall height ----
-  const targetMinX_m = (-l_mm) / 1000;
-  const targetMinZ_m = (-f_mm) / 1000;
-
-  // Yaw so local Z (ridge axis) aligns to world X when width is long, else to world Z.
-  // local basis: X=span(A), Z=ridge(B)
-  const yaw = ridgeAlongWorldX ? (Math.PI / 2) : 0;
-  roofRoot.rotationQuaternion = BABYLON.Quaternion.RotationAxis(new BABYLON.Vector3(0, 1, 0), yaw);
-
-  // Corners of local roof rectangle (0..localW, 0..localD) in LOCAL XZ:
-  // Our constructed roof rectangle is A x B in local XZ.
-  const localW_mm = A_mm;
-  const localD_mm = B_mm;
-
-  const cornersLocal = [
-    new BABYLON.Vector3(0, 0, 0),
-    new BABYLON.Vector3(localW_mm / 1000, 0, 0),
-    new BABYLON.Vector3(0, 0, localD_mm / 1000),
-    new BABYLON.Vector3(localW_mm / 1000, 0, localD_mm / 1000),
-  ];
-
-  function worldOfLocal(pLocal) {
-    try {
-      const wm = roofRoot.getWorldMatrix();
-      return BABYLON.Vector3.TransformCoordinates(pLocal, wm);
-    } catch (e) {
-      return null;
-    }
-  }
-
-  let minCornerX = Infinity;
-  let minCornerZ = Infinity;
-  for (let i = 0; i < cornersLocal.length; i++) {
-    const wpt = worldOfLocal(cornersLocal[i]);
-    if (!wpt) continue;
-    if (Number.isFinite(wpt.x) && wpt.x < minCornerX) minCornerX = wpt.x;
-    if (Number.isFinite(wpt.z) && wpt.z < minCornerZ) minCornerZ = wpt.z;
-  }
-  if (!Number.isFinite(minCornerX)) minCornerX = 0;
-  if (!Number.isFinite(minCornerZ)) minCornerZ = 0;
-
-  roofRoot.position.x += (targetMinX_m - minCornerX);
-  roofRoot.position.z += (targetMinZ_m - minCornerZ);
-
-  const wallH_mm = Math.max(100, Math.floor(Number(state && state.walls && state.walls.height_mm != null ? state.walls.height_mm : 2400)));
-  roofRoot.position.y = wallH_mm / 1000;
-
-  // ---- Debug ----
-  try {
-    if (typeof window !== "undefined" && window.__dbg) {
-      window.__dbg.roofFit = {
-        mode: "apex-gable",
-        frame: { w_mm: frameW_mm, d_mm: frameD_mm },
-        overhang_mm: { l: l_mm, r: r_mm, f: f_mm, b: b_mm },
-        spanA_mm: A_mm,
-        runB_mm: B_mm,
-        rise_mm: rise_mm,
-        ridgeAlongWorldX: ridgeAlongWorldX,
-        osbOffset_mm: osbOffset_mm
-      };
+      // Visualize analytic bearing samples (pent)
+      if (model.bearing) {
+        mkDbgSphere("roof-dbg-bearing-low", model.bearing.low, true);
+        mkDbgSphere("roof-dbg-bearing-high", model.bearing.high, false);
+      }
     }
   } catch (e) {}
 }
-
-function updateBOM_Apex(state, tbody) {
-  const dims = resolveDims(state);
-
-  const roofW_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? state?.w ?? 1)));
-  const roofD_mm = Math.max(1, Math.floor(Number(dims?.roof?.d_mm ?? state?.d ?? 1)));
-
-  const A_mm = Math.min(roofW_mm, roofD_mm);
-  const B_mm = Math.max(roofW_mm, roofD_mm);
-
-  const baseW = Math.max(1, Math.floor(Number(CONFIG.timber.w)));
-  const baseD = Math.max(1, Math.floor(Number(CONFIG.timber.d)));
-  const memberW_mm = baseD;
-  const memberD_mm = baseW;
-
-  const rise_mm = clamp(Math.floor(A_mm * 0.20), 200, 900);
-  const halfSpan_mm = A_mm / 2;
-  const rafterLen_mm = Math.round(Math.sqrt(halfSpan_mm * halfSpan_mm + rise_mm * rise_mm));
-
-  // Truss count @600 along B
-  const spacing = 600;
-  const pos = [];
-  const maxP = Math.max(0, B_mm - memberW_mm);
-  let p = 0;
-  while (p <= maxP) { pos.push(Math.floor(p)); p += spacing; }
-  if (pos.length) {
-    const last = pos[pos.length - 1];
-    if (Math.abs(last - maxP) > 0) pos.push(Math.floor(maxP));
-  } else {
-    pos.push(0);
-  }
-  const trussQty = pos.length;
-
-  const rows = [];
-
-  rows.push({
-    item: "Roof Truss (assembly)",
-    qty: trussQty,
-    L: B_mm,
-    W: A_mm,
-    notes: "apex; spacing @600mm; rise_mm=" + String(rise_mm),
-  });
-
-  rows.push({
-    item: "Truss Tie (bottom chord)",
-    qty: trussQty,
-    L: A_mm,
-    W: memberW_mm,
-    notes: "D (mm): " + String(memberD_mm),
-  });
-
-  rows.push({
-    item: "Truss Rafter",
-    qty: trussQty * 2,
-    L: rafterLen_mm,
-    W: memberW_mm,
-    notes: "D (mm): " + String(memberD_mm),
-  });
-
-  rows.push({
-    item: "Ridge Beam",
-    qty: 1,
-    L: B_mm,
-    W: memberW_mm,
-    notes: "D (mm): " + String(memberD_mm),
-  });
-
-  rows.push({
-    item: "Purlin",
-    qty: 2,
-    L: B_mm,
-    W: memberW_mm,
-    notes: "D (mm): " + String(memberD_mm),
-  });
-
-  rows.push({
-    item: "Roof OSB (visual panels)",
-    qty: 2,
-    L: rafterLen_mm,
-    W: B_mm,
-    notes: "18mm OSB; one per slope (visual)",
-  });
-
-  rows.sort((a, b) => String(a.item).localeCompare(String(b.item)));
-
-  for (let i = 0; i < rows.length; i++) {
-    const r = rows[i];
-    appendRow5(tbody, [r.item, String(r.qty), String(r.L), String(r.W), r.notes || ""]);
-  }
-
-  if (!rows.length) appendPlaceholderRow(tbody, "Roof cutting list not yet generated.");
-}
-
-/* ------------------------------ Shared helpers ------------------------------ */
-
-function appendRow5(tbody, cols) {
-  const tr = document.createElement("tr");
-  for (let i = 0; i < cols.length; i++) {
-    const td = document.createElement("td");
-    td.textContent = cols[i] == null ? "" : String(cols[i]);
-    tr.appendChild(td);
-  }
-  tbody.appendChild(tr);
-}
-
-function appendPlaceholderRow(tbody, msg) {
-  const tr = document.createElement("tr");
-  const td = document.createElement("td");
-  td.colSpan = 5;
-  td.textContent = String(msg || "");
-  tr.appendChild(td);
-  tbody.appendChild(tr);
-}
-
-function groupByLWN(pieces) {
-  const out = {};
-  for (let i = 0; i < pieces.length; i++) {
-    const p = pieces[i];
-    const L = Math.max(1, Math.floor(Number(p.L || 0)));
-    const W = Math.max(1, Math.floor(Number(p.W || 0)));
-    const notes = String(p.notes || "");
-    const key = String(L) + "x" + String(W) + "|" + notes;
-    if (!out[key]) out[key] = { qty: 0, L: L, W: W, notes: notes };
-    out[key].qty += 1;
-  }
-  return out;
-}
-
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
-}
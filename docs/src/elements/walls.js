@@ -1,30 +1,35 @@
+import { resolveCladding } from "../params.js";
+import {
+  members,
+  resolveProfile,
+  normalizeWallFlags,
+  ALL_WALLS,
+  computeCladdingForWalls,
+  claddingBoardParts,
+  bomItems,
+} from "../model/walls.js";
+
+export { timberCuts } from "../model/walls.js";
+
 /**
- * Build four walls. Coordinates:
- * - Front/Back run along X, thickness extrudes +Z.
- * - Left/Right run along Z, thickness extrudes +X.
- *
- * Plate orientation:
- * - Top + bottom plates are rotated 90° about their length axis so studs land on the plate's wider face.
- *   => plate vertical height = studW (50), wall thickness = studH (75/100).
- *
- * BASIC variant panelization:
- * - If a basic wall length exceeds 2400mm, it is built as TWO separate panels split as evenly as possible.
- *
- * CORNER JOIN:
- * - Panels must NOT overlap/intersect at corners.
- * - Front/Back are full building frame width (dims.w).
- * - Left/Right run BETWEEN front/back, so their length is (dims.d - 2 * wallThickness)
- *   and they start at z = wallThickness.
- *
- * Openings:
- * - Doors: width_mm is the CLEAR OPENING (gap) between the uprights (studs).
- * - Windows: same horizontal logic, plus y_mm (from bottom plate top) and height_mm must fit within the stud cavity.
+ * State paths (of the walls state index.js passes in) that build3D and the BOM functions read.
+ * index.js rebuilds only when one of them changes; state.vis is applied by applyVisibility.
+ * base.joists.section sets the deck height index.js lifts the walls onto (wallRise).
+ */
+const BUILD_DEPS = ["w", "d", "walls", "roof.style", "roof.pent", "roof.apex", "dim", "dimGap_mm", "overhang", "base.joists.section"];
+export const DEPS = {
+  build: BUILD_DEPS,
+  bom: BUILD_DEPS.concat(["vis.wallsEnabled", "vis.walls", "units"]),
+};
+
+/**
+ * Build four walls in the scene: framing from members() in model/walls.js (layout, corner joins,
+ * openings and pent slope are documented there), one mesh per member.
  *
- * PENT ROOF PITCH (conditioned on state.roof.style === "pent"):
- * - Pitch runs along X (width): x=0 => minHeight, x=frameW => maxHeight.
- * - Left wall uses minHeight; Right wall uses maxHeight.
- * - Front/Back walls vary height along X; studs use local heightAtX(studXCenter).
- * - Front/Back top plates are sloped prisms (not constant-height boxes).
+ * CLADDING:
+ * - Profile from state.walls.cladding (see CLADDING_PROFILES), horizontal courses or vertical boards
+ *   on every panel of all four walls (deferred one frame; see computeCladdingForWalls).
+ * - Boards stop at openings, follow the pent slope, and fill apex gable triangles.
  *
  * @param {any} state Derived state for walls (w/d already resolved to frame outer dims)
  * @param {{scene:BABYLON.Scene, materials:any}} ctx
@@ -32,7 +37,6 @@
 export function build3D(state, ctx) {
   const { scene, materials } = ctx;
   const variant = state.walls?.variant || "insulated";
-  const height = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
 
   scene.meshes
     .filter((m) => m.metadata && m.metadata.dynamic === true && m.name.startsWith("wall-"))
@@ -56,18 +60,9 @@ export function build3D(state, ctx) {
   const plateY = prof.studW;
   const wallThk = prof.studH;
 
-  // ---- Cladding (Phase 1): external shiplap, geometry only ----
-  const CLAD_H = 140;
-  const CLAD_T = 20;
-  const CLAD_DRIP = 30;
-
-  const CLAD_Rt = 5;
-  const CLAD_Ht = 45;
-  const CLAD_Rb = 5;
-  const CLAD_Hb = 20;
-
-  // DIAGNOSTIC: ONLY FRONT wall, ONLY first panel, ONLY one board
-  const __DIAG_ONE_FRONT_ONE_BOARD = true;
+  // ---- Cladding: selected profile on every panel (layout from computeCladdingForWalls) ----
+  const clad = resolveCladding(state);
+  const CLAD_DRIP = clad.drip_mm;
 
   // DEBUG containers
   try {
@@ -77,33 +72,6 @@ export function build3D(state, ctx) {
     window.__dbg.cladding.walls = {};
   } catch (e) {}
 
-  const isPent = !!(state && state.roof && String(state.roof.style || "") === "pent");
-
-  const minH = isPent
-    ? Math.max(100, Math.floor(Number(state?.roof?.pent?.minHeight_mm ?? height)))
-    : height;
-  const maxH = isPent
-    ? Math.max(100, Math.floor(Number(state?.roof?.pent?.maxHeight_mm ?? height)))
-    : height;
-
-  const frameW = Math.max(1, dims.w);
-
-  function heightAtX(x_mm) {
-    const x = Math.max(0, Math.min(frameW, Math.floor(Number(x_mm))));
-    const t = frameW > 0 ? (x / frameW) : 0;
-    return Math.max(100, Math.floor(minH + (maxH - minH) * t));
-  }
-
-  const flags = normalizeWallFlags(state);
-
-  const openings = Array.isArray(state.walls?.openings) ? state.walls.openings : [];
-  const doorsAll = openings.filter((o) => o && o.type === "door" && o.enabled !== false);
-  const winsAll = openings.filter((o) => o && o.type === "window" && o.enabled !== false);
-
-  const invalidDoorIds = Array.isArray(state.walls?.invalidDoorIds) ? state.walls.invalidDoorIds.map(String) : [];
-  const invalidWinIds = Array.isArray(state.walls?.invalidWindowIds) ? state.walls.invalidWindowIds.map(String) : [];
-  const invalidDoorSet = new Set(invalidDoorIds);
-  const invalidWinSet = new Set(invalidWinIds);
 
   const invalidMat = (() => {
     try {
@@ -118,57 +86,28 @@ export function build3D(state, ctx) {
     }
   })();
 
-  function mkBox(name, Lx, Ly, Lz, pos, mat, meta) {
+  function mkBox(m, mat) {
     const mesh = BABYLON.MeshBuilder.CreateBox(
-      name,
+      m.id,
       {
-        width: Lx / 1000,
-        height: Ly / 1000,
-        depth: Lz / 1000,
+        width: m.size_mm[0] / 1000,
+        height: m.size_mm[1] / 1000,
+        depth: m.size_mm[2] / 1000,
       },
       scene
     );
-    mesh.position = new BABYLON.Vector3(
-      (pos.x + Lx / 2) / 1000,
-      (pos.y + Ly / 2) / 1000,
-      (pos.z + Lz / 2) / 1000
-    );
+    mesh.position = new BABYLON.Vector3(m.position_mm[0] / 1000, m.position_mm[1] / 1000, m.position_mm[2] / 1000);
     mesh.material = mat;
-    mesh.metadata = Object.assign({ dynamic: true }, meta || {});
+    mesh.metadata = Object.assign({ dynamic: true }, m.meta);
     return mesh;
   }
 
-  function mkSlopedPlateAlongX(name, Lx, Lz, origin, yTopAtX0, yTopAtX1, mat, meta) {
-    const x0 = origin.x;
-    const x1 = origin.x + Lx;
-    const z0 = origin.z;
-    const z1 = origin.z + Lz;
-
-    const yTop0 = Math.max(0, Math.floor(Number(yTopAtX0)));
-    const yTop1 = Math.max(0, Math.floor(Number(yTopAtX1)));
-    const yBot0 = Math.max(0, yTop0 - plateY);
-    const yBot1 = Math.max(0, yTop1 - plateY);
-
-    const positions = [
-      x0, yBot0, z0,
-      x1, yBot1, z0,
-      x1, yBot1, z1,
-      x0, yBot0, z1,
-
-      x0, yTop0, z0,
-      x1, yTop1, z0,
-      x1, yTop1, z1,
-      x0, yTop0, z1,
-    ].map((v, i) => (i % 3 === 1 ? v : v) / 1000);
-
-    const indices = [
-      0, 1, 2, 0, 2, 3, // bottom
-      4, 6, 5, 4, 7, 6, // top
-      0, 5, 1, 0, 4, 5, // z0 face
-      3, 2, 6, 3, 6, 7, // z1 face
-      0, 3, 7, 0, 7, 4, // x0 face
-      1, 5, 6, 1, 6, 2  // x1 face
-    ];
+  function mkSolid(m, mat) {
+    const positions = [];
+    m.vertices_mm.forEach((v) => {
+      positions.push(v[0] / 1000, v[1] / 1000, v[2] / 1000);
+    });
+    const indices = m.indices.slice();
 
     const normals = [];
     BABYLON.VertexData.ComputeNormals(positions, indices, normals);
@@ -178,7 +117,7 @@ export function build3D(state, ctx) {
     vd.indices = indices;
     vd.normals = normals;
 
-    const mesh = new BABYLON.Mesh(name, scene);
+    const mesh = new BABYLON.Mesh(m.id, scene);
     vd.applyToMesh(mesh, true);
 
     // Ensure the custom sloped prism renders solid from all view angles (avoid back-face culling artifacts)
@@ -200,7 +139,7 @@ export function build3D(state, ctx) {
     } catch (e) {}
 
     mesh.material = useMat;
-    mesh.metadata = Object.assign({ dynamic: true }, meta || {});
+    mesh.metadata = Object.assign({ dynamic: true }, m.meta);
     return mesh;
   }
 
@@ -236,14 +175,44 @@ export function build3D(state, ctx) {
     };
   } catch (e) {}
 
-  function addCladdingForPanel(wallId, axis, panelIndex, panelStart, panelLen, origin, panelHeight, buildPass) {
-    const isAlongX = axis === "x";
+  // Board prism in world mm: runs a0..a1 along the wall, flat bottom, top sloping yTop0 -> yTop1.
+  // Across the wall: inner face at nIn, outer face at nOutBot (bottom) -> nOutTop (top; tapered boards).
+  function mkCladPrism(name, isAlongX, a0, a1, yBot, yTop0, yTop1, nIn, nOutBot, nOutTop, mat, meta) {
+    const t0 = Math.max(yBot, yTop0);
+    const t1 = Math.max(yBot, yTop1);
+    const P = (a, y, n) => (isAlongX ? [a, y, n] : [n, y, a]);
 
-    if (__DIAG_ONE_FRONT_ONE_BOARD) {
-      if (!(String(wallId) === "front" && Number(panelIndex) === 1)) {
-        return { created: 0, anchor: null, reason: "diagSkipNotFrontPanel1" };
-      }
-    }
+    const positions = [].concat(
+      P(a0, yBot, nIn), P(a1, yBot, nIn), P(a1, yBot, nOutBot), P(a0, yBot, nOutBot),
+      P(a0, t0, nIn), P(a1, t1, nIn), P(a1, t1, nOutTop), P(a0, t0, nOutTop)
+    ).map((v) => v / 1000);
+
+    const indices = [
+      0, 1, 2, 0, 2, 3,
+      4, 6, 5, 4, 7, 6,
+      0, 5, 1, 0, 4, 5,
+      3, 2, 6, 3, 6, 7,
+      0, 3, 7, 0, 7, 4,
+      1, 5, 6, 1, 6, 2
+    ];
+
+    const normals = [];
+    BABYLON.VertexData.ComputeNormals(positions, indices, normals);
+
+    const vd = new BABYLON.VertexData();
+    vd.positions = positions;
+    vd.indices = indices;
+    vd.normals = normals;
+
+    const mesh = new BABYLON.Mesh(name, scene);
+    vd.applyToMesh(mesh, true);
+    mesh.material = mat;
+    mesh.metadata = Object.assign({ dynamic: true }, meta || {});
+    return mesh;
+  }
+
+  function addCladdingForPanel(wallId, axis, panelIndex, panelStart, panelLen, origin, boards, buildPass) {
+    const isAlongX = axis === "x";
 
     // Light cladding material (do NOT mutate shared materials) — KEEP AS-IS
     let mat = materials && materials.cladding ? materials.cladding : materials.timber;
@@ -259,19 +228,16 @@ export function build3D(state, ctx) {
         if (m) {
           m.diffuseColor = new BABYLON.Color3(0.8, 0.8, 0.8);
           try { m.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1); } catch (e) {}
+          // Sloped/gable boards are custom prisms; render them from both sides like the sloped top plate.
+          m.backFaceCulling = false;
           scene._claddingMatLight = m;
         }
       }
       if (scene._claddingMatLight) mat = scene._claddingMatLight;
     } catch (e) {}
 
-    const ph = Number(panelHeight);
-    const panelHeightMm = Number.isFinite(ph) ? ph : height;
-
-    let courses = Math.max(0, Math.floor(panelHeightMm / CLAD_H));
-    if (__DIAG_ONE_FRONT_ONE_BOARD) courses = 1;
-
-    if (courses < 1) return { created: 0, anchor: null, reason: "courses<1" };
+    const list = Array.isArray(boards) ? boards : [];
+    if (list.length < 1) return { created: 0, anchor: null, reason: "boards<1" };
 
     const parts = [];
 
@@ -297,6 +263,8 @@ export function build3D(state, ctx) {
         plateParent = plateMesh.parent || null;
       }
       if (plateMesh && plateMesh.getBoundingInfo) {
+        // Walls are shifted after build3D; refresh so the bbox is in current world space.
+        try { plateMesh.computeWorldMatrix(true); } catch (e) {}
         const bi = plateMesh.getBoundingInfo();
         const bb = bi && bi.boundingBox ? bi.boundingBox : null;
         if (bb && bb.minimumWorld && bb.maximumWorld) {
@@ -433,97 +401,38 @@ export function build3D(state, ctx) {
       }
     } catch (e) {}
 
-    for (let i = 0; i < courses; i++) {
-      const isFirst = i === 0;
-      const firstCourseYOffsetMm = (isFirst ? 125 : 0);
-      const yBase = claddingAnchorY_mm + i * CLAD_H + firstCourseYOffsetMm;
-
-      // Drip: first course only; bottom edge at (claddingAnchorY_mm - 30mm)
-      // Implemented as bottom-only extension (no change to X/Z extents)
-      const yBottomStrip = yBase - (isFirst ? CLAD_DRIP : 0);
-      const hBottomStrip = CLAD_Hb + (isFirst ? CLAD_DRIP : 0);
-
-      const yUpperStrip = yBase + CLAD_Hb;
-      const hUpperStrip = Math.max(1, CLAD_H - CLAD_Hb);
-
-      if (isAlongX) {
-        const wallOutsideFaceWorld = (outsidePlaneZ_mm !== null ? outsidePlaneZ_mm : (origin.z + wallThk));
-        const outwardNormalZ = outwardSignZ;
-
-        // Solve center placement so INNER face is exactly on wallOutsideFaceWorld:
-        // boardCenterWorldZ = wallOutsideFaceWorld + outwardNormalZ * (CLAD_T/2)
-        // mkBox expects MIN corner => minZ = centerZ - CLAD_T/2
-        const boardCenterWorldZ = wallOutsideFaceWorld + outwardNormalZ * (CLAD_T / 2);
-        const zBottomMin = boardCenterWorldZ - (CLAD_T / 2);
-
-        const xShift_mm = (Number.isFinite(xMin_mm) ? Math.max(0, xMin_mm - (origin.x + panelStart)) : 0);
-        const panelLenAdj = Math.max(1, panelLen - xShift_mm);
-
-        parts.push(
-          mkBox(
-            `clad-${wallId}-panel-${panelIndex}-c${i}-bottom`,
-            panelLenAdj,
-            hBottomStrip,
-            CLAD_T,
-            { x: origin.x + panelStart + xShift_mm, y: yBottomStrip, z: zBottomMin },
-            mat,
-            { wallId, panelIndex, course: i, type: "cladding", part: "bottom", profile: { H: CLAD_H, T: CLAD_T, Rt: CLAD_Rt, Ht: CLAD_Ht, Rb: CLAD_Rb, Hb: CLAD_Hb } }
-          )
-        );
-
-        const tUpper = Math.max(1, CLAD_T - CLAD_Rb);
-        const boardCenterWorldZ_upper = wallOutsideFaceWorld + outwardNormalZ * (tUpper / 2);
-        const zUpperMin = boardCenterWorldZ_upper - (tUpper / 2);
-
-        parts.push(
-          mkBox(
-            `clad-${wallId}-panel-${panelIndex}-c${i}-upper`,
-            panelLenAdj,
-            hUpperStrip,
-            tUpper,
-            { x: origin.x + panelStart + xShift_mm, y: yUpperStrip, z: zUpperMin },
-            mat,
-            { wallId, panelIndex, course: i, type: "cladding", part: "upper", profile: { H: CLAD_H, T: CLAD_T, Rt: CLAD_Rt, Ht: CLAD_Ht, Rb: CLAD_Rb, Hb: CLAD_Hb } }
-          )
-        );
-      } else {
-        const wallOutsideFaceWorld = (outsidePlaneX_mm !== null ? outsidePlaneX_mm : (origin.x + wallThk));
-        const outwardNormalX = outwardSignX;
-
-        // Solve center placement so INNER face is exactly on wallOutsideFaceWorld:
-        // boardCenterWorldX = wallOutsideFaceWorld + outwardNormalX * (CLAD_T/2)
-        // mkBox expects MIN corner => minX = centerX - CLAD_T/2
-        const boardCenterWorldX = wallOutsideFaceWorld + outwardNormalX * (CLAD_T / 2);
-        const xBottomMin = boardCenterWorldX - (CLAD_T / 2);
-
-        const zShift_mm = (Number.isFinite(zMin_mm) ? Math.max(0, zMin_mm - (origin.z + panelStart)) : 0);
-        const panelLenAdj = Math.max(1, panelLen - zShift_mm);
-
+    // Wall-local -> world: walls are shifted after build3D, so read the offset back from the plate bbox.
+    const alongOffset_mm = isAlongX
+      ? (Number.isFinite(xMin_mm) ? xMin_mm - (origin.x + panelStart) : 0)
+      : (Number.isFinite(zMin_mm) ? zMin_mm - (origin.z + panelStart) : 0);
+    const alongOrigin_mm = (isAlongX ? origin.x : origin.z) + alongOffset_mm;
+    const yOffset_mm = wallBottomPlateBottomY_mm;
+
+    const outsidePlane_mm = isAlongX
+      ? (outsidePlaneZ_mm !== null ? outsidePlaneZ_mm : (origin.z + wallThk))
+      : (outsidePlaneX_mm !== null ? outsidePlaneX_mm : (origin.x + wallThk));
+    const outwardSign = isAlongX ? outwardSignZ : outwardSignX;
+
+    // Inner face of every board sits exactly on the wall's outside plane; offsets are measured outward.
+    const nAt = (off) => outsidePlane_mm + outwardSign * off;
+    const profileMeta = { id: clad.id, section: clad.section, orientation: clad.orientation, cover: clad.cover_mm, T: clad.thickness_mm };
+
+    for (let i = 0; i < list.length; i++) {
+      const bd = list[i];
+      const pieces = claddingBoardParts(clad, bd);
+      const meta = { wallId, panelIndex, course: bd.course, board: bd.key, type: "cladding", profile: profileMeta };
+
+      for (let k = 0; k < pieces.length; k++) {
+        const pc = pieces[k];
         parts.push(
-          mkBox(
-            `clad-${wallId}-panel-${panelIndex}-c${i}-bottom`,
-            CLAD_T,
-            hBottomStrip,
-            panelLenAdj,
-            { x: xBottomMin, y: yBottomStrip, z: origin.z + panelStart + zShift_mm },
+          mkCladPrism(
+            `clad-${wallId}-panel-${panelIndex}-b${i}-${pc.part}`,
+            isAlongX,
+            alongOrigin_mm + pc.a0, alongOrigin_mm + pc.a1,
+            yOffset_mm + pc.yBot, yOffset_mm + pc.yTop0, yOffset_mm + pc.yTop1,
+            nAt(pc.nIn), nAt(pc.nOutBot), nAt(pc.nOutTop),
             mat,
-            { wallId, panelIndex, course: i, type: "cladding", part: "bottom", profile: { H: CLAD_H, T: CLAD_T, Rt: CLAD_Rt, Ht: CLAD_Ht, Rb: CLAD_Rb, Hb: CLAD_Hb } }
-          )
-        );
-
-        const tUpper = Math.max(1, CLAD_T - CLAD_Rb);
-        const boardCenterWorldX_upper = wallOutsideFaceWorld + outwardNormalX * (tUpper / 2);
-        const xUpperMin = boardCenterWorldX_upper - (tUpper / 2);
-
-        parts.push(
-          mkBox(
-            `clad-${wallId}-panel-${panelIndex}-c${i}-upper`,
-            tUpper,
-            hUpperStrip,
-            panelLenAdj,
-            { x: xUpperMin, y: yUpperStrip, z: origin.z + panelStart + zShift_mm },
-            mat,
-            { wallId, panelIndex, course: i, type: "cladding", part: "upper", profile: { H: CLAD_H, T: CLAD_T, Rt: CLAD_Rt, Ht: CLAD_Ht, Rb: CLAD_Rb, Hb: CLAD_Hb } }
+            Object.assign({ part: pc.part }, meta)
           )
         );
       }
@@ -674,7 +583,7 @@ export function build3D(state, ctx) {
 
             let res = null;
             try {
-              res = addCladdingForPanel(j.wallId, j.axis, j.panelIndex, j.panelStart, j.panelLen, j.origin, j.panelHeight, passDbg);
+              res = addCladdingForPanel(j.wallId, j.axis, j.panelIndex, j.panelStart, j.panelLen, j.origin, j.boards, passDbg);
             } catch (e) {
               res = null;
             }
@@ -724,1056 +633,66 @@ export function build3D(state, ctx) {
             window.__dbg.claddingPass.staleSkip = false;
             window.__dbg.claddingPass.claddingMeshesCreated = createdCount;
           } catch (e) {}
+
+          // Boards arrive a frame after the framing: hide those on walls switched off since.
+          showWalls(scene);
         });
       }
     } catch (e) {}
   }
 
-  function doorIntervalsForWall(wallId) {
-    const list = [];
-    for (let i = 0; i < doorsAll.length; i++) {
-      const d = doorsAll[i];
-      if (String(d.wall || "front") !== wallId) continue;
-      const wGap = Math.max(100, Math.floor(d.width_mm || 800));
-      const x0 = Math.floor(d.x_mm ?? 0);
-      const x1 = x0 + wGap;
-      const h = Math.max(100, Math.floor(d.height_mm || 2000));
-      list.push({ id: String(d.id || ""), x0, x1, w: wGap, h });
-    }
-    return list;
-  }
-
-  function windowIntervalsForWall(wallId) {
-    const list = [];
-    for (let i = 0; i < winsAll.length; i++) {
-      const w = winsAll[i];
-      if (String(w.wall || "front") !== wallId) continue;
-      const wGap = Math.max(100, Math.floor(w.width_mm || 600));
-      const x0 = Math.floor(w.x_mm ?? 0);
-      const x1 = x0 + wGap;
-
-      const y = Math.max(0, Math.floor(w.y_mm ?? 0));
-      const h = Math.max(100, Math.floor(w.height_mm || 600));
-      list.push({ id: String(w.id || ""), x0, x1, w: wGap, y, h });
-    }
-    return list;
-  }
-
-  function isInsideAnyOpening(pos, intervals) {
-    for (let i = 0; i < intervals.length; i++) {
-      const d = intervals[i];
-      const c = pos + prof.studW / 2;
-      if (c > d.x0 && c < d.x1) return true;
-    }
-    return false;
-  }
-
-  function addDoorFramingAlongX(wallId, origin, door) {
-    const thickness = wallThk;
-    const doorH = door.h;
-    const id = door.id;
-    const useInvalid = invalidDoorSet.has(String(id));
-    const mat = useInvalid && invalidMat ? invalidMat : materials.timber;
-
-    const doorX0 = door.x0;
-    const doorX1 = door.x1;
-
-    const isSlopeWall = isPent && (wallId === "front" || wallId === "back");
-    const centerX = origin.x + Math.floor((doorX0 + doorX1) / 2);
-
-    const wallTop = isSlopeWall ? heightAtX(centerX) : (wallId === "left" ? minH : wallId === "right" ? maxH : height);
-    const studLenLocal = Math.max(1, wallTop - 2 * plateY);
-
-    const uprightH = studLenLocal;
-
-    mkBox(
-      `wall-${wallId}-door-${id}-upright-left`,
-      prof.studW,
-      uprightH,
-      thickness,
-      { x: origin.x + (doorX0 - prof.studW), y: plateY, z: origin.z },
-      mat,
-      { doorId: id }
-    );
-    mkBox(
-      `wall-${wallId}-door-${id}-upright-right`,
-      prof.studW,
-      uprightH,
-      thickness,
-      { x: origin.x + doorX1, y: plateY, z: origin.z },
-      mat,
-      { doorId: id }
-    );
-
-    const headerL = (door.w + 2 * prof.studW);
-
-    const desiredHeaderY = plateY + doorH;
-    const maxHeaderY = Math.max(plateY, wallTop - prof.studH);
-    const headerY = Math.min(desiredHeaderY, maxHeaderY);
-
-    mkBox(
-      `wall-${wallId}-door-${id}-header`,
-      headerL,
-      prof.studH,
-      thickness,
-      { x: origin.x + (doorX0 - prof.studW), y: headerY, z: origin.z },
-      mat,
-      { doorId: id }
-    );
-  }
-
-  function addDoorFramingAlongZ(wallId, origin, door) {
-    const thickness = wallThk;
-    const doorH = door.h;
-    const id = door.id;
-    const useInvalid = invalidDoorSet.has(String(id));
-    const mat = useInvalid && invalidMat ? invalidMat : materials.timber;
-
-    const doorZ0 = door.x0;
-    const doorZ1 = door.x1;
-
-    const wallTop = isPent ? (wallId === "left" ? minH : maxH) : height;
-    const studLenLocal = Math.max(1, wallTop - 2 * plateY);
-    const uprightH = studLenLocal;
-
-    mkBox(
-      `wall-${wallId}-door-${id}-upright-left`,
-      thickness,
-      uprightH,
-      prof.studW,
-      { x: origin.x, y: plateY, z: origin.z + (doorZ0 - prof.studW) },
-      mat,
-      { doorId: id }
-    );
-    mkBox(
-      `wall-${wallId}-door-${id}-upright-right`,
-      thickness,
-      uprightH,
-      prof.studW,
-      { x: origin.x, y: plateY, z: origin.z + doorZ1 },
-      mat,
-      { doorId: id }
-    );
-
-    const headerL = (door.w + 2 * prof.studW);
-
-    const desiredHeaderY = plateY + doorH;
-    const maxHeaderY = Math.max(plateY, wallTop - prof.studH);
-    const headerY = Math.min(desiredHeaderY, maxHeaderY);
-
-    mkBox(
-      `wall-${wallId}-door-${id}-header`,
-      thickness,
-      prof.studH,
-      headerL,
-      { x: origin.x, y: headerY, z: origin.z + (doorZ0 - prof.studW) },
-      mat,
-      { doorId: id }
-    );
+  // All four walls are always built; applyVisibility hides the ones switched off in state.vis.
+  const roleMats = { timber: materials.timber, plate: materials.plate, invalid: invalidMat || materials.timber };
+  const frame = members(state);
+  for (let i = 0; i < frame.length; i++) {
+    const m = frame[i];
+    if (m.shape === "solid") mkSolid(m, roleMats[m.material]);
+    else mkBox(m, roleMats[m.material]);
   }
 
-  function addWindowFramingAlongX(wallId, origin, win) {
-    const thickness = wallThk;
-    const id = win.id;
-    const useInvalid = invalidWinSet.has(String(id));
-    const mat = useInvalid && invalidMat ? invalidMat : materials.timber;
-
-    const x0 = win.x0;
-    const x1 = win.x1;
-
-    const isSlopeWall = isPent && (wallId === "front" || wallId === "back");
-    const centerX = origin.x + Math.floor((x0 + x1) / 2);
-    const wallTop = isSlopeWall ? heightAtX(centerX) : (wallId === "left" ? minH : wallId === "right" ? maxH : height);
-    const studLenLocal = Math.max(1, wallTop - 2 * plateY);
-
-    const uprightH = studLenLocal;
-
-    const y0Raw = plateY + Math.max(0, Math.floor(win.y));
-    const yTopRaw = y0Raw + Math.max(100, Math.floor(win.h));
-
-    const maxFeatureY = Math.max(plateY, wallTop - prof.studH);
-
-    const y0 = Math.min(y0Raw, maxFeatureY);
-    const yTop = Math.min(yTopRaw, maxFeatureY);
-
-    mkBox(
-      `wall-${wallId}-win-${id}-upright-left`,
-      prof.studW,
-      uprightH,
-      thickness,
-      { x: origin.x + (x0 - prof.studW), y: plateY, z: origin.z },
-      mat,
-      { windowId: id }
-    );
-    mkBox(
-      `wall-${wallId}-win-${id}-upright-right`,
-      prof.studW,
-      uprightH,
-      thickness,
-      { x: origin.x + x1, y: plateY, z: origin.z },
-      mat,
-      { windowId: id }
-    );
-
-    const headerL = (win.w + 2 * prof.studW);
-    mkBox(
-      `wall-${wallId}-win-${id}-header`,
-      headerL,
-      prof.studH,
-      thickness,
-      { x: origin.x + (x0 - prof.studW), y: yTop, z: origin.z },
-      mat,
-      { windowId: id }
-    );
-
-    mkBox(
-      `wall-${wallId}-win-${id}-sill`,
-      headerL,
-      prof.studH,
-      thickness,
-      { x: origin.x + (x0 - prof.studW), y: y0, z: origin.z },
-      mat,
-      { windowId: id }
-    );
-  }
-
-  function addWindowFramingAlongZ(wallId, origin, win) {
-    const thickness = wallThk;
-    const id = win.id;
-    const useInvalid = invalidWinSet.has(String(id));
-    const mat = useInvalid && invalidMat ? invalidMat : materials.timber;
-
-    const z0 = win.x0;
-    const z1 = win.x1;
-
-    const wallTop = isPent ? (wallId === "left" ? minH : maxH) : height;
-    const studLenLocal = Math.max(1, wallTop - 2 * plateY);
-    const uprightH = studLenLocal;
-
-    const y0Raw = plateY + Math.max(0, Math.floor(win.y));
-    const yTopRaw = y0Raw + Math.max(100, Math.floor(win.h));
-
-    const maxFeatureY = Math.max(plateY, wallTop - prof.studH);
-
-    const y0 = Math.min(y0Raw, maxFeatureY);
-    const yTop = Math.min(yTopRaw, maxFeatureY);
-
-    mkBox(
-      `wall-${wallId}-win-${id}-upright-left`,
-      thickness,
-      uprightH,
-      prof.studW,
-      { x: origin.x, y: plateY, z: origin.z + (z0 - prof.studW) },
-      mat,
-      { windowId: id }
-    );
-    mkBox(
-      `wall-${wallId}-win-${id}-upright-right`,
-      thickness,
-      uprightH,
-      prof.studW,
-      { x: origin.x, y: plateY, z: origin.z + z1 },
-      mat,
-      { windowId: id }
-    );
-
-    const headerL = (win.w + 2 * prof.studW);
-    mkBox(
-      `wall-${wallId}-win-${id}-header`,
-      thickness,
-      prof.studH,
-      headerL,
-      { x: origin.x, y: yTop, z: origin.z + (z0 - prof.studW) },
-      mat,
-      { windowId: id }
-    );
-
-    mkBox(
-      `wall-${wallId}-win-${id}-sill`,
-      thickness,
-      prof.studH,
-      headerL,
-      { x: origin.x, y: y0, z: origin.z + (z0 - prof.studW) },
-      mat,
-      { windowId: id }
-    );
-  }
-
-  function buildBasicPanel(wallPrefix, axis, panelLen, origin, offsetAlong, openings, studLenForPosStart) {
-    const isAlongX = axis === "x";
-
-    const hForStart = (posStart) => {
-      if (!studLenForPosStart) return Math.max(1, height - 2 * plateY);
-      return Math.max(1, Math.floor(studLenForPosStart(posStart)));
-    };
-
-    if (isAlongX) {
-      mkBox(
-        wallPrefix + "plate-bottom",
-        panelLen,
-        plateY,
-        wallThk,
-        { x: origin.x + offsetAlong, y: 0, z: origin.z },
-        materials.plate
-      );
-    } else {
-      mkBox(
-        wallPrefix + "plate-bottom",
-        wallThk,
-        plateY,
-        panelLen,
-        { x: origin.x, y: 0, z: origin.z + offsetAlong },
-        materials.plate
-      );
-    }
-
-    const placeStud = (x, z, idx, posStartRel) => {
-      const h = hForStart(posStartRel);
-      if (isAlongX) {
-        mkBox(
-          wallPrefix + "stud-" + idx,
-          prof.studW,
-          h,
-          wallThk,
-          { x, y: plateY, z },
-          materials.timber
-        );
-      } else {
-        mkBox(
-          wallPrefix + "stud-" + idx,
-          wallThk,
-          h,
-          prof.studW,
-          { x, y: plateY, z },
-          materials.timber
-        );
-      }
-    };
-
-    const offsetStart = offsetAlong;
-    const offsetEnd = offsetAlong + panelLen;
-
-    const panelOpenings = openings.filter((d) => {
-      const s = d.x0;
-      const e = d.x1;
-      return e > offsetStart && s < offsetEnd;
-    });
-
-    const studAt = (posStart) => {
-      for (let i = 0; i < panelOpenings.length; i++) {
-        const d = panelOpenings[i];
-        if (posStart + prof.studW > d.x0 && posStart < d.x1) return false;
-      }
-      return true;
-    };
-
-    if (isAlongX) {
-      const x0 = origin.x + offsetAlong;
-      const x1 = origin.x + offsetAlong + panelLen - prof.studW;
-      const xm = Math.max(x0, Math.floor(origin.x + offsetAlong + panelLen / 2 - prof.studW / 2));
-
-      if (studAt(offsetAlong)) placeStud(x0, origin.z, 0, offsetAlong);
-      if (studAt(offsetAlong + panelLen - prof.studW)) placeStud(x1, origin.z, 1, offsetAlong + panelLen - prof.studW);
-
-      let midAllowed = true;
-      for (let i = 0; i < panelOpenings.length; i++) {
-        const d = panelOpenings[i];
-        const ms = (xm - origin.x);
-        if (ms + prof.studW > d.x0 && ms < d.x1) { midAllowed = false; break; }
-      }
-      if (midAllowed) placeStud(xm, origin.z, 2, (xm - origin.x));
-    } else {
-      const z0 = origin.z + offsetAlong;
-      const z1 = origin.z + offsetAlong + panelLen - prof.studW;
-      const zm = Math.max(z0, Math.floor(origin.z + offsetAlong + panelLen / 2 - prof.studW / 2));
-
-      if (studAt(offsetAlong)) placeStud(origin.x, z0, 0, offsetAlong);
-      if (studAt(offsetAlong + panelLen - prof.studW)) placeStud(origin.x, z1, 1, offsetAlong + panelLen - prof.studW);
-
-      let midAllowed = true;
-      for (let i = 0; i < panelOpenings.length; i++) {
-        const d = panelOpenings[i];
-        const ms = (zm - origin.z);
-        if (ms + prof.studW > d.x0 && ms < d.x1) { midAllowed = false; break; }
-      }
-      if (midAllowed) placeStud(origin.x, zm, 2, (zm - origin.z));
-    }
-  }
-
-  function buildWall(wallId, axis, length, origin) {
-    const isAlongX = axis === "x";
-    const wallPrefix = `wall-${wallId}-`;
-
-    const doors = doorIntervalsForWall(wallId);
-    const wins = windowIntervalsForWall(wallId);
-    const openingsX = doors.concat(wins);
-
-    const isSlopeWall = isPent && isAlongX && (wallId === "front" || wallId === "back");
-
-    const wallHeightFlat = isPent
-      ? (wallId === "left" ? minH : wallId === "right" ? maxH : height)
-      : height;
-
-    const studLenFlat = Math.max(1, wallHeightFlat - 2 * plateY);
-
-    if (isAlongX) {
-      mkBox(wallPrefix + "plate-bottom", length, plateY, wallThk, { x: origin.x, y: 0, z: origin.z }, materials.plate);
-      if (!isSlopeWall) {
-        mkBox(wallPrefix + "plate-top", length, plateY, wallThk, { x: origin.x, y: wallHeightFlat - plateY, z: origin.z }, materials.plate);
-      } else {
-        const yTop0 = heightAtX(origin.x);
-        const yTop1 = heightAtX(origin.x + length);
-        mkSlopedPlateAlongX(
-          wallPrefix + "plate-top",
-          length,
-          wallThk,
-          { x: origin.x, z: origin.z },
-          yTop0,
-          yTop1,
-          materials.plate,
-          {}
-        );
-      }
-    } else {
-      mkBox(wallPrefix + "plate-bottom", wallThk, plateY, length, { x: origin.x, y: 0, z: origin.z }, materials.plate);
-      mkBox(wallPrefix + "plate-top", wallThk, plateY, length, { x: origin.x, y: wallHeightFlat - plateY, z: origin.z }, materials.plate);
-    }
-
-    const studLenForXStart = (xStartRel) => {
-      if (!isSlopeWall) return studLenFlat;
-      const xCenter = origin.x + Math.floor(xStartRel + prof.studW / 2);
-      const wallTop = heightAtX(xCenter);
-      return Math.max(1, wallTop - 2 * plateY);
-    };
-
-    if (variant === "basic") {
-      const panels = computeBasicPanels(length, prof, openingsX);
-
-      for (let p = 0; p < panels.length; p++) {
-        const pan = panels[p];
-        const pref = wallPrefix + `panel-${p + 1}-`;
-        buildBasicPanel(
-          pref,
-          axis,
-          pan.len,
-          origin,
-          pan.start,
-          openingsX,
-          isAlongX ? studLenForXStart : (() => studLenFlat)
-        );
-      }
-
-      for (let i = 0; i < doors.length; i++) {
-        const d = doors[i];
-        if (isAlongX) addDoorFramingAlongX(wallId, origin, d);
-        else addDoorFramingAlongZ(wallId, origin, d);
-      }
-
-      for (let i = 0; i < wins.length; i++) {
-        const w = wins[i];
-        if (isAlongX) addWindowFramingAlongX(wallId, origin, w);
-        else addWindowFramingAlongZ(wallId, origin, w);
-      }
-
-      for (let p = 0; p < panels.length; p++) {
-        if (__DIAG_ONE_FRONT_ONE_BOARD) {
-          if (!(String(wallId) === "front" && p === 0)) continue;
-        }
-        const pan = panels[p];
-        let panelH = wallHeightFlat;
-        if (isSlopeWall) {
-          const h0 = heightAtX(origin.x + pan.start);
-          const h1 = heightAtX(origin.x + pan.start + pan.len);
-          panelH = Math.min(h0, h1);
-        }
-        claddingJobs.push({
-          wallId,
-          axis,
-          panelIndex: (p + 1),
-          panelStart: pan.start,
-          panelLen: pan.len,
-          origin,
-          panelHeight: panelH
-        });
-      }
-
-      return;
-    }
-
-    const studs = [];
-    const placeStud = (x, z, posStartRel) => {
-      const h = isAlongX ? studLenForXStart(posStartRel) : studLenFlat;
-      if (isAlongX) {
-        studs.push(mkBox(wallPrefix + "stud-" + studs.length, prof.studW, h, wallThk, { x, y: plateY, z }, materials.timber));
-      } else {
-        studs.push(mkBox(wallPrefix + "stud-" + studs.length, wallThk, h, prof.studW, { x, y: plateY, z }, materials.timber));
-      }
-    };
-
-    if (isAlongX) {
-      if (!isInsideAnyOpening(0, openingsX)) placeStud(origin.x + 0, origin.z + 0, 0);
-      if (!isInsideAnyOpening(length - prof.studW, openingsX)) placeStud(origin.x + (length - prof.studW), origin.z + 0, length - prof.studW);
-    } else {
-      if (!isInsideAnyOpening(0, openingsX)) placeStud(origin.x + 0, origin.z + 0, 0);
-      if (!isInsideAnyOpening(length - prof.studW, openingsX)) placeStud(origin.x + 0, origin.z + (length - prof.studW), length - prof.studW);
-    }
-
-    if (isAlongX) {
-      let x = 400;
-      while (x <= length - prof.studW) {
-        if (Math.abs(x - (length - prof.studW)) < 1) break;
-        if (!isInsideAnyOpening(x, openingsX)) placeStud(origin.x + x, origin.z, x);
-        x += prof.spacing;
-      }
-    } else {
-      let z = 400;
-      while (z <= length - prof.studW) {
-        if (Math.abs(z - (length - prof.studW)) < 1) break;
-        if (!isInsideAnyOpening(z, openingsX)) placeStud(origin.x, origin.z + z, z);
-        z += prof.spacing;
-      }
-    }
-
-    for (let i = 0; i < doors.length; i++) {
-      const d = doors[i];
-      if (isAlongX) addDoorFramingAlongX(wallId, origin, d);
-      else addDoorFramingAlongZ(wallId, origin, d);
-    }
-
-    for (let i = 0; i < wins.length; i++) {
-      const w = wins[i];
-      if (isAlongX) addWindowFramingAlongX(wallId, origin, w);
-      else addWindowFramingAlongZ(wallId, origin, w);
-    }
-
-    let panelH = wallHeightFlat;
-    if (isSlopeWall) {
-      const h0 = heightAtX(origin.x);
-      const h1 = heightAtX(origin.x + length);
-      panelH = Math.min(h0, h1);
-    }
-
-    if (__DIAG_ONE_FRONT_ONE_BOARD) {
-      if (!(String(wallId) === "front")) return;
+  const claddingWalls = computeCladdingForWalls(state, prof, ALL_WALLS).walls;
+  for (let i = 0; i < claddingWalls.length; i++) {
+    const cw = claddingWalls[i];
+    for (let r = 0; r < cw.runs.length; r++) {
+      const run = cw.runs[r];
+      claddingJobs.push({
+        wallId: cw.wallId,
+        axis: cw.axis,
+        panelIndex: run.panelIndex,
+        panelStart: run.plateStart,
+        panelLen: run.plateLen,
+        origin: cw.origin,
+        boards: run.boards
+      });
     }
-
-    claddingJobs.push({
-      wallId,
-      axis,
-      panelIndex: 1,
-      panelStart: 0,
-      panelLen: length,
-      origin,
-      panelHeight: panelH
-    });
   }
 
-  const sideLenZ = Math.max(1, dims.d - 2 * wallThk);
-
-  if (flags.front) buildWall("front", "x", dims.w, { x: 0, z: 0 });
-  if (flags.back) buildWall("back", "x", dims.w, { x: 0, z: dims.d - wallThk });
-
-  if (flags.left) buildWall("left", "z", sideLenZ, { x: 0, z: wallThk });
-  if (flags.right) buildWall("right", "z", sideLenZ, { x: dims.w - wallThk, z: wallThk });
+  applyVisibility(state, ctx);
 
   // Schedule one-shot deferred cladding build (one frame later)
   scheduleDeferredCladdingPass();
 }
 
-function resolveProfile(state, variant) {
-  const defaults =
-    variant === "insulated"
-      ? { studW: 50, studH: 100, spacing: 400 }
-      : { studW: 50, studH: 75, spacing: null };
-
-  const cfg = state?.walls?.[variant];
-  const w = Math.floor(Number(cfg?.section?.w));
-  const h = Math.floor(Number(cfg?.section?.h));
-
-  const studW = Number.isFinite(w) && w > 0 ? w : defaults.studW;
-  const studH = Number.isFinite(h) && h > 0 ? h : defaults.studH;
-
-  return { studW, studH, spacing: defaults.spacing };
-}
-
-function normalizeWallFlags(state) {
-  const enabled = state.vis?.wallsEnabled !== false;
-  const parts = state.vis?.walls || { front: true, back: true, left: true, right: true };
-  return {
-    front: enabled && parts.front !== false,
-    back: enabled && parts.back !== false,
-    left: enabled && parts.left !== false,
-    right: enabled && parts.right !== false,
-  };
-}
-
-function getOpeningsAll(state) {
-  const openings = Array.isArray(state.walls?.openings) ? state.walls.openings : [];
-  return openings.filter((o) => o && o.enabled !== false);
-}
-
-function getDoorIntervalsForWallFromState(state, wallId) {
-  const openings = getOpeningsAll(state);
-  const doorsAll = openings.filter((o) => o && o.type === "door");
-  const list = [];
-  for (let i = 0; i < doorsAll.length; i++) {
-    const d = doorsAll[i];
-    if (String(d.wall || "front") !== wallId) continue;
-    const wGap = Math.max(100, Math.floor(d.width_mm || 800));
-    const x0 = Math.floor(d.x_mm ?? 0);
-    const x1 = x0 + wGap;
-    const h = Math.max(100, Math.floor(d.height_mm || 2000));
-    list.push({ id: String(d.id || ""), x0, x1, w: wGap, h });
-  }
-  return list;
-}
-
-function getWindowIntervalsForWallFromState(state, wallId) {
-  const openings = getOpeningsAll(state);
-  const winsAll = openings.filter((o) => o && o.type === "window");
-  const list = [];
-  for (let i = 0; i < winsAll.length; i++) {
-    const w = winsAll[i];
-    if (String(w.wall || "front") !== wallId) continue;
-    const wGap = Math.max(100, Math.floor(w.width_mm || 600));
-    const x0 = Math.floor(w.x_mm ?? 0);
-    const x1 = x0 + wGap;
-
-    const y = Math.max(0, Math.floor(w.y_mm ?? 0));
-    const h = Math.max(100, Math.floor(w.height_mm || 600));
-    list.push({ id: String(w.id || ""), x0, x1, w: wGap, y, h });
-  }
-  return list;
-}
-
 /**
- * Pure BASIC panel segmentation helper.
- * IMPORTANT: This is a verbatim extraction of the existing BASIC panelization block inside buildWall().
- * It must not change behavior.
+ * Show/hide built walls (framing and cladding) from state.vis without rebuilding them.
+ * The flags are kept on the scene so the deferred cladding pass applies them too.
  */
-function computeBasicPanels(length, prof, openingsX) {
-  let panels = [{ start: 0, len: length }];
-
-  if (length > 2400) {
-    const p1 = Math.floor(length / 2);
-    const p2 = length - p1;
-    panels = [{ start: 0, len: p1 }, { start: p1, len: p2 }];
-
-    const seamA = p1 - prof.studW;
-    const seamB = p1 + prof.studW;
-
-    const all = openingsX
-      .map((o) => ({ x0: Math.floor(o.x0 ?? 0), x1: Math.floor(o.x1 ?? 0) }))
-      .filter((o) => Number.isFinite(o.x0) && Number.isFinite(o.x1));
-
-    all.sort((a, b) => (a.x0 - b.x0) || (a.x1 - b.x1));
-
-    const clusters = [];
-    if (all.length) {
-      let cs = all[0].x0;
-      let ce = all[0].x1;
-      for (let i = 1; i < all.length; i++) {
-        const o = all[i];
-        const ne = Math.max(ce, o.x1);
-        const span = ne - cs;
-        if (span <= 2400) {
-          ce = ne;
-        } else {
-          clusters.push({ x0: cs, x1: ce });
-          cs = o.x0;
-          ce = o.x1;
-        }
-      }
-      clusters.push({ x0: cs, x1: ce });
-    }
-
-    const regions = [];
-    for (let i = 0; i < clusters.length; i++) {
-      const c = clusters[i];
-      const coversSeam = !(c.x1 < seamA || c.x0 > seamB);
-      if (!coversSeam) continue;
-
-      const clusterPanelStart = clamp(c.x0 - prof.studW, 0, length);
-      const clusterPanelEnd = clamp(c.x1 + prof.studW, 0, length);
-
-      regions.push({ start: clusterPanelStart, end: clusterPanelEnd });
-    }
-
-    if (regions.length) {
-      regions.sort((a, b) => a.start - b.start || a.end - b.end);
-
-      const merged = [];
-      let cur = { start: regions[0].start, end: regions[0].end };
-      for (let i = 1; i < regions.length; i++) {
-        const r = regions[i];
-        if (r.start <= (cur.end + 1)) {
-          cur.end = Math.max(cur.end, r.end);
-        } else {
-          merged.push(cur);
-          cur = { start: r.start, end: r.end };
-        }
-      }
-      merged.push(cur);
-
-      const next = [];
-      let cursor = 0;
-      for (let i = 0; i < merged.length; i++) {
-        const r = merged[i];
-        const s = clamp(r.start, 0, length);
-        const e = clamp(r.end, 0, length);
-        if (s > cursor) {
-          const leftLen = Math.max(0, s - cursor);
-          if (leftLen > 0) next.push({ start: cursor, len: leftLen });
-        }
-        const midLen = Math.max(0, e - s);
-        if (midLen > 0) next.push({ start: s, len: midLen });
-        cursor = Math.max(cursor, e);
-      }
-      if (cursor < length) {
-        const rightLen = Math.max(0, length - cursor);
-        if (rightLen > 0) next.push({ start: cursor, len: rightLen });
-      }
-
-      panels = next.length ? next : panels;
-    }
-  }
-
-  return panels;
+export function applyVisibility(state, ctx) {
+  const scene = ctx && ctx.scene;
+  if (!scene) return;
+  scene._wallFlags = normalizeWallFlags(state);
+  showWalls(scene);
 }
 
-function pickPanelIndexForCenter(panels, x0, x1) {
-  const c = (Number(x0) + Number(x1)) / 2;
-  for (let i = 0; i < panels.length; i++) {
-    const p = panels[i];
-    const a = p.start;
-    const b = p.start + p.len;
-    if (c >= a && c < b) return i;
-  }
-  if (!panels.length) return -1;
-  if (c < panels[0].start) return 0;
-  return panels.length - 1;
+function showWalls(scene) {
+  const flags = scene._wallFlags || ALL_WALLS;
+  scene.meshes.forEach((m) => {
+    if (!m.metadata || m.metadata.dynamic !== true) return;
+    const hit = /^(?:wall|clad)-([a-z]+)-/.exec(m.name || "");
+    if (hit && hit[1] in flags) m.isVisible = flags[hit[1]];
+  });
 }
 
 export function updateBOM(state) {
-  const isPent = !!(state && state.roof && String(state.roof.style || "") === "pent");
-  if (!isPent) {
-    const sections = [];
-    const variant = state.walls?.variant || "insulated";
-    const height = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
-
-    const prof = resolveProfile(state, variant);
-
-    const plateY = prof.studW;
-    const wallThk = prof.studH;
-    const studLen = Math.max(1, height - 2 * plateY);
-
-    const frameW = Math.max(1, Math.floor(state.w));
-    const frameD = Math.max(1, Math.floor(state.d));
-
-    const lengths = {
-      front: frameW,
-      back: frameW,
-      left: Math.max(1, frameD - 2 * wallThk),
-      right: Math.max(1, frameD - 2 * wallThk),
-    };
-
-    const flags = normalizeWallFlags(state);
-    const walls = ["front", "back", "left", "right"].filter((w) => flags[w]);
-
-    for (const wname of walls) {
-      const L = lengths[wname];
-
-      // Wall header row
-      sections.push([`WALL: ${wname} (${variant})`, "", "", "", "", `Frame L=${L}mm`]);
-
-      // Panels for grouping (no geometry changes; basic uses same segmentation as buildWall)
-      let panels = [{ start: 0, len: L }];
-      if (variant === "basic") {
-        const doors = getDoorIntervalsForWallFromState(state, wname);
-        const wins = getWindowIntervalsForWallFromState(state, wname);
-        const openingsX = doors.concat(wins);
-        panels = computeBasicPanels(L, prof, openingsX);
-        if (!panels.length) panels = [{ start: 0, len: L }];
-      }
-
-      // Precompute per-wall openings for attribution
-      const doorsW = getDoorIntervalsForWallFromState(state, wname);
-      const winsW = getWindowIntervalsForWallFromState(state, wname);
-
-      const openingItemsByPanel = {};
-      for (let i = 0; i < panels.length; i++) openingItemsByPanel[i] = [];
-
-      // Doors -> panel that contains center point
-      for (let i = 0; i < doorsW.length; i++) {
-        const d = doorsW[i];
-        const pi = pickPanelIndexForCenter(panels, d.x0, d.x1);
-        if (pi < 0) continue;
-
-        const id = String(d.id || "");
-        const headerL = (d.w + 2 * prof.studW);
-
-        openingItemsByPanel[pi].push(["  Door Uprights", 2, studLen, prof.studW, wallThk, `door ${id}`]);
-        openingItemsByPanel[pi].push(["  Door Header", 1, headerL, prof.studH, wallThk, `door ${id}`]);
-      }
-
-      // Windows -> panel that contains center point
-      for (let i = 0; i < winsW.length; i++) {
-        const w = winsW[i];
-        const pi = pickPanelIndexForCenter(panels, w.x0, w.x1);
-        if (pi < 0) continue;
-
-        const id = String(w.id || "");
-        const headerL = (w.w + 2 * prof.studW);
-
-        openingItemsByPanel[pi].push(["  Window Uprights", 2, studLen, prof.studW, wallThk, `window ${id}`]);
-        openingItemsByPanel[pi].push(["  Window Header", 1, headerL, prof.studH, wallThk, `window ${id}`]);
-        openingItemsByPanel[pi].push(["  Window Sill", 1, headerL, prof.studH, wallThk, `window ${id}`]);
-      }
-
-      for (let p = 0; p < panels.length; p++) {
-        const pan = panels[p];
-
-        // Panel header row
-        sections.push([`  PANEL ${p + 1}`, "", "", "", "", `start=${pan.start}mm, len=${pan.len}mm`]);
-
-        // Panel contents (all include L/W/D)
-        sections.push([`  Bottom Plate`, 1, pan.len, plateY, wallThk, ""]);
-        sections.push([`  Top Plate`, 1, pan.len, plateY, wallThk, ""]);
-
-        if (variant === "basic") {
-          // Mirrors current basic wall panel stud policy (3 studs per panel in buildBasicPanel; suppression is geometric-only)
-          sections.push([`  Studs`, 3, studLen, prof.studW, wallThk, "basic"]);
-        } else {
-          // Insulated stud count logic preserved (was previously per wall; now attributed under single panel)
-          let count = 2;
-          let run = 400;
-          while (run <= pan.len - prof.studW) {
-            count += 1;
-            run += prof.spacing;
-          }
-          sections.push([`  Studs`, count, studLen, prof.studW, wallThk, "@400"]);
-        }
-
-        // Opening framing items attributed to this panel
-        const items = openingItemsByPanel[p] || [];
-        for (let i = 0; i < items.length; i++) sections.push(items[i]);
-      }
-    }
-
-    return { sections };
-  }
-
-  const sections = [];
-  const variant = state.walls?.variant || "insulated";
-  const baseHeight = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
-
-  const prof = resolveProfile(state, variant);
-
-  const plateY = prof.studW;
-  const wallThk = prof.studH;
-
-  const frameW = Math.max(1, Math.floor(state.w));
-  const frameD = Math.max(1, Math.floor(state.d));
-
-  const minH = Math.max(100, Math.floor(Number(state?.roof?.pent?.minHeight_mm ?? baseHeight)));
-  const maxH = Math.max(100, Math.floor(Number(state?.roof?.pent?.maxHeight_mm ?? baseHeight)));
-
-  function heightAtX(x_mm) {
-    const x = Math.max(0, Math.min(frameW, Math.floor(Number(x_mm))));
-    const t = frameW > 0 ? (x / frameW) : 0;
-    return Math.max(100, Math.floor(minH + (maxH - minH) * t));
-  }
-
-  const lengths = {
-    front: frameW,
-    back: frameW,
-    left: Math.max(1, frameD - 2 * wallThk),
-    right: Math.max(1, frameD - 2 * wallThk),
-  };
-
-  const flags = normalizeWallFlags(state);
-  const walls = ["front", "back", "left", "right"].filter((w) => flags[w]);
-
-  function isInsideAnyOpeningAt(pos, intervals) {
-    for (let i = 0; i < intervals.length; i++) {
-      const d = intervals[i];
-      const c = pos + prof.studW / 2;
-      if (c > d.x0 && c < d.x1) return true;
-    }
-    return false;
-  }
-
-  for (const wname of walls) {
-    const L = lengths[wname];
-
-    const isFrontBack = (wname === "front" || wname === "back");
-    const isSlopeWall = isFrontBack;
-
-    const wallHFlat = (wname === "left") ? minH : (wname === "right") ? maxH : baseHeight;
-    const studLenFlat = Math.max(1, wallHFlat - 2 * plateY);
-
-    sections.push([`WALL: ${wname} (${variant})`, "", "", "", "", `pent slope X; minH=${minH}mm, maxH=${maxH}mm; L=${L}mm`]);
-
-    let panels = [{ start: 0, len: L }];
-    if (variant === "basic" && isFrontBack) {
-      const doors = getDoorIntervalsForWallFromState(state, wname);
-      const wins = getWindowIntervalsForWallFromState(state, wname);
-      const openingsX = doors.concat(wins);
-      panels = computeBasicPanels(L, prof, openingsX);
-      if (!panels.length) panels = [{ start: 0, len: L }];
-    }
-
-    const doorsW = getDoorIntervalsForWallFromState(state, wname);
-    const winsW = getWindowIntervalsForWallFromState(state, wname);
-    const openingsX = doorsW.concat(winsW);
-
-    const openingItemsByPanel = {};
-    for (let i = 0; i < panels.length; i++) openingItemsByPanel[i] = [];
-
-    for (let i = 0; i < doorsW.length; i++) {
-      const d = doorsW[i];
-      const pi = pickPanelIndexForCenter(panels, d.x0, d.x1);
-      if (pi < 0) continue;
-
-      const id = String(d.id || "");
-      const headerL = (d.w + 2 * prof.studW);
-
-      const cx = Math.floor((d.x0 + d.x1) / 2);
-      const topH = isSlopeWall ? heightAtX(cx) : wallHFlat;
-      const studLenLocal = Math.max(1, topH - 2 * plateY);
-
-      openingItemsByPanel[pi].push(["  Door Uprights", 2, studLenLocal, prof.studW, wallThk, `door ${id}; pent slope; ${wname}`]);
-      openingItemsByPanel[pi].push(["  Door Header", 1, headerL, prof.studH, wallThk, `door ${id}; pent slope; ${wname}`]);
-    }
-
-    for (let i = 0; i < winsW.length; i++) {
-      const w = winsW[i];
-      const pi = pickPanelIndexForCenter(panels, w.x0, w.x1);
-      if (pi < 0) continue;
-
-      const id = String(w.id || "");
-      const headerL = (w.w + 2 * prof.studW);
-
-      const cx = Math.floor((w.x0 + w.x1) / 2);
-      const topH = isSlopeWall ? heightAtX(cx) : wallHFlat;
-      const studLenLocal = Math.max(1, topH - 2 * plateY);
-
-      openingItemsByPanel[pi].push(["  Window Uprights", 2, studLenLocal, prof.studW, wallThk, `window ${id}; pent slope; ${wname}`]);
-      openingItemsByPanel[pi].push(["  Window Header", 1, headerL, prof.studH, wallThk, `window ${id}; pent slope; ${wname}`]);
-      openingItemsByPanel[pi].push(["  Window Sill", 1, headerL, prof.studH, wallThk, `window ${id}; pent slope; ${wname}`]);
-    }
-
-    for (let p = 0; p < panels.length; p++) {
-      const pan = panels[p];
-
-      sections.push([`  PANEL ${p + 1}`, "", "", "", "", `start=${pan.start}mm, len=${pan.len}mm`]);
-
-      sections.push([`  Bottom Plate`, 1, pan.len, plateY, wallThk, isSlopeWall ? `pent slope; ${wname}` : ""]);
-
-      if (isSlopeWall) {
-        const x0 = pan.start;
-        const x1 = pan.start + pan.len;
-        const h0 = heightAtX(x0);
-        const h1 = heightAtX(x1);
-        sections.push([`  Top Plate (Sloped)`, 1, pan.len, plateY, wallThk, `pent slope; ${wname}; minH=${h0}mm maxH=${h1}mm`]);
-      } else {
-        sections.push([`  Top Plate`, 1, pan.len, plateY, wallThk, `pent; ${wname}; H=${wallHFlat}mm`]);
-      }
-
-      if (!isSlopeWall) {
-        if (variant === "basic") sections.push([`  Studs`, 3, studLenFlat, prof.studW, wallThk, `pent; ${wname}`]);
-        else {
-          let count = 2;
-          let run = 400;
-          while (run <= pan.len - prof.studW) { count += 1; run += prof.spacing; }
-          sections.push([`  Studs`, count, studLenFlat, prof.studW, wallThk, `pent; ${wname}; @400`]);
-        }
-      } else {
-        const studsByLen = {};
-
-        function addStudLen(len) {
-          const Lmm = Math.max(1, Math.floor(len));
-          studsByLen[Lmm] = (studsByLen[Lmm] || 0) + 1;
-        }
-
-        if (variant === "basic") {
-          const offsetAlong = pan.start;
-          const panelLen = pan.len;
-
-          const x0s = offsetAlong;
-          const x1s = offsetAlong + panelLen - prof.studW;
-          const xm = Math.max(x0s, Math.floor(offsetAlong + panelLen / 2 - prof.studW / 2));
-
-          const panelOpenings = openingsX.filter((d) => {
-            const s = d.x0;
-            const e = d.x1;
-            return e > offsetAlong && s < (offsetAlong + panelLen);
-          });
-
-          const studAt = (posStart) => {
-            for (let i = 0; i < panelOpenings.length; i++) {
-              const d = panelOpenings[i];
-              if (posStart + prof.studW > d.x0 && posStart < d.x1) return false;
-            }
-            return true;
-          };
-
-          if (studAt(x0s)) {
-            const cx = Math.floor(x0s + prof.studW / 2);
-            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
-          }
-          if (studAt(x1s)) {
-            const cx = Math.floor(x1s + prof.studW / 2);
-            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
-          }
-
-          let midAllowed = true;
-          for (let i = 0; i < panelOpenings.length; i++) {
-            const d = panelOpenings[i];
-            if (xm + prof.studW > d.x0 && xm < d.x1) { midAllowed = false; break; }
-          }
-          if (midAllowed) {
-            const cx = Math.floor(xm + prof.studW / 2);
-            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
-          }
-        } else {
-          const offset = pan.start;
-          const len = pan.len;
-
-          if (!isInsideAnyOpeningAt(offset, openingsX)) {
-            const cx = Math.floor(offset + prof.studW / 2);
-            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
-          }
-          if (!isInsideAnyOpeningAt(offset + (len - prof.studW), openingsX)) {
-            const cx = Math.floor(offset + (len - prof.studW) + prof.studW / 2);
-            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
-          }
-
-          let x = 400;
-          while (x <= len - prof.studW) {
-            if (Math.abs(x - (len - prof.studW)) < 1) break;
-            const posStart = offset + x;
-            if (!isInsideAnyOpeningAt(posStart, openingsX)) {
-              const cx = Math.floor(posStart + prof.studW / 2);
-              addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
-            }
-            x += prof.spacing;
-          }
-        }
-
-        Object.keys(studsByLen).sort((a, b) => Number(a) - Number(b)).forEach((k) => {
-          sections.push([`  Studs`, studsByLen[k], Number(k), prof.studW, wallThk, `pent slope; ${wname}`]);
-        });
-      }
-
-      const items = openingItemsByPanel[p] || [];
-      for (let i = 0; i < items.length; i++) sections.push(items[i]);
-    }
-  }
-
-  return { sections };
-}
-
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
+  return { items: bomItems(state) };
 }
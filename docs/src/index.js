@@ -27,22 +27,37 @@ window.addEventListener("unhandledrejection", function (e) {
   window.__dbg.lastError = (e && e.reason) ? String(e.reason) : "unhandledrejection";
 });
 
-import { createStateStore } from "./state.js";
-import { DEFAULTS, resolveDims } from "./params.js";
-import { boot, disposeAll } from "./renderer/babylon.js";
+import { createStateStore, deepMerge } from "./state.js";
+import { CONFIG, DEFAULTS, OPENING_DEFAULTS, CLADDING_PROFILES, resolveDims, resolveApexHeights, resolveHippedHeights, resolveCladding, resolveStock, resolveStructure, resolveSite, resolveFoundation, resolveGround, resolveJoists, crestFromPitch } from "./params.js";
+import { boot } from "./renderer/babylon.js";
+import { exportModel } from "./renderer/export.js";
+import { createInspector } from "./renderer/inspect.js";
+import { createOpeningEditor } from "./renderer/openings.js";
+import { createStructureHighlighter } from "./renderer/structure.js";
+import { buildDrawings, buildDrawingSet } from "./drawings/model.js";
+import { drawingsToDxf } from "./drawings/dxf.js";
+import { renderDrawingSet } from "./drawings/svg.js";
 import * as Base from "./elements/base.js";
 import * as Walls from "./elements/walls.js";
 import * as Roof from "./elements/roof.js";
 import { renderBOM } from "./bom/index.js";
+import { WALL_OVERHANG_MM, wallRise, applyRoofWallHeight, wallOuterDims, elementStates } from "./model/index.js";
+import { resolveProfile } from "./model/walls.js";
+import { checkStructure } from "./model/structure.js";
+import { checkCompliance } from "./model/compliance.js";
+import { bomToCsv, bomToJson, downloadText } from "./bom/model.js";
+import { DEFAULT_CATALOGUE, normaliseEntry, loadCatalogue, saveCatalogue, parseCatalogue, catalogueToCsv, priceBom, renderQuote, renderCatalogueEditor } from "./bom/pricing.js";
+import { optimiseStock, renderStockPlan } from "./bom/stock.js";
+import { nestSheets, renderSheetPlan } from "./bom/sheets.js";
+import { renderStructureChecks } from "./bom/structure.js";
 import { initInstancesUI } from "./instances.js";
+import { encodeDesign, decodeDesign, readShareParam, shareUrl } from "./share.js";
+import { resolveUnits, parseLength, formatLength, unitLabel } from "./units.js";
 
 function $(id) { return document.getElementById(id); }
 function setDisplay(el, val) { if (el && el.style) el.style.display = val; }
 function setAriaHidden(el, hidden) { if (el) el.setAttribute("aria-hidden", String(!!hidden)); }
 
-var WALL_OVERHANG_MM = 25;
-var WALL_RISE_MM = 168;
-
 function shiftWallMeshes(scene, dx_mm, dy_mm, dz_mm) {
   if (!scene || !scene.meshes) return;
   var dx = (dx_mm || 0) / 1000;
@@ -147,13 +162,13 @@ function ensureRequiredDomScaffolding() {
     pir.appendChild(tbody4);
     bomPage.appendChild(pir);
   }
-  if (!$("gridBody")) {
-    var grid = document.createElement("table");
-    grid.id = "gridTable";
+  if (!$("foundationBody")) {
+    var foundation = document.createElement("table");
+    foundation.id = "foundationTable";
     var tbody5 = document.createElement("tbody");
-    tbody5.id = "gridBody";
-    grid.appendChild(tbody5);
-    bomPage.appendChild(grid);
+    tbody5.id = "foundationBody";
+    foundation.appendChild(tbody5);
+    bomPage.appendChild(foundation);
   }
 
   // Roof cutting list target (roof module renders into #roofBomTable if present)
@@ -210,6 +225,8 @@ function initApp() {
     var vWallLeftEl = $("vWallLeft");
     var vWallRightEl = $("vWallRight");
 
+    var unitModeMetricEl = $("unitModeMetric");
+    var unitModeImperialEl = $("unitModeImperial");
     var dimModeEl = $("dimMode");
     var wInputEl = $("wInput");
     var dInputEl = $("dInput");
@@ -219,6 +236,13 @@ function initApp() {
     var roofMinHeightEl = $("roofMinHeight");
     var roofMaxHeightEl = $("roofMaxHeight");
 
+    var roofApexEaveHeightEl = $("roofApexEaveHeight");
+    var roofApexCrestHeightEl = $("roofApexCrestHeight");
+    var roofPitchApexEl = $("roofPitchApex");
+    var roofHippedEaveHeightEl = $("roofHippedEaveHeight");
+    var roofHippedCrestHeightEl = $("roofHippedCrestHeight");
+    var roofPitchHippedEl = $("roofPitchHipped");
+
     var overUniformEl = $("roofOverUniform");
     var overFrontEl = $("roofOverFront");
     var overBackEl = $("roofOverBack");
@@ -227,6 +251,47 @@ function initApp() {
 
     var wallSectionEl = $("wallSection"); // NEW
     var wallsVariantEl = $("wallsVariant");
+    var claddingProfileEl = $("claddingProfile");
+    var claddingOrientationEl = $("claddingOrientation");
+    var claddingCoverEl = $("claddingCover");
+    var claddingThicknessEl = $("claddingThickness");
+    var claddingHintEl = $("claddingHint");
+    var stockLengthsEl = $("stockLengths");
+    var stockKerfEl = $("stockKerf");
+    var joistSpacingEl = $("joistSpacing");
+    var joistSectionEl = $("joistSection");
+    var joistSpanEl = $("joistSpan");
+    var joistNogginsEl = $("joistNoggins");
+    var foundationTypeEl = $("foundationType");
+    var foundationGridEl = $("foundationGrid");
+    var foundationPadSizeEl = $("foundationPadSize");
+    var foundationPadDepthEl = $("foundationPadDepth");
+    var foundationScrewLengthEl = $("foundationScrewLength");
+    var foundationSlabThicknessEl = $("foundationSlabThickness");
+    var groundModeEl = $("groundMode");
+    var groundFallTowardEl = $("groundFallToward");
+    var groundFallPctEl = $("groundFallPct");
+    var groundFrontLeftEl = $("groundFrontLeft");
+    var groundFrontRightEl = $("groundFrontRight");
+    var groundBackLeftEl = $("groundBackLeft");
+    var groundBackRightEl = $("groundBackRight");
+    var structGradeEl = $("structGrade");
+    var structFloorSupportEl = $("structFloorSupport");
+    var structSnowEl = $("structSnow");
+    var structRoofDeadEl = $("structRoofDead");
+    var structFloorImposedEl = $("structFloorImposed");
+    var siteBoundaryFrontEl = $("siteBoundaryFront");
+    var siteBoundaryBackEl = $("siteBoundaryBack");
+    var siteBoundaryLeftEl = $("siteBoundaryLeft");
+    var siteBoundaryRightEl = $("siteBoundaryRight");
+    var sitePlotAreaEl = $("sitePlotArea");
+    var siteOtherBuildingsEl = $("siteOtherBuildings");
+    var complianceResultsEl = $("complianceResults");
+    var quoteCustomerEl = $("quoteCustomer");
+    var quoteReferenceEl = $("quoteReference");
+    var quoteLabourHoursEl = $("quoteLabourHours");
+    var quoteLabourRateEl = $("quoteLabourRate");
+    var quoteMarginEl = $("quoteMargin");
     var wallHeightEl = $("wallHeight");
 
     var addDoorBtnEl = $("addDoorBtn");
@@ -274,6 +339,66 @@ function initApp() {
       var n = Math.floor(Number(v));
       return Number.isFinite(n) && n >= 0 ? n : def;
     };
+
+    // ---- Units: state is always mm; inputs read/show state.units (see units.js) ----
+    function currentUnits() { return resolveUnits(store.getState()); }
+
+    // Typed length in mm; null when blank, NaN when unreadable.
+    function readLen(el) { return parseLength(el ? el.value : "", currentUnits()); }
+
+    // Imperial fields need a foot or inch mark: a bare "600" could be mm or inches, so it is not read.
+    var IMPERIAL_LENGTH_HINT = "Feet and inches, e.g. 2' 11 1/2\" or 35.5\"";
+
+    function setLen(el, mm, units) {
+      if (!el) return;
+      var u = units || currentUnits();
+      // Leave a focused field alone while it still reads as this value (keeps the caret and the user's spelling).
+      if (document.activeElement === el) {
+        var cur = parseLength(el.value, u);
+        if (mm == null ? cur == null : (cur != null && Math.floor(cur) === Math.floor(Number(mm)))) return;
+      }
+      el.value = mm == null ? "" : formatLength(mm, u);
+    }
+
+    // Number spinners for metric, free text for feet-inches; labels carry <span data-unit-label>.
+    function syncUnitsUi(units) {
+      if (unitModeMetricEl) unitModeMetricEl.checked = units === "metric";
+      if (unitModeImperialEl) unitModeImperialEl.checked = units === "imperial";
+
+      var type = units === "imperial" ? "text" : "number";
+      var lengthEls = [
+        wInputEl, dInputEl,
+        roofMinHeightEl, roofMaxHeightEl, roofApexEaveHeightEl, roofApexCrestHeightEl, roofHippedEaveHeightEl, roofHippedCrestHeightEl,
+        overUniformEl, overFrontEl, overBackEl, overLeftEl, overRightEl, wallHeightEl,
+        siteBoundaryFrontEl, siteBoundaryBackEl, siteBoundaryLeftEl, siteBoundaryRightEl,
+        foundationGridEl, foundationPadSizeEl, foundationPadDepthEl, foundationScrewLengthEl, foundationSlabThicknessEl,
+        groundFrontLeftEl, groundFrontRightEl, groundBackLeftEl, groundBackRightEl
+      ];
+      for (var i = 0; i < lengthEls.length; i++) {
+        if (!lengthEls[i]) continue;
+        if (lengthEls[i].type !== type) lengthEls[i].type = type;
+        lengthEls[i].title = units === "imperial" ? IMPERIAL_LENGTH_HINT : "";
+      }
+
+      var labels = document.querySelectorAll("[data-unit-label]");
+      for (var j = 0; j < labels.length; j++) labels[j].textContent = unitLabel(units);
+    }
+
+    // Live length fields: metric updates on every keystroke; imperial text (10' 6 1/2") only on change,
+    // so half-typed feet/inches never reach the model. Unreadable text is put back to the model value.
+    function wireLengthInput(el, onValue) {
+      if (!el) return;
+      function fire(e) {
+        var mm = readLen(el);
+        if (Number.isNaN(mm)) {
+          if (e && e.type === "change") syncUiFromState(store.getState(), syncInvalidOpeningsIntoState());
+          return;
+        }
+        onValue(mm);
+      }
+      el.addEventListener("input", function (e) { if (currentUnits() === "metric") fire(e); });
+      el.addEventListener("change", fire);
+    }
     var asNullableInt = function (v) {
       if (v == null || v === "") return null;
       var n = Math.floor(Number(v));
@@ -282,35 +407,20 @@ function initApp() {
 
     function clamp(n, a, b) { return Math.max(a, Math.min(b, n)); }
 
+    // Legacy vis.walls (boolean) / vis.wallsParts snapshots are upgraded by migrations.js before they reach the store.
     function getWallsEnabled(state) {
       var vis = state && state.vis ? state.vis : null;
-      if (vis && typeof vis.walls === "boolean") return vis.walls;
-      if (vis && typeof vis.wallsEnabled === "boolean") return vis.wallsEnabled;
-      return true;
+      return !(vis && vis.wallsEnabled === false);
     }
 
     function getWallParts(state) {
-      var vis = state && state.vis ? state.vis : null;
-
-      if (vis && vis.walls && typeof vis.walls === "object") {
-        return {
-          front: vis.walls.front !== false,
-          back: vis.walls.back !== false,
-          left: vis.walls.left !== false,
-          right: vis.walls.right !== false
-        };
-      }
-
-      if (vis && vis.wallsParts && typeof vis.wallsParts === "object") {
-        return {
-          front: vis.wallsParts.front !== false,
-          back: vis.wallsParts.back !== false,
-          left: vis.wallsParts.left !== false,
-          right: vis.wallsParts.right !== false
-        };
-      }
-
-      return { front: true, back: true, left: true, right: true };
+      var walls = state && state.vis && state.vis.walls ? state.vis.walls : {};
+      return {
+        front: walls.front !== false,
+        back: walls.back !== false,
+        left: walls.left !== false,
+        right: walls.right !== false
+      };
     }
 
     function resume3D() {
@@ -329,6 +439,10 @@ function initApp() {
       setAriaHidden(bomPage, true);
       setAriaHidden(wallsPage, true);
       setAriaHidden(roofPage, true);
+      setDisplay($("quotePage"), "none");
+      setAriaHidden($("quotePage"), true);
+      setDisplay($("drawingsPage"), "none");
+      setAriaHidden($("drawingsPage"), true);
 
       try { if (engine && typeof engine.resize === "function") engine.resize(); } catch (e) {}
       try { if (camera && typeof camera.attachControl === "function") camera.attachControl(canvas, true); } catch (e) {}
@@ -349,6 +463,8 @@ function initApp() {
       setAriaHidden(bomPage, true);
       setAriaHidden(wallsPage, false);
       setAriaHidden(roofPage, true);
+      setDisplay($("quotePage"), "none");
+      setAriaHidden($("quotePage"), true);
 
       try { if (camera && typeof camera.detachControl === "function") camera.detachControl(); } catch (e) {}
     }
@@ -368,6 +484,8 @@ function initApp() {
       setAriaHidden(bomPage, false);
       setAriaHidden(wallsPage, true);
       setAriaHidden(roofPage, true);
+      setDisplay($("quotePage"), "none");
+      setAriaHidden($("quotePage"), true);
 
       try { if (camera && typeof camera.detachControl === "function") camera.detachControl(); } catch (e) {}
     }
@@ -387,6 +505,8 @@ function initApp() {
       setAriaHidden(bomPage, true);
       setAriaHidden(wallsPage, true);
       setAriaHidden(roofPage, false);
+      setDisplay($("quotePage"), "none");
+      setAriaHidden($("quotePage"), true);
 
       try { if (camera && typeof camera.detachControl === "function") camera.detachControl(); } catch (e) {}
     }
@@ -591,15 +711,15 @@ function initApp() {
 
       // NEW: camera snap API for views.js
       getActiveSceneCamera: getActiveSceneCamera,
-      snapCameraToView: snapCameraToView
-    };
+      snapCameraToView: snapCameraToView,
 
-    function getWallOuterDimsFromState(state) {
-      var R = resolveDims(state);
-      var w = Math.max(1, Math.floor(R.base.w_mm + (2 * WALL_OVERHANG_MM)));
-      var d = Math.max(1, Math.floor(R.base.d_mm + (2 * WALL_OVERHANG_MM)));
-      return { w_mm: w, d_mm: d };
-    }
+      // Drawing set page (drawn from the live scene when opened)
+      showDrawings: function () { refreshDrawings(store.getState()); },
+
+      // Undo/redo (views.js owns the keyboard shortcuts so they share its isTypingTarget check)
+      undo: function () { return store.undo(); },
+      redo: function () { return store.redo(); }
+    };
 
     function currentWallThicknessFromState(state) {
       var v = (state && state.walls && state.walls.variant) ? String(state.walls.variant) : "insulated";
@@ -620,13 +740,14 @@ function initApp() {
     }
 
     function currentStudLenFromState(state) {
+      state = applyRoofWallHeight(state);
       var plateY = currentPlateYFromState(state);
       var H = state && state.walls && state.walls.height_mm != null ? Math.max(100, Math.floor(Number(state.walls.height_mm))) : 2400;
       return Math.max(1, H - 2 * plateY);
     }
 
     function getWallLengthsForOpenings(state) {
-      var dims = getWallOuterDimsFromState(state);
+      var dims = wallOuterDims(state);
       var thk = currentWallThicknessFromState(state);
       return {
         front: Math.max(1, Math.floor(dims.w_mm)),
@@ -637,14 +758,6 @@ function initApp() {
       };
     }
 
-    function safeDispose() {
-      try {
-        try { disposeAll(ctx); return; } catch (e) {}
-        try { disposeAll(ctx && ctx.scene ? ctx.scene : null); return; } catch (e) {}
-        try { disposeAll(); } catch (e) {}
-      } catch (e) {}
-    }
-
     function isPentRoofStyle(state) {
       var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
       return roofStyle === "pent";
@@ -677,49 +790,239 @@ function initApp() {
       return { minH: minH, maxH: maxH, base: base };
     }
 
+    function isHippedRoofStyle(state) {
+      var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
+      return roofStyle === "hipped";
+    }
+
+    function isApexRoofStyle(state) {
+      var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
+      return roofStyle === "apex";
+    }
+
+    function getHippedHeightsFromState(state) {
+      var h = resolveHippedHeights(state || {});
+      return { eave: h.eave_mm, crest: h.crest_mm, halfSpan: h.halfSpan_mm };
+    }
+
+    function getApexHeightsFromState(state) {
+      var h = resolveApexHeights(state || {});
+      return { eave: h.eave_mm, crest: h.crest_mm, pitch: h.pitch_deg, halfSpan: h.halfSpan_mm };
+    }
+
+    function formatPitchDeg(rise_mm, run_mm) {
+      var deg = Math.atan2(Math.max(0, rise_mm), Math.max(1, run_mm)) * 180 / Math.PI;
+      return (Math.round(deg * 10) / 10) + "°";
+    }
+
+    var lastBomItems = [];
+    var priceCatalogue = loadCatalogue();
+
+    // Drag doors / windows along and between walls, resize with handles (snapping: snapOpeningPatch).
+    var openingEditor = createOpeningEditor({
+      scene: ctx.scene,
+      canvas: canvas,
+      getCamera: function () { return getActiveSceneCamera().camera; },
+      getState: function () { return store.getState(); },
+      frames: getOpeningWallFrames,
+      snap: snapOpeningPatch,
+      apply: function (id, patch) { patchOpeningById(id, patch); },
+      begin: function () { store.beginTransaction(); },
+      end: function () { store.endTransaction(); }
+    });
+
+    // Click-to-inspect members; cutting-list rows highlight the members they cover.
+    var inspector = createInspector({
+      scene: ctx.scene,
+      getItems: function () { return lastBomItems; },
+      getUnits: function () { return resolveUnits(store.getState()); }
+    });
+
+    // Members that fail a structural check glow red (warnings are listed above the cutting lists).
+    var structureHighlighter = createStructureHighlighter(ctx.scene);
+
+    function getQuoteSettings(state) {
+      var q = (state && state.quote) ? state.quote : {};
+      var d = DEFAULTS.quote;
+      function n(v, def) { var x = Number(v); return (v != null && v !== "" && isFinite(x) && x >= 0) ? x : def; }
+      return {
+        customer: q.customer != null ? String(q.customer) : "",
+        reference: q.reference != null ? String(q.reference) : "",
+        labourHours: n(q.labourHours, d.labourHours),
+        labourRate: n(q.labourRate, d.labourRate),
+        marginPct: n(q.marginPct, d.marginPct)
+      };
+    }
+
+    // Class E permitted-development check: one line per rule, with the dimension that breaks it.
+    function refreshCompliance(state) {
+      if (!complianceResultsEl) return;
+      var result = checkCompliance(state);
+      complianceResultsEl.innerHTML = "";
+      for (var i = 0; i < result.rules.length; i++) {
+        var r = result.rules[i];
+        var li = document.createElement("li");
+        li.className = r.ok === true ? "pass" : (r.ok === false ? "fail" : "todo");
+        li.textContent = r.label + ": " + r.message;
+        complianceResultsEl.appendChild(li);
+      }
+    }
+
+    function refreshQuote(state) {
+      var q = getQuoteSettings(state);
+      var quote = priceBom(lastBomItems, priceCatalogue, {
+        kerf_mm: resolveStock(state).kerf_mm,
+        labourHours: q.labourHours,
+        labourRate: q.labourRate,
+        marginPct: q.marginPct
+      });
+      renderQuote(quote);
+
+      var headerEl = $("quoteHeader");
+      if (headerEl) {
+        var R = resolveDims(state);
+        var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
+        headerEl.textContent = (q.customer ? q.customer + " — " : "") + (q.reference ? "Ref " + q.reference + " — " : "") +
+          new Date().toLocaleDateString("en-GB") + " — " + R.frame.w_mm + "×" + R.frame.d_mm + "mm " + roofStyle + " shed";
+      }
+    }
+
+    function refreshDrawings(state) {
+      var q = getQuoteSettings(state);
+      var paperEl = $("drawingPaper");
+      renderDrawingSet("drawingSheets", buildDrawingSet(state), {
+        paper: paperEl ? paperEl.value : "A3",
+        customer: q.customer,
+        reference: q.reference ? "Ref " + q.reference : "",
+        date: new Date().toLocaleDateString("en-GB")
+      });
+    }
+
+    function setPriceCatalogue(next, msg) {
+      priceCatalogue = next;
+      var saved = saveCatalogue(next);
+      renderCatalogueEditor(priceCatalogue, function (list) { setPriceCatalogue(list); });
+      refreshQuote(store.getState());
+      var hintEl = $("catalogueHint");
+      if (hintEl) hintEl.textContent = (msg ? msg + " " : "") + (saved ? "" : "(Could not save: browser storage unavailable.)");
+    }
+
+    // ---- Incremental rebuild: each element declares the state paths it reads (DEPS in elements/*.js) ----
+    // Meshes are rebuilt and BOMs recomputed only when those inputs change; visibility just shows/hides meshes.
+    var builtKeys = { base: null, walls: null, roof: null };
+    var elementOutputs = { base: null, walls: null, roof: null };
+    var lastPlanKey = null;
+
+    function depKey(state, paths) {
+      var vals = [];
+      for (var i = 0; i < paths.length; i++) {
+        var parts = paths[i].split(".");
+        var v = state;
+        for (var j = 0; j < parts.length && v != null; j++) v = v[parts[j]];
+        vals.push(v === undefined ? null : v);
+      }
+      return JSON.stringify(vals);
+    }
+
+    function rebuildIfChanged(name, mod, state, after) {
+      if (!mod || typeof mod.build3D !== "function") return;
+      var key = depKey(state, mod.DEPS.build);
+      if (key === builtKeys[name]) return;
+      mod.build3D(state, ctx);
+      if (after) after();
+      builtKeys[name] = key;
+    }
+
+    // { key, bom, cuts, sheets } for one element, recomputed only when its BOM inputs change.
+    function outputsFor(name, mod, state, compute) {
+      var key = depKey(state, mod.DEPS.bom);
+      var prev = elementOutputs[name];
+      if (prev && prev.key === key) return prev;
+      elementOutputs[name] = Object.assign({ key: key }, compute());
+      return elementOutputs[name];
+    }
+
     function render(state) {
       try {
         window.__dbg.buildCalls += 1;
 
-        var R = resolveDims(state);
-        var baseState = Object.assign({}, state, { w: R.base.w_mm, d: R.base.d_mm });
+        var states = elementStates(state);
+        var baseState = states.base;
+        var wallState = states.walls;
+        var roofState = states.roof;
 
-        var wallDims = getWallOuterDimsFromState(state);
-        var wallState = Object.assign({}, state, { w: wallDims.w_mm, d: wallDims.d_mm });
+        var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
 
-        safeDispose();
+        var wallsOn = getWallsEnabled(state);
+        var rise = wallRise(state);
 
-        if (Base && typeof Base.build3D === "function") Base.build3D(baseState, ctx);
+        rebuildIfChanged("base", Base, baseState);
+        if (Base && typeof Base.applyVisibility === "function") Base.applyVisibility(baseState, ctx);
 
-        if (getWallsEnabled(state)) {
-          if (Walls && typeof Walls.build3D === "function") Walls.build3D(wallState, ctx);
-          shiftWallMeshes(ctx.scene, -WALL_OVERHANG_MM, WALL_RISE_MM, -WALL_OVERHANG_MM);
+        // Hidden walls keep their meshes; they are rebuilt when shown again if their inputs changed meanwhile.
+        if (wallsOn) {
+          rebuildIfChanged("walls", Walls, wallState, function () {
+            shiftWallMeshes(ctx.scene, -WALL_OVERHANG_MM, rise, -WALL_OVERHANG_MM);
+          });
         }
+        if (Walls && typeof Walls.applyVisibility === "function") Walls.applyVisibility(wallState, ctx);
 
-        var roofStyle = (state && state.roof && state.roof.style) ? String(state.roof.style) : "apex";
+        // Roof.build3D clears the previous roof, and builds nothing for unsupported styles.
+        rebuildIfChanged("roof", Roof, roofState, function () {
+          shiftRoofMeshes(ctx.scene, -WALL_OVERHANG_MM, rise, -WALL_OVERHANG_MM);
+        });
 
-        // Build roof for supported styles (pent + apex). (No behavior change for pent.)
-        if (roofStyle === "pent" || roofStyle === "apex") {
-          var roofW = (R && R.roof && R.roof.w_mm != null) ? Math.max(1, Math.floor(R.roof.w_mm)) : Math.max(1, Math.floor(R.base.w_mm));
-          var roofD = (R && R.roof && R.roof.d_mm != null) ? Math.max(1, Math.floor(R.roof.d_mm)) : Math.max(1, Math.floor(R.base.d_mm));
-          var roofState = Object.assign({}, state, { w: roofW, d: roofD });
+        var roofOut = outputsFor("roof", Roof, roofState, function () {
+          if (roofStyle === "pent" || roofStyle === "apex" || roofStyle === "hipped") {
+            return { bom: Roof.updateBOM(roofState), cuts: Roof.timberCuts(roofState), sheets: Roof.sheetCuts(roofState) };
+          }
+          try { Roof.updateBOM(roofState); } catch (e0) {}
+          return { bom: null, cuts: [], sheets: { osb: [] } };
+        });
 
-          if (Roof && typeof Roof.build3D === "function") Roof.build3D(roofState, ctx);
-          shiftRoofMeshes(ctx.scene, -WALL_OVERHANG_MM, WALL_RISE_MM, -WALL_OVERHANG_MM);
+        var wallsOut = outputsFor("walls", Walls, wallState, function () {
+          var bom = Walls.updateBOM(wallState);
+          if (bom && bom.items) renderBOM(bom.items, { units: resolveUnits(state) });
+          return { bom: bom, cuts: Walls.timberCuts(wallState) };
+        });
 
-          if (Roof && typeof Roof.updateBOM === "function") Roof.updateBOM(roofState);
-        } else {
-          try {
-            if (Roof && typeof Roof.updateBOM === "function") Roof.updateBOM(Object.assign({}, state, { roof: Object.assign({}, state.roof || {}, { style: roofStyle }) }));
-          } catch (e0) {}
-        }
+        var baseOut = outputsFor("base", Base, baseState, function () {
+          return { bom: Base.updateBOM(baseState), cuts: Base.timberCuts(baseState), sheets: Base.sheetCuts(baseState) };
+        });
 
-        if (Walls && typeof Walls.updateBOM === "function") {
-          var wallsBom = Walls.updateBOM(wallState);
-          if (wallsBom && wallsBom.sections) renderBOM(wallsBom.sections);
+        // Whole-shed BOM for export: base, then walls (when built), then roof.
+        lastBomItems = [].concat(
+          (baseOut.bom && baseOut.bom.items) || [],
+          (wallsOn && wallsOut.bom && wallsOut.bom.items) || [],
+          (roofOut.bom && roofOut.bom.items) || []
+        );
+        refreshQuote(state);
+        refreshCompliance(state);
+
+        var stock = resolveStock(state);
+        var planKey = [baseOut.key, wallsOn ? wallsOut.key : "", roofOut.key, JSON.stringify(stock)].join("|");
+        if (planKey !== lastPlanKey) {
+          lastPlanKey = planKey;
+          renderStockPlan(optimiseStock(baseOut.cuts.concat(wallsOn ? wallsOut.cuts : [], roofOut.cuts), stock));
+
+          var floorSheets = baseOut.sheets || { osb: [], pir: [] };
+          var roofSheets = roofOut.sheets || { osb: [] };
+          renderSheetPlan("sheetNesting", [
+            { title: "OSB 18mm", result: nestSheets(floorSheets.osb.concat(roofSheets.osb), CONFIG.decking, stock.kerf_mm) },
+            { title: "PIR", result: nestSheets(floorSheets.pir, CONFIG.insulation, stock.kerf_mm) }
+          ]);
+          renderSheetPlan("roofSheetNesting", roofSheets.osb.length ? [
+            { title: "Roof OSB 18mm", result: nestSheets(roofSheets.osb, CONFIG.decking, stock.kerf_mm) }
+          ] : []);
         }
 
-        if (Base && typeof Base.updateBOM === "function") Base.updateBOM(baseState);
+        var checks = checkStructure(states);
+        renderStructureChecks(checks);
+        if (structureHighlighter) structureHighlighter.update(checks);
+
+        if (document.body && document.body.dataset.view === "drawings") refreshDrawings(state);
+        if (inspector) inspector.refresh();
+        if (openingEditor) openingEditor.refresh();
       } catch (e) {
         window.__dbg.lastError = "render() failed: " + String(e && e.message ? e.message : e);
       }
@@ -776,7 +1079,7 @@ function initApp() {
         var d = doors[i];
         var wall = String(d.wall || "front");
         var L = wallLen(wall);
-        var w = Math.max(1, Math.floor(Number(d.width_mm || 900)));
+        var w = Math.max(1, Math.floor(Number(d.width_mm || OPENING_DEFAULTS.door.width_mm)));
         var x = Math.floor(Number(d.x_mm || 0));
 
         var minX = minGap;
@@ -809,9 +1112,9 @@ function initApp() {
           for (var b = a + 1; b < list.length; b++) {
             var da = list[a], db = list[b];
             var ax = Math.floor(Number(da.x_mm || 0));
-            var aw = Math.max(1, Math.floor(Number(da.width_mm || 900)));
+            var aw = Math.max(1, Math.floor(Number(da.width_mm || OPENING_DEFAULTS.door.width_mm)));
             var bx = Math.floor(Number(db.x_mm || 0));
-            var bw = Math.max(1, Math.floor(Number(db.width_mm || 900)));
+            var bw = Math.max(1, Math.floor(Number(db.width_mm || OPENING_DEFAULTS.door.width_mm)));
 
             var a0 = ax, a1 = ax + aw;
             var b0 = bx, b1 = bx + bw;
@@ -846,11 +1149,11 @@ function initApp() {
         var wall = String(w0.wall || "front");
         var L = wallLen(wall);
 
-        var w = Math.max(1, Math.floor(Number(w0.width_mm || 900)));
+        var w = Math.max(1, Math.floor(Number(w0.width_mm || OPENING_DEFAULTS.window.width_mm)));
         var x = Math.floor(Number(w0.x_mm || 0));
 
         var y = Math.floor(Number(w0.y_mm || 0));
-        var h = Math.max(1, Math.floor(Number(w0.height_mm || 600)));
+        var h = Math.max(1, Math.floor(Number(w0.height_mm || OPENING_DEFAULTS.window.height_mm)));
 
         var minX = minGap;
         var maxX = Math.max(minX, L - w - minGap);
@@ -890,9 +1193,9 @@ function initApp() {
           for (var b = a + 1; b < list.length; b++) {
             var da = list[a], db = list[b];
             var ax = Math.floor(Number(da.x_mm || 0));
-            var aw = Math.max(1, Math.floor(Number(da.width_mm || 900)));
+            var aw = Math.max(1, Math.floor(Number(da.width_mm || OPENING_DEFAULTS.window.width_mm)));
             var bx = Math.floor(Number(db.x_mm || 0));
-            var bw = Math.max(1, Math.floor(Number(db.width_mm || 900)));
+            var bw = Math.max(1, Math.floor(Number(db.width_mm || OPENING_DEFAULTS.window.width_mm)));
 
             var a0 = ax, a1 = ax + aw;
             var b0 = bx, b1 = bx + bw;
@@ -936,7 +1239,7 @@ function initApp() {
       var lens = getWallLengthsForOpenings(state);
       var L = lens[wall] != null ? Math.max(1, Math.floor(lens[wall])) : 1;
 
-      var w = Math.max(1, Math.floor(Number(d.width_mm || 900)));
+      var w = Math.max(1, Math.floor(Number(d.width_mm || OPENING_DEFAULTS[type].width_mm)));
       var desired = Math.floor(Number(d.x_mm || 0));
 
       var minX = minGap;
@@ -950,7 +1253,7 @@ function initApp() {
       for (var i = 0; i < openings.length; i++) {
         var o = openings[i];
         var ox = Math.floor(Number(o.x_mm || 0));
-        var ow = Math.max(1, Math.floor(Number(o.width_mm || 900)));
+        var ow = Math.max(1, Math.floor(Number(o.width_mm || OPENING_DEFAULTS[type].width_mm)));
         var fa = (ox - minGap - w);
         var fb = (ox + ow + minGap);
         forb.push([fa, fb]);
@@ -973,6 +1276,125 @@ function initApp() {
       return best == null ? clamp(desired, minX, maxX) : best;
     }
 
+    // Wall mid-planes in world mm for dragging openings in 3D (renderer/openings.js).
+    // Mirrors the walls.js layout (front/back run along X, left/right along Z between them) plus shiftWallMeshes.
+    function getOpeningWallFrames(state) {
+      if (!getWallsEnabled(state)) return [];
+      var dims = wallOuterDims(state);
+      var thk = currentWallThicknessFromState(state);
+      var lens = getWallLengthsForOpenings(state);
+      var plateY = currentPlateYFromState(state);
+      var top = currentStudLenFromState(state);
+      if (isPentRoofStyle(state)) {
+        var pent = (state.roof && state.roof.pent) || {};
+        top = Math.max(top, Math.floor(Number(pent.maxHeight_mm || 0)) - 2 * plateY);
+      }
+      var parts = getWallParts(state);
+      var frames = [
+        { id: "front", axis: "x", plane_mm: thk / 2, u0_mm: 0 },
+        { id: "back", axis: "x", plane_mm: dims.d_mm - thk / 2, u0_mm: 0 },
+        { id: "left", axis: "z", plane_mm: thk / 2, u0_mm: thk },
+        { id: "right", axis: "z", plane_mm: dims.w_mm - thk / 2, u0_mm: thk }
+      ];
+      var out = [];
+      for (var i = 0; i < frames.length; i++) {
+        var f = frames[i];
+        if (parts[f.id] === false) continue;
+        out.push({
+          id: f.id,
+          axis: f.axis,
+          plane_mm: f.plane_mm - WALL_OVERHANG_MM,
+          u0_mm: f.u0_mm - WALL_OVERHANG_MM,
+          y0_mm: wallRise(state) + plateY,
+          length_mm: lens[f.id],
+          top_mm: top
+        });
+      }
+      return out;
+    }
+
+    // Regular stud positions along a wall, at the spacing model/walls.js places them (basic panels have none).
+    function studGridForWall(state, L) {
+      var v = (state && state.walls && state.walls.variant) ? String(state.walls.variant) : "insulated";
+      var prof = resolveProfile(state, v);
+      if (!prof.spacing) return [];
+      var studW = prof.studW;
+      var out = [0];
+      for (var x = prof.spacing; x < L - studW; x += prof.spacing) out.push(x);
+      out.push(L - studW);
+      return out;
+    }
+
+    // Live snapping while dragging an opening in 3D: edges snap to the stud grid and to the 50mm clearance
+    // limits of validateDoors/validateWindows; other values round to 10mm. Positions that still break the
+    // rules are kept and show red until moved (same as typed values).
+    var OPENING_SNAP_MM = 60;
+
+    function snapOpeningPatch(state, opening, patch, opts) {
+      var free = !!(opts && opts.free);
+      var o = Object.assign({}, opening, patch);
+      var id = String(o.id || "");
+      var isDoor = String(o.type || "") === "door";
+      var def = OPENING_DEFAULTS[isDoor ? "door" : "window"];
+      var wall = String(o.wall || "front");
+      var L = getWallLengthsForOpenings(state)[wall] || 1;
+      var minGap = 50;
+      var studW = currentStudWFromState(state);
+      var studs = studGridForWall(state, L);
+      var x = Math.floor(Number(o.x_mm || 0));
+      var w = Math.max(1, Math.floor(Number(o.width_mm || def.width_mm)));
+      var others = (isDoor ? getDoorsFromState(state) : getWindowsFromState(state)).filter(function (b) {
+        return String(b.id || "") !== id && String(b.wall || "front") === wall;
+      });
+      var out = Object.assign({}, patch);
+
+      function snapTo(v, candidates) {
+        if (!free) {
+          var best = null;
+          for (var i = 0; i < candidates.length; i++) {
+            var d = Math.abs(candidates[i] - v);
+            if (d <= OPENING_SNAP_MM && (best == null || d < Math.abs(best - v))) best = candidates[i];
+          }
+          if (best != null) return Math.round(best);
+        }
+        return Math.round(v / 10) * 10;
+      }
+
+      if (patch.x_mm != null) {
+        // Left upright on a stud, right upright on a stud, or hard against a clearance limit.
+        var cx = [minGap, L - w - minGap];
+        others.forEach(function (b) {
+          var bx = Math.floor(Number(b.x_mm || 0));
+          var bw = Math.max(1, Math.floor(Number(b.width_mm || def.width_mm)));
+          cx.push(bx - minGap - w, bx + bw + minGap);
+        });
+        studs.forEach(function (sx) { cx.push(sx + studW, sx - w); });
+        out.x_mm = snapTo(Number(patch.x_mm), cx);
+      }
+
+      if (patch.width_mm != null) {
+        var cr = [L - minGap];
+        others.forEach(function (b) {
+          var bx = Math.floor(Number(b.x_mm || 0));
+          if (bx > x) cr.push(bx - minGap);
+        });
+        studs.forEach(function (sx) { cr.push(sx); });
+        out.width_mm = Math.max(100, snapTo(x + Number(patch.width_mm), cr) - x);
+      }
+
+      if (!isDoor && (patch.y_mm != null || patch.height_mm != null)) {
+        var maxTop = currentStudLenFromState(state) - currentWallThicknessFromState(state);
+        var y = Math.max(0, Math.floor(Number(o.y_mm || 0)));
+        var h = Math.max(1, Math.floor(Number(o.height_mm || def.height_mm)));
+        if (patch.y_mm != null) out.y_mm = Math.max(0, snapTo(Number(patch.y_mm), [0, maxTop - h]));
+        if (patch.height_mm != null) out.height_mm = Math.max(100, snapTo(y + Number(patch.height_mm), [maxTop]) - y);
+      } else if (patch.height_mm != null) {
+        out.height_mm = Math.max(100, snapTo(Number(patch.height_mm), []));
+      }
+
+      return out;
+    }
+
     var _invalidSyncGuard = false;
 
     function syncInvalidOpeningsIntoState() {
@@ -1000,7 +1422,7 @@ function initApp() {
       var need = (!sameArr(curDoorsS, nextDoors)) || (!sameArr(curWinsS, nextWins));
       if (need) {
         _invalidSyncGuard = true;
-        store.setState({ walls: { invalidDoorIds: nextDoors, invalidWindowIds: nextWins } });
+        store.setState({ walls: { invalidDoorIds: nextDoors, invalidWindowIds: nextWins } }, { history: false });
         _invalidSyncGuard = false;
       }
 
@@ -1022,6 +1444,23 @@ function initApp() {
       setOpenings(next);
     }
 
+    // Live (per-keystroke) inputs: focus opens a history transaction and blur closes it, so a whole edit
+    // is one undo step (an edit that ends where it started records nothing).
+    function wireLiveHistory(inputEl) {
+      if (!inputEl) return;
+      var open = false;
+      inputEl.addEventListener("focus", function () {
+        if (open) return;
+        open = true;
+        store.beginTransaction();
+      });
+      inputEl.addEventListener("blur", function () {
+        if (!open) return;
+        open = false;
+        store.endTransaction();
+      });
+    }
+
     function wireCommitOnly(inputEl, onCommit) {
       inputEl.addEventListener("blur", function () { onCommit(); });
       inputEl.addEventListener("keydown", function (e) {
@@ -1082,20 +1521,25 @@ function initApp() {
           row.className = "row3";
 
           function makeNum(labelTxt, v, min, step) {
+            var units = resolveUnits(state);
             var lab = document.createElement("label");
-            lab.textContent = labelTxt;
+            lab.textContent = labelTxt + " (" + unitLabel(units) + ")";
             var inp = document.createElement("input");
-            inp.type = "number";
+            inp.type = units === "imperial" ? "text" : "number";
             inp.min = String(min);
             inp.step = String(step);
-            inp.value = String(v == null ? "" : v);
+            if (units === "imperial") {
+              inp.placeholder = "e.g. 2' 11 1/2\"";
+              inp.title = IMPERIAL_LENGTH_HINT;
+            }
+            inp.value = v == null ? "" : formatLength(v, units);
             lab.appendChild(inp);
             return { lab: lab, inp: inp };
           }
 
-          var xField = makeNum("Door X (mm)", Math.floor(Number(door.x_mm ?? 0)), 0, 10);
-          var wField = makeNum("Door W (mm)", Math.floor(Number(door.width_mm ?? 900)), 100, 10);
-          var hField = makeNum("Door H (mm)", Math.floor(Number(door.height_mm ?? 2000)), 100, 10);
+          var xField = makeNum("Door X", Math.floor(Number(door.x_mm ?? 0)), 0, 10);
+          var wField = makeNum("Door W", Math.floor(Number(door.width_mm ?? OPENING_DEFAULTS.door.width_mm)), 100, 10);
+          var hField = makeNum("Door H", Math.floor(Number(door.height_mm ?? OPENING_DEFAULTS.door.height_mm)), 100, 10);
 
           row.appendChild(xField.lab);
           row.appendChild(wField.lab);
@@ -1117,13 +1561,13 @@ function initApp() {
           }
 
           wireCommitOnly(xField.inp, function () {
-            patchOpeningById(id, { x_mm: asNonNegInt(xField.inp.value, Math.floor(Number(door.x_mm ?? 0))) });
+            patchOpeningById(id, { x_mm: asNonNegInt(readLen(xField.inp), Math.floor(Number(door.x_mm ?? 0))) });
           });
           wireCommitOnly(wField.inp, function () {
-            patchOpeningById(id, { width_mm: asPosInt(wField.inp.value, Math.floor(Number(door.width_mm ?? 900))) });
+            patchOpeningById(id, { width_mm: asPosInt(readLen(wField.inp), Math.floor(Number(door.width_mm ?? OPENING_DEFAULTS.door.width_mm))) });
           });
           wireCommitOnly(hField.inp, function () {
-            patchOpeningById(id, { height_mm: asPosInt(hField.inp.value, Math.floor(Number(door.height_mm ?? 2000))) } );
+            patchOpeningById(id, { height_mm: asPosInt(readLen(hField.inp), Math.floor(Number(door.height_mm ?? OPENING_DEFAULTS.door.height_mm))) } );
           });
 
           wallSel.addEventListener("change", function () {
@@ -1221,21 +1665,26 @@ function initApp() {
           row.className = "row4";
 
           function makeNum(labelTxt, v, min, step) {
+            var units = resolveUnits(state);
             var lab = document.createElement("label");
-            lab.textContent = labelTxt;
+            lab.textContent = labelTxt + " (" + unitLabel(units) + ")";
             var inp = document.createElement("input");
-            inp.type = "number";
+            inp.type = units === "imperial" ? "text" : "number";
             inp.min = String(min);
             inp.step = String(step);
-            inp.value = String(v == null ? "" : v);
+            if (units === "imperial") {
+              inp.placeholder = "e.g. 2' 11 1/2\"";
+              inp.title = IMPERIAL_LENGTH_HINT;
+            }
+            inp.value = v == null ? "" : formatLength(v, units);
             lab.appendChild(inp);
             return { lab: lab, inp: inp };
           }
 
-          var xField = makeNum("Win X (mm)", Math.floor(Number(win.x_mm ?? 0)), 0, 10);
-          var yField = makeNum("Win Y (mm)", Math.floor(Number(win.y_mm ?? 0)), 0, 10);
-          var wField = makeNum("Win W (mm)", Math.floor(Number(win.width_mm ?? 900)), 100, 10);
-          var hField = makeNum("Win H (mm)", Math.floor(Number(win.height_mm ?? 600)), 100, 10);
+          var xField = makeNum("Win X", Math.floor(Number(win.x_mm ?? 0)), 0, 10);
+          var yField = makeNum("Win Y", Math.floor(Number(win.y_mm ?? 0)), 0, 10);
+          var wField = makeNum("Win W", Math.floor(Number(win.width_mm ?? OPENING_DEFAULTS.window.width_mm)), 100, 10);
+          var hField = makeNum("Win H", Math.floor(Number(win.height_mm ?? OPENING_DEFAULTS.window.height_mm)), 100, 10);
 
           row.appendChild(xField.lab);
           row.appendChild(yField.lab);
@@ -1258,16 +1707,16 @@ function initApp() {
           }
 
           wireCommitOnly(xField.inp, function () {
-            patchOpeningById(id, { x_mm: asNonNegInt(xField.inp.value, Math.floor(Number(win.x_mm ?? 0))) });
+            patchOpeningById(id, { x_mm: asNonNegInt(readLen(xField.inp), Math.floor(Number(win.x_mm ?? 0))) });
           });
           wireCommitOnly(yField.inp, function () {
-            patchOpeningById(id, { y_mm: asNonNegInt(yField.inp.value, Math.floor(Number(win.y_mm ?? 0))) });
+            patchOpeningById(id, { y_mm: asNonNegInt(readLen(yField.inp), Math.floor(Number(win.y_mm ?? 0))) });
           });
           wireCommitOnly(wField.inp, function () {
-            patchOpeningById(id, { width_mm: asPosInt(wField.inp.value, Math.floor(Number(win.width_mm ?? 900))) });
+            patchOpeningById(id, { width_mm: asPosInt(readLen(wField.inp), Math.floor(Number(win.width_mm ?? OPENING_DEFAULTS.window.width_mm))) });
           });
           wireCommitOnly(hField.inp, function () {
-            patchOpeningById(id, { height_mm: asPosInt(hField.inp.value, Math.floor(Number(win.height_mm ?? 600))) });
+            patchOpeningById(id, { height_mm: asPosInt(readLen(hField.inp), Math.floor(Number(win.height_mm ?? OPENING_DEFAULTS.window.height_mm))) });
           });
 
           wallSel.addEventListener("change", function () {
@@ -1318,6 +1767,9 @@ function initApp() {
 
     function syncUiFromState(state, validations) {
       try {
+        var units = resolveUnits(state);
+        syncUnitsUi(units);
+
         if (dimModeEl) dimModeEl.value = (state && state.dimMode) ? state.dimMode : "base";
 
         if (wInputEl && dInputEl) {
@@ -1325,18 +1777,18 @@ function initApp() {
           try {
             var R0 = resolveDims(state || {});
             if (m0 === "frame") {
-              wInputEl.value = String(R0.frame.w_mm);
-              dInputEl.value = String(R0.frame.d_mm);
+              setLen(wInputEl, R0.frame.w_mm, units);
+              setLen(dInputEl, R0.frame.d_mm, units);
             } else if (m0 === "roof") {
-              wInputEl.value = String(R0.roof.w_mm);
-              dInputEl.value = String(R0.roof.d_mm);
+              setLen(wInputEl, R0.roof.w_mm, units);
+              setLen(dInputEl, R0.roof.d_mm, units);
             } else {
-              wInputEl.value = String(R0.base.w_mm);
-              dInputEl.value = String(R0.base.d_mm);
+              setLen(wInputEl, R0.base.w_mm, units);
+              setLen(dInputEl, R0.base.d_mm, units);
             }
           } catch (e0) {
-            if (wInputEl && state && state.w != null) wInputEl.value = String(state.w);
-            if (dInputEl && state && state.d != null) dInputEl.value = String(state.d);
+            if (wInputEl && state && state.w != null) setLen(wInputEl, state.w, units);
+            if (dInputEl && state && state.d != null) setLen(dInputEl, state.d, units);
           }
         }
 
@@ -1347,18 +1799,41 @@ function initApp() {
         var isPent = isPentRoofStyle(state);
         if (roofMinHeightEl && roofMaxHeightEl) {
           var ph = getPentHeightsFromState(state);
-          roofMinHeightEl.value = String(ph.minH);
-          roofMaxHeightEl.value = String(ph.maxH);
+          setLen(roofMinHeightEl, ph.minH, units);
+          setLen(roofMaxHeightEl, ph.maxH, units);
           roofMinHeightEl.disabled = !isPent;
           roofMaxHeightEl.disabled = !isPent;
         }
 
+        var isApex = isApexRoofStyle(state);
+        if (roofApexEaveHeightEl && roofApexCrestHeightEl) {
+          var ah = getApexHeightsFromState(state);
+          setLen(roofApexEaveHeightEl, ah.eave, units);
+          setLen(roofApexCrestHeightEl, ah.crest, units);
+          roofApexEaveHeightEl.disabled = !isApex;
+          roofApexCrestHeightEl.disabled = !isApex;
+          if (roofPitchApexEl) {
+            roofPitchApexEl.value = ah.pitch + "°";
+            roofPitchApexEl.disabled = !isApex;
+          }
+        }
+
+        var isHipped = isHippedRoofStyle(state);
+        if (roofHippedEaveHeightEl && roofHippedCrestHeightEl) {
+          var hh = getHippedHeightsFromState(state);
+          setLen(roofHippedEaveHeightEl, hh.eave, units);
+          setLen(roofHippedCrestHeightEl, hh.crest, units);
+          roofHippedEaveHeightEl.disabled = !isHipped;
+          roofHippedCrestHeightEl.disabled = !isHipped;
+          if (roofPitchHippedEl) roofPitchHippedEl.value = formatPitchDeg(hh.crest - hh.eave, hh.halfSpan);
+        }
+
         if (state && state.overhang) {
-          if (overUniformEl) overUniformEl.value = String(state.overhang.uniform_mm != null ? state.overhang.uniform_mm : 0);
-          if (overLeftEl) overLeftEl.value = state.overhang.left_mm == null ? "" : String(state.overhang.left_mm);
-          if (overRightEl) overRightEl.value = state.overhang.right_mm == null ? "" : String(state.overhang.right_mm);
-          if (overFrontEl) overFrontEl.value = state.overhang.front_mm == null ? "" : String(state.overhang.front_mm);
-          if (overBackEl) overBackEl.value = state.overhang.back_mm == null ? "" : String(state.overhang.back_mm);
+          setLen(overUniformEl, state.overhang.uniform_mm != null ? state.overhang.uniform_mm : 0, units);
+          setLen(overLeftEl, state.overhang.left_mm, units);
+          setLen(overRightEl, state.overhang.right_mm, units);
+          setLen(overFrontEl, state.overhang.front_mm, units);
+          setLen(overBackEl, state.overhang.back_mm, units);
         }
 
         if (vBaseEl) vBaseEl.checked = !!(state && state.vis && state.vis.base);
@@ -1378,9 +1853,9 @@ function initApp() {
 
         if (wallHeightEl) {
           if (isPent) {
-            wallHeightEl.value = String(computePentDisplayHeight(state));
+            setLen(wallHeightEl, computePentDisplayHeight(state), units);
           } else if (state && state.walls && state.walls.height_mm != null) {
-            wallHeightEl.value = String(state.walls.height_mm);
+            setLen(wallHeightEl, state.walls.height_mm, units);
           }
         }
 
@@ -1393,6 +1868,69 @@ function initApp() {
           wallSectionEl.value = (Math.floor(Number(h)) === 75) ? "50x75" : "50x100";
         }
 
+        syncCladdingUi(state);
+
+        var qs = getQuoteSettings(state);
+        if (quoteCustomerEl) quoteCustomerEl.value = qs.customer;
+        if (quoteReferenceEl) quoteReferenceEl.value = qs.reference;
+        if (quoteLabourHoursEl) quoteLabourHoursEl.value = String(qs.labourHours);
+        if (quoteLabourRateEl) quoteLabourRateEl.value = String(qs.labourRate);
+        if (quoteMarginEl) quoteMarginEl.value = String(qs.marginPct);
+
+        var stock = resolveStock(state);
+        if (stockLengthsEl) stockLengthsEl.value = stock.lengths_mm.join(", ");
+        if (stockKerfEl) stockKerfEl.value = String(stock.kerf_mm);
+
+        var joists = resolveJoists(state);
+        if (joistSpacingEl) joistSpacingEl.value = String(joists.spacing_mm);
+        if (joistSectionEl) joistSectionEl.value = String(joists.section.h);
+        if (joistSpanEl) joistSpanEl.value = joists.span;
+        if (joistNogginsEl) joistNogginsEl.value = String(joists.nogginRows);
+
+        var foundation = resolveFoundation(state);
+        var ft = foundation.type;
+        if (foundationTypeEl) foundationTypeEl.value = ft;
+        setLen(foundationGridEl, foundation.grid_mm, units);
+        setLen(foundationPadSizeEl, foundation.pad_mm, units);
+        setLen(foundationPadDepthEl, foundation.padDepth_mm, units);
+        setLen(foundationScrewLengthEl, foundation.screwLength_mm, units);
+        setLen(foundationSlabThicknessEl, foundation.slabThickness_mm, units);
+        if (foundationGridEl) foundationGridEl.disabled = ft === "grid" || ft === "slab";
+        if (foundationPadSizeEl) foundationPadSizeEl.disabled = ft !== "pads" && ft !== "bearers";
+        if (foundationPadDepthEl) foundationPadDepthEl.disabled = ft !== "pads" && ft !== "bearers";
+        if (foundationScrewLengthEl) foundationScrewLengthEl.disabled = ft !== "screws";
+        if (foundationSlabThicknessEl) foundationSlabThicknessEl.disabled = ft !== "slab";
+
+        var ground = resolveGround(state);
+        if (groundModeEl) groundModeEl.value = ground.mode;
+        if (groundFallTowardEl) groundFallTowardEl.value = ground.fall.toward;
+        if (groundFallPctEl) groundFallPctEl.value = String(ground.fall.gradient_pct);
+        setLen(groundFrontLeftEl, ground.depth_mm.frontLeft, units);
+        setLen(groundFrontRightEl, ground.depth_mm.frontRight, units);
+        setLen(groundBackLeftEl, ground.depth_mm.backLeft, units);
+        setLen(groundBackRightEl, ground.depth_mm.backRight, units);
+        if (groundFallTowardEl) groundFallTowardEl.disabled = ground.mode !== "fall";
+        if (groundFallPctEl) groundFallPctEl.disabled = ground.mode !== "fall";
+        [groundFrontLeftEl, groundFrontRightEl, groundBackLeftEl, groundBackRightEl].forEach(function (el) {
+          if (el) el.disabled = ground.mode !== "corners";
+        });
+
+        var structure = resolveStructure(state);
+        var rawSupport = state && state.structure ? state.structure.floorSupport_mm : null;
+        if (structGradeEl) structGradeEl.value = structure.grade;
+        if (structFloorSupportEl) structFloorSupportEl.value = rawSupport == null || rawSupport === "" ? "" : String(structure.floorSupport_mm);
+        if (structSnowEl) structSnowEl.value = String(structure.snow_kN_m2);
+        if (structRoofDeadEl) structRoofDeadEl.value = String(structure.roofDead_kN_m2);
+        if (structFloorImposedEl) structFloorImposedEl.value = String(structure.floorImposed_kN_m2);
+
+        var site = resolveSite(state);
+        setLen(siteBoundaryFrontEl, site.boundary_mm.front, units);
+        setLen(siteBoundaryBackEl, site.boundary_mm.back, units);
+        setLen(siteBoundaryLeftEl, site.boundary_mm.left, units);
+        setLen(siteBoundaryRightEl, site.boundary_mm.right, units);
+        if (sitePlotAreaEl) sitePlotAreaEl.value = site.plotArea_m2 == null ? "" : String(site.plotArea_m2);
+        if (siteOtherBuildingsEl) siteOtherBuildingsEl.value = String(site.otherBuildings_m2);
+
         applyWallHeightUiLock(state);
 
         var dv = validations && validations.doors ? validations.doors : null;
@@ -1405,6 +1943,28 @@ function initApp() {
       }
     }
 
+    function syncCladdingUi(state) {
+      var c = (state && state.walls && state.walls.cladding) ? state.walls.cladding : {};
+      var r = resolveCladding(state || {});
+      if (claddingProfileEl) claddingProfileEl.value = r.id;
+      if (claddingOrientationEl) {
+        var allowed = CLADDING_PROFILES[r.id].orientations;
+        for (var i = 0; i < claddingOrientationEl.options.length; i++) {
+          var opt = claddingOrientationEl.options[i];
+          opt.disabled = !!opt.value && allowed.indexOf(opt.value) < 0;
+        }
+        claddingOrientationEl.value = (c.orientation && allowed.indexOf(c.orientation) >= 0) ? c.orientation : "";
+      }
+      if (claddingCoverEl) claddingCoverEl.value = c.cover_mm == null ? "" : String(c.cover_mm);
+      if (claddingThicknessEl) claddingThicknessEl.value = c.thickness_mm == null ? "" : String(c.thickness_mm);
+      if (claddingCoverEl) claddingCoverEl.placeholder = String(CLADDING_PROFILES[r.id].cover_mm) + " (profile)";
+      if (claddingThicknessEl) claddingThicknessEl.placeholder = String(CLADDING_PROFILES[r.id].thickness_mm) + " (profile)";
+      if (claddingHintEl) {
+        claddingHintEl.textContent = r.label + ", " + r.orientation + "; cover " + r.cover_mm + "mm; board " +
+          r.boardWidth_mm + "×" + r.thickness_mm + "mm";
+      }
+    }
+
     function updateOverlay() {
       if (!statusOverlayEl) return;
 
@@ -1444,28 +2004,72 @@ function initApp() {
       if (!roofMinHeightEl || !roofMaxHeightEl) return;
       var s = store.getState();
       var base = (s && s.walls && s.walls.height_mm != null) ? clampHeightMm(s.walls.height_mm, 2400) : 2400;
-      var minH = clampHeightMm(roofMinHeightEl.value, base);
-      var maxH = clampHeightMm(roofMaxHeightEl.value, base);
+      var minH = clampHeightMm(readLen(roofMinHeightEl), base);
+      var maxH = clampHeightMm(readLen(roofMaxHeightEl), base);
       store.setState({ roof: { pent: { minHeight_mm: minH, maxHeight_mm: maxH } } });
     }
 
-    if (roofMinHeightEl) roofMinHeightEl.addEventListener("input", function () {
+    // Apex: eave edits keep the current pitch (crest follows), crest edits re-derive the pitch,
+    // pitch edits move the crest over the current half span.
+    function commitApexHeights(eave, crest) {
+      var s = store.getState();
+      var roof = Object.assign({}, (s && s.roof) || {}, { apex: { eaveHeight_mm: eave, crestHeight_mm: crest } });
+      var ah = getApexHeightsFromState(Object.assign({}, s, { roof: roof }));
+      store.setState({ roof: { apex: { eaveHeight_mm: ah.eave, crestHeight_mm: ah.crest, pitch_deg: ah.pitch } } });
+    }
+
+    if (roofApexEaveHeightEl) wireCommitOnly(roofApexEaveHeightEl, function () {
+      var s = store.getState();
+      if (!isApexRoofStyle(s)) return;
+      var ah = getApexHeightsFromState(s);
+      var eave = clampHeightMm(readLen(roofApexEaveHeightEl), ah.eave);
+      commitApexHeights(eave, eave + (ah.crest - ah.eave));
+    });
+    if (roofApexCrestHeightEl) wireCommitOnly(roofApexCrestHeightEl, function () {
+      var s = store.getState();
+      if (!isApexRoofStyle(s)) return;
+      var ah = getApexHeightsFromState(s);
+      var crest = clampHeightMm(readLen(roofApexCrestHeightEl), ah.crest);
+      commitApexHeights(ah.eave, Math.max(ah.eave + 1, crest));
+    });
+    if (roofPitchApexEl) wireCommitOnly(roofPitchApexEl, function () {
+      var s = store.getState();
+      if (!isApexRoofStyle(s)) return;
+      var ah = getApexHeightsFromState(s);
+      var deg = parseFloat(String(roofPitchApexEl.value || "").replace("°", ""));
+      if (!Number.isFinite(deg)) { roofPitchApexEl.value = ah.pitch + "°"; return; }
+      commitApexHeights(ah.eave, crestFromPitch(ah.eave, deg, ah.halfSpan));
+    });
+
+    function commitHippedHeightsFromInputs() {
+      if (!roofHippedEaveHeightEl || !roofHippedCrestHeightEl) return;
+      var hh = getHippedHeightsFromState(store.getState());
+      var eave = clampHeightMm(readLen(roofHippedEaveHeightEl), hh.eave);
+      var crest = clampHeightMm(readLen(roofHippedCrestHeightEl), hh.crest);
+      store.setState({ roof: { hipped: { eaveHeight_mm: eave, crestHeight_mm: Math.max(eave + 1, crest) } } });
+    }
+
+    if (roofHippedEaveHeightEl) wireCommitOnly(roofHippedEaveHeightEl, function () {
+      if (!isHippedRoofStyle(store.getState())) return;
+      commitHippedHeightsFromInputs();
+    });
+    if (roofHippedCrestHeightEl) wireCommitOnly(roofHippedCrestHeightEl, function () {
+      if (!isHippedRoofStyle(store.getState())) return;
+      commitHippedHeightsFromInputs();
+    });
+
+    wireLengthInput(roofMinHeightEl, function () {
       if (!isPentRoofStyle(store.getState())) return;
       commitPentHeightsFromInputs();
     });
-    if (roofMaxHeightEl) roofMaxHeightEl.addEventListener("input", function () {
+    wireLengthInput(roofMaxHeightEl, function () {
       if (!isPentRoofStyle(store.getState())) return;
       commitPentHeightsFromInputs();
     });
 
     if (vWallsEl) {
       vWallsEl.addEventListener("change", function (e) {
-        var s = store.getState();
-        var on = !!(e && e.target && e.target.checked);
-
-        if (s && s.vis && typeof s.vis.walls === "boolean") store.setState({ vis: { walls: on } });
-        else if (s && s.vis && typeof s.vis.wallsEnabled === "boolean") store.setState({ vis: { wallsEnabled: on } });
-        else store.setState({ vis: { walls: on } });
+        store.setState({ vis: { wallsEnabled: !!(e && e.target && e.target.checked) } });
       });
     }
 
@@ -1475,16 +2079,9 @@ function initApp() {
     if (vDeckEl) vDeckEl.addEventListener("change", function (e) { store.setState({ vis: { deck: !!e.target.checked } }); });
 
     function patchWallPart(key, value) {
-      var s = store.getState();
-      if (s && s.vis && s.vis.walls && typeof s.vis.walls === "object") {
-        store.setState({ vis: { walls: (function(){ var o={}; o[key]=value; return o; })() } });
-        return;
-      }
-      if (s && s.vis && s.vis.wallsParts && typeof s.vis.wallsParts === "object") {
-        store.setState({ vis: { wallsParts: (function(){ var o={}; o[key]=value; return o; })() } });
-        return;
-      }
-      store.setState({ _noop: Date.now() });
+      var walls = {};
+      walls[key] = value;
+      store.setState({ vis: { walls: walls } });
     }
 
     if (vWallFrontEl) vWallFrontEl.addEventListener("change", function (e) { patchWallPart("front", !!e.target.checked); });
@@ -1501,8 +2098,11 @@ function initApp() {
 
     function writeActiveDims() {
       var s = store.getState();
-      var w = asPosInt(wInputEl ? wInputEl.value : null, 1000);
-      var d = asPosInt(dInputEl ? dInputEl.value : null, 1000);
+      var wIn = readLen(wInputEl);
+      var dIn = readLen(dInputEl);
+      if (Number.isNaN(wIn) || Number.isNaN(dIn)) return;
+      var w = asPosInt(wIn, 1000);
+      var d = asPosInt(dIn, 1000);
 
       var mode = (s && s.dimMode) ? String(s.dimMode) : "base";
 
@@ -1540,36 +2140,26 @@ function initApp() {
         frameD = Math.max(1, Math.floor(d + G));
       }
 
-      var baseW = Math.max(1, Math.floor(frameW - G));
-      var baseD = Math.max(1, Math.floor(frameD - G));
-      var roofW = Math.max(1, Math.floor(frameW + sumX));
-      var roofD = Math.max(1, Math.floor(frameD + sumZ));
-
-      store.setState({
-        dim: { frameW_mm: frameW, frameD_mm: frameD },
-        dimInputs: {
-          baseW_mm: baseW,
-          baseD_mm: baseD,
-          frameW_mm: frameW,
-          frameD_mm: frameD,
-          roofW_mm: roofW,
-          roofD_mm: roofD
-        }
-      });
+      store.setState({ dim: { frameW_mm: frameW, frameD_mm: frameD } });
     }
-    if (wInputEl) wInputEl.addEventListener("input", writeActiveDims);
-    if (dInputEl) dInputEl.addEventListener("input", writeActiveDims);
-
-    if (overUniformEl) {
-      overUniformEl.addEventListener("input", function () {
-        var n = Math.max(0, Math.floor(Number(overUniformEl.value || 0)));
-        store.setState({ overhang: { uniform_mm: Number.isFinite(n) ? n : 0 } });
-      });
-    }
-    if (overLeftEl)  overLeftEl.addEventListener("input",  function () { store.setState({ overhang: { left_mm:  asNullableInt(overLeftEl.value) } }); });
-    if (overRightEl) overRightEl.addEventListener("input", function () { store.setState({ overhang: { right_mm: asNullableInt(overRightEl.value) } }); });
-    if (overFrontEl) overFrontEl.addEventListener("input", function () { store.setState({ overhang: { front_mm: asNullableInt(overFrontEl.value) } }); });
-    if (overBackEl)  overBackEl.addEventListener("input",  function () { store.setState({ overhang: { back_mm:  asNullableInt(overBackEl.value) } }); });
+    wireLengthInput(wInputEl, function () { writeActiveDims(); });
+    wireLengthInput(dInputEl, function () { writeActiveDims(); });
+    wireLiveHistory(wInputEl);
+    wireLiveHistory(dInputEl);
+
+    wireLengthInput(overUniformEl, function (mm) {
+      var n = Math.max(0, Math.floor(Number(mm || 0)));
+      store.setState({ overhang: { uniform_mm: Number.isFinite(n) ? n : 0 } });
+    });
+    wireLengthInput(overLeftEl,  function (mm) { store.setState({ overhang: { left_mm:  asNullableInt(mm) } }); });
+    wireLengthInput(overRightEl, function (mm) { store.setState({ overhang: { right_mm: asNullableInt(mm) } }); });
+    wireLengthInput(overFrontEl, function (mm) { store.setState({ overhang: { front_mm: asNullableInt(mm) } }); });
+    wireLengthInput(overBackEl,  function (mm) { store.setState({ overhang: { back_mm:  asNullableInt(mm) } }); });
+    wireLiveHistory(overUniformEl);
+    wireLiveHistory(overLeftEl);
+    wireLiveHistory(overRightEl);
+    wireLiveHistory(overFrontEl);
+    wireLiveHistory(overBackEl);
 
     function sectionHFromSelectValue(v) {
       return (String(v || "").toLowerCase() === "50x75") ? 75 : 100;
@@ -1587,11 +2177,203 @@ function initApp() {
     }
 
     if (wallsVariantEl) wallsVariantEl.addEventListener("change", function () { store.setState({ walls: { variant: wallsVariantEl.value } }); });
-    if (wallHeightEl) wallHeightEl.addEventListener("input", function () {
+
+    // Cladding: switching profile drops overrides so the new profile's own cover/thickness/orientation apply.
+    if (claddingProfileEl) claddingProfileEl.addEventListener("change", function () {
+      store.setState({ walls: { cladding: { profile: String(claddingProfileEl.value || "shiplap"), cover_mm: null, thickness_mm: null, orientation: null } } });
+    });
+    if (claddingOrientationEl) claddingOrientationEl.addEventListener("change", function () {
+      store.setState({ walls: { cladding: { orientation: claddingOrientationEl.value ? String(claddingOrientationEl.value) : null } } });
+    });
+
+    var exportCsvBtnEl = $("exportCsvBtn");
+    var exportJsonBtnEl = $("exportJsonBtn");
+    if (exportCsvBtnEl) exportCsvBtnEl.addEventListener("click", function () {
+      downloadText("shed_bom.csv", bomToCsv(lastBomItems), "text/csv;charset=utf-8;");
+    });
+    if (exportJsonBtnEl) exportJsonBtnEl.addEventListener("click", function () {
+      var s = store.getState();
+      var meta = {
+        dims: resolveDims(s),
+        roofStyle: (s && s.roof && s.roof.style) ? String(s.roof.style) : "apex",
+        wallsVariant: (s && s.walls && s.walls.variant) ? String(s.walls.variant) : "insulated"
+      };
+      downloadText("shed_bom.json", bomToJson(lastBomItems, meta), "application/json;charset=utf-8;");
+    });
+
+    // Quotation settings (state.quote) + price catalogue (browser storage).
+    function wireQuoteField(el, key, isNumber) {
+      if (!el) return;
+      wireCommitOnly(el, function () {
+        var patch = {};
+        if (isNumber) {
+          var n = Number(el.value);
+          patch[key] = (String(el.value).trim() === "" || !isFinite(n)) ? null : Math.max(0, n);
+        } else {
+          patch[key] = String(el.value || "");
+        }
+        store.setState({ quote: patch });
+      });
+    }
+    wireQuoteField(quoteCustomerEl, "customer", false);
+    wireQuoteField(quoteReferenceEl, "reference", false);
+    wireQuoteField(quoteLabourHoursEl, "labourHours", true);
+    wireQuoteField(quoteLabourRateEl, "labourRate", true);
+    wireQuoteField(quoteMarginEl, "marginPct", true);
+
+    var quotePrintBtnEl = $("quotePrintBtn");
+    if (quotePrintBtnEl) quotePrintBtnEl.addEventListener("click", function () { window.print(); });
+
+    renderCatalogueEditor(priceCatalogue, function (list) { setPriceCatalogue(list); });
+
+    var catalogueImportEl = $("catalogueImport");
+    if (catalogueImportEl) catalogueImportEl.addEventListener("change", function () {
+      var file = catalogueImportEl.files && catalogueImportEl.files[0];
+      if (!file) return;
+      file.text().then(function (text) {
+        var list = parseCatalogue(text);
+        setPriceCatalogue(list, "Imported " + list.length + " entries from " + file.name + ".");
+      }).catch(function (e) {
+        var hintEl = $("catalogueHint");
+        if (hintEl) hintEl.textContent = "Import failed: " + String(e && e.message ? e.message : e);
+      }).then(function () { catalogueImportEl.value = ""; });
+    });
+
+    var catalogueExportBtnEl = $("catalogueExportBtn");
+    if (catalogueExportBtnEl) catalogueExportBtnEl.addEventListener("click", function () {
+      downloadText("price_catalogue.csv", catalogueToCsv(priceCatalogue), "text/csv;charset=utf-8;");
+    });
+
+    var catalogueResetBtnEl = $("catalogueResetBtn");
+    if (catalogueResetBtnEl) catalogueResetBtnEl.addEventListener("click", function () {
+      setPriceCatalogue(DEFAULT_CATALOGUE.map(normaliseEntry), "Catalogue reset to defaults.");
+    });
+
+    if (stockLengthsEl) wireCommitOnly(stockLengthsEl, function () {
+      var parts = String(stockLengthsEl.value || "").split(/[^0-9.]+/);
+      var lengths = [];
+      for (var i = 0; i < parts.length; i++) {
+        var n = Math.floor(Number(parts[i]));
+        if (parts[i] !== "" && Number.isFinite(n) && n >= 300) lengths.push(n);
+      }
+      store.setState({ stock: { lengths_mm: lengths.length ? lengths : DEFAULTS.stock.lengths_mm.slice() } });
+    });
+    if (stockKerfEl) wireCommitOnly(stockKerfEl, function () {
+      var raw = String(stockKerfEl.value || "").trim();
+      store.setState({ stock: { kerf_mm: raw === "" ? null : Math.max(0, Number(raw) || 0) } });
+    });
+
+    if (joistSpacingEl) joistSpacingEl.addEventListener("change", function () {
+      store.setState({ base: { joists: { spacing_mm: Number(joistSpacingEl.value) || 400 } } });
+    });
+    if (joistSectionEl) joistSectionEl.addEventListener("change", function () {
+      store.setState({ base: { joists: { section: { h: Number(joistSectionEl.value) || 100 } } } });
+    });
+    if (joistSpanEl) joistSpanEl.addEventListener("change", function () {
+      store.setState({ base: { joists: { span: String(joistSpanEl.value || "auto") } } });
+    });
+    if (joistNogginsEl) joistNogginsEl.addEventListener("change", function () {
+      store.setState({ base: { joists: { nogginRows: Number(joistNogginsEl.value) || 0 } } });
+    });
+
+    if (foundationTypeEl) foundationTypeEl.addEventListener("change", function () {
+      store.setState({ base: { foundation: { type: String(foundationTypeEl.value || "grid") } } });
+    });
+    function wireFoundationSize(el, key) {
+      wireLengthInput(el, function (mm) {
+        var patch = {};
+        patch[key] = asNullableInt(mm);
+        store.setState({ base: { foundation: patch } });
+      });
+      wireLiveHistory(el);
+    }
+    wireFoundationSize(foundationGridEl, "grid_mm");
+    wireFoundationSize(foundationPadSizeEl, "pad_mm");
+    wireFoundationSize(foundationPadDepthEl, "padDepth_mm");
+    wireFoundationSize(foundationScrewLengthEl, "screwLength_mm");
+    wireFoundationSize(foundationSlabThicknessEl, "slabThickness_mm");
+
+    if (groundModeEl) groundModeEl.addEventListener("change", function () {
+      store.setState({ site: { ground: { mode: String(groundModeEl.value || "flat") } } });
+    });
+    if (groundFallTowardEl) groundFallTowardEl.addEventListener("change", function () {
+      store.setState({ site: { ground: { fall: { toward: String(groundFallTowardEl.value || "front") } } } });
+    });
+    if (groundFallPctEl) wireCommitOnly(groundFallPctEl, function () {
+      store.setState({ site: { ground: { fall: { gradient_pct: Math.max(0, Number(groundFallPctEl.value) || 0) } } } });
+    });
+    function wireGroundDepth(el, corner) {
+      wireLengthInput(el, function (mm) {
+        var patch = {};
+        patch[corner] = asNullableInt(mm);
+        store.setState({ site: { ground: { depth_mm: patch } } });
+      });
+      wireLiveHistory(el);
+    }
+    wireGroundDepth(groundFrontLeftEl, "frontLeft");
+    wireGroundDepth(groundFrontRightEl, "frontRight");
+    wireGroundDepth(groundBackLeftEl, "backLeft");
+    wireGroundDepth(groundBackRightEl, "backRight");
+
+    if (structGradeEl) structGradeEl.addEventListener("change", function () {
+      store.setState({ structure: { grade: String(structGradeEl.value || "C16") } });
+    });
+    if (structFloorSupportEl) wireCommitOnly(structFloorSupportEl, function () {
+      var raw = String(structFloorSupportEl.value || "").trim();
+      var n = Math.floor(Number(raw));
+      store.setState({ structure: { floorSupport_mm: raw === "" || !Number.isFinite(n) ? null : Math.max(100, n) } });
+    });
+    function commitLoad(inputEl, key) {
+      var raw = String(inputEl.value || "").trim();
+      var patch = {};
+      patch[key] = raw === "" ? null : Math.max(0, Number(raw) || 0);
+      store.setState({ structure: patch });
+    }
+    if (structSnowEl) wireCommitOnly(structSnowEl, function () { commitLoad(structSnowEl, "snow_kN_m2"); });
+    if (structRoofDeadEl) wireCommitOnly(structRoofDeadEl, function () { commitLoad(structRoofDeadEl, "roofDead_kN_m2"); });
+    if (structFloorImposedEl) wireCommitOnly(structFloorImposedEl, function () { commitLoad(structFloorImposedEl, "floorImposed_kN_m2"); });
+
+    wireLengthInput(siteBoundaryFrontEl, function (mm) { store.setState({ site: { boundary_mm: { front: asNullableInt(mm) } } }); });
+    wireLengthInput(siteBoundaryBackEl,  function (mm) { store.setState({ site: { boundary_mm: { back:  asNullableInt(mm) } } }); });
+    wireLengthInput(siteBoundaryLeftEl,  function (mm) { store.setState({ site: { boundary_mm: { left:  asNullableInt(mm) } } }); });
+    wireLengthInput(siteBoundaryRightEl, function (mm) { store.setState({ site: { boundary_mm: { right: asNullableInt(mm) } } }); });
+    wireLiveHistory(siteBoundaryFrontEl);
+    wireLiveHistory(siteBoundaryBackEl);
+    wireLiveHistory(siteBoundaryLeftEl);
+    wireLiveHistory(siteBoundaryRightEl);
+    if (sitePlotAreaEl) wireCommitOnly(sitePlotAreaEl, function () {
+      var raw = String(sitePlotAreaEl.value || "").trim();
+      var n = Number(raw);
+      store.setState({ site: { plotArea_m2: raw === "" || !(n > 0) ? null : n } });
+    });
+    if (siteOtherBuildingsEl) wireCommitOnly(siteOtherBuildingsEl, function () {
+      store.setState({ site: { otherBuildings_m2: Math.max(0, Number(siteOtherBuildingsEl.value) || 0) } });
+    });
+
+    function commitCladdingSize(inputEl, key, min) {
+      var raw = String(inputEl.value || "").trim();
+      var patch = {};
+      if (raw === "") patch[key] = null;
+      else {
+        var n = Math.floor(Number(raw));
+        patch[key] = Number.isFinite(n) ? Math.max(min, n) : null;
+      }
+      store.setState({ walls: { cladding: patch } });
+    }
+    if (claddingCoverEl) wireCommitOnly(claddingCoverEl, function () { commitCladdingSize(claddingCoverEl, "cover_mm", 20); });
+    if (claddingThicknessEl) wireCommitOnly(claddingThicknessEl, function () { commitCladdingSize(claddingThicknessEl, "thickness_mm", 6); });
+    wireLengthInput(wallHeightEl, function (mm) {
       if (wallHeightEl && wallHeightEl.disabled === true) return;
-      store.setState({ walls: { height_mm: asPosInt(wallHeightEl.value, 2400) } });
+      store.setState({ walls: { height_mm: asPosInt(mm, 2400) } });
     });
 
+    function onUnitModeChange(e) {
+      if (!e || !e.target || !e.target.checked) return;
+      store.setState({ units: e.target.value === "imperial" ? "imperial" : "metric" });
+    }
+    if (unitModeMetricEl) unitModeMetricEl.addEventListener("change", onUnitModeChange);
+    if (unitModeImperialEl) unitModeImperialEl.addEventListener("change", onUnitModeChange);
+
     if (addDoorBtnEl) {
       addDoorBtnEl.addEventListener("click", function () {
         var s = store.getState();
@@ -1600,8 +2382,8 @@ function initApp() {
 
         var id = "door" + String(window.__dbg.doorSeq++);
         var wall = "front";
-        var w = 900;
-        var h = 2000;
+        var w = OPENING_DEFAULTS.door.width_mm;
+        var h = OPENING_DEFAULTS.door.height_mm;
         var L = lens[wall] || 1000;
         var x = Math.floor((L - w) / 2);
 
@@ -1633,8 +2415,8 @@ function initApp() {
 
         var id = "win" + String(window.__dbg.windowSeq++);
         var wall = "front";
-        var w = 900;
-        var h = 600;
+        var w = OPENING_DEFAULTS.window.width_mm;
+        var h = OPENING_DEFAULTS.window.height_mm;
         var y = 900;
         var L = lens[wall] || 1000;
         var x = Math.floor((L - w) / 2);
@@ -1666,6 +2448,15 @@ function initApp() {
       render(s);
     });
 
+    var undoBtnEl = $("undoBtn");
+    var redoBtnEl = $("redoBtn");
+    if (undoBtnEl) undoBtnEl.addEventListener("click", function () { store.undo(); });
+    if (redoBtnEl) redoBtnEl.addEventListener("click", function () { store.redo(); });
+    store.onHistoryChange(function (h) {
+      if (undoBtnEl) undoBtnEl.disabled = !h.canUndo;
+      if (redoBtnEl) redoBtnEl.disabled = !h.canRedo;
+    });
+
     setInterval(updateOverlay, 1000);
     updateOverlay();
 
@@ -1678,24 +2469,121 @@ function initApp() {
         instanceNameInput: "instanceNameInput",
         saveAsInstanceBtn: "saveAsInstanceBtn",
         deleteInstanceBtn: "deleteInstanceBtn",
-        instancesHint: "instancesHint"
+        instancesHint: "instancesHint",
+        exportInstanceBtn: "exportInstanceBtn",
+        exportAllInstancesBtn: "exportAllInstancesBtn",
+        importInstancesBtn: "importInstancesBtn",
+        importFile: "instanceImportFile",
+        importCollision: "instanceImportCollision",
+        dropTarget: "renderCanvas"
       },
       dbg: window.__dbg
     });
 
+    // ---- 3D model export (see renderer/export.js) ----
+    var modelExportHintEl = $("modelExportHint");
+
+    function wireModelExport(btnEl, format) {
+      if (!btnEl) return;
+      btnEl.addEventListener("click", function () {
+        var s = store.getState();
+        var R = resolveDims(s);
+        var name = "shed_" + R.frame.w_mm + "x" + R.frame.d_mm + "_" + ((s.roof && s.roof.style) || "apex");
+        if (modelExportHintEl) modelExportHintEl.textContent = "Exporting…";
+        exportModel(ctx && ctx.scene, { format: format, filename: name }).then(function () {
+          if (modelExportHintEl) modelExportHintEl.textContent = "Exported " + name + "." + format + ".";
+        }).catch(function (e) {
+          if (modelExportHintEl) modelExportHintEl.textContent = "Export failed: " + String(e && e.message ? e.message : e);
+        });
+      });
+    }
+    wireModelExport($("exportGlbBtn"), "glb");
+    wireModelExport($("exportGltfBtn"), "gltf");
+
+    // ---- DXF drawings (see drawings/model.js) ----
+    var exportDxfBtnEl = $("exportDxfBtn");
+    var drawingsHintEl = $("drawingsHint");
+    if (exportDxfBtnEl) {
+      exportDxfBtnEl.addEventListener("click", function () {
+        try {
+          var s = store.getState();
+          var R = resolveDims(s);
+          var drawings = buildDrawings(s);
+          if (!drawings.length) {
+            if (drawingsHintEl) drawingsHintEl.textContent = "Nothing to draw.";
+            return;
+          }
+          var name = "shed_" + R.frame.w_mm + "x" + R.frame.d_mm + ".dxf";
+          downloadText(name, drawingsToDxf(drawings), "application/dxf");
+          if (drawingsHintEl) drawingsHintEl.textContent = "Exported " + name + " (" + drawings.map(function (d) { return d.title; }).join(", ") + ").";
+        } catch (e) {
+          if (drawingsHintEl) drawingsHintEl.textContent = "Export failed: " + String(e && e.message ? e.message : e);
+        }
+      });
+    }
+
+    // ---- Drawing set page (see drawings/svg.js) ----
+    var drawingPaperEl = $("drawingPaper");
+    var drawingsPrintBtnEl = $("drawingsPrintBtn");
+    if (drawingPaperEl) drawingPaperEl.addEventListener("change", function () { refreshDrawings(store.getState()); });
+    if (drawingsPrintBtnEl) drawingsPrintBtnEl.addEventListener("click", function () { window.print(); });
+
+    // ---- Share links (?cfg=…, see share.js) ----
+    var shareLinkBtnEl = $("shareLinkBtn");
+    var shareHintEl = $("shareHint");
+
+    function setShareHint(msg) {
+      if (shareHintEl) shareHintEl.textContent = msg;
+    }
+
+    if (shareLinkBtnEl) shareLinkBtnEl.addEventListener("click", function () {
+      encodeDesign(store.getState()).then(function (cfg) {
+        var url = shareUrl(window.location.href, cfg);
+        var copied = navigator.clipboard && typeof navigator.clipboard.writeText === "function"
+          ? navigator.clipboard.writeText(url).then(function () { return true; }, function () { return false; })
+          : Promise.resolve(false);
+        return copied.then(function (ok) {
+          if (ok) setShareHint("Link copied (" + url.length + " characters).");
+          else {
+            try { window.prompt("Copy this link:", url); } catch (e0) {}
+            setShareHint("Link ready (" + url.length + " characters).");
+          }
+        });
+      }).catch(function (e) {
+        setShareHint("Could not make a link: " + String(e && e.message ? e.message : e));
+      });
+    });
+
+    // A shared design replaces the defaults without becoming an undo step.
+    function applySharedDesignFromUrl() {
+      var cfg = readShareParam(window.location.href);
+      if (!cfg) return;
+      decodeDesign(cfg).then(function (res) {
+        // Settings the link leaves out come from DEFAULTS, not from whatever was on screen.
+        store.replaceState(deepMerge(DEFAULTS, res.state), { history: false });
+        store.clearHistory();
+        setShareHint(res.newer ? "Opened shared design (made by a newer version; some settings may be ignored)." : "Opened shared design.");
+      }).catch(function (e) {
+        setShareHint("Shared link could not be opened: " + String(e && e.message ? e.message : e));
+      });
+    }
+
     try {
       var s0 = store.getState();
       if (s0 && s0.roof && s0.roof.pent && s0.roof.pent.minHeight_mm != null && s0.roof.pent.maxHeight_mm != null) {
       } else {
         var baseH = (s0 && s0.walls && s0.walls.height_mm != null) ? clampHeightMm(s0.walls.height_mm, 2400) : 2400;
-        store.setState({ roof: { pent: { minHeight_mm: baseH, maxHeight_mm: baseH } } });
+        store.setState({ roof: { pent: { minHeight_mm: baseH, maxHeight_mm: baseH } } }, { history: false });
       }
     } catch (e0) {}
 
+    store.clearHistory();
+
     syncUiFromState(store.getState(), syncInvalidOpeningsIntoState());
     applyWallHeightUiLock(store.getState());
     render(store.getState());
     resume3D();
+    applySharedDesignFromUrl();
 
     window.__dbg.initFinished = true;
   } catch (e) {
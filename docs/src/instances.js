@@ -1,5 +1,7 @@
 // FILE: docs/src/instances.js
 import { DEFAULTS } from "./params.js";
+import { migrateState, SCHEMA_VERSION } from "./migrations.js";
+import { downloadText } from "./bom/model.js";
 
 export function initInstancesUI({ store, ids, dbg }) {
   function $(id) { return document.getElementById(id); }
@@ -11,13 +13,21 @@ export function initInstancesUI({ store, ids, dbg }) {
   var saveAsInstanceBtnEl = $(ids.saveAsInstanceBtn);
   var deleteInstanceBtnEl = $(ids.deleteInstanceBtn);
   var instancesHintEl = $(ids.instancesHint);
+  var exportInstanceBtnEl = $(ids.exportInstanceBtn);
+  var exportAllInstancesBtnEl = $(ids.exportAllInstancesBtn);
+  var importInstancesBtnEl = $(ids.importInstancesBtn);
+  var importFileEl = $(ids.importFile);
+  var importCollisionEl = $(ids.importCollision);
+  var dropTargetEl = $(ids.dropTarget);
 
   // ---- Instances (Save/Load Presets) ----
   var LS_INSTANCES_KEY = "shedInstances_v1";
   var LS_ACTIVE_KEY = "shedInstancesActive_v1";
+  var FILE_FORMAT = "shed-instances";
 
   var _instProvider = null;
   var _instUsingFallback = false;
+  var _filesWired = false;
   var _instProbe = { canRead: false, canWrite: false, persistentOk: false, errName: "", errMsg: "" };
 
   function safeJsonParse(s) {
@@ -264,15 +274,21 @@ export function initInstancesUI({ store, ids, dbg }) {
         return;
       }
 
+      // Presets saved by older builds are upgraded to the current schema before they reach the store.
+      var migrated = migrateState(saved);
       var baseline = cloneJson(DEFAULTS);
-      var merged = deepMerge(baseline, cloneJson(saved));
+      var merged = deepMerge(baseline, migrated.state);
       store.setState(merged);
 
       writeActiveName(nm);
       rebuildInstanceSelect(nm);
 
-      if (_instProbe.persistentOk) setInstancesHint("Loaded: " + nm);
-      else setInstancesHint("Loaded: " + nm + " (session only)");
+      var note = "";
+      if (migrated.newer) note = " (saved by a newer version; some settings may be ignored)";
+      else if (migrated.from < migrated.to) note = " (upgraded from schema v" + migrated.from + ")";
+
+      if (_instProbe.persistentOk) setInstancesHint("Loaded: " + nm + note);
+      else setInstancesHint("Loaded: " + nm + note + " (session only)");
     } catch (e) {
       if (_instProbe.persistentOk) setInstancesHint("Storage unavailable");
       else hintStorageStatusIfNeeded("Storage unavailable");
@@ -317,6 +333,184 @@ export function initInstancesUI({ store, ids, dbg }) {
     }
   }
 
+  // ---- Files (.shed.json export / import) ----
+  // File shape: { format: "shed-instances", schemaVersion, exported, instances: { name: state } }.
+  // A bare state object (no "instances" map) is also accepted and named after the file.
+
+  function fileSlug(name) {
+    var s = String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    return s || "shed";
+  }
+
+  function exportInstances(names, fileBase) {
+    var map = readInstances();
+    var out = {};
+    for (var i = 0; i < names.length; i++) {
+      if (map[names[i]] != null) out[names[i]] = map[names[i]];
+    }
+    var count = Object.keys(out).length;
+    if (!count) {
+      setInstancesHint("Nothing to export.");
+      return;
+    }
+    var doc = {
+      format: FILE_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      exported: new Date().toISOString(),
+      instances: out
+    };
+    downloadText(fileSlug(fileBase) + ".shed.json", JSON.stringify(doc, null, 2), "application/json;charset=utf-8;");
+    setInstancesHint("Exported " + count + " design" + (count === 1 ? "" : "s") + ".");
+  }
+
+  function entriesFromFile(text, fileName) {
+    var doc = safeJsonParse(text);
+    if (!isPlainObject(doc)) return null;
+
+    var entries = [];
+    if (isPlainObject(doc.instances)) {
+      var names = Object.keys(doc.instances);
+      for (var i = 0; i < names.length; i++) {
+        if (isPlainObject(doc.instances[names[i]])) entries.push({ name: names[i], state: doc.instances[names[i]] });
+      }
+      return entries;
+    }
+
+    if (doc.format === FILE_FORMAT) return entries;
+    // Bare snapshot: must look like shed state (rules out e.g. shed_bom.json).
+    if (!isPlainObject(doc.dim) && !isPlainObject(doc.walls) && !isPlainObject(doc.roof) && !isPlainObject(doc.dimInputs)) return null;
+    var base = String(fileName || "Imported").replace(/\.shed\.json$/i, "").replace(/\.json$/i, "");
+    entries.push({ name: base || "Imported", state: doc });
+    return entries;
+  }
+
+  function uniqueName(map, name) {
+    if (map[name] == null) return name;
+    var n = 2;
+    while (map[name + " (" + n + ")"] != null) n++;
+    return name + " (" + n + ")";
+  }
+
+  // policy: "rename" | "overwrite" | "skip" for names that already exist.
+  function importEntries(entries, policy) {
+    var map = readInstances();
+    var res = { added: 0, overwritten: 0, skipped: 0, names: [] };
+
+    for (var i = 0; i < entries.length; i++) {
+      var nm = String(entries[i].name || "").trim() || "Imported";
+      if (map[nm] != null) {
+        if (policy === "skip") { res.skipped++; continue; }
+        if (policy === "overwrite") res.overwritten++;
+        else { nm = uniqueName(map, nm); res.added++; }
+      } else {
+        res.added++;
+      }
+      // Stored already upgraded so every later load sees the current schema.
+      map[nm] = migrateState(entries[i].state).state;
+      res.names.push(nm);
+    }
+
+    if (res.names.length) writeInstances(map);
+    return res;
+  }
+
+  function importFiles(fileList) {
+    var files = [];
+    for (var i = 0; i < (fileList ? fileList.length : 0); i++) files.push(fileList[i]);
+    if (!files.length) return;
+
+    var policy = importCollisionEl ? String(importCollisionEl.value || "rename") : "rename";
+    var entries = [];
+    var bad = [];
+    var pending = files.length;
+
+    function done() {
+      try {
+        var res = importEntries(entries, policy);
+        if (res.names.length === 1) {
+          loadFrom(res.names[0]);
+        } else {
+          rebuildInstanceSelect(res.names.length ? res.names[res.names.length - 1] : null);
+        }
+
+        var msg = "Imported " + res.added + (res.overwritten ? ", overwrote " + res.overwritten : "") +
+          (res.skipped ? ", skipped " + res.skipped : "") + ".";
+        if (bad.length) msg += " Not a design file: " + bad.join(", ") + ".";
+        if (!_instProbe.persistentOk) msg += " (session only)";
+        setInstancesHint(msg);
+      } catch (e) {
+        if (_instProbe.persistentOk) setInstancesHint("Storage unavailable");
+        else hintStorageStatusIfNeeded("Storage unavailable");
+      }
+    }
+
+    files.forEach(function (file) {
+      var reader = new FileReader();
+      reader.onload = function () {
+        var found = entriesFromFile(String(reader.result || ""), file.name);
+        if (found) entries = entries.concat(found);
+        else bad.push(file.name);
+        if (--pending === 0) done();
+      };
+      reader.onerror = function () {
+        bad.push(file.name);
+        if (--pending === 0) done();
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  function hasFiles(e) {
+    var types = e && e.dataTransfer ? e.dataTransfer.types : null;
+    if (!types) return false;
+    for (var i = 0; i < types.length; i++) if (types[i] === "Files") return true;
+    return false;
+  }
+
+  function wireFilesUiOnce() {
+    if (_filesWired) return;
+    _filesWired = true;
+
+    if (exportInstanceBtnEl) exportInstanceBtnEl.addEventListener("click", function () {
+      try {
+        var name = getSelectedNameSafe(readInstances());
+        if (!name) { setInstancesHint("Nothing to export."); return; }
+        exportInstances([name], name);
+      } catch (e) {
+        setInstancesHint("Storage unavailable");
+      }
+    });
+
+    if (exportAllInstancesBtnEl) exportAllInstancesBtnEl.addEventListener("click", function () {
+      try {
+        exportInstances(listInstanceNames(readInstances()), "shed-designs");
+      } catch (e) {
+        setInstancesHint("Storage unavailable");
+      }
+    });
+
+    if (importInstancesBtnEl && importFileEl) {
+      importInstancesBtnEl.addEventListener("click", function () { importFileEl.click(); });
+      importFileEl.addEventListener("change", function () {
+        importFiles(importFileEl.files);
+        importFileEl.value = "";
+      });
+    }
+
+    if (dropTargetEl) {
+      dropTargetEl.addEventListener("dragover", function (e) {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+      });
+      dropTargetEl.addEventListener("drop", function (e) {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        importFiles(e.dataTransfer.files);
+      });
+    }
+  }
+
   function wireInstancesUiOnce() {
     if (!instanceSelectEl || !saveInstanceBtnEl || !loadInstanceBtnEl || !saveAsInstanceBtnEl || !deleteInstanceBtnEl) return;
     if (saveInstanceBtnEl._wired) return;
@@ -419,6 +613,7 @@ export function initInstancesUI({ store, ids, dbg }) {
     }
 
     wireInstancesUiOnce();
+    wireFilesUiOnce();
 
     if (!_instProbe.persistentOk) {
       hintStorageStatusIfNeeded(null);
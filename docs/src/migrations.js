@@ -0,0 +1,106 @@
+// FILE: docs/src/migrations.js
+/**
+ * State schema migrations.
+ * - state.schemaVersion is the number of migrations a snapshot has been through; snapshots without it are 0.
+ * - MIGRATIONS[n] upgrades a snapshot from version n to n + 1. Each step receives its own JSON clone and
+ *   returns the upgraded object; it may delete fields it has moved.
+ * - Run migrateState() on everything that enters the store from outside (saved instances, imported files),
+ *   so readers only ever see the current shape.
+ * - Append new steps at the end; never edit a released step.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: retire legacy fields.
+  // - vis.walls used to be the walls master boolean with per-wall toggles in vis.wallsParts;
+  //   now vis.wallsEnabled is the master and vis.walls holds the per-wall toggles.
+  // - dimInputs (per-mode W/D) is replaced by canonical dim.frameW_mm / dim.frameD_mm.
+  (s) => {
+    const vis = isPlainObject(s.vis) ? s.vis : {};
+    if (typeof vis.walls === "boolean") {
+      if (typeof vis.wallsEnabled !== "boolean") vis.wallsEnabled = vis.walls;
+      delete vis.walls;
+    }
+    if (isPlainObject(vis.wallsParts)) {
+      if (!isPlainObject(vis.walls)) vis.walls = vis.wallsParts;
+      delete vis.wallsParts;
+    }
+    if (isPlainObject(vis.walls)) {
+      const w = vis.walls;
+      vis.walls = { front: w.front !== false, back: w.back !== false, left: w.left !== false, right: w.right !== false };
+    }
+    s.vis = vis;
+
+    const dim = isPlainObject(s.dim) ? s.dim : {};
+    if (!(finite(dim.frameW_mm) && finite(dim.frameD_mm)) && isPlainObject(s.dimInputs)) {
+      const frame = legacyFrameFromInputs(s);
+      dim.frameW_mm = frame.w_mm;
+      dim.frameD_mm = frame.d_mm;
+      s.dim = dim;
+    }
+    delete s.dimInputs;
+    return s;
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/** Version of a raw snapshot (0 when it predates schemaVersion). */
+export function stateSchemaVersion(raw) {
+  const v = Math.floor(Number(raw && raw.schemaVersion));
+  return Number.isFinite(v) && v > 0 ? v : 0;
+}
+
+/**
+ * Upgrade a raw snapshot to SCHEMA_VERSION. Never mutates the input.
+ * Returns { state, from, to, newer } — newer = snapshot written by a later build (loaded as-is, best effort).
+ */
+export function migrateState(raw) {
+  const from = stateSchemaVersion(raw);
+  let s = isPlainObject(raw) ? JSON.parse(JSON.stringify(raw)) : {};
+
+  if (from > SCHEMA_VERSION) return { state: s, from, to: from, newer: true };
+
+  for (let v = from; v < SCHEMA_VERSION; v++) {
+    s = MIGRATIONS[v](JSON.parse(JSON.stringify(s))) || s;
+  }
+  s.schemaVersion = SCHEMA_VERSION;
+  return { state: s, from, to: SCHEMA_VERSION, newer: false };
+}
+
+// Frame size from the pre-v1 per-mode inputs (what resolveDims used to fall back to).
+// Defaults are the v0 DEFAULTS.dimInputs values, frozen here on purpose.
+function legacyFrameFromInputs(s) {
+  const inputs = s.dimInputs;
+  const G = Math.max(0, num(s.dimGap_mm, 50));
+  const o = isPlainObject(s.overhang) ? s.overhang : {};
+  const uni = Math.max(0, num(o.uniform_mm, 0));
+  const side = (v) => (v == null || v === "" ? uni : Math.max(0, num(v, 0)));
+  const sumX = side(o.left_mm) + side(o.right_mm);
+  const sumZ = side(o.front_mm) + side(o.back_mm);
+  const mode = s.dimMode || "base";
+
+  let w, d;
+  if (mode === "frame") {
+    w = num(inputs.frameW_mm, 3050);
+    d = num(inputs.frameD_mm, 4050);
+  } else if (mode === "roof") {
+    w = num(inputs.roofW_mm, 3050) - sumX;
+    d = num(inputs.roofD_mm, 4050) - sumZ;
+  } else {
+    w = num(inputs.baseW_mm, 3000) + G;
+    d = num(inputs.baseD_mm, 4000) + G;
+  }
+  return { w_mm: Math.max(1, Math.floor(w)), d_mm: Math.max(1, Math.floor(d)) };
+}
+
+function isPlainObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function finite(v) {
+  return v != null && v !== "" && Number.isFinite(Number(v));
+}
+
+function num(v, def) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : def;
+}
@@ -0,0 +1,287 @@
+// FILE: docs/src/model/base.js
+import { CONFIG, resolveJoists } from '../params.js';
+import { bomItem, uniquePartIds } from '../bom/model.js';
+import { box } from './members.js';
+import * as Foundation from './foundation.js';
+
+/**
+ * Base (floor) model: foundation (foundation.js), rim + inner joists (getLayout: state.base.joists), optional
+ * noggin rows, PIR between the joists and noggins, OSB decking.
+ * Pure: state (w / d = base dims, mm) in, members and BOM lines out; elements/base.js renders them.
+ * Members carry meta.layer (base / frame / ins / deck, the state.vis keys) and meta.part.
+ * The frame sits on the foundation (CONFIG.grid.h); PIR is flush with the joist tops, the deck on them.
+ */
+
+const MIN_NOGGIN_MM = 100;
+
+export function members(state) {
+  const L = getLayout(state);
+  const Y = levels(L);
+  const out = Foundation.members(state, L);
+  const count = {};
+  const add = (part, layer, size, centre, material) => {
+    count[part] = (count[part] || 0) + 1;
+    out.push(box(`base-${part}-${count[part] - 1}`, size, centre, { element: 'base', material, meta: { layer, part } }));
+  };
+
+  const W = L.joistW, D = L.joistD;
+  [0, L.joistSpan - W].forEach(o => {
+    add('rim', 'frame',
+      [L.isWShort ? W : L.rimLen, D, L.isWShort ? L.rimLen : W],
+      L.isWShort ? [o + W / 2, Y.frame, L.rimLen / 2] : [L.rimLen / 2, Y.frame, o + W / 2], 'timber');
+  });
+
+  const mid = L.innerJoistLen / 2 + W;
+  L.positions.forEach(p => {
+    add('joist', 'frame',
+      [L.isWShort ? L.innerJoistLen : W, D, L.isWShort ? W : L.innerJoistLen],
+      L.isWShort ? [mid, Y.frame, p] : [p, Y.frame, mid], 'timber');
+  });
+
+  // Noggins: full-depth blocking between neighbouring joists, one row at each L.noggins position.
+  for (const a of L.noggins) {
+    for (const bay of nogginBays(L)) {
+      const mB = bay.b0 + bay.len / 2;
+      add('noggin', 'frame',
+        [L.isWShort ? W : bay.len, D, L.isWShort ? bay.len : W],
+        L.isWShort ? [a, Y.frame, mB] : [mB, Y.frame, a], 'timber');
+    }
+  }
+
+  for (const p of pirPieces(L)) {
+    const mB = p.b0 + p.bLen / 2;
+    const mA = p.a0 + p.aLen / 2;
+    add('ins', 'ins',
+      [L.isWShort ? p.aLen : p.bLen, CONFIG.insulation.h, L.isWShort ? p.bLen : p.aLen],
+      L.isWShort ? [mA, Y.ins, mB] : [mB, Y.ins, mA], 'pir');
+  }
+
+  // Canonical decking layout: OSB 2440 always runs along B (perpendicular to the joists); no stagger.
+  for (const p of computeDeckPiecesAB_NoStagger(L.joistSpan, L.rimLen)) {
+    const m = mapABtoXZ(p, L.isWShort);
+    add('deck', 'deck', [m.wX, CONFIG.decking.h, m.dZ], [m.x0 + m.wX / 2, Y.deck, m.z0 + m.dZ / 2], 'osb');
+  }
+
+  return out;
+}
+
+/** Structured base BOM (timber frame, OSB decking, PIR, then the foundation). */
+export function bomItems(state) {
+  const L = getLayout(state);
+  const items = [];
+  const add = (f) => items.push(bomItem(Object.assign({ element: 'base' }, f)));
+
+  const W = L.joistW, D = L.joistD;
+  add({ group: 'Timber Frame', item: 'Rim Joist', material: 'timber', qty: 2, length_mm: L.rimLen, width_mm: W, depth_mm: D });
+  add({ group: 'Timber Frame', item: 'Inner Joist', material: 'timber', qty: L.positions.length, length_mm: L.innerJoistLen, width_mm: W, depth_mm: D });
+  const noggins = {};
+  for (const bay of L.noggins.length ? nogginBays(L) : []) {
+    const len = Math.round(bay.len);
+    noggins[len] = (noggins[len] || 0) + L.noggins.length;
+  }
+  Object.keys(noggins).map(Number).sort((a, b) => a - b).forEach(len => {
+    add({ group: 'Timber Frame', item: 'Noggin', material: 'timber', qty: noggins[len], length_mm: len, width_mm: W, depth_mm: D });
+  });
+
+  const osbMap = deckPieceMap(L);
+  const fullPieceXZ = mapABtoXZ({ a0: 0, b0: 0, aLen: CONFIG.decking.w, bLen: CONFIG.decking.d }, L.isWShort);
+  const fullKey = `${Math.round(fullPieceXZ.wX)}x${Math.round(fullPieceXZ.dZ)}`;
+  Object.keys(osbMap).forEach(key => {
+    const [w, h] = key.split('x').map(Number);
+    add({
+      group: 'OSB Decking', item: `Piece ${w}x${h}`, material: `OSB ${CONFIG.decking.h}mm`, section: `${CONFIG.decking.h}mm sheet`,
+      qty: osbMap[key], length_mm: w, width_mm: h, depth_mm: CONFIG.decking.h, notes: key === fullKey ? 'Standard Sheet' : 'Rip/Trim Cut',
+    });
+  });
+
+  const gW = CONFIG.insulation.w;
+  const gL = CONFIG.insulation.d;
+  const pirMap = pirPieceMap(L);
+  Object.keys(pirMap).forEach(key => {
+    const [lmm, wmm] = key.split('x').map(Number);
+    const isFull = (lmm === gL && wmm === gW) || (lmm === gW && wmm === gL);
+    add({
+      group: 'PIR Insulation', item: `PIR ${key}`, material: `PIR ${CONFIG.insulation.h}mm`, section: `${CONFIG.insulation.h}mm board`,
+      qty: pirMap[key], length_mm: lmm, width_mm: wmm, depth_mm: CONFIG.insulation.h, notes: isFull ? 'Full Board' : 'Cut Board',
+    });
+  });
+
+  items.push(...Foundation.bomItems(state, L));
+
+  return uniquePartIds(items);
+}
+
+/** Base timber cut pieces for the stock-length optimiser (the frame, plus bearers when the foundation has them). */
+export function timberCuts(state) {
+  return bomItems(state)
+    .filter(it => it.material === 'timber')
+    .map(it => ({ item: it.item, qty: it.qty, L: it.length_mm, W: it.width_mm, D: it.depth_mm, source: 'base' }));
+}
+
+/** Floor sheet pieces for the nesting engine: { osb, pir } lists of { L, W, qty, label, source }. */
+export function sheetCuts(state) {
+  const L = getLayout(state);
+  return {
+    osb: mapToPieces(deckPieceMap(L), 'Floor OSB'),
+    pir: mapToPieces(pirPieceMap(L), 'Floor PIR'),
+  };
+}
+
+/** OSB deck pieces keyed "WxD" (world X × Z, mm) → qty. */
+function deckPieceMap(L) {
+  const piecesAB = computeDeckPiecesAB_NoStagger(L.joistSpan, L.rimLen);
+  const map = {};
+  for (const p of piecesAB) {
+    const mapped = mapABtoXZ(p, L.isWShort);
+    const sw = Math.round(mapped.wX);
+    const sh = Math.round(mapped.dZ);
+    if (sw > 10 && sh > 10) {
+      const key = `${sw}x${sh}`;
+      map[key] = (map[key] || 0) + 1;
+    }
+  }
+  return map;
+}
+
+/** PIR pieces between joists keyed "LxW" (mm) → qty, full boards included. */
+function pirPieceMap(L) {
+  const map = {};
+  for (const p of pirPieces(L)) {
+    const lmm = Math.round(L.isWShort ? p.aLen : p.bLen);
+    const wmm = Math.round(L.isWShort ? p.bLen : p.aLen);
+    if (lmm > 0 && wmm > 0) {
+      const key = `${lmm}x${wmm}`;
+      map[key] = (map[key] || 0) + 1;
+    }
+  }
+  return map;
+}
+
+/**
+ * PIR pieces in plan (A / B, mm): each joist bay is cut at the noggin rows, and each length between them
+ * is filled with boards of CONFIG.insulation.d from the rim side.
+ */
+function pirPieces(L) {
+  const W = L.joistW;
+  const runs = [];
+  let from = W;
+  for (const a of L.noggins) {
+    runs.push([from, a - W / 2]);
+    from = a + W / 2;
+  }
+  runs.push([from, L.joistSpan - W]);
+
+  const pieces = [];
+  for (let i = 0; i < L.positions.length - 1; i++) {
+    const b0 = L.positions[i] + W / 2;
+    const bLen = (L.positions[i + 1] - W / 2) - b0;
+    if (bLen <= 0) continue;
+    for (const [a0, a1] of runs) {
+      for (let a = a0; a < a1; a += CONFIG.insulation.d) {
+        pieces.push({ a0: a, aLen: Math.min(CONFIG.insulation.d, a1 - a), b0, bLen });
+      }
+    }
+  }
+  return pieces;
+}
+
+// Joist bays (B start, clear width) wide enough to block; a narrow last bay is left open.
+function nogginBays(L) {
+  const bays = [];
+  for (let i = 0; i < L.positions.length - 1; i++) {
+    const b0 = L.positions[i] + L.joistW / 2;
+    const len = L.positions[i + 1] - L.joistW / 2 - b0;
+    if (len >= MIN_NOGGIN_MM) bays.push({ b0, len });
+  }
+  return bays;
+}
+
+// Layer centre heights (mm): frame on the foundation, PIR flush with the joist tops, deck on top.
+function levels(L) {
+  const top = CONFIG.grid.h + L.joistD;
+  return { frame: CONFIG.grid.h + L.joistD / 2, ins: top - CONFIG.insulation.h / 2, deck: top + CONFIG.decking.h / 2 };
+}
+
+function mapToPieces(map, label) {
+  return Object.keys(map).map(key => {
+    const [a, b] = key.split('x').map(Number);
+    return { L: a, W: b, qty: map[key], label, source: 'base' };
+  });
+}
+
+function computeDeckPiecesAB_NoStagger(extA, extB) {
+  const sheetA = CONFIG.decking.w; // 1220 (across joists span axis A)
+  const sheetB = CONFIG.decking.d; // 2440 (perpendicular to joists, along axis B)
+
+  const cols = Math.floor(extA / sheetA);
+  const rows = Math.floor(extB / sheetB);
+
+  const rectA = cols * sheetA;
+  const rectB = rows * sheetB;
+
+  const remA = Math.max(0, extA - rectA);
+  const remB = Math.max(0, extB - rectB);
+
+  const pieces = [];
+
+  // Full sheets
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      pieces.push({ a0: c * sheetA, b0: r * sheetB, aLen: sheetA, bLen: sheetB });
+    }
+  }
+
+  // Remainder column (remA × 2440) for each full row
+  if (remA > 0) {
+    for (let r = 0; r < rows; r++) {
+      pieces.push({ a0: rectA, b0: r * sheetB, aLen: remA, bLen: sheetB });
+    }
+  }
+
+  // Remainder row (1220 × remB) for each full col
+  if (remB > 0) {
+    for (let c = 0; c < cols; c++) {
+      pieces.push({ a0: c * sheetA, b0: rectB, aLen: sheetA, bLen: remB });
+    }
+  }
+
+  // Corner remainder (remA × remB)
+  if (remA > 0 && remB > 0) {
+    pieces.push({ a0: rectA, b0: rectB, aLen: remA, bLen: remB });
+  }
+
+  return pieces;
+}
+
+function mapABtoXZ(p, isWShort) {
+  // A = joist span (shorter), B = rim length (longer)
+  // If width is shorter: A->X, B->Z. Else: A->Z, B->X.
+  if (isWShort) return { x0: p.a0, z0: p.b0, wX: p.aLen, dZ: p.bLen };
+  return { x0: p.b0, z0: p.a0, wX: p.bLen, dZ: p.aLen };
+}
+
+/**
+ * Joist layout (state.base.joists, see resolveJoists): A = joist span, B = rim length.
+ * - isWShort: the joists span the width (A along X); the shorter side unless joists.span overrides it.
+ * - positions: joist centres along B at spacing, the first and last flush with the rim ends.
+ * - noggins: centres along A of the noggin rows, evenly between the rims.
+ * - joistW / joistD: nominal section; spacing: centres (mm).
+ */
+export function getLayout(state) {
+  const J = resolveJoists(state);
+  const W = J.section.w;
+  const isWShort = J.span === 'auto' ? state.w < state.d : J.span === 'width';
+  const rimLen = isWShort ? state.d : state.w;
+  const joistSpan = isWShort ? state.w : state.d;
+  const innerJoistLen = joistSpan - (W * 2);
+  const positions = [W / 2];
+  let cursor = J.spacing_mm;
+  while (cursor < rimLen - W) {
+    positions.push(cursor);
+    cursor += J.spacing_mm;
+  }
+  positions.push(rimLen - W / 2);
+  const noggins = [];
+  for (let i = 1; i <= J.nogginRows; i++) noggins.push(W + innerJoistLen * i / (J.nogginRows + 1));
+  return { isWShort, rimLen, joistSpan, innerJoistLen, positions, noggins, joistW: W, joistD: J.section.h, spacing: J.spacing_mm };
+}
@@ -0,0 +1,153 @@
+// FILE: docs/src/model/compliance.js
+import { resolveDims, resolveSite } from '../params.js';
+import { wallRise, elementStates, wallOuterDims } from './index.js';
+import * as Roof from './roof.js';
+import { memberCorners } from './members.js';
+
+/**
+ * England permitted development for outbuildings (GPDO 2015, Schedule 2, Part 1, Class E):
+ * - E.1(e)(i): max 2.5m high when any part of the building is within 2m of the curtilage boundary;
+ * - E.1(e)(ii)/(iii): otherwise max 4m with a dual-pitched roof (apex, hipped), 3m for any other roof;
+ * - E.1(f): eaves max 2.5m;
+ * - E.1(c): outbuildings may cover at most 50% of the curtilage (excluding the house).
+ *
+ *   checkCompliance(state) -> { rules: [{ id, label, ok, message }], heights: { overall_mm, eaves_mm },
+ *     footprint_m2, ok }
+ *
+ * Heights are from ground (the base sits on it; on a sloping site the highest corner, as Class E measures from
+ * the highest adjacent ground, see ground.js): overall = highest roof member, eaves = top of the wall frame
+ * where the roof bears. Distances to a boundary are from the wall faces (state.site), less the roof
+ * overhang on that side. ok is null for a rule that needs site inputs that have not been entered.
+ */
+
+export const CLASS_E = {
+  boundaryZone_mm: 2000,
+  nearBoundaryMax_mm: 2500,
+  dualPitchMax_mm: 4000,
+  otherMax_mm: 3000,
+  eavesMax_mm: 2500,
+  curtilageMax: 0.5
+};
+
+const SIDES = ['front', 'back', 'left', 'right'];
+const OVERHANG_KEYS = { front: 'f_mm', back: 'b_mm', left: 'l_mm', right: 'r_mm' };
+
+export function checkCompliance(state) {
+  const s = elementStates(state);
+  const site = resolveSite(state);
+  const style = String(state && state.roof && state.roof.style ? state.roof.style : 'apex');
+  const dualPitch = style === 'apex' || style === 'hipped';
+
+  const rise = wallRise(state);
+  const eaves = rise + wallTop(s.walls);
+  const overall = Math.round(Math.max(eaves, rise + roofTop(s.roof)));
+
+  const rules = [
+    overallHeight(overall, dualPitch),
+    boundaryHeight(overall, boundaryDistances(state, site)),
+    eavesHeight(eaves),
+    curtilage(footprint(state), site)
+  ];
+
+  return {
+    rules,
+    heights: { overall_mm: overall, eaves_mm: eaves },
+    footprint_m2: footprint(state),
+    ok: rules.every((r) => r.ok !== false)
+  };
+}
+
+function overallHeight(h, dualPitch) {
+  const max = dualPitch ? CLASS_E.dualPitchMax_mm : CLASS_E.otherMax_mm;
+  const roof = dualPitch ? 'dual-pitched roof' : 'single-pitch roof';
+  return rule('height', `Max height (${m(max)} m, ${roof})`, h <= max,
+    h <= max
+      ? `Height ${m(h)} m is within the ${m(max)} m limit.`
+      : `Height ${m(h)} m is ${m(h - max)} m over the ${m(max)} m limit for a ${roof}.`);
+}
+
+function boundaryHeight(h, dist) {
+  const max = CLASS_E.nearBoundaryMax_mm;
+  const label = `Within ${m(CLASS_E.boundaryZone_mm)} m of a boundary (${m(max)} m)`;
+  const near = SIDES.filter((k) => dist[k] != null && dist[k] < CLASS_E.boundaryZone_mm);
+
+  if (!near.length) {
+    const missing = SIDES.filter((k) => dist[k] == null);
+    if (missing.length) return rule('boundary', label, null, `Enter the ${missing.join(', ')} boundary distance${missing.length > 1 ? 's' : ''}.`);
+    return rule('boundary', label, true, `No part is within ${m(CLASS_E.boundaryZone_mm)} m of a boundary.`);
+  }
+
+  const closest = near.reduce((a, k) => (dist[k] < dist[a] ? k : a), near[0]);
+  const where = `${closest} boundary ${m(dist[closest])} m away`;
+  return rule('boundary', label, h <= max,
+    h <= max
+      ? `Height ${m(h)} m is within ${m(max)} m (${where}).`
+      : `Height ${m(h)} m is ${m(h - max)} m over the ${m(max)} m limit (${where}).`);
+}
+
+function eavesHeight(h) {
+  const max = CLASS_E.eavesMax_mm;
+  return rule('eaves', `Eaves height (${m(max)} m)`, h <= max,
+    h <= max
+      ? `Eaves ${m(h)} m is within the ${m(max)} m limit.`
+      : `Eaves ${m(h)} m is ${m(h - max)} m over the ${m(max)} m limit.`);
+}
+
+function curtilage(area, site) {
+  const label = `Curtilage cover (${Math.round(CLASS_E.curtilageMax * 100)}%)`;
+  if (site.plotArea_m2 == null) return rule('curtilage', label, null, 'Enter the plot area (excluding the house).');
+
+  const covered = area + site.otherBuildings_m2;
+  const pct = covered / site.plotArea_m2;
+  const max = site.plotArea_m2 * CLASS_E.curtilageMax;
+  return rule('curtilage', label, pct <= CLASS_E.curtilageMax,
+    pct <= CLASS_E.curtilageMax
+      ? `Outbuildings cover ${covered.toFixed(1)} m² of ${site.plotArea_m2} m² (${pct100(pct)}%).`
+      : `Outbuildings cover ${covered.toFixed(1)} m² (${pct100(pct)}%), ${(covered - max).toFixed(1)} m² over half of the ${site.plotArea_m2} m² plot.`);
+}
+
+/** Clear distance (mm) from the nearest part of the building to each boundary; null where not entered. */
+function boundaryDistances(state, site) {
+  const ovh = resolveDims(state).overhang;
+  const out = {};
+  for (const k of SIDES) {
+    const d = site.boundary_mm[k];
+    out[k] = d == null ? null : Math.max(0, d - Math.max(0, ovh[OVERHANG_KEYS[k]] || 0));
+  }
+  return out;
+}
+
+// Wall frame height above the deck: the higher side of a pent, the eave of apex / hipped.
+function wallTop(state) {
+  const height = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
+  if (String(state.roof?.style || '') !== 'pent') return height;
+  const pent = state.roof.pent || {};
+  return Math.max(
+    Math.max(100, Math.floor(Number(pent.minHeight_mm ?? height))),
+    Math.max(100, Math.floor(Number(pent.maxHeight_mm ?? height)))
+  );
+}
+
+// Highest roof member above the wall plates' datum.
+function roofTop(state) {
+  const roof = Roof.members(state);
+  if (!roof) return 0;
+  let top = 0;
+  for (const mem of roof.members) {
+    for (const c of memberCorners(mem, roof.nodes)) top = Math.max(top, c[1]);
+  }
+  return top;
+}
+
+/** Ground covered (m²): the wall frame's outer plan. */
+function footprint(state) {
+  const d = wallOuterDims(state);
+  return (d.w_mm * d.d_mm) / 1e6;
+}
+
+function rule(id, label, ok, message) {
+  return { id, label, ok, message };
+}
+
+const m = (mm) => (Math.round(mm / 10) / 100).toFixed(2);
+const pct100 = (f) => Math.round(f * 1000) / 10;
@@ -0,0 +1,341 @@
+// FILE: docs/src/model/foundation.js
+import { CONFIG, resolveFoundation } from '../params.js';
+import { bomItem } from '../bom/model.js';
+import { box, solid } from './members.js';
+import { getGround } from './ground.js';
+
+/**
+ * Foundations under the floor frame (state.base.foundation, see resolveFoundation). Ground is y = 0 and the
+ * frame underside is CONFIG.grid.h (50mm) for every type, so the foundation never changes the deck height.
+ * - grid: plastic tiles over the whole base (CONFIG.grid).
+ * - pads: concrete pads cast 50mm proud, under the rims and intermediate support lines, at joists.
+ * - screws: ground screws with 150×150 head plates at the same support line / joist intersections.
+ * - bearers: treated bearers laid flat along each support line, on pads sunk flush with the ground.
+ * - slab: concrete slab on a DPM and compacted sub-base, top 50mm proud.
+ * Support lines run along B (across the joists) at <= grid_mm centres; pads / screws snap to joist
+ * positions (getLayout) at <= grid_mm centres, always including the first and last joist.
+ * On a sloping site (ground.js) the frame stays level over the highest corner and each type takes up the
+ * fall: grid tiles on a levelling fill, taller pads, longer screws, timber packers between the bearer pads and
+ * bearers, a slab thickening toward the low side.
+ * Members are layer 'base' (the state.vis.base toggle); parts name the scene meshes in elements/base.js.
+ */
+
+const TOP = CONFIG.grid.h;
+const SCREW = { d: 76, plate: 150, plateT: 8 };
+const DPM_LAP_MM = 150; // DPM turned up the slab edge and lapped beyond it
+const SUB_BASE_MM = 100;
+const MIN_PACKER_MM = 10; // less than this is taken up with plastic shims
+const ROUND_UP = { pad: 10, screw: 50, packer: 10 }; // BOM sizes: the extra for the slope rounds up to these
+
+// Prism faces for solid(): bottom corners 0-3, top 4-7, both anticlockwise from (x0, z0).
+const PRISM_INDICES = [
+  0, 1, 2, 0, 2, 3,
+  4, 6, 5, 4, 7, 6,
+  0, 5, 1, 0, 4, 5,
+  3, 2, 6, 3, 6, 7,
+  0, 3, 7, 0, 7, 4,
+  1, 5, 6, 1, 6, 2
+];
+
+export const FOUNDATION_LABELS = {
+  grid: 'Plastic Grid Tiles (Modules)',
+  pads: 'Concrete Pads',
+  screws: 'Ground Screws',
+  bearers: 'Bearers on Pads',
+  slab: 'Concrete Slab'
+};
+
+/**
+ * { type, lines (A positions of support lines), stations (B positions of pads / screws),
+ *   points: [{ a, b, x, z, ground (y, mm <= 0) }] }.
+ */
+export function foundationLayout(state, L) {
+  const f = resolveFoundation(state);
+  const W = L.joistW;
+  if (f.type === 'grid' || f.type === 'slab') return { type: f.type, lines: [], stations: [], points: [] };
+
+  const ground = getGround(state);
+  const lines = spaced(W / 2, L.joistSpan - W / 2, f.grid_mm);
+  const stations = pickJoists(L.positions, f.grid_mm);
+  const points = [];
+  for (const b of stations) {
+    for (const a of lines) {
+      const [x, z] = L.isWShort ? [a, b] : [b, a];
+      points.push({ a, b, x, z, ground: ground.at(x, z) });
+    }
+  }
+  return { type: f.type, lines, stations, points };
+}
+
+/** Per support point: pad height (frame or bearer pad), screw length or packer height (mm), as built. */
+export function supportSizes(state, L) {
+  const f = resolveFoundation(state);
+  return foundationLayout(state, L).points.map((p) => ({
+    x: p.x, z: p.z, ground: p.ground,
+    pad_mm: f.type === 'pads' ? f.padDepth_mm - p.ground : f.type === 'bearers' ? f.padDepth_mm : null,
+    screw_mm: f.type === 'screws' ? f.screwLength_mm - p.ground : null,
+    packer_mm: f.type === 'bearers' ? -p.ground : null
+  }));
+}
+
+/**
+ * Longest unsupported joist span (mm) the foundation leaves: the gap between support lines, or the grid
+ * module where the joists bear continuously (tiles, slab).
+ */
+export function floorSpan(state, L) {
+  const lay = foundationLayout(state, L);
+  if (!lay.lines.length) return CONFIG.grid.size;
+  let span = 0;
+  for (let i = 1; i < lay.lines.length; i++) span = Math.max(span, lay.lines[i] - lay.lines[i - 1]);
+  return Math.round(span);
+}
+
+export function members(state, L) {
+  const f = resolveFoundation(state);
+  const lay = foundationLayout(state, L);
+  const ground = getGround(state);
+  const out = [];
+  const count = {};
+  const next = (part) => {
+    count[part] = (count[part] || 0) + 1;
+    return `base-${part}-${count[part] - 1}`;
+  };
+  const opts = (part, material, meta) => ({ element: 'base', material, meta: Object.assign({ layer: 'base', part }, meta || {}) });
+  const add = (part, size, centre, material, meta) => out.push(box(next(part), size, centre, opts(part, material, meta)));
+  // Plan slab x0..x1 × z0..z1 between two surfaces (y = top(x, z) / bottom(x, z)) taken at its corners.
+  const addPrism = (part, [x0, z0, x1, z1], top, bottom, material) => {
+    const corners = [[x0, z0], [x1, z0], [x1, z1], [x0, z1]];
+    const vertices = corners.map(([x, z]) => [x, bottom(x, z), z]).concat(corners.map(([x, z]) => [x, top(x, z), z]));
+    out.push(solid(next(part), vertices, PRISM_INDICES, opts(part, material)));
+  };
+  // Plan (a along the joists, b along the rims) -> world X / Z.
+  const xz = (a, b) => (L.isWShort ? [a, b] : [b, a]);
+  const sizeXZ = (aLen, bLen, h) => (L.isWShort ? [aLen, h, bLen] : [bLen, h, aLen]);
+
+  if (f.type === 'grid') {
+    const g = CONFIG.grid.size;
+    for (let x = 0; x < state.w; x += g) {
+      for (let z = 0; z < state.d; z += g) {
+        const bw = Math.min(g, state.w - x);
+        const bd = Math.min(g, state.d - z);
+        add('grid', [bw, CONFIG.grid.h, bd], [x + bw / 2, TOP / 2, z + bd / 2], 'grid');
+      }
+    }
+    // Tiles are laid level: compacted fill brings the low side up to the highest corner.
+    if (ground.sloped) addPrism('fill', [0, 0, state.w, state.d], () => 0, ground.at, 'hardcore');
+    return out;
+  }
+
+  if (f.type === 'pads' || f.type === 'bearers') {
+    // Pads carrying the frame are cast up to its underside; pads under bearers finish flush with the ground.
+    for (const p of lay.points) {
+      const top = f.type === 'bearers' ? p.ground : TOP;
+      const bottom = p.ground + (f.type === 'bearers' ? 0 : TOP) - f.padDepth_mm;
+      add('pad', [f.pad_mm, top - bottom, f.pad_mm], [p.x, (top + bottom) / 2, p.z], 'concrete');
+    }
+  }
+
+  if (f.type === 'bearers') {
+    const bw = CONFIG.timber.d; // laid flat: 100 wide, 50 deep
+    for (const a of lay.lines) {
+      const [x, z] = xz(a, L.rimLen / 2);
+      add('bearer', sizeXZ(bw, L.rimLen, CONFIG.timber.w), [x, TOP / 2, z], 'treated');
+    }
+    // Offcuts of bearer stood on end between each pad and the level bearer above it.
+    for (const p of lay.points) {
+      if (-p.ground < MIN_PACKER_MM) continue;
+      add('packer', sizeXZ(bw, CONFIG.timber.w, -p.ground), [p.x, p.ground / 2, p.z], 'treated');
+    }
+  }
+
+  if (f.type === 'screws') {
+    for (const p of lay.points) {
+      const shaft = f.screwLength_mm - p.ground + TOP - SCREW.plateT;
+      add('screw', [SCREW.d, shaft, SCREW.d], [p.x, (TOP - SCREW.plateT) - shaft / 2, p.z], 'steel', { round: true });
+      add('screwHead', [SCREW.plate, SCREW.plateT, SCREW.plate], [p.x, TOP - SCREW.plateT / 2, p.z], 'steel');
+    }
+  }
+
+  if (f.type === 'slab') {
+    // Level top; the underside follows the ground, so the slab thickens toward the low side.
+    const t = f.slabThickness_mm;
+    const lap = t + DPM_LAP_MM;
+    const under = (x, z) => ground.at(x, z) + TOP - t;
+    addPrism('slab', [0, 0, state.w, state.d], () => TOP, under, 'concrete');
+    addPrism('dpm', [-lap, -lap, state.w + lap, state.d + lap], under, (x, z) => under(x, z) - 2, 'dpm');
+    addPrism('subBase', [0, 0, state.w, state.d], (x, z) => under(x, z) - 2, (x, z) => under(x, z) - 2 - SUB_BASE_MM, 'hardcore');
+  }
+
+  return out;
+}
+
+/**
+ * Foundation BOM lines: grid tiles by cut size, pad / slab concrete volumes, screw counts, bearers. Pads,
+ * screws and packers are grouped by their size at each support point (rounded up, ROUND_UP).
+ * Concrete, fill and DPM share one catalogue key each (bom/pricing.js prices them by m³ / m²), so depth_mm is
+ * the mean thickness where it varies (slab, fill).
+ */
+export function bomItems(state, L) {
+  const f = resolveFoundation(state);
+  const lay = foundationLayout(state, L);
+  const ground = getGround(state);
+  const sizes = supportSizes(state, L);
+  const items = [];
+  const add = (fields) => items.push(bomItem(Object.assign({ element: 'base' }, fields)));
+
+  if (f.type === 'grid') {
+    const g = CONFIG.grid.size;
+    const gridCuts = {};
+    for (let x = 0; x < state.w; x += g) {
+      const sw = Math.min(g, state.w - x);
+      for (let z = 0; z < state.d; z += g) {
+        const sd = Math.min(g, state.d - z);
+        if (sw > 0 && sd > 0) {
+          const key = `${sw}x${sd}`;
+          gridCuts[key] = (gridCuts[key] || 0) + 1;
+        }
+      }
+    }
+    Object.keys(gridCuts).forEach(key => {
+      const [sw, sd] = key.split('x').map(Number);
+      add({
+        group: 'Grid Tiles', item: `Grid ${key}`, material: 'plastic grid', section: `${CONFIG.grid.h}mm tile`,
+        qty: gridCuts[key], length_mm: sw, width_mm: sd, depth_mm: CONFIG.grid.h, notes: (sw === g && sd === g) ? 'Full Tile' : 'Cut Tile',
+      });
+    });
+    if (ground.sloped) {
+      add({
+        group: 'Grid Tiles', item: 'Levelling fill', material: 'MOT type 1', section: 'compacted', qty: 1,
+        length_mm: state.w, width_mm: state.d, depth_mm: Math.round(-ground.mean_mm),
+        notes: `${m3(-ground.mean_mm * state.w * state.d).toFixed(2)} m³; up to ${ground.fall_mm}mm deep at the low side`,
+      });
+    }
+    return items;
+  }
+
+  const group = FOUNDATION_LABELS[f.type];
+
+  if (f.type === 'pads' || f.type === 'bearers') {
+    for (const [depth, qty] of bySize(sizes.map((s) => s.pad_mm), ROUND_UP.pad, f.padDepth_mm)) {
+      const each = m3(f.pad_mm * f.pad_mm * depth);
+      add({
+        group, item: 'Concrete pad', material: 'concrete', section: 'ready-mix',
+        qty, length_mm: f.pad_mm, width_mm: f.pad_mm, depth_mm: depth,
+        notes: `${each.toFixed(3)} m³ each, ${(each * qty).toFixed(2)} m³ total`,
+      });
+    }
+  }
+
+  if (f.type === 'bearers') {
+    add({
+      group, item: 'Bearer', material: 'timber', qty: lay.lines.length, length_mm: L.rimLen,
+      width_mm: CONFIG.timber.w, depth_mm: CONFIG.timber.d, notes: 'Treated; laid flat across the joists',
+    });
+    const packers = sizes.map((s) => s.packer_mm).filter((h) => h >= MIN_PACKER_MM);
+    for (const [h, qty] of bySize(packers, ROUND_UP.packer)) {
+      add({
+        group, item: 'Packer', material: 'timber', qty, length_mm: h,
+        width_mm: CONFIG.timber.w, depth_mm: CONFIG.timber.d, notes: 'Treated offcut stood on end between pad and bearer',
+      });
+    }
+  }
+
+  if (f.type === 'screws') {
+    for (const [len, qty] of bySize(sizes.map((s) => s.screw_mm), ROUND_UP.screw, f.screwLength_mm)) {
+      add({
+        group, item: 'Ground screw', material: 'ground screw', section: `${SCREW.d}mm`,
+        qty, length_mm: len, width_mm: SCREW.d, depth_mm: SCREW.d,
+        notes: `${SCREW.plate}×${SCREW.plate} head plate; ${f.screwLength_mm}mm in the ground`,
+      });
+    }
+  }
+
+  if (f.type === 'slab') {
+    const t = f.slabThickness_mm;
+    const lap = t + DPM_LAP_MM;
+    const dpmL = state.w + 2 * lap, dpmW = state.d + 2 * lap;
+    const thick = ground.sloped ? `, ${t}–${t + ground.fall_mm}mm thick on the slope` : '';
+    add({
+      group, item: 'Concrete slab', material: 'concrete', section: 'ready-mix', qty: 1,
+      length_mm: state.w, width_mm: state.d, depth_mm: Math.round(t - ground.mean_mm),
+      notes: `${m3(state.w * state.d * (t - ground.mean_mm)).toFixed(2)} m³${thick}`,
+    });
+    add({
+      group, item: 'DPM', material: 'DPM', section: '1200 gauge', qty: 1, length_mm: dpmL, width_mm: dpmW,
+      notes: `${(dpmL * dpmW / 1e6).toFixed(1)} m²; turned up the slab edges`,
+    });
+    add({
+      group, item: 'Sub-base', material: 'MOT type 1', section: 'compacted', qty: 1,
+      length_mm: state.w, width_mm: state.d, depth_mm: SUB_BASE_MM, notes: `${m3(state.w * state.d * SUB_BASE_MM).toFixed(2)} m³ compacted`,
+    });
+  }
+
+  return items;
+}
+
+/** One-line totals for the BOM page: tile count, concrete volume, screw count, DPM area. */
+export function summary(state, L) {
+  const f = resolveFoundation(state);
+  const lay = foundationLayout(state, L);
+  const ground = getGround(state);
+  const sizes = supportSizes(state, L);
+  const padVol = sizes.reduce((v, s) => v + m3(f.pad_mm * f.pad_mm * (s.pad_mm || 0)), 0);
+  const grid = `${lay.lines.length} support lines × ${lay.stations.length} joists at up to ${f.grid_mm}mm centres`;
+  const slope = ground.sloped ? ` Ground falls ${ground.fall_mm}mm across the base.` : '';
+  const range = (vals) => {
+    const lo = Math.round(Math.min(...vals)), hi = Math.round(Math.max(...vals));
+    return lo === hi ? `${lo}mm` : `${lo}–${hi}mm`;
+  };
+
+  if (f.type === 'grid') {
+    const g = CONFIG.grid.size;
+    const fill = ground.sloped ? `; ${m3(-ground.mean_mm * state.w * state.d).toFixed(2)} m³ levelling fill` : '';
+    return `${Math.ceil(state.w / g) * Math.ceil(state.d / g)} tiles over ${(state.w * state.d / 1e6).toFixed(1)} m²${fill}.${slope}`;
+  }
+  if (f.type === 'pads') {
+    return `${lay.points.length} pads ${range(sizes.map((s) => s.pad_mm))} deep, ${padVol.toFixed(2)} m³ concrete; ${grid}.${slope}`;
+  }
+  if (f.type === 'screws') return `${lay.points.length} ground screws ${range(sizes.map((s) => s.screw_mm))} long; ${grid}.${slope}`;
+  if (f.type === 'bearers') {
+    const packers = sizes.filter((s) => s.packer_mm >= MIN_PACKER_MM);
+    const packed = packers.length ? `; ${packers.length} packers ${range(packers.map((s) => s.packer_mm))}` : '';
+    return `${lay.lines.length} bearers on ${lay.points.length} pads, ${padVol.toFixed(2)} m³ concrete${packed}.${slope}`;
+  }
+  const t = f.slabThickness_mm;
+  const lap = t + DPM_LAP_MM;
+  return `Slab ${m3(state.w * state.d * (t - ground.mean_mm)).toFixed(2)} m³ concrete; DPM ${((state.w + 2 * lap) * (state.d + 2 * lap) / 1e6).toFixed(1)} m²; ` +
+    `sub-base ${m3(state.w * state.d * SUB_BASE_MM).toFixed(2)} m³.${slope}`;
+}
+
+// from..to inclusive, evenly split into the fewest gaps of at most max.
+function spaced(from, to, max) {
+  const n = Math.max(1, Math.ceil((to - from) / max));
+  const out = [];
+  for (let i = 0; i <= n; i++) out.push(from + (to - from) * i / n);
+  return out;
+}
+
+// Joist centres at most max apart (first and last always; otherwise the furthest joist within reach).
+function pickJoists(positions, max) {
+  const out = [positions[0]];
+  let i = 0;
+  while (i < positions.length - 1) {
+    let j = i + 1;
+    while (j + 1 < positions.length && positions[j + 1] - positions[i] <= max) j++;
+    out.push(positions[j]);
+    i = j;
+  }
+  return out;
+}
+
+// [[size, qty], ...] ascending; each size is base plus its excess over base rounded up to a multiple of step.
+function bySize(values, step, base = 0) {
+  const counts = new Map();
+  for (const v of values) {
+    const size = base + Math.max(0, Math.ceil(Math.round(v - base) / step) * step);
+    counts.set(size, (counts.get(size) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => a[0] - b[0]);
+}
+
+const m3 = (mm3) => mm3 / 1e9;
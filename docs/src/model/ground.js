@@ -0,0 +1,52 @@
+// FILE: docs/src/model/ground.js
+import { resolveGround } from '../params.js';
+
+/**
+ * Ground under the base (state.site.ground, see resolveGround). The frame stays level and sits on the highest
+ * corner exactly as on flat ground, so y = 0 is still the highest ground and the rest falls away below it:
+ * wall and roof heights, and the Class E heights (taken from the highest adjacent ground), do not move.
+ * The foundation (foundation.js) takes up the fall at each support point.
+ *
+ *   getGround(baseState) -> { levels: { frontLeft, frontRight, backLeft, backRight }, fall_mm, sloped, mean_mm, at(x, z) }
+ *
+ * levels are ground y (mm, <= 0) at the base corners: x 0..w runs left to right, z 0..d front to back.
+ * at(x, z) is bilinear between them (and extrapolates past the base); mean_mm is its average over the base.
+ */
+
+const MAX_FALL_MM = 1500;
+
+const CORNERS_LOW = {
+  front: ['frontLeft', 'frontRight'],
+  back: ['backLeft', 'backRight'],
+  left: ['frontLeft', 'backLeft'],
+  right: ['frontRight', 'backRight']
+};
+
+export function getGround(state) {
+  const g = resolveGround(state);
+  const w = Math.max(1, state.w), d = Math.max(1, state.d);
+
+  let depth = { frontLeft: 0, frontRight: 0, backLeft: 0, backRight: 0 };
+  if (g.mode === 'corners') depth = g.depth_mm;
+  if (g.mode === 'fall') {
+    const run = g.fall.toward === 'front' || g.fall.toward === 'back' ? d : w;
+    for (const k of CORNERS_LOW[g.fall.toward]) depth[k] = run * g.fall.gradient_pct / 100;
+  }
+
+  const high = Math.min(depth.frontLeft, depth.frontRight, depth.backLeft, depth.backRight);
+  const levels = {};
+  for (const k of Object.keys(depth)) levels[k] = -Math.min(MAX_FALL_MM, Math.round(depth[k] - high));
+
+  const fall = -Math.min(levels.frontLeft, levels.frontRight, levels.backLeft, levels.backRight);
+  return {
+    levels,
+    fall_mm: fall,
+    sloped: fall > 0,
+    mean_mm: (levels.frontLeft + levels.frontRight + levels.backLeft + levels.backRight) / 4,
+    at(x, z) {
+      const u = x / w, v = z / d;
+      return (1 - u) * (1 - v) * levels.frontLeft + u * (1 - v) * levels.frontRight +
+        (1 - u) * v * levels.backLeft + u * v * levels.backRight;
+    }
+  };
+}
@@ -0,0 +1,87 @@
+// FILE: docs/src/model/index.js
+import { CONFIG, resolveDims, resolveApexHeights, resolveHippedHeights, resolveJoists } from '../params.js';
+import * as Base from './base.js';
+import * as Walls from './walls.js';
+import * as Roof from './roof.js';
+import { offsetMembers } from './members.js';
+import { checkStructure } from './structure.js';
+
+/**
+ * Headless shed model: no Babylon, no DOM, so it runs in Node as well as the browser.
+ *
+ *   import { buildModel } from './docs/src/model/index.js';
+ *   const { members, nodes, bom, cuts, sheets, checks } = buildModel(state); // state shaped like params.js DEFAULTS
+ *
+ * - members / nodes: every framing, insulation and sheathing member in world mm (see members.js),
+ *   placed as the 3D view shows them. Wall cladding is not a member list (boards are laid out against
+ *   the built plates); it is in the BOM.
+ * - bom: structured BOM items (bom/model.js), base then walls (when enabled) then roof.
+ * - cuts: timber cut pieces for the stock optimiser; sheets: { osb, pir } pieces for nesting.
+ * - checks: structural span checks (structure.js) for the joists, studs and rafters.
+ *
+ * The element modules (base.js, walls.js, roof.js) take the per-element states elementStates() derives.
+ */
+
+/** Walls sit 25mm outside the base on every side. */
+export const WALL_OVERHANG_MM = 25;
+
+/** Height (mm) walls and roof sit at, on the deck: grid + joist depth + deck (168 with 50×100 joists). */
+export function wallRise(state) {
+  return CONFIG.grid.h + resolveJoists(state).section.h + CONFIG.decking.h;
+}
+
+/** Roof styles that own the eave height drive the wall frame height of the derived wall/roof states. */
+export function applyRoofWallHeight(state) {
+  const style = (state && state.roof && state.roof.style) ? String(state.roof.style) : 'apex';
+  let eave;
+  if (style === 'hipped') eave = resolveHippedHeights(state || {}).eave_mm;
+  else if (style === 'apex') eave = resolveApexHeights(state || {}).eave_mm;
+  else return state;
+  return Object.assign({}, state, { walls: Object.assign({}, (state && state.walls) || {}, { height_mm: eave }) });
+}
+
+/** Wall frame outer dims (mm): the base plus the overhang on each side. */
+export function wallOuterDims(state) {
+  const R = resolveDims(state);
+  return {
+    w_mm: Math.max(1, Math.floor(R.base.w_mm + (2 * WALL_OVERHANG_MM))),
+    d_mm: Math.max(1, Math.floor(R.base.d_mm + (2 * WALL_OVERHANG_MM)))
+  };
+}
+
+/** { base, walls, roof }: the state each element reads, with w / d set to that element's outer dims. */
+export function elementStates(state) {
+  const R = resolveDims(state);
+  const heightState = applyRoofWallHeight(state);
+  const wallDims = wallOuterDims(state);
+  const roofW = (R && R.roof && R.roof.w_mm != null) ? Math.max(1, Math.floor(R.roof.w_mm)) : Math.max(1, Math.floor(R.base.w_mm));
+  const roofD = (R && R.roof && R.roof.d_mm != null) ? Math.max(1, Math.floor(R.roof.d_mm)) : Math.max(1, Math.floor(R.base.d_mm));
+  return {
+    base: Object.assign({}, state, { w: R.base.w_mm, d: R.base.d_mm }),
+    walls: Object.assign({}, heightState, { w: wallDims.w_mm, d: wallDims.d_mm }),
+    roof: Object.assign({}, heightState, { w: roofW, d: roofD })
+  };
+}
+
+export function buildModel(state) {
+  const s = elementStates(state);
+  const wallsOn = !(state && state.vis && state.vis.wallsEnabled === false);
+  const roof = Roof.members(s.roof) || { nodes: [], members: [] };
+
+  const baseSheets = Base.sheetCuts(s.base);
+  const roofSheets = Roof.sheetCuts(s.roof);
+  const shift = [-WALL_OVERHANG_MM, wallRise(state), -WALL_OVERHANG_MM];
+
+  return {
+    members: [].concat(
+      Base.members(s.base),
+      wallsOn ? offsetMembers(Walls.members(s.walls), shift) : [],
+      offsetMembers(roof.members, shift)
+    ),
+    nodes: roof.nodes,
+    bom: [].concat(Base.bomItems(s.base), wallsOn ? Walls.bomItems(s.walls) : [], Roof.bomItems(s.roof)),
+    cuts: [].concat(Base.timberCuts(s.base), wallsOn ? Walls.timberCuts(s.walls) : [], Roof.timberCuts(s.roof)),
+    sheets: { osb: baseSheets.osb.concat(roofSheets.osb), pir: baseSheets.pir },
+    checks: checkStructure(s)
+  };
+}
@@ -0,0 +1,139 @@
+// FILE: docs/src/model/members.js
+
+/**
+ * Member records for the model layer (see model/index.js). All sizes and positions are mm.
+ * - Box member: { id, element, shape: 'box', size_mm: [x, y, z], length_mm, section_mm: [a, b],
+ *   position_mm: [x, y, z] (centre), rotation: [x, y, z] | null, parent, material, meta }.
+ *   size_mm is along the parent's axes before rotation; rotation is Euler radians in Babylon's order
+ *   (yaw Y, then pitch X, then roll Z).
+ * - Solid member (sloped plates, sheathing slabs): shape: 'solid', vertices_mm: [[x, y, z], ...] and
+ *   indices (triangles), offset by position_mm ([0, 0, 0] as built) in parent space.
+ * - parent is null (world space) or the id of a node { id, parent, position_mm, quaternion: [x, y, z, w] }.
+ * - material is a role ('timber', 'plate', 'osb', 'invalid', ...) the renderer maps to its own materials.
+ * - length_mm is the longest edge and section_mm the other two (largest first), for cutting lists.
+ */
+
+export function box(id, size, position, opts = {}) {
+  return Object.assign(measure({ id, element: opts.element || null, shape: 'box', size_mm: size.slice() }, size), {
+    position_mm: position.slice(),
+    rotation: opts.rotation ? opts.rotation.slice() : null,
+    parent: opts.parent || null,
+    material: opts.material || 'timber',
+    meta: Object.assign({}, opts.meta || {})
+  });
+}
+
+/** Box given by its min corner (the builders' usual placement). */
+export function boxAt(id, size, min, opts) {
+  return box(id, size, [min[0] + size[0] / 2, min[1] + size[1] / 2, min[2] + size[2] / 2], opts);
+}
+
+export function solid(id, vertices, indices, opts = {}) {
+  const lo = [Infinity, Infinity, Infinity], hi = [-Infinity, -Infinity, -Infinity];
+  vertices.forEach(v => v.forEach((c, i) => { lo[i] = Math.min(lo[i], c); hi[i] = Math.max(hi[i], c); }));
+  return Object.assign(measure({ id, element: opts.element || null, shape: 'solid' }, hi.map((h, i) => h - lo[i])), {
+    vertices_mm: vertices.map(v => v.slice()),
+    indices: indices.slice(),
+    position_mm: [0, 0, 0],
+    rotation: null,
+    parent: opts.parent || null,
+    material: opts.material || 'timber',
+    meta: Object.assign({}, opts.meta || {})
+  });
+}
+
+export function node(id, opts = {}) {
+  return {
+    id,
+    parent: opts.parent || null,
+    position_mm: (opts.position || [0, 0, 0]).slice(),
+    quaternion: (opts.quaternion || [0, 0, 0, 1]).slice()
+  };
+}
+
+function measure(m, size) {
+  const s = size.map(v => Math.abs(v)).sort((a, b) => b - a);
+  m.length_mm = s[0];
+  m.section_mm = [s[1], s[2]];
+  return m;
+}
+
+/* ----------------------------- Transform maths ----------------------------- */
+// Same conventions as Babylon (left-handed, row vectors) so the renderer reproduces the model exactly.
+
+export function quatAxis(axis, angle) {
+  const len = Math.hypot(axis[0], axis[1], axis[2]) || 1;
+  const s = Math.sin(angle / 2) / len;
+  return [axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2)];
+}
+
+/** a × b (apply b first, then a — Babylon's Quaternion.multiply). */
+export function quatMul(a, b) {
+  return [
+    a[0] * b[3] + a[1] * b[2] - a[2] * b[1] + a[3] * b[0],
+    -a[0] * b[2] + a[1] * b[3] + a[2] * b[0] + a[3] * b[1],
+    a[0] * b[1] - a[1] * b[0] + a[2] * b[3] + a[3] * b[2],
+    -a[0] * b[0] - a[1] * b[1] - a[2] * b[2] + a[3] * b[3]
+  ];
+}
+
+/** Euler [x, y, z] (Babylon mesh.rotation) as a quaternion. */
+export function quatEuler(r) {
+  const [sp, cp] = [Math.sin(r[0] / 2), Math.cos(r[0] / 2)];
+  const [sy, cy] = [Math.sin(r[1] / 2), Math.cos(r[1] / 2)];
+  const [sr, cr] = [Math.sin(r[2] / 2), Math.cos(r[2] / 2)];
+  return [
+    cy * sp * cr + sy * cp * sr,
+    sy * cp * cr - cy * sp * sr,
+    cy * cp * sr - sy * sp * cr,
+    cy * cp * cr + sy * sp * sr
+  ];
+}
+
+export function rotate(q, p) {
+  const [x, y, z, w] = q;
+  const xx = x * x, yy = y * y, zz = z * z, xy = x * y, zw = z * w, zx = z * x, yw = y * w, yz = y * z, xw = x * w;
+  return [
+    p[0] * (1 - 2 * (yy + zz)) + p[1] * 2 * (xy - zw) + p[2] * 2 * (zx + yw),
+    p[0] * 2 * (xy + zw) + p[1] * (1 - 2 * (zz + xx)) + p[2] * 2 * (yz - xw),
+    p[0] * 2 * (zx - yw) + p[1] * 2 * (yz + xw) + p[2] * (1 - 2 * (yy + xx))
+  ];
+}
+
+/** World position of a point given in a node's space (nodes: id -> node). */
+export function nodeToWorld(nodes, id, p) {
+  let out = p;
+  for (let n = nodes[id]; n; n = n.parent ? nodes[n.parent] : null) {
+    const r = rotate(n.quaternion, out);
+    out = [r[0] + n.position_mm[0], r[1] + n.position_mm[1], r[2] + n.position_mm[2]];
+  }
+  return out;
+}
+
+/**
+ * World-space corners of a member (8 for a box, the vertices for a solid).
+ * nodes: the model's node list (or an id -> node map).
+ */
+export function memberCorners(member, nodes = []) {
+  const byId = Array.isArray(nodes) ? Object.fromEntries(nodes.map(n => [n.id, n])) : nodes;
+  let local;
+  if (member.shape === 'solid') {
+    local = member.vertices_mm.map(v => [v[0] + member.position_mm[0], v[1] + member.position_mm[1], v[2] + member.position_mm[2]]);
+  } else {
+    const [hx, hy, hz] = member.size_mm.map(v => v / 2);
+    const q = member.rotation ? quatEuler(member.rotation) : [0, 0, 0, 1];
+    local = [];
+    for (const sx of [-1, 1]) for (const sy of [-1, 1]) for (const sz of [-1, 1]) {
+      const r = rotate(q, [sx * hx, sy * hy, sz * hz]);
+      local.push([r[0] + member.position_mm[0], r[1] + member.position_mm[1], r[2] + member.position_mm[2]]);
+    }
+  }
+  return member.parent ? local.map(p => nodeToWorld(byId, member.parent, p)) : local.map(p => p.slice());
+}
+
+/** Move every member by [dx, dy, dz] mm in its parent's space (nodes stay put), as index.js shifts the meshes. */
+export function offsetMembers(members, d) {
+  return members.map(m => Object.assign({}, m, {
+    position_mm: [m.position_mm[0] + d[0], m.position_mm[1] + d[1], m.position_mm[2] + d[2]]
+  }));
+}
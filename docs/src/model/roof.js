@@ -0,0 +1,1061 @@
+// FILE: docs/src/model/roof.js
+/**
+ * Roof model (pent / apex / hipped): members, placement and cutting list for a roof state
+ * (w / d = roof plan, walls.height_mm = eave). Pure; elements/roof.js builds and renders it.
+ */
+
+import { CONFIG, resolveDims, resolveApexHeights, resolveHippedHeights } from "../params.js";
+import { bomItem, uniquePartIds } from "../bom/model.js";
+import { resolveUnits, formatLengthUnit } from "../units.js";
+import { box, boxAt, solid, node, quatAxis, quatMul, rotate, nodeToWorld } from "./members.js";
+
+/**
+ * Roof members in world space before index.js shifts the roof: { nodes, members, fit } or null when
+ * the style builds nothing.
+ * - nodes: "roof-root" (placed so the roof plan covers the frame plus overhangs) and, for apex,
+ *   one "roof-truss-<i>" per truss; members are laid out in roof-local mm under them.
+ * - fit: the placement report build3D publishes as window.__dbg.roofFit.
+ * - bearing (pent only): the analytic low / high bearing points the pitch is fitted to, world mm.
+ */
+export function members(state) {
+  const style = String(state && state.roof && state.roof.style ? state.roof.style : "apex");
+  if (style === "pent") return isPentEnabled(state) ? pentMembers(state) : null;
+  if (style === "apex") return apexMembers(state);
+  if (style === "hipped") return hippedMembers(state);
+  return null;
+}
+
+export function bomItems(state) {
+  return uniquePartIds(bomItemsForStyle(state));
+}
+
+function bomItemsForStyle(state) {
+  const style = String(state && state.roof && state.roof.style ? state.roof.style : "apex");
+  if (style === "pent") return bomItems_Pent(state);
+  if (style === "apex") return bomItems_Apex(state);
+  if (style === "hipped") return bomItems_Hipped(state);
+  return [];
+}
+
+/**
+ * Framing cut pieces for the stock-length optimiser: the timber parts of the roof BOM
+ * (sheathing and truss assembly rows excluded). Returns [{ item, qty, L, W, D, source }] in mm.
+ */
+export function timberCuts(state) {
+  return bomItemsForStyle(state)
+    .filter((it) => it.kind === "part" && it.material === "timber" && it.qty > 0 && it.length_mm > 0)
+    .map((it) => ({ item: it.item, qty: it.qty, L: Math.round(it.length_mm), W: it.width_mm, D: it.depth_mm, source: "roof" }));
+}
+
+/**
+ * Roof OSB pieces for the nesting engine: { osb: [{ L, W, qty, label, source }] } in mm.
+ * Apex slopes are cut on the same 1220×2440 grid as pent; hipped faces are cut from their bounding
+ * rectangle (the raking edges are trimmed from those pieces on site).
+ */
+export function sheetCuts(state) {
+  const style = String(state && state.roof && state.roof.style ? state.roof.style : "apex");
+  const osb = [];
+  const addGrid = (pieces, label, qty) => {
+    for (let i = 0; i < pieces.length; i++) {
+      const p = pieces[i];
+      osb.push({ L: Math.round(p.L_mm), W: Math.round(p.W_mm), qty, label, source: "roof" });
+    }
+  };
+
+  if (style === "pent") {
+    addGrid(computeRoofData_Pent(state).osb.all, "Roof OSB", 1);
+  } else if (style === "apex") {
+    const m = computeApexMembers(state);
+    addGrid(computeOsbPiecesNoStagger(m.rafterLen_mm, m.B_mm).all, "Roof OSB (slope)", 2);
+  } else if (style === "hipped") {
+    const data = computeRoofData_Hipped(state);
+    for (let i = 0; i < data.osb.faces.length; i++) {
+      const f = data.osb.faces[i];
+      addGrid(computeOsbPiecesNoStagger(f.slopeH_mm, f.base_mm).all, "Roof OSB (" + f.face + " " + f.shape + ")", 1);
+    }
+  }
+
+  return { osb };
+}
+
+/* ----------------------------------- PENT ----------------------------------- */
+
+function pentMembers(state) {
+  const data = computeRoofData_Pent(state);
+  const dims = resolveDims(state);
+
+  const ovh = (dims && dims.overhang) ? dims.overhang : { l_mm: 0, r_mm: 0, f_mm: 0, b_mm: 0 };
+  const l_mm = Math.max(0, Math.floor(Number(ovh.l_mm || 0)));
+  const r_mm = Math.max(0, Math.floor(Number(ovh.r_mm || 0)));
+  const f_mm = Math.max(0, Math.floor(Number(ovh.f_mm || 0)));
+  const b_mm = Math.max(0, Math.floor(Number(ovh.b_mm || 0)));
+
+  const frameW_mm = Math.max(1, Math.floor(Number(dims?.frame?.w_mm ?? state?.w ?? 1)));
+  const frameD_mm = Math.max(1, Math.floor(Number(dims?.frame?.d_mm ?? state?.d ?? 1)));
+
+  // Analytic pent heights (authoritative for roof bearing)
+  const minH_mm = Math.max(100, Math.floor(Number(data.minH_mm || 2400)));
+  const maxH_mm = Math.max(100, Math.floor(Number(data.maxH_mm || 2400)));
+
+  // ---- Rigid roof assembly under roof-root (local underside y=0) ----
+  const out = [];
+  const mk = (id, size, x, yBottom, z, material, meta) => {
+    out.push(boxAt(id, size, [x, yBottom, z], { element: "roof", parent: "roof-root", material, meta }));
+  };
+
+  const rimThkA_mm = data.rafterW_mm;
+  const rimRunB_mm = data.B_mm;
+  const rimBackA0_mm = Math.max(0, data.A_mm - rimThkA_mm);
+
+  function mapABtoLocalXZ(a0, b0, aLen, bLen, isWShort) {
+    if (isWShort) return { x0: a0, z0: b0, lenX: aLen, lenZ: bLen }; // A->X, B->Z
+    return { x0: b0, z0: a0, lenX: bLen, lenZ: aLen }; // A->Z, B->X
+  }
+
+  // Rim joists (front/back at ends of A; run along B)
+  {
+    const m = mapABtoLocalXZ(0, 0, rimThkA_mm, rimRunB_mm, data.isWShort);
+    mk("roof-rim-front", [m.lenX, data.rafterD_mm, m.lenZ], m.x0, 0, m.z0, "timber", { roof: "pent", part: "rim", edge: "front" });
+  }
+  {
+    const m = mapABtoLocalXZ(rimBackA0_mm, 0, rimThkA_mm, rimRunB_mm, data.isWShort);
+    mk("roof-rim-back", [m.lenX, data.rafterD_mm, m.lenZ], m.x0, 0, m.z0, "timber", { roof: "pent", part: "rim", edge: "back" });
+  }
+
+  // Rafters (span A, placed along B @600)
+  for (let i = 0; i < data.rafters.length; i++) {
+    const r = data.rafters[i];
+    const mapped = mapABtoLocalXZ(0, r.b0_mm, data.rafterLen_mm, data.rafterW_mm, data.isWShort);
+    mk(`roof-rafter-${i}`, [mapped.lenX, data.rafterD_mm, mapped.lenZ], mapped.x0, 0, mapped.z0, "timber", { roof: "pent", part: "rafter" });
+  }
+
+  // OSB (bottom on top of rafters)
+  for (let i = 0; i < data.osb.all.length; i++) {
+    const p = data.osb.all[i];
+    mk(`roof-osb-${i}`, [p.xLen_mm, data.osbThickness_mm, p.zLen_mm], p.x0_mm, data.rafterD_mm, p.z0_mm, "osb", { roof: "pent", part: "osb", kind: p.kind });
+  }
+
+  // ---- Analytic alignment ----
+  // Rotation:
+  // - Pent slope follows the shortest plan dimension:
+  //   - If roofW <= roofD: slope along WORLD +X (span width)
+  //   - If roofW >  roofD: slope along WORLD +Z (span depth)
+  const slopeAlongWorldX = !!data.isWShort;
+  const slopeAxisWorld = slopeAlongWorldX ? [1, 0, 0] : [0, 0, 1];
+  const pitchAxisWorld = slopeAlongWorldX ? [0, 0, 1] : [1, 0, 0];
+
+  // Source axis in roof local that represents A (rafter span axis):
+  // data.isWShort => A maps to local X, else A maps to local Z
+  const slopeAxisLocal = data.isWShort ? [1, 0, 0] : [0, 0, 1];
+
+  // Yaw around Y to align slopeAxisLocal -> slopeAxisWorld
+  const dotYaw = clamp((slopeAxisLocal[0] * slopeAxisWorld[0] + slopeAxisLocal[2] * slopeAxisWorld[2]), -1, 1);
+  const crossYawY = (slopeAxisLocal[0] * slopeAxisWorld[2] - slopeAxisLocal[2] * slopeAxisWorld[0]);
+  const yaw = (Math.acos(dotYaw)) * (crossYawY >= 0 ? 1 : -1);
+  const qYaw = quatAxis([0, 1, 0], yaw);
+
+  // Pitch angle derived from analytic rise/run over the SHORT frame span
+  const rise_m = (maxH_mm - minH_mm) / 1000;
+  const run_m = Math.max(1e-6, (slopeAlongWorldX ? frameW_mm : frameD_mm) / 1000);
+  const angle = Math.atan2(rise_m, run_m);
+  const qPitch = quatAxis(pitchAxisWorld, slopeAlongWorldX ? angle : -angle);
+
+  const q = quatMul(qPitch, qYaw);
+
+  // Translate in X/Z so the rotated roof rectangle's PLAN min corner lands on (-l, -f).
+  const roofW_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? data.roofW_mm ?? 1)));
+  const roofD_mm = Math.max(1, Math.floor(Number(dims?.roof?.d_mm ?? data.roofD_mm ?? 1)));
+  const position = planOffset(q, roofW_mm, roofD_mm, -l_mm, -f_mm);
+
+  // Translate Y so the underside at the LOW edge hits minH and (by construction) the HIGH edge hits maxH.
+  // Two analytic bearing sample points at mid of the other frame axis.
+  let pLowLocal = null;
+  let pHighLocal = null;
+
+  if (slopeAlongWorldX) {
+    const midFrameZ_mm = Math.floor(frameD_mm / 2);
+    pLowLocal = [l_mm, 0, f_mm + midFrameZ_mm];
+    pHighLocal = [l_mm + frameW_mm, 0, f_mm + midFrameZ_mm];
+  } else {
+    const midFrameX_mm = Math.floor(frameW_mm / 2);
+    pLowLocal = [l_mm + midFrameX_mm, 0, f_mm];
+    pHighLocal = [l_mm + midFrameX_mm, 0, f_mm + frameD_mm];
+  }
+
+  position[1] = minH_mm - rotate(q, pLowLocal)[1];
+
+  const nodes = [node("roof-root", { position, quaternion: q })];
+  const worldOfLocal = (p) => nodeToWorld({ "roof-root": nodes[0] }, "roof-root", p);
+  const low = worldOfLocal(pLowLocal);
+  const high = worldOfLocal(pHighLocal);
+
+  return {
+    nodes,
+    members: out,
+    fit: {
+      mode: "analytic-bearing-lines",
+      frame: { w_mm: frameW_mm, d_mm: frameD_mm },
+      overhang_mm: { l: l_mm, r: r_mm, f: f_mm, b: b_mm },
+      heights_mm: { minH: minH_mm, maxH: maxH_mm },
+      rise_m: rise_m,
+      run_m: run_m,
+      angle: angle,
+      highError_mm: maxH_mm - high[1],
+    },
+    bearing: { low, high },
+  };
+}
+
+function bomItems_Pent(state) {
+  if (!isPentEnabled(state)) return [];
+
+  const data = computeRoofData_Pent(state);
+  const lenTxt = noteLength(state);
+
+  const rows = [];
+
+  // Rim joists (2x)
+  rows.push({
+    item: "Roof Rim Joist",
+    qty: 2,
+    L: data.isWShort ? data.roofD_mm : data.roofW_mm,
+    W: data.rafterW_mm,
+    notes: "D " + lenTxt(data.rafterD_mm),
+  });
+
+  // Rafters
+  rows.push({
+    item: "Roof Rafter",
+    qty: data.rafters.length,
+    L: data.rafterLen_mm,
+    W: data.rafterW_mm,
+    notes: "D " + lenTxt(data.rafterD_mm) + "; spacing @" + lenTxt(data.spacing_mm) + "; pent roof",
+  });
+
+  // OSB pieces (group identical cut sizes)
+  const osbPieces = [];
+  for (let i = 0; i < data.osb.all.length; i++) {
+    const p = data.osb.all[i];
+    osbPieces.push({
+      L: Math.max(1, Math.floor(p.L_mm)),
+      W: Math.max(1, Math.floor(p.W_mm)),
+      notes: lenTxt(data.osbThickness_mm) + " OSB; " + (p.kind === "std" ? "standard sheet" : "rip/trim"),
+    });
+  }
+
+  const grouped = groupByLWN(osbPieces);
+  const gKeys = Object.keys(grouped);
+  gKeys.sort((a, b) => String(a).localeCompare(String(b)));
+
+  for (let i = 0; i < gKeys.length; i++) {
+    const k = gKeys[i];
+    const g = grouped[k];
+    rows.push({
+      item: "Roof OSB",
+      material: "OSB 18mm", section: "18mm sheet", D: 18,
+      qty: g.qty,
+      L: g.L,
+      W: g.W,
+      notes: g.notes,
+    });
+  }
+
+  rows.sort((a, b) => {
+    const ai = String(a.item), bi = String(b.item);
+    if (ai !== bi) return ai.localeCompare(bi);
+    const aL = Number(a.L), bL = Number(b.L);
+    if (aL !== bL) return aL - bL;
+    const aW = Number(a.W), bW = Number(b.W);
+    if (aW !== bW) return aW - bW;
+    return String(a.notes).localeCompare(String(b.notes));
+  });
+
+  return roofItems(rows, "pent");
+}
+
+function isPentEnabled(state) {
+  return !!(state && state.roof && String(state.roof.style || "") === "pent");
+}
+
+export function computeRoofData_Pent(state) {
+  const dims = resolveDims(state);
+
+  const roofW = Math.max(1, Math.floor(Number(dims?.roof?.w_mm)));
+  const roofD = Math.max(1, Math.floor(Number(dims?.roof?.d_mm)));
+
+  const frameW = Math.max(1, Math.floor(Number(dims?.frame?.w_mm)));
+  const frameD = Math.max(1, Math.floor(Number(dims?.frame?.d_mm)));
+
+  const originX_mm = 0;
+  const originZ_mm = 0;
+
+  const A = Math.min(roofW, roofD);
+  const B = Math.max(roofW, roofD);
+
+  const isWShort = roofW <= roofD;
+
+  const spacing = 600;
+
+  const baseW = Math.max(1, Math.floor(Number(CONFIG.timber.w)));
+  const baseD = Math.max(1, Math.floor(Number(CONFIG.timber.d)));
+
+  const rafterW_mm = baseD;
+  const rafterD_mm = baseW;
+
+  const rafterLen_mm = A;
+
+  const pos = [];
+  const maxP = Math.max(0, B - rafterW_mm);
+
+  let p = 0;
+  while (p <= maxP) {
+    pos.push(Math.floor(p));
+    p += spacing;
+  }
+  if (pos.length) {
+    const last = pos[pos.length - 1];
+    if (Math.abs(last - maxP) > 0) pos.push(Math.floor(maxP));
+  } else {
+    pos.push(0);
+  }
+
+  const rafters = [];
+  for (let i = 0; i < pos.length; i++) rafters.push({ b0_mm: pos[i] });
+
+  const osbAB = computeOsbPiecesNoStagger(A, B);
+
+  const mappedAll = [];
+  for (let i = 0; i < osbAB.all.length; i++) {
+    const p2 = osbAB.all[i];
+    if (isWShort) {
+      mappedAll.push({
+        kind: p2.kind,
+        x0_mm: originX_mm + p2.a0_mm,
+        z0_mm: originZ_mm + p2.b0_mm,
+        xLen_mm: p2.W_mm,
+        zLen_mm: p2.L_mm,
+        L_mm: p2.L_mm,
+        W_mm: p2.W_mm,
+      });
+    } else {
+      mappedAll.push({
+        kind: p2.kind,
+        x0_mm: originX_mm + p2.b0_mm,
+        z0_mm: originZ_mm + p2.a0_mm,
+        xLen_mm: p2.L_mm,
+        zLen_mm: p2.W_mm,
+        L_mm: p2.L_mm,
+        W_mm: p2.W_mm,
+      });
+    }
+  }
+
+  const baseH_mm = Math.max(
+    100,
+    Math.floor(
+      Number(state && state.walls && state.walls.height_mm != null ? state.walls.height_mm : 2400)
+    )
+  );
+  const minH = Math.max(
+    100,
+    Math.floor(
+      Number(
+        state && state.roof && state.roof.pent && state.roof.pent.minHeight_mm != null
+          ? state.roof.pent.minHeight_mm
+          : baseH_mm
+      )
+    )
+  );
+  const maxH = Math.max(
+    100,
+    Math.floor(
+      Number(
+        state && state.roof && state.roof.pent && state.roof.pent.maxHeight_mm != null
+          ? state.roof.pent.maxHeight_mm
+          : baseH_mm
+      )
+    )
+  );
+
+  return {
+    roofW_mm: roofW,
+    roofD_mm: roofD,
+    frameW_mm: frameW,
+    frameD_mm: frameD,
+    originX_mm,
+    originZ_mm,
+    A_mm: A,
+    B_mm: B,
+    isWShort: isWShort,
+    rafterW_mm,
+    rafterD_mm,
+    rafterLen_mm,
+    rafters,
+    spacing_mm: spacing,
+    osbThickness_mm: 18,
+    osb: {
+      all: mappedAll,
+      totalArea_mm2: osbAB.totalArea_mm2,
+    },
+    minH_mm: minH,
+    maxH_mm: maxH,
+  };
+}
+
+function computeOsbPiecesNoStagger(A_mm, B_mm) {
+  const A = Math.max(1, Math.floor(A_mm));
+  const B = Math.max(1, Math.floor(B_mm));
+
+  const SHEET_A = 1220;
+  const SHEET_B = 2440;
+
+  const aFull = Math.floor(A / SHEET_A);
+  const bFull = Math.floor(B / SHEET_B);
+
+  const aRem = A - aFull * SHEET_A;
+  const bRem = B - bFull * SHEET_B;
+
+  const all = [];
+
+  function pushPiece(kind, a0, b0, W, L) {
+    all.push({ kind, a0_mm: a0, b0_mm: b0, W_mm: W, L_mm: L });
+  }
+
+  for (let bi = 0; bi < bFull; bi++) {
+    for (let ai = 0; ai < aFull; ai++) {
+      pushPiece("std", ai * SHEET_A, bi * SHEET_B, SHEET_A, SHEET_B);
+    }
+  }
+
+  if (aRem > 0 && bFull > 0) {
+    for (let bi = 0; bi < bFull; bi++) {
+      pushPiece("rip", aFull * SHEET_A, bi * SHEET_B, aRem, SHEET_B);
+    }
+  }
+
+  if (bRem > 0 && aFull > 0) {
+    for (let ai = 0; ai < aFull; ai++) {
+      pushPiece("rip", ai * SHEET_A, bFull * SHEET_B, SHEET_A, bRem);
+    }
+  }
+
+  if (aRem > 0 && bRem > 0) {
+    pushPiece("rip", aFull * SHEET_A, bFull * SHEET_B, aRem, bRem);
+  }
+
+  let area = 0;
+  for (let i = 0; i < all.length; i++) {
+    area += Math.max(0, all[i].W_mm) * Math.max(0, all[i].L_mm);
+  }
+
+  return { all, totalArea_mm2: area };
+}
+
+/* ----------------------------------- APEX ----------------------------------- */
+
+function apexMembers(state) {
+  const dims = resolveDims(state);
+
+  const ovh = (dims && dims.overhang) ? dims.overhang : { l_mm: 0, r_mm: 0, f_mm: 0, b_mm: 0 };
+  const l_mm = Math.max(0, Math.floor(Number(ovh.l_mm || 0)));
+  const r_mm = Math.max(0, Math.floor(Number(ovh.r_mm || 0)));
+  const f_mm = Math.max(0, Math.floor(Number(ovh.f_mm || 0)));
+  const b_mm = Math.max(0, Math.floor(Number(ovh.b_mm || 0)));
+
+  const frameW_mm = Math.max(1, Math.floor(Number(dims?.frame?.w_mm ?? state?.w ?? 1)));
+  const frameD_mm = Math.max(1, Math.floor(Number(dims?.frame?.d_mm ?? state?.d ?? 1)));
+
+  // Truss layout (rotation-invariant): A = span axis (shorter plan side), B = ridge/run axis (longer).
+  const { A_mm, B_mm, memberW_mm, memberD_mm, apexH, rise_mm, trussPos_mm } = computeApexMembers(state);
+
+  // Ridge runs along B. If width is the long axis, ridge should run along world X; otherwise along world Z.
+  const ridgeAlongWorldX = frameW_mm >= frameD_mm;
+
+  // Roof-local: X = span axis A, Z = ridge axis B, Y up.
+  const out = [];
+  const mkBottom = (id, size, x, yBottom, z, parent, material, meta) => {
+    out.push(boxAt(id, size, [x, yBottom, z], { element: "roof", parent, material, meta }));
+  };
+  const mkCentered = (id, size, centre, rotZ, parent, material, meta) => {
+    out.push(box(id, size, centre, { element: "roof", parent, material, meta, rotation: [0, 0, rotZ] }));
+  };
+
+  // Geometry for sloped rafters in local X-Y plane (depth extrudes along Z by memberW)
+  const halfSpan_mm = A_mm / 2;
+  const rafterLen_mm = Math.sqrt(halfSpan_mm * halfSpan_mm + rise_mm * rise_mm);
+  const slopeAng = Math.atan2(rise_mm, halfSpan_mm);
+
+  const nodes = [node("roof-root")];
+
+  for (let idx = 0; idx < trussPos_mm.length; idx++) {
+    const tr = `roof-truss-${idx}`;
+    nodes.push(node(tr, { parent: "roof-root", position: [0, 0, trussPos_mm[idx]] }));
+
+    // Bottom chord (tie) along span at y=0
+    mkBottom(`${tr}-tie`, [A_mm, memberD_mm, memberW_mm], 0, 0, 0, tr, "timber", { roof: "apex", part: "truss", member: "tie" });
+
+    // Rafters: from each eave up to the ridge at x=halfSpan, y=rise
+    const cy = rise_mm / 2 + memberD_mm / 2;
+    mkCentered(`${tr}-rafter-L`, [rafterLen_mm, memberD_mm, memberW_mm], [halfSpan_mm / 2, cy, memberW_mm / 2], slopeAng,
+      tr, "timber", { roof: "apex", part: "truss", member: "rafterL" });
+    mkCentered(`${tr}-rafter-R`, [rafterLen_mm, memberD_mm, memberW_mm], [halfSpan_mm + (halfSpan_mm / 2), cy, memberW_mm / 2], -slopeAng,
+      tr, "timber", { roof: "apex", part: "truss", member: "rafterR" });
+
+    // Simple web for visual truss (non-structural; deterministic)
+    const webH = Math.max(1, Math.floor(rise_mm * 0.55));
+    const webLen = Math.sqrt((halfSpan_mm / 2) * (halfSpan_mm / 2) + (webH) * (webH));
+    const webAng = Math.atan2(webH, (halfSpan_mm / 2));
+    mkCentered(`${tr}-web-1`, [webLen, memberD_mm, memberW_mm], [halfSpan_mm / 2, webH / 2 + memberD_mm / 2, memberW_mm / 2], webAng,
+      tr, "timber", { roof: "apex", part: "truss", member: "web" });
+  }
+
+  // Ridge beam along B at (x=A/2, y=rise)
+  mkBottom("roof-ridge", [memberW_mm, memberD_mm, B_mm], Math.max(0, Math.floor(halfSpan_mm - memberW_mm / 2)), rise_mm, 0,
+    "roof-root", "timber", { roof: "apex", part: "ridge" });
+
+  // Two purlins along B (one each slope) at ~half rise
+  const purlY_mm = Math.floor(rise_mm * 0.5);
+  const purlX1_mm = Math.max(0, Math.floor(A_mm * 0.25 - memberW_mm / 2));
+  const purlX2_mm = Math.max(0, Math.floor(A_mm * 0.75 - memberW_mm / 2));
+  mkBottom("roof-purlin-L", [memberW_mm, memberD_mm, B_mm], purlX1_mm, purlY_mm, 0, "roof-root", "timber", { roof: "apex", part: "purlin", side: "L" });
+  mkBottom("roof-purlin-R", [memberW_mm, memberD_mm, B_mm], purlX2_mm, purlY_mm, 0, "roof-root", "timber", { roof: "apex", part: "purlin", side: "R" });
+
+  // Sheathing: two sloped 18mm OSB panels, B deep and rafterLen along the slope, offset to the
+  // OTHER SIDE of the purlins (outside of the roof plane) by purlin depth/2 + osb thickness/2.
+  const osbThk = 18;
+  const osbOffset_mm = (memberD_mm / 2) + (osbThk / 2);
+
+  // Outward unit normals in local XY: left slope (+theta) (-sin, cos); right slope (-theta) (sin, cos)
+  const sinT = Math.sin(slopeAng);
+  const cosT = Math.cos(slopeAng);
+  const baseCy = rise_mm / 2 + osbThk / 2;
+
+  mkCentered("roof-apex-osb-L", [rafterLen_mm, osbThk, B_mm], [halfSpan_mm / 2 + (-sinT) * osbOffset_mm, baseCy + cosT * osbOffset_mm, B_mm / 2], slopeAng,
+    "roof-root", "osb", { roof: "apex", part: "osb", side: "L" });
+  mkCentered("roof-apex-osb-R", [rafterLen_mm, osbThk, B_mm], [halfSpan_mm + (halfSpan_mm / 2) + sinT * osbOffset_mm, baseCy + cosT * osbOffset_mm, B_mm / 2], -slopeAng,
+    "roof-root", "osb", { roof: "apex", part: "osb", side: "R" });
+
+  // ---- Placement in world: yaw so the ridge (local Z) follows the long side, align the plan min
+  // corner to [-l,-f], then lift to the eave ----
+  const q = quatAxis([0, 1, 0], ridgeAlongWorldX ? (Math.PI / 2) : 0);
+  const position = planOffset(q, A_mm, B_mm, -l_mm, -f_mm);
+  position[1] = apexH.eave_mm;
+  nodes[0] = node("roof-root", { position, quaternion: q });
+
+  return {
+    nodes,
+    members: out,
+    fit: {
+      mode: "apex-gable",
+      frame: { w_mm: frameW_mm, d_mm: frameD_mm },
+      overhang_mm: { l: l_mm, r: r_mm, f: f_mm, b: b_mm },
+      spanA_mm: A_mm,
+      runB_mm: B_mm,
+      rise_mm: rise_mm,
+      ridgeAlongWorldX: ridgeAlongWorldX,
+      osbOffset_mm: osbOffset_mm
+    },
+  };
+}
+
+function bomItems_Apex(state) {
+  const { A_mm, B_mm, memberW_mm, memberD_mm, apexH, rise_mm, rafterLen_mm, trussQty, spacing_mm } = computeApexMembers(state);
+  const lenTxt = noteLength(state);
+
+  const rows = [];
+
+  rows.push({
+    item: "Roof Truss (assembly)",
+    material: "assembly",
+    qty: trussQty,
+    L: B_mm,
+    W: A_mm,
+    notes: "apex; spacing @" + lenTxt(spacing_mm) + "; rise " + lenTxt(rise_mm) + "; pitch " + String(apexH.pitch_deg) + "°",
+  });
+
+  rows.push({
+    item: "Truss Tie (bottom chord)",
+    qty: trussQty,
+    L: A_mm,
+    W: memberW_mm,
+    notes: "D " + lenTxt(memberD_mm),
+  });
+
+  rows.push({
+    item: "Truss Rafter",
+    qty: trussQty * 2,
+    L: rafterLen_mm,
+    W: memberW_mm,
+    notes: "D " + lenTxt(memberD_mm),
+  });
+
+  rows.push({
+    item: "Ridge Beam",
+    qty: 1,
+    L: B_mm,
+    W: memberW_mm,
+    notes: "D " + lenTxt(memberD_mm),
+  });
+
+  rows.push({
+    item: "Purlin",
+    qty: 2,
+    L: B_mm,
+    W: memberW_mm,
+    notes: "D " + lenTxt(memberD_mm),
+  });
+
+  rows.push({
+    item: "Roof OSB (visual panels)",
+    material: "OSB 18mm", section: "18mm sheet", D: 18,
+    qty: 2,
+    L: rafterLen_mm,
+    W: B_mm,
+    notes: lenTxt(18) + " OSB; one per slope (visual)",
+  });
+
+  rows.sort((a, b) => String(a.item).localeCompare(String(b.item)));
+
+  return roofItems(rows, "apex");
+}
+
+/** Apex member sizes, counts and truss positions along B, shared by members(), the cutting list and timberCuts(). */
+export function computeApexMembers(state) {
+  const dims = resolveDims(state);
+
+  const roofW_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? state?.w ?? 1)));
+  const roofD_mm = Math.max(1, Math.floor(Number(dims?.roof?.d_mm ?? state?.d ?? 1)));
+
+  const A_mm = Math.min(roofW_mm, roofD_mm);
+  const B_mm = Math.max(roofW_mm, roofD_mm);
+
+  const baseW = Math.max(1, Math.floor(Number(CONFIG.timber.w)));
+  const baseD = Math.max(1, Math.floor(Number(CONFIG.timber.d)));
+  const memberW_mm = baseD;
+  const memberD_mm = baseW;
+
+  const apexH = resolveApexHeights(state);
+  const rise_mm = Math.max(1, apexH.rise_mm);
+  const halfSpan_mm = A_mm / 2;
+  const rafterLen_mm = Math.round(Math.sqrt(halfSpan_mm * halfSpan_mm + rise_mm * rise_mm));
+
+  // Truss count @600 along B
+  const spacing = 600;
+  const pos = [];
+  const maxP = Math.max(0, B_mm - memberW_mm);
+  let p = 0;
+  while (p <= maxP) { pos.push(Math.floor(p)); p += spacing; }
+  if (pos.length) {
+    const last = pos[pos.length - 1];
+    if (Math.abs(last - maxP) > 0) pos.push(Math.floor(maxP));
+  } else {
+    pos.push(0);
+  }
+  const trussQty = pos.length;
+
+  return { A_mm, B_mm, memberW_mm, memberD_mm, apexH, rise_mm, rafterLen_mm, trussQty, trussPos_mm: pos, spacing_mm: spacing };
+}
+
+/* ---------------------------------- HIPPED ---------------------------------- */
+
+function hippedMembers(state) {
+  const data = computeRoofData_Hipped(state);
+  const W = data.memberW_mm;
+  const D = data.memberD_mm;
+
+  // Roof-local (same basis as apex): X = span axis A, Z = ridge axis B, Y up.
+  const out = [];
+  const opts = (material, meta) => ({ element: "roof", parent: "roof-root", material, meta });
+
+  // Ridge beam (omitted for a square plan: all four hips meet at one point)
+  if (data.ridgeLen_mm > 0) {
+    out.push(boxAt(
+      "roof-ridge",
+      [W, D, data.ridgeLen_mm],
+      [Math.max(0, Math.floor(data.halfSpan_mm - W / 2)), data.rise_mm, data.ridgeZ0_mm],
+      opts("timber", { roof: "hipped", part: "ridge" })
+    ));
+  }
+
+  // Hips, commons and jacks: the box's long axis (local X) runs from p0 to p1.
+  // Euler order is roll (Z) then yaw (Y): roll lifts the member to its slope, yaw turns it in plan.
+  const groups = [
+    { list: data.hips, part: "hip" },
+    { list: data.commons, part: "common" },
+    { list: data.jacks, part: "jack" },
+  ];
+  for (let g = 0; g < groups.length; g++) {
+    const list = groups[g].list;
+    for (let i = 0; i < list.length; i++) {
+      const m = list[i];
+      const dx = m.p1.x - m.p0.x;
+      const dy = m.p1.y - m.p0.y;
+      const dz = m.p1.z - m.p0.z;
+      const plan = Math.sqrt(dx * dx + dz * dz);
+      const len = Math.max(1, Math.sqrt(plan * plan + dy * dy));
+      out.push(box(
+        m.name,
+        [len, D, W],
+        [m.p0.x + dx / 2, m.p0.y + dy / 2, m.p0.z + dz / 2],
+        Object.assign(opts("timber", { roof: "hipped", part: groups[g].part, face: m.face }), {
+          rotation: [0, Math.atan2(-dz, dx), Math.atan2(dy, plan)],
+        })
+      ));
+    }
+  }
+
+  // Sheathing: each face is a flat convex polygon extruded along its outward normal by the OSB thickness.
+  for (let i = 0; i < data.osb.faces.length; i++) {
+    const f = data.osb.faces[i];
+    const thk = data.osbThickness_mm;
+    const n = f.pts.length;
+    const vertices = f.pts.map((p) => [p.x, p.y, p.z])
+      .concat(f.pts.map((p) => [p.x + f.normal.x * thk, p.y + f.normal.y * thk, p.z + f.normal.z * thk]));
+
+    const indices = [];
+    for (let k = 1; k < n - 1; k++) {
+      indices.push(0, k + 1, k); // underside
+      indices.push(n, n + k, n + k + 1); // top
+    }
+    for (let k = 0; k < n; k++) {
+      const j = (k + 1) % n;
+      indices.push(k, j, n + j, k, n + j, n + k);
+    }
+
+    out.push(solid(`roof-hipped-osb-${f.face}`, vertices, indices, opts("osb", { roof: "hipped", part: "osb", face: f.face })));
+  }
+
+  // ---- Placement in world: same analytic alignment as apex ----
+  const q = quatAxis([0, 1, 0], data.ridgeAlongWorldX ? (Math.PI / 2) : 0);
+  const position = planOffset(q, data.A_mm, data.B_mm, -data.overhang.l_mm, -data.overhang.f_mm);
+  position[1] = data.eaveH_mm;
+
+  return {
+    nodes: [node("roof-root", { position, quaternion: q })],
+    members: out,
+    fit: {
+      mode: "hipped",
+      frame: { w_mm: data.frameW_mm, d_mm: data.frameD_mm },
+      overhang_mm: { l: data.overhang.l_mm, r: data.overhang.r_mm, f: data.overhang.f_mm, b: data.overhang.b_mm },
+      spanA_mm: data.A_mm,
+      runB_mm: data.B_mm,
+      rise_mm: data.rise_mm,
+      pitch_deg: data.pitch_deg,
+      ridgeLen_mm: data.ridgeLen_mm,
+      ridgeAlongWorldX: data.ridgeAlongWorldX
+    },
+  };
+}
+
+function bomItems_Hipped(state) {
+  const data = computeRoofData_Hipped(state);
+  const D = data.memberD_mm;
+  const lenTxt = noteLength(state);
+
+  const rows = [];
+
+  if (data.ridgeLen_mm > 0) {
+    rows.push({
+      item: "Ridge Beam",
+      qty: 1,
+      L: data.ridgeLen_mm,
+      W: data.memberW_mm,
+      notes: "D " + lenTxt(D) + "; hipped",
+    });
+  }
+
+  rows.push({
+    item: "Hip Rafter",
+    qty: data.hips.length,
+    L: Math.round(data.hipLen_mm),
+    W: data.memberW_mm,
+    notes: "D " + lenTxt(D) + "; plan angle 45°",
+  });
+
+  rows.push({
+    item: "Common Rafter",
+    qty: data.commons.length,
+    L: Math.round(data.commonLen_mm),
+    W: data.memberW_mm,
+    notes: "D " + lenTxt(D) + "; spacing @" + lenTxt(data.spacing_mm) + "; pitch " + String(data.pitch_deg) + "°",
+  });
+
+  const jackPieces = [];
+  for (let i = 0; i < data.jacks.length; i++) {
+    jackPieces.push({
+      L: Math.round(data.jacks[i].len_mm),
+      W: data.memberW_mm,
+      notes: "D " + lenTxt(D) + "; cut to hip",
+    });
+  }
+  const grouped = groupByLWN(jackPieces);
+  const gKeys = Object.keys(grouped);
+  for (let i = 0; i < gKeys.length; i++) {
+    const g = grouped[gKeys[i]];
+    rows.push({ item: "Jack Rafter", qty: g.qty, L: g.L, W: g.W, notes: g.notes });
+  }
+
+  for (let i = 0; i < data.osb.faces.length; i++) {
+    const f = data.osb.faces[i];
+    rows.push({
+      item: "Roof OSB (" + f.shape + ")",
+      material: "OSB 18mm", section: "18mm sheet", D: 18,
+      qty: 1,
+      L: Math.round(f.base_mm),
+      W: Math.round(f.slopeH_mm),
+      notes: lenTxt(18) + " OSB; " + f.face + " face" + (f.shape === "trapezoid" ? "; top edge " + lenTxt(Math.round(f.top_mm)) : ""),
+    });
+  }
+
+  rows.sort((a, b) => {
+    const ai = String(a.item), bi = String(b.item);
+    if (ai !== bi) return ai.localeCompare(bi);
+    return Number(a.L) - Number(b.L);
+  });
+
+  const items = roofItems(rows, "hipped");
+  const areaM2 = data.osb.totalArea_mm2 / 1e6;
+  items.push(bomItem({
+    kind: "summary", element: "roof", group: "hipped", item: "Roof OSB (total area)",
+    notes: areaM2.toFixed(2) + " m²; eaves " + lenTxt(data.eaveH_mm) + ", crest " + lenTxt(data.crestH_mm),
+  }));
+  return items;
+}
+
+/**
+ * Pure hipped roof layout in roof-local mm (X = span A, Z = ridge axis B, Y up; y=0 at eave bearing).
+ * All four slopes share one pitch, so hips run at 45° in plan and the ridge is (B - A) long.
+ */
+export function computeRoofData_Hipped(state) {
+  const dims = resolveDims(state);
+
+  const ovh = (dims && dims.overhang) ? dims.overhang : { l_mm: 0, r_mm: 0, f_mm: 0, b_mm: 0 };
+  const overhang = {
+    l_mm: Math.max(0, Math.floor(Number(ovh.l_mm || 0))),
+    r_mm: Math.max(0, Math.floor(Number(ovh.r_mm || 0))),
+    f_mm: Math.max(0, Math.floor(Number(ovh.f_mm || 0))),
+    b_mm: Math.max(0, Math.floor(Number(ovh.b_mm || 0))),
+  };
+
+  const frameW_mm = Math.max(1, Math.floor(Number(dims?.frame?.w_mm ?? state?.w ?? 1)));
+  const frameD_mm = Math.max(1, Math.floor(Number(dims?.frame?.d_mm ?? state?.d ?? 1)));
+  const roofW_mm = Math.max(1, Math.floor(Number(dims?.roof?.w_mm ?? frameW_mm)));
+  const roofD_mm = Math.max(1, Math.floor(Number(dims?.roof?.d_mm ?? frameD_mm)));
+
+  const A_mm = Math.min(roofW_mm, roofD_mm);
+  const B_mm = Math.max(roofW_mm, roofD_mm);
+  const ridgeAlongWorldX = frameW_mm >= frameD_mm;
+
+  const heights = getHippedHeights(state);
+  const rise_mm = Math.max(1, heights.crestH_mm - heights.eaveH_mm);
+
+  const baseW = Math.max(1, Math.floor(Number(CONFIG.timber.w)));
+  const baseD = Math.max(1, Math.floor(Number(CONFIG.timber.d)));
+  const memberW_mm = baseD;
+  const memberD_mm = baseW;
+
+  const spacing = 600;
+  const halfSpan_mm = A_mm / 2;
+  const ridgeZ0_mm = halfSpan_mm;
+  const ridgeZ1_mm = B_mm - halfSpan_mm;
+  const ridgeLen_mm = Math.max(0, Math.floor(ridgeZ1_mm - ridgeZ0_mm));
+
+  const commonLen_mm = Math.sqrt(halfSpan_mm * halfSpan_mm + rise_mm * rise_mm);
+  const hipPlan_mm = halfSpan_mm * Math.SQRT2;
+  const hipLen_mm = Math.sqrt(hipPlan_mm * hipPlan_mm + rise_mm * rise_mm);
+  const pitchRad = Math.atan2(rise_mm, halfSpan_mm);
+  const pitch_deg = Math.round(pitchRad * 180 / Math.PI * 10) / 10;
+
+  // Member centrelines sit D/2 above the roof plane (matches apex rafter placement).
+  const yc = memberD_mm / 2;
+  const P = (x, y, z) => ({ x, y: y + yc, z });
+
+  const hips = [
+    { name: "roof-hip-0", face: "front-L", p0: P(0, 0, 0), p1: P(halfSpan_mm, rise_mm, ridgeZ0_mm) },
+    { name: "roof-hip-1", face: "front-R", p0: P(A_mm, 0, 0), p1: P(halfSpan_mm, rise_mm, ridgeZ0_mm) },
+    { name: "roof-hip-2", face: "back-L", p0: P(0, 0, B_mm), p1: P(halfSpan_mm, rise_mm, ridgeZ1_mm) },
+    { name: "roof-hip-3", face: "back-R", p0: P(A_mm, 0, B_mm), p1: P(halfSpan_mm, rise_mm, ridgeZ1_mm) },
+  ];
+
+  // Common rafters: along both long slopes between the ridge ends @600, plus one centre common per hip end.
+  const commonZ = [];
+  let z = ridgeZ0_mm;
+  while (z < ridgeZ1_mm) { commonZ.push(Math.floor(z)); z += spacing; }
+  commonZ.push(Math.floor(ridgeZ1_mm));
+
+  const commons = [];
+  for (let i = 0; i < commonZ.length; i++) {
+    const cz = commonZ[i];
+    commons.push({ name: `roof-common-L-${i}`, face: "L", p0: P(0, 0, cz), p1: P(halfSpan_mm, rise_mm, cz) });
+    commons.push({ name: `roof-common-R-${i}`, face: "R", p0: P(A_mm, 0, cz), p1: P(halfSpan_mm, rise_mm, cz) });
+  }
+  commons.push({ name: "roof-common-end-front", face: "front", p0: P(halfSpan_mm, 0, 0), p1: P(halfSpan_mm, rise_mm, ridgeZ0_mm) });
+  commons.push({ name: "roof-common-end-back", face: "back", p0: P(halfSpan_mm, 0, B_mm), p1: P(halfSpan_mm, rise_mm, ridgeZ1_mm) });
+
+  // Jack rafters: from each corner @600, eave to hip. Run s in plan => length s / halfSpan * commonLen.
+  const jacks = [];
+  const riseAt = (s) => rise_mm * (s / halfSpan_mm);
+  let s = spacing;
+  let j = 0;
+  while (s < halfSpan_mm - memberW_mm) {
+    const h = riseAt(s);
+    const len_mm = (s / halfSpan_mm) * commonLen_mm;
+    const add = (face, p0, p1) => jacks.push({ name: `roof-jack-${face}-${j}`, face, p0, p1, len_mm });
+
+    // Long slopes (run along X)
+    add("L-front", P(0, 0, s), P(s, h, s));
+    add("L-back", P(0, 0, B_mm - s), P(s, h, B_mm - s));
+    add("R-front", P(A_mm, 0, s), P(A_mm - s, h, s));
+    add("R-back", P(A_mm, 0, B_mm - s), P(A_mm - s, h, B_mm - s));
+
+    // Hip ends (run along Z)
+    add("front-L", P(s, 0, 0), P(s, h, s));
+    add("front-R", P(A_mm - s, 0, 0), P(A_mm - s, h, s));
+    add("back-L", P(s, 0, B_mm), P(s, h, B_mm - s));
+    add("back-R", P(A_mm - s, 0, B_mm), P(A_mm - s, h, B_mm - s));
+
+    s += spacing;
+    j += 1;
+  }
+
+  // Sheathing faces sit on the rafter tops: lift the roof plane vertically by the rafter depth.
+  const cosP = Math.cos(pitchRad);
+  const sinP = Math.sin(pitchRad);
+  const lift = yc + (memberD_mm / 2) / Math.max(1e-6, cosP);
+  const Q = (x, y, zz) => ({ x, y: y + lift, z: zz });
+
+  const slopeH_mm = commonLen_mm;
+  const faces = [
+    {
+      face: "L",
+      shape: ridgeLen_mm > 0 ? "trapezoid" : "triangle",
+      pts: [Q(0, 0, 0), Q(0, 0, B_mm), Q(halfSpan_mm, rise_mm, ridgeZ1_mm), Q(halfSpan_mm, rise_mm, ridgeZ0_mm)],
+      normal: { x: -sinP, y: cosP, z: 0 },
+      base_mm: B_mm,
+      top_mm: ridgeLen_mm,
+      slopeH_mm,
+    },
+    {
+      face: "R",
+      shape: ridgeLen_mm > 0 ? "trapezoid" : "triangle",
+      pts: [Q(A_mm, 0, 0), Q(halfSpan_mm, rise_mm, ridgeZ0_mm), Q(halfSpan_mm, rise_mm, ridgeZ1_mm), Q(A_mm, 0, B_mm)],
+      normal: { x: sinP, y: cosP, z: 0 },
+      base_mm: B_mm,
+      top_mm: ridgeLen_mm,
+      slopeH_mm,
+    },
+    {
+      face: "front",
+      shape: "triangle",
+      pts: [Q(0, 0, 0), Q(halfSpan_mm, rise_mm, ridgeZ0_mm), Q(A_mm, 0, 0)],
+      normal: { x: 0, y: cosP, z: -sinP },
+      base_mm: A_mm,
+      top_mm: 0,
+      slopeH_mm,
+    },
+    {
+      face: "back",
+      shape: "triangle",
+      pts: [Q(0, 0, B_mm), Q(A_mm, 0, B_mm), Q(halfSpan_mm, rise_mm, ridgeZ1_mm)],
+      normal: { x: 0, y: cosP, z: sinP },
+      base_mm: A_mm,
+      top_mm: 0,
+      slopeH_mm,
+    },
+  ];
+
+  let area = 0;
+  for (let i = 0; i < faces.length; i++) {
+    const f = faces[i];
+    area += ((f.base_mm + f.top_mm) / 2) * f.slopeH_mm;
+  }
+
+  return {
+    roofW_mm,
+    roofD_mm,
+    frameW_mm,
+    frameD_mm,
+    overhang,
+    A_mm,
+    B_mm,
+    ridgeAlongWorldX,
+    eaveH_mm: heights.eaveH_mm,
+    crestH_mm: heights.eaveH_mm + rise_mm,
+    rise_mm,
+    pitch_deg,
+    spacing_mm: spacing,
+    memberW_mm,
+    memberD_mm,
+    halfSpan_mm,
+    ridgeZ0_mm,
+    ridgeLen_mm,
+    commonLen_mm,
+    hipLen_mm,
+    hips,
+    commons,
+    jacks,
+    osbThickness_mm: 18,
+    osb: { faces, totalArea_mm2: area },
+  };
+}
+
+function getHippedHeights(state) {
+  const h = resolveHippedHeights(state);
+  return { eaveH_mm: h.eave_mm, crestH_mm: h.crest_mm };
+}
+
+/* ------------------------------ Shared helpers ------------------------------ */
+
+/**
+ * Rows { item, qty, L, W, notes, D?, material? } -> structured BOM items.
+ * Rows without a material are framing timber (D = member depth); OSB rows carry material + D explicitly.
+ */
+function roofItems(rows, style) {
+  const D = Math.max(1, Math.floor(Number(CONFIG.timber.w)));
+  return rows.map((r) => bomItem({
+    element: "roof",
+    group: style,
+    item: r.item,
+    material: r.material || "timber",
+    section: r.material && r.material !== "timber" ? (r.section || "") : undefined,
+    qty: r.qty,
+    length_mm: r.L,
+    width_mm: r.W,
+    depth_mm: r.D != null ? r.D : (r.material && r.material !== "timber" ? null : D),
+    notes: r.notes || "",
+  }));
+}
+
+// Lengths in cutting-list notes, in the chosen unit ("100mm" / "3 15/16\"").
+function noteLength(state) {
+  const units = resolveUnits(state);
+  return (mm) => formatLengthUnit(mm, units);
+}
+
+function groupByLWN(pieces) {
+  const out = {};
+  for (let i = 0; i < pieces.length; i++) {
+    const p = pieces[i];
+    const L = Math.max(1, Math.floor(Number(p.L || 0)));
+    const W = Math.max(1, Math.floor(Number(p.W || 0)));
+    const notes = String(p.notes || "");
+    const key = String(L) + "x" + String(W) + "|" + notes;
+    if (!out[key]) out[key] = { qty: 0, L: L, W: W, notes: notes };
+    out[key].qty += 1;
+  }
+  return out;
+}
+
+// Root X/Z that puts the rotated (0..w, 0..d) plan rectangle's min corner at (minX, minZ); y is left at 0.
+function planOffset(q, w_mm, d_mm, minX_mm, minZ_mm) {
+  const corners = [[0, 0, 0], [w_mm, 0, 0], [0, 0, d_mm], [w_mm, 0, d_mm]].map((p) => rotate(q, p));
+  return [
+    minX_mm - Math.min(...corners.map((c) => c[0])),
+    0,
+    minZ_mm - Math.min(...corners.map((c) => c[2])),
+  ];
+}
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
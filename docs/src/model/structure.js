@@ -0,0 +1,208 @@
+// FILE: docs/src/model/structure.js
+import { resolveStructure, resolveDims } from '../params.js';
+import { getLayout } from './base.js';
+import { floorSpan } from './foundation.js';
+import { resolveProfile, computeBasicPanels } from './walls.js';
+import { computeRoofData_Pent, computeApexMembers, computeRoofData_Hipped } from './roof.js';
+
+/**
+ * Structural span checks (EN 1995-1-1 simplified, UK NA factors) for the members the app sizes:
+ * floor joists (bending, shear, deflection), wall studs (axial buckling about the major axis; the
+ * cladding restrains the minor axis) and rafters / common rafters (bending, shear, deflection under
+ * roof dead + snow). Pure: no Babylon, no DOM.
+ *
+ *   checkStructure(elementStates(state)) -> { grade, checks: [{ id, element, label, section, length_mm,
+ *     limit_mm, util, governing, ok, message }], failures }
+ *
+ * util is the governing utilisation (>1 fails); limit_mm is the longest span / stud height that passes.
+ * Loads are characteristic, kN/m² (state.structure via resolveStructure).
+ */
+
+/** Characteristic values, N/mm² (EN 338). */
+export const TIMBER_GRADES = {
+  C16: { fmk: 16, fc0k: 17, fvk: 3.2, E0mean: 8000, E005: 5400 },
+  C24: { fmk: 24, fc0k: 21, fvk: 4.0, E0mean: 11000, E005: 7400 }
+};
+
+const GAMMA_M = 1.3;
+const GAMMA_G = 1.35;
+const GAMMA_Q = 1.5;
+const K_SYS = 1.1; // four or more members at regular spacing sharing a load
+const K_CR = 0.67;
+const K_DEF = 0.8; // service class 2 (covered, unheated)
+const K_MOD = { floor: 0.8, roof: 0.9 }; // governing load duration: imposed = medium term, snow = short term
+const PSI2 = { floor: 0.3, roof: 0 };
+const DEFLECTION_LIMIT = { floor: 250, roof: 150 }; // span / n
+const FLOOR_DEAD_KN_M2 = 0.2; // 18mm OSB deck + PIR + joist self-weight
+const MAX_SLENDERNESS = 180;
+
+export function checkStructure(states) {
+  const cfg = resolveStructure(states.base);
+  const grade = TIMBER_GRADES[cfg.grade];
+  const wallsOn = !(states.walls && states.walls.vis && states.walls.vis.wallsEnabled === false);
+
+  const checks = [floorJoists(states.base, cfg, grade)];
+  if (wallsOn) checks.push(wallStuds(states.walls, states.roof, cfg, grade));
+  const r = rafters(states.roof, cfg, grade);
+  if (r) checks.push(r);
+
+  return { grade: cfg.grade, checks, failures: checks.filter((c) => !c.ok) };
+}
+
+function floorJoists(state, cfg, grade) {
+  const L = getLayout(state);
+  const b = L.joistW, h = L.joistD;
+  const span = Math.min(L.innerJoistLen, cfg.floorSupport_mm ?? floorSpan(state, L));
+
+  const beam = {
+    b, h, spacing: L.spacing, g: FLOOR_DEAD_KN_M2, q: cfg.floorImposed_kN_m2,
+    kmod: K_MOD.floor, psi2: PSI2.floor, limit: DEFLECTION_LIMIT.floor, grade
+  };
+  return result('floor-joists', 'base', 'Floor joists', `${b}×${h} ${cfg.grade} @ ${L.spacing}`,
+    span, beam, beamUtil, 'span');
+}
+
+function wallStuds(state, roofState, cfg, grade) {
+  const variant = state.walls?.variant || 'insulated';
+  const prof = resolveProfile(state, variant);
+  const roof = roofGeometry(roofState);
+
+  let height = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
+  if (roof && roof.style === 'pent') height = Math.max(roof.minH_mm, roof.maxH_mm);
+  const studLen = Math.max(1, height - 2 * prof.studW);
+
+  // BASIC panels carry three studs each; the widest panel sets the spacing.
+  let spacing = prof.spacing;
+  if (!spacing) {
+    const panels = computeBasicPanels(Math.max(state.w, state.d), prof, []);
+    spacing = Math.max(...panels.map((p) => (p.len - prof.studW) / 2));
+  }
+
+  // Each long wall carries half the roof span; roof dead acts on the slope, snow on plan.
+  const trib = roof ? roof.planSpan_mm / 2 : 0;
+  const cos = roof ? Math.cos(roof.pitch) : 1;
+  const stud = {
+    b: prof.studW, h: prof.studH,
+    G: roof ? cfg.roofDead_kN_m2 / cos * trib * spacing / 1e6 : 0,
+    Q: roof ? cfg.snow_kN_m2 * trib * spacing / 1e6 : 0,
+    grade
+  };
+  return result('wall-studs', 'walls', 'Wall studs', `${prof.studW}×${prof.studH} ${cfg.grade} @ ${Math.round(spacing)}`,
+    studLen, stud, studUtil, 'height');
+}
+
+function rafters(state, cfg, grade) {
+  const roof = roofGeometry(state);
+  if (!roof) return null;
+
+  // Loads per metre of rafter, perpendicular to it: dead on the slope, snow on plan.
+  const cos = Math.cos(roof.pitch);
+  const beam = {
+    b: roof.b_mm, h: roof.h_mm, spacing: roof.spacing_mm,
+    g: cfg.roofDead_kN_m2 * cos, q: cfg.snow_kN_m2 * cos * cos,
+    kmod: K_MOD.roof, psi2: PSI2.roof, limit: DEFLECTION_LIMIT.roof, grade
+  };
+  return result('rafters', 'roof', roof.label, `${roof.b_mm}×${roof.h_mm} ${cfg.grade} @ ${roof.spacing_mm}`,
+    roof.run_mm / cos, beam, beamUtil, 'span');
+}
+
+/**
+ * { style, label, b_mm, h_mm (depth in bending), spacing_mm, run_mm (plan span between bearings),
+ *   planSpan_mm (roof span the walls share), pitch (rad) } or null when no roof is built.
+ */
+function roofGeometry(state) {
+  const style = String(state && state.roof && state.roof.style ? state.roof.style : 'apex');
+  const frame = resolveDims(state).frame;
+
+  if (style === 'pent') {
+    const d = computeRoofData_Pent(state);
+    const run = d.isWShort ? frame.w_mm : frame.d_mm;
+    return {
+      style, label: 'Rafters', b_mm: d.rafterW_mm, h_mm: d.rafterD_mm, spacing_mm: 600,
+      run_mm: run, planSpan_mm: run, pitch: Math.atan2(d.maxH_mm - d.minH_mm, run),
+      minH_mm: d.minH_mm, maxH_mm: d.maxH_mm
+    };
+  }
+  if (style === 'apex') {
+    const d = computeApexMembers(state);
+    const half = Math.min(frame.w_mm, frame.d_mm) / 2;
+    return {
+      style, label: 'Truss rafters', b_mm: d.memberW_mm, h_mm: d.memberD_mm, spacing_mm: 600,
+      run_mm: half, planSpan_mm: half * 2, pitch: Math.atan2(d.rise_mm, d.A_mm / 2)
+    };
+  }
+  if (style === 'hipped') {
+    const d = computeRoofData_Hipped(state);
+    const half = Math.min(frame.w_mm, frame.d_mm) / 2;
+    return {
+      style, label: 'Common rafters', b_mm: d.memberW_mm, h_mm: d.memberD_mm, spacing_mm: d.spacing_mm,
+      run_mm: half, planSpan_mm: half * 2, pitch: d.pitch_deg * Math.PI / 180
+    };
+  }
+  return null;
+}
+
+// Simply supported beam under UDL: { util, governing } for span L (mm).
+function beamUtil(L, { b, h, spacing, g, q, kmod, psi2, limit, grade }) {
+  const wG = g * spacing / 1000; // kN/m² × mm = N/mm per member
+  const wQ = q * spacing / 1000;
+  const wd = GAMMA_G * wG + GAMMA_Q * wQ;
+
+  const kh = h < 150 ? Math.min(1.3, Math.pow(150 / h, 0.2)) : 1;
+  const fmd = kmod * K_SYS * kh * grade.fmk / GAMMA_M;
+  const fvd = kmod * grade.fvk / GAMMA_M;
+
+  const sigma = (wd * L * L / 8) / (b * h * h / 6);
+  const tau = 1.5 * (wd * L / 2) / (K_CR * b * h);
+
+  const I = b * h * h * h / 12;
+  const defl = (w) => 5 * w * Math.pow(L, 4) / (384 * grade.E0mean * I);
+  const uFin = defl(wG) * (1 + K_DEF) + defl(wQ) * (1 + psi2 * K_DEF);
+
+  return governing({ bending: sigma / fmd, shear: tau / fvd, deflection: uFin / (L / limit) });
+}
+
+// Pinned stud under axial load (kN): buckling about the major axis (depth h) + slenderness limit.
+function studUtil(L, { b, h, G, Q, grade }) {
+  const Nd = (GAMMA_G * G + GAMMA_Q * Q) * 1000;
+  const fc0d = K_MOD.roof * K_SYS * grade.fc0k / GAMMA_M;
+
+  const lambda = L * Math.sqrt(12) / h;
+  const rel = (lambda / Math.PI) * Math.sqrt(grade.fc0k / grade.E005);
+  const k = 0.5 * (1 + 0.2 * (rel - 0.3) + rel * rel);
+  const kc = rel <= 0.3 ? 1 : 1 / (k + Math.sqrt(k * k - rel * rel));
+
+  return governing({ buckling: (Nd / (b * h)) / (kc * fc0d), slenderness: lambda / MAX_SLENDERNESS });
+}
+
+function governing(utils) {
+  let best = null;
+  for (const k of Object.keys(utils)) if (!best || utils[k] > utils[best]) best = k;
+  return { util: utils[best], governing: best };
+}
+
+// Longest length (mm, to 10mm) that still passes; utilisations rise with length for every check above.
+function maxLength(fn, args) {
+  let lo = 0, hi = 20000;
+  if (fn(hi, args).util <= 1) return hi;
+  while (hi - lo > 10) {
+    const mid = (lo + hi) / 2;
+    if (fn(mid, args).util <= 1) lo = mid; else hi = mid;
+  }
+  return Math.floor(lo / 10) * 10;
+}
+
+function result(id, element, label, section, length, args, fn, noun) {
+  const L = Math.round(length);
+  const { util, governing: gov } = fn(L, args);
+  const limit = maxLength(fn, args);
+  const ok = util <= 1;
+  const pct = Math.round(util * 100);
+  return {
+    id, element, label, section,
+    length_mm: L, limit_mm: limit, util, governing: gov, ok,
+    message: ok
+      ? `${label} ${section}: ${noun} ${L}mm OK (${pct}% ${gov}; max ${limit}mm).`
+      : `${label} ${section}: ${noun} ${L}mm exceeds the ${limit}mm limit (${pct}% ${gov}).`
+  };
+}
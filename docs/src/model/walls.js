@@ -0,0 +1,1638 @@
+// FILE: docs/src/model/walls.js
+import { resolveDims, resolveApexHeights, resolveCladding, OPENING_DEFAULTS } from "../params.js";
+import { bomItem, uniquePartIds } from "../bom/model.js";
+import { boxAt, solid } from "./members.js";
+import { resolveUnits, formatLengthUnit, formatRunUnit } from "../units.js";
+
+/**
+ * Framing members of the four walls (wall-<id>-… ids, as the 3D builder names its meshes). Coordinates:
+ * - Front/Back run along X, thickness extrudes +Z.
+ * - Left/Right run along Z, thickness extrudes +X.
+ *
+ * Plate orientation:
+ * - Top + bottom plates are rotated 90° about their length axis so studs land on the plate's wider face.
+ *   => plate vertical height = studW (50), wall thickness = studH (75/100).
+ *
+ * BASIC variant panelization:
+ * - If a basic wall length exceeds 2400mm, it is built as TWO separate panels split as evenly as possible.
+ *
+ * CORNER JOIN:
+ * - Panels must NOT overlap/intersect at corners.
+ * - Front/Back are full building frame width (dims.w).
+ * - Left/Right run BETWEEN front/back, so their length is (dims.d - 2 * wallThickness)
+ *   and they start at z = wallThickness.
+ *
+ * Openings:
+ * - Doors: width_mm is the CLEAR OPENING (gap) between the uprights (studs).
+ * - Windows: same horizontal logic, plus y_mm (from bottom plate top) and height_mm must fit within the stud cavity.
+ *
+ * PENT ROOF PITCH (conditioned on state.roof.style === "pent"):
+ * - Pitch runs along X (width): x=0 => minHeight, x=frameW => maxHeight.
+ * - Left wall uses minHeight; Right wall uses maxHeight.
+ * - Front/Back walls vary height along X; studs use local heightAtX(studXCenter).
+ * - Front/Back top plates are sloped prisms (not constant-height boxes).
+ *
+ * Material roles: "timber", "plate" (pent top plates are "solid" prisms) and "invalid" for the framing
+ * of openings index.js has flagged (meta carries doorId / windowId).
+ *
+ * @param {any} state Derived state for walls (w/d already resolved to frame outer dims)
+ * @returns {Array<object>} members (see model/members.js)
+ */
+export function members(state) {
+  const variant = state.walls?.variant || "insulated";
+  const height = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
+
+  const dims = {
+    w: Math.max(1, Math.floor(state.w)),
+    d: Math.max(1, Math.floor(state.d)),
+  };
+
+  const prof = resolveProfile(state, variant);
+
+  const plateY = prof.studW;
+  const wallThk = prof.studH;
+
+  const isPent = !!(state && state.roof && String(state.roof.style || "") === "pent");
+
+  const minH = isPent
+    ? Math.max(100, Math.floor(Number(state?.roof?.pent?.minHeight_mm ?? height)))
+    : height;
+  const maxH = isPent
+    ? Math.max(100, Math.floor(Number(state?.roof?.pent?.maxHeight_mm ?? height)))
+    : height;
+
+  const frameW = Math.max(1, dims.w);
+
+  function heightAtX(x_mm) {
+    const x = Math.max(0, Math.min(frameW, Math.floor(Number(x_mm))));
+    const t = frameW > 0 ? (x / frameW) : 0;
+    return Math.max(100, Math.floor(minH + (maxH - minH) * t));
+  }
+
+  const openings = Array.isArray(state.walls?.openings) ? state.walls.openings : [];
+  const doorsAll = openings.filter((o) => o && o.type === "door" && o.enabled !== false);
+  const winsAll = openings.filter((o) => o && o.type === "window" && o.enabled !== false);
+
+  const invalidDoorIds = Array.isArray(state.walls?.invalidDoorIds) ? state.walls.invalidDoorIds.map(String) : [];
+  const invalidWinIds = Array.isArray(state.walls?.invalidWindowIds) ? state.walls.invalidWindowIds.map(String) : [];
+  const invalidDoorSet = new Set(invalidDoorIds);
+  const invalidWinSet = new Set(invalidWinIds);
+
+  const out = [];
+
+  function mkBox(name, Lx, Ly, Lz, pos, material, meta) {
+    const m = boxAt(name, [Lx, Ly, Lz], [pos.x, pos.y, pos.z], { element: "walls", material, meta });
+    out.push(m);
+    return m;
+  }
+
+  function mkSlopedPlateAlongX(name, Lx, Lz, origin, yTopAtX0, yTopAtX1, material, meta) {
+    const x0 = origin.x;
+    const x1 = origin.x + Lx;
+    const z0 = origin.z;
+    const z1 = origin.z + Lz;
+
+    const yTop0 = Math.max(0, Math.floor(Number(yTopAtX0)));
+    const yTop1 = Math.max(0, Math.floor(Number(yTopAtX1)));
+    const yBot0 = Math.max(0, yTop0 - plateY);
+    const yBot1 = Math.max(0, yTop1 - plateY);
+
+    const vertices = [
+      [x0, yBot0, z0],
+      [x1, yBot1, z0],
+      [x1, yBot1, z1],
+      [x0, yBot0, z1],
+
+      [x0, yTop0, z0],
+      [x1, yTop1, z0],
+      [x1, yTop1, z1],
+      [x0, yTop0, z1],
+    ];
+
+    const indices = [
+      0, 1, 2, 0, 2, 3, // bottom
+      4, 6, 5, 4, 7, 6, // top
+      0, 5, 1, 0, 4, 5, // z0 face
+      3, 2, 6, 3, 6, 7, // z1 face
+      0, 3, 7, 0, 7, 4, // x0 face
+      1, 5, 6, 1, 6, 2  // x1 face
+    ];
+
+    const m = solid(name, vertices, indices, { element: "walls", material, meta });
+    out.push(m);
+    return m;
+  }
+
+  function doorIntervalsForWall(wallId) {
+    const list = [];
+    for (let i = 0; i < doorsAll.length; i++) {
+      const d = doorsAll[i];
+      if (String(d.wall || "front") !== wallId) continue;
+      const wGap = Math.max(100, Math.floor(d.width_mm || OPENING_DEFAULTS.door.width_mm));
+      const x0 = Math.floor(d.x_mm ?? 0);
+      const x1 = x0 + wGap;
+      const h = Math.max(100, Math.floor(d.height_mm || OPENING_DEFAULTS.door.height_mm));
+      list.push({ id: String(d.id || ""), x0, x1, w: wGap, h });
+    }
+    return list;
+  }
+
+  function windowIntervalsForWall(wallId) {
+    const list = [];
+    for (let i = 0; i < winsAll.length; i++) {
+      const w = winsAll[i];
+      if (String(w.wall || "front") !== wallId) continue;
+      const wGap = Math.max(100, Math.floor(w.width_mm || OPENING_DEFAULTS.window.width_mm));
+      const x0 = Math.floor(w.x_mm ?? 0);
+      const x1 = x0 + wGap;
+
+      const y = Math.max(0, Math.floor(w.y_mm ?? 0));
+      const h = Math.max(100, Math.floor(w.height_mm || OPENING_DEFAULTS.window.height_mm));
+      list.push({ id: String(w.id || ""), x0, x1, w: wGap, y, h });
+    }
+    return list;
+  }
+
+  function isInsideAnyOpening(pos, intervals) {
+    for (let i = 0; i < intervals.length; i++) {
+      const d = intervals[i];
+      const c = pos + prof.studW / 2;
+      if (c > d.x0 && c < d.x1) return true;
+    }
+    return false;
+  }
+
+  function addDoorFramingAlongX(wallId, origin, door) {
+    const thickness = wallThk;
+    const doorH = door.h;
+    const id = door.id;
+    const useInvalid = invalidDoorSet.has(String(id));
+    const mat = useInvalid ? "invalid" : "timber";
+
+    const doorX0 = door.x0;
+    const doorX1 = door.x1;
+
+    const isSlopeWall = isPent && (wallId === "front" || wallId === "back");
+    const centerX = origin.x + Math.floor((doorX0 + doorX1) / 2);
+
+    const wallTop = isSlopeWall ? heightAtX(centerX) : (wallId === "left" ? minH : wallId === "right" ? maxH : height);
+    const studLenLocal = Math.max(1, wallTop - 2 * plateY);
+
+    const uprightH = studLenLocal;
+
+    mkBox(
+      `wall-${wallId}-door-${id}-upright-left`,
+      prof.studW,
+      uprightH,
+      thickness,
+      { x: origin.x + (doorX0 - prof.studW), y: plateY, z: origin.z },
+      mat,
+      { doorId: id }
+    );
+    mkBox(
+      `wall-${wallId}-door-${id}-upright-right`,
+      prof.studW,
+      uprightH,
+      thickness,
+      { x: origin.x + doorX1, y: plateY, z: origin.z },
+      mat,
+      { doorId: id }
+    );
+
+    const headerL = (door.w + 2 * prof.studW);
+
+    const desiredHeaderY = plateY + doorH;
+    const maxHeaderY = Math.max(plateY, wallTop - prof.studH);
+    const headerY = Math.min(desiredHeaderY, maxHeaderY);
+
+    mkBox(
+      `wall-${wallId}-door-${id}-header`,
+      headerL,
+      prof.studH,
+      thickness,
+      { x: origin.x + (doorX0 - prof.studW), y: headerY, z: origin.z },
+      mat,
+      { doorId: id }
+    );
+  }
+
+  function addDoorFramingAlongZ(wallId, origin, door) {
+    const thickness = wallThk;
+    const doorH = door.h;
+    const id = door.id;
+    const useInvalid = invalidDoorSet.has(String(id));
+    const mat = useInvalid ? "invalid" : "timber";
+
+    const doorZ0 = door.x0;
+    const doorZ1 = door.x1;
+
+    const wallTop = isPent ? (wallId === "left" ? minH : maxH) : height;
+    const studLenLocal = Math.max(1, wallTop - 2 * plateY);
+    const uprightH = studLenLocal;
+
+    mkBox(
+      `wall-${wallId}-door-${id}-upright-left`,
+      thickness,
+      uprightH,
+      prof.studW,
+      { x: origin.x, y: plateY, z: origin.z + (doorZ0 - prof.studW) },
+      mat,
+      { doorId: id }
+    );
+    mkBox(
+      `wall-${wallId}-door-${id}-upright-right`,
+      thickness,
+      uprightH,
+      prof.studW,
+      { x: origin.x, y: plateY, z: origin.z + doorZ1 },
+      mat,
+      { doorId: id }
+    );
+
+    const headerL = (door.w + 2 * prof.studW);
+
+    const desiredHeaderY = plateY + doorH;
+    const maxHeaderY = Math.max(plateY, wallTop - prof.studH);
+    const headerY = Math.min(desiredHeaderY, maxHeaderY);
+
+    mkBox(
+      `wall-${wallId}-door-${id}-header`,
+      thickness,
+      prof.studH,
+      headerL,
+      { x: origin.x, y: headerY, z: origin.z + (doorZ0 - prof.studW) },
+      mat,
+      { doorId: id }
+    );
+  }
+
+  function addWindowFramingAlongX(wallId, origin, win) {
+    const thickness = wallThk;
+    const id = win.id;
+    const useInvalid = invalidWinSet.has(String(id));
+    const mat = useInvalid ? "invalid" : "timber";
+
+    const x0 = win.x0;
+    const x1 = win.x1;
+
+    const isSlopeWall = isPent && (wallId === "front" || wallId === "back");
+    const centerX = origin.x + Math.floor((x0 + x1) / 2);
+    const wallTop = isSlopeWall ? heightAtX(centerX) : (wallId === "left" ? minH : wallId === "right" ? maxH : height);
+    const studLenLocal = Math.max(1, wallTop - 2 * plateY);
+
+    const uprightH = studLenLocal;
+
+    const y0Raw = plateY + Math.max(0, Math.floor(win.y));
+    const yTopRaw = y0Raw + Math.max(100, Math.floor(win.h));
+
+    const maxFeatureY = Math.max(plateY, wallTop - prof.studH);
+
+    const y0 = Math.min(y0Raw, maxFeatureY);
+    const yTop = Math.min(yTopRaw, maxFeatureY);
+
+    mkBox(
+      `wall-${wallId}-win-${id}-upright-left`,
+      prof.studW,
+      uprightH,
+      thickness,
+      { x: origin.x + (x0 - prof.studW), y: plateY, z: origin.z },
+      mat,
+      { windowId: id }
+    );
+    mkBox(
+      `wall-${wallId}-win-${id}-upright-right`,
+      prof.studW,
+      uprightH,
+      thickness,
+      { x: origin.x + x1, y: plateY, z: origin.z },
+      mat,
+      { windowId: id }
+    );
+
+    const headerL = (win.w + 2 * prof.studW);
+    mkBox(
+      `wall-${wallId}-win-${id}-header`,
+      headerL,
+      prof.studH,
+      thickness,
+      { x: origin.x + (x0 - prof.studW), y: yTop, z: origin.z },
+      mat,
+      { windowId: id }
+    );
+
+    mkBox(
+      `wall-${wallId}-win-${id}-sill`,
+      headerL,
+      prof.studH,
+      thickness,
+      { x: origin.x + (x0 - prof.studW), y: y0, z: origin.z },
+      mat,
+      { windowId: id }
+    );
+  }
+
+  function addWindowFramingAlongZ(wallId, origin, win) {
+    const thickness = wallThk;
+    const id = win.id;
+    const useInvalid = invalidWinSet.has(String(id));
+    const mat = useInvalid ? "invalid" : "timber";
+
+    const z0 = win.x0;
+    const z1 = win.x1;
+
+    const wallTop = isPent ? (wallId === "left" ? minH : maxH) : height;
+    const studLenLocal = Math.max(1, wallTop - 2 * plateY);
+    const uprightH = studLenLocal;
+
+    const y0Raw = plateY + Math.max(0, Math.floor(win.y));
+    const yTopRaw = y0Raw + Math.max(100, Math.floor(win.h));
+
+    const maxFeatureY = Math.max(plateY, wallTop - prof.studH);
+
+    const y0 = Math.min(y0Raw, maxFeatureY);
+    const yTop = Math.min(yTopRaw, maxFeatureY);
+
+    mkBox(
+      `wall-${wallId}-win-${id}-upright-left`,
+      thickness,
+      uprightH,
+      prof.studW,
+      { x: origin.x, y: plateY, z: origin.z + (z0 - prof.studW) },
+      mat,
+      { windowId: id }
+    );
+    mkBox(
+      `wall-${wallId}-win-${id}-upright-right`,
+      thickness,
+      uprightH,
+      prof.studW,
+      { x: origin.x, y: plateY, z: origin.z + z1 },
+      mat,
+      { windowId: id }
+    );
+
+    const headerL = (win.w + 2 * prof.studW);
+    mkBox(
+      `wall-${wallId}-win-${id}-header`,
+      thickness,
+      prof.studH,
+      headerL,
+      { x: origin.x, y: yTop, z: origin.z + (z0 - prof.studW) },
+      mat,
+      { windowId: id }
+    );
+
+    mkBox(
+      `wall-${wallId}-win-${id}-sill`,
+      thickness,
+      prof.studH,
+      headerL,
+      { x: origin.x, y: y0, z: origin.z + (z0 - prof.studW) },
+      mat,
+      { windowId: id }
+    );
+  }
+
+  function buildBasicPanel(wallPrefix, axis, panelLen, origin, offsetAlong, openings, studLenForPosStart) {
+    const isAlongX = axis === "x";
+
+    const hForStart = (posStart) => {
+      if (!studLenForPosStart) return Math.max(1, height - 2 * plateY);
+      return Math.max(1, Math.floor(studLenForPosStart(posStart)));
+    };
+
+    if (isAlongX) {
+      mkBox(
+        wallPrefix + "plate-bottom",
+        panelLen,
+        plateY,
+        wallThk,
+        { x: origin.x + offsetAlong, y: 0, z: origin.z },
+        "plate"
+      );
+    } else {
+      mkBox(
+        wallPrefix + "plate-bottom",
+        wallThk,
+        plateY,
+        panelLen,
+        { x: origin.x, y: 0, z: origin.z + offsetAlong },
+        "plate"
+      );
+    }
+
+    const placeStud = (x, z, idx, posStartRel) => {
+      const h = hForStart(posStartRel);
+      if (isAlongX) {
+        mkBox(
+          wallPrefix + "stud-" + idx,
+          prof.studW,
+          h,
+          wallThk,
+          { x, y: plateY, z },
+          "timber"
+        );
+      } else {
+        mkBox(
+          wallPrefix + "stud-" + idx,
+          wallThk,
+          h,
+          prof.studW,
+          { x, y: plateY, z },
+          "timber"
+        );
+      }
+    };
+
+    const offsetStart = offsetAlong;
+    const offsetEnd = offsetAlong + panelLen;
+
+    const panelOpenings = openings.filter((d) => {
+      const s = d.x0;
+      const e = d.x1;
+      return e > offsetStart && s < offsetEnd;
+    });
+
+    const studAt = (posStart) => {
+      for (let i = 0; i < panelOpenings.length; i++) {
+        const d = panelOpenings[i];
+        if (posStart + prof.studW > d.x0 && posStart < d.x1) return false;
+      }
+      return true;
+    };
+
+    if (isAlongX) {
+      const x0 = origin.x + offsetAlong;
+      const x1 = origin.x + offsetAlong + panelLen - prof.studW;
+      const xm = Math.max(x0, Math.floor(origin.x + offsetAlong + panelLen / 2 - prof.studW / 2));
+
+      if (studAt(offsetAlong)) placeStud(x0, origin.z, 0, offsetAlong);
+      if (studAt(offsetAlong + panelLen - prof.studW)) placeStud(x1, origin.z, 1, offsetAlong + panelLen - prof.studW);
+
+      let midAllowed = true;
+      for (let i = 0; i < panelOpenings.length; i++) {
+        const d = panelOpenings[i];
+        const ms = (xm - origin.x);
+        if (ms + prof.studW > d.x0 && ms < d.x1) { midAllowed = false; break; }
+      }
+      if (midAllowed) placeStud(xm, origin.z, 2, (xm - origin.x));
+    } else {
+      const z0 = origin.z + offsetAlong;
+      const z1 = origin.z + offsetAlong + panelLen - prof.studW;
+      const zm = Math.max(z0, Math.floor(origin.z + offsetAlong + panelLen / 2 - prof.studW / 2));
+
+      if (studAt(offsetAlong)) placeStud(origin.x, z0, 0, offsetAlong);
+      if (studAt(offsetAlong + panelLen - prof.studW)) placeStud(origin.x, z1, 1, offsetAlong + panelLen - prof.studW);
+
+      let midAllowed = true;
+      for (let i = 0; i < panelOpenings.length; i++) {
+        const d = panelOpenings[i];
+        const ms = (zm - origin.z);
+        if (ms + prof.studW > d.x0 && ms < d.x1) { midAllowed = false; break; }
+      }
+      if (midAllowed) placeStud(origin.x, zm, 2, (zm - origin.z));
+    }
+  }
+
+  function buildWall(wallId, axis, length, origin) {
+    const isAlongX = axis === "x";
+    const wallPrefix = `wall-${wallId}-`;
+
+    const doors = doorIntervalsForWall(wallId);
+    const wins = windowIntervalsForWall(wallId);
+    const openingsX = doors.concat(wins);
+
+    const isSlopeWall = isPent && isAlongX && (wallId === "front" || wallId === "back");
+
+    const wallHeightFlat = isPent
+      ? (wallId === "left" ? minH : wallId === "right" ? maxH : height)
+      : height;
+
+    const studLenFlat = Math.max(1, wallHeightFlat - 2 * plateY);
+
+    if (isAlongX) {
+      mkBox(wallPrefix + "plate-bottom", length, plateY, wallThk, { x: origin.x, y: 0, z: origin.z }, "plate");
+      if (!isSlopeWall) {
+        mkBox(wallPrefix + "plate-top", length, plateY, wallThk, { x: origin.x, y: wallHeightFlat - plateY, z: origin.z }, "plate");
+      } else {
+        const yTop0 = heightAtX(origin.x);
+        const yTop1 = heightAtX(origin.x + length);
+        mkSlopedPlateAlongX(
+          wallPrefix + "plate-top",
+          length,
+          wallThk,
+          { x: origin.x, z: origin.z },
+          yTop0,
+          yTop1,
+          "plate",
+          {}
+        );
+      }
+    } else {
+      mkBox(wallPrefix + "plate-bottom", wallThk, plateY, length, { x: origin.x, y: 0, z: origin.z }, "plate");
+      mkBox(wallPrefix + "plate-top", wallThk, plateY, length, { x: origin.x, y: wallHeightFlat - plateY, z: origin.z }, "plate");
+    }
+
+    const studLenForXStart = (xStartRel) => {
+      if (!isSlopeWall) return studLenFlat;
+      const xCenter = origin.x + Math.floor(xStartRel + prof.studW / 2);
+      const wallTop = heightAtX(xCenter);
+      return Math.max(1, wallTop - 2 * plateY);
+    };
+
+    if (variant === "basic") {
+      const panels = computeBasicPanels(length, prof, openingsX);
+
+      for (let p = 0; p < panels.length; p++) {
+        const pan = panels[p];
+        const pref = wallPrefix + `panel-${p + 1}-`;
+        buildBasicPanel(
+          pref,
+          axis,
+          pan.len,
+          origin,
+          pan.start,
+          openingsX,
+          isAlongX ? studLenForXStart : (() => studLenFlat)
+        );
+      }
+
+      for (let i = 0; i < doors.length; i++) {
+        const d = doors[i];
+        if (isAlongX) addDoorFramingAlongX(wallId, origin, d);
+        else addDoorFramingAlongZ(wallId, origin, d);
+      }
+
+      for (let i = 0; i < wins.length; i++) {
+        const w = wins[i];
+        if (isAlongX) addWindowFramingAlongX(wallId, origin, w);
+        else addWindowFramingAlongZ(wallId, origin, w);
+      }
+
+      return;
+    }
+
+    const studs = [];
+    const placeStud = (x, z, posStartRel) => {
+      const h = isAlongX ? studLenForXStart(posStartRel) : studLenFlat;
+      if (isAlongX) {
+        studs.push(mkBox(wallPrefix + "stud-" + studs.length, prof.studW, h, wallThk, { x, y: plateY, z }, "timber"));
+      } else {
+        studs.push(mkBox(wallPrefix + "stud-" + studs.length, wallThk, h, prof.studW, { x, y: plateY, z }, "timber"));
+      }
+    };
+
+    if (isAlongX) {
+      if (!isInsideAnyOpening(0, openingsX)) placeStud(origin.x + 0, origin.z + 0, 0);
+      if (!isInsideAnyOpening(length - prof.studW, openingsX)) placeStud(origin.x + (length - prof.studW), origin.z + 0, length - prof.studW);
+    } else {
+      if (!isInsideAnyOpening(0, openingsX)) placeStud(origin.x + 0, origin.z + 0, 0);
+      if (!isInsideAnyOpening(length - prof.studW, openingsX)) placeStud(origin.x + 0, origin.z + (length - prof.studW), length - prof.studW);
+    }
+
+    if (isAlongX) {
+      let x = prof.spacing;
+      while (x <= length - prof.studW) {
+        if (Math.abs(x - (length - prof.studW)) < 1) break;
+        if (!isInsideAnyOpening(x, openingsX)) placeStud(origin.x + x, origin.z, x);
+        x += prof.spacing;
+      }
+    } else {
+      let z = prof.spacing;
+      while (z <= length - prof.studW) {
+        if (Math.abs(z - (length - prof.studW)) < 1) break;
+        if (!isInsideAnyOpening(z, openingsX)) placeStud(origin.x, origin.z + z, z);
+        z += prof.spacing;
+      }
+    }
+
+    for (let i = 0; i < doors.length; i++) {
+      const d = doors[i];
+      if (isAlongX) addDoorFramingAlongX(wallId, origin, d);
+      else addDoorFramingAlongZ(wallId, origin, d);
+    }
+
+    for (let i = 0; i < wins.length; i++) {
+      const w = wins[i];
+      if (isAlongX) addWindowFramingAlongX(wallId, origin, w);
+      else addWindowFramingAlongZ(wallId, origin, w);
+    }
+  }
+
+  const sideLenZ = Math.max(1, dims.d - 2 * wallThk);
+
+  // All four walls are always built; applyVisibility hides the ones switched off in state.vis.
+  buildWall("front", "x", dims.w, { x: 0, z: 0 });
+  buildWall("back", "x", dims.w, { x: 0, z: dims.d - wallThk });
+
+  buildWall("left", "z", sideLenZ, { x: 0, z: wallThk });
+  buildWall("right", "z", sideLenZ, { x: dims.w - wallThk, z: wallThk });
+
+  return out;
+}
+
+export function resolveProfile(state, variant) {
+  const defaults =
+    variant === "insulated"
+      ? { studW: 50, studH: 100, spacing: 400 }
+      : { studW: 50, studH: 75, spacing: null };
+
+  const cfg = state?.walls?.[variant];
+  const w = Math.floor(Number(cfg?.section?.w));
+  const h = Math.floor(Number(cfg?.section?.h));
+
+  const studW = Number.isFinite(w) && w > 0 ? w : defaults.studW;
+  const studH = Number.isFinite(h) && h > 0 ? h : defaults.studH;
+
+  return { studW, studH, spacing: defaults.spacing };
+}
+
+export const ALL_WALLS = { front: true, back: true, left: true, right: true };
+
+export function normalizeWallFlags(state) {
+  const enabled = state.vis?.wallsEnabled !== false;
+  const parts = state.vis?.walls || { front: true, back: true, left: true, right: true };
+  return {
+    front: enabled && parts.front !== false,
+    back: enabled && parts.back !== false,
+    left: enabled && parts.left !== false,
+    right: enabled && parts.right !== false,
+  };
+}
+
+function getOpeningsAll(state) {
+  const openings = Array.isArray(state.walls?.openings) ? state.walls.openings : [];
+  return openings.filter((o) => o && o.enabled !== false);
+}
+
+function getDoorIntervalsForWallFromState(state, wallId) {
+  const openings = getOpeningsAll(state);
+  const doorsAll = openings.filter((o) => o && o.type === "door");
+  const list = [];
+  for (let i = 0; i < doorsAll.length; i++) {
+    const d = doorsAll[i];
+    if (String(d.wall || "front") !== wallId) continue;
+    const wGap = Math.max(100, Math.floor(d.width_mm || OPENING_DEFAULTS.door.width_mm));
+    const x0 = Math.floor(d.x_mm ?? 0);
+    const x1 = x0 + wGap;
+    const h = Math.max(100, Math.floor(d.height_mm || OPENING_DEFAULTS.door.height_mm));
+    list.push({ id: String(d.id || ""), x0, x1, w: wGap, h });
+  }
+  return list;
+}
+
+function getWindowIntervalsForWallFromState(state, wallId) {
+  const openings = getOpeningsAll(state);
+  const winsAll = openings.filter((o) => o && o.type === "window");
+  const list = [];
+  for (let i = 0; i < winsAll.length; i++) {
+    const w = winsAll[i];
+    if (String(w.wall || "front") !== wallId) continue;
+    const wGap = Math.max(100, Math.floor(w.width_mm || OPENING_DEFAULTS.window.width_mm));
+    const x0 = Math.floor(w.x_mm ?? 0);
+    const x1 = x0 + wGap;
+
+    const y = Math.max(0, Math.floor(w.y_mm ?? 0));
+    const h = Math.max(100, Math.floor(w.height_mm || OPENING_DEFAULTS.window.height_mm));
+    list.push({ id: String(w.id || ""), x0, x1, w: wGap, y, h });
+  }
+  return list;
+}
+
+/**
+ * Pure BASIC panel segmentation helper.
+ * IMPORTANT: This is a verbatim extraction of the existing BASIC panelization block inside buildWall().
+ * It must not change behavior.
+ */
+export function computeBasicPanels(length, prof, openingsX) {
+  let panels = [{ start: 0, len: length }];
+
+  if (length > 2400) {
+    const p1 = Math.floor(length / 2);
+    const p2 = length - p1;
+    panels = [{ start: 0, len: p1 }, { start: p1, len: p2 }];
+
+    const seamA = p1 - prof.studW;
+    const seamB = p1 + prof.studW;
+
+    const all = openingsX
+      .map((o) => ({ x0: Math.floor(o.x0 ?? 0), x1: Math.floor(o.x1 ?? 0) }))
+      .filter((o) => Number.isFinite(o.x0) && Number.isFinite(o.x1));
+
+    all.sort((a, b) => (a.x0 - b.x0) || (a.x1 - b.x1));
+
+    const clusters = [];
+    if (all.length) {
+      let cs = all[0].x0;
+      let ce = all[0].x1;
+      for (let i = 1; i < all.length; i++) {
+        const o = all[i];
+        const ne = Math.max(ce, o.x1);
+        const span = ne - cs;
+        if (span <= 2400) {
+          ce = ne;
+        } else {
+          clusters.push({ x0: cs, x1: ce });
+          cs = o.x0;
+          ce = o.x1;
+        }
+      }
+      clusters.push({ x0: cs, x1: ce });
+    }
+
+    const regions = [];
+    for (let i = 0; i < clusters.length; i++) {
+      const c = clusters[i];
+      const coversSeam = !(c.x1 < seamA || c.x0 > seamB);
+      if (!coversSeam) continue;
+
+      const clusterPanelStart = clamp(c.x0 - prof.studW, 0, length);
+      const clusterPanelEnd = clamp(c.x1 + prof.studW, 0, length);
+
+      regions.push({ start: clusterPanelStart, end: clusterPanelEnd });
+    }
+
+    if (regions.length) {
+      regions.sort((a, b) => a.start - b.start || a.end - b.end);
+
+      const merged = [];
+      let cur = { start: regions[0].start, end: regions[0].end };
+      for (let i = 1; i < regions.length; i++) {
+        const r = regions[i];
+        if (r.start <= (cur.end + 1)) {
+          cur.end = Math.max(cur.end, r.end);
+        } else {
+          merged.push(cur);
+          cur = { start: r.start, end: r.end };
+        }
+      }
+      merged.push(cur);
+
+      const next = [];
+      let cursor = 0;
+      for (let i = 0; i < merged.length; i++) {
+        const r = merged[i];
+        const s = clamp(r.start, 0, length);
+        const e = clamp(r.end, 0, length);
+        if (s > cursor) {
+          const leftLen = Math.max(0, s - cursor);
+          if (leftLen > 0) next.push({ start: cursor, len: leftLen });
+        }
+        const midLen = Math.max(0, e - s);
+        if (midLen > 0) next.push({ start: s, len: midLen });
+        cursor = Math.max(cursor, e);
+      }
+      if (cursor < length) {
+        const rightLen = Math.max(0, length - cursor);
+        if (rightLen > 0) next.push({ start: cursor, len: rightLen });
+      }
+
+      panels = next.length ? next : panels;
+    }
+  }
+
+  return panels;
+}
+
+function pickPanelIndexForCenter(panels, x0, x1) {
+  const c = (Number(x0) + Number(x1)) / 2;
+  for (let i = 0; i < panels.length; i++) {
+    const p = panels[i];
+    const a = p.start;
+    const b = p.start + p.len;
+    if (c >= a && c < b) return i;
+  }
+  if (!panels.length) return -1;
+  if (c < panels[0].start) return 0;
+  return panels.length - 1;
+}
+
+/**
+ * Pure cladding layout for all enabled walls (wall-local mm, y=0 at the bottom plate underside).
+ * Shared by the 3D builder (geometry) and bomItems (board schedule) so both always agree.
+ * Returns { clad, walls: [{ wallId, axis, origin, gable, runs: [{ panelIndex, plateStart, plateLen, s0, s1, boards }] }] }.
+ * - Front/Back cover the frame width; Left/Right run past the corners over the front/back wall ends + boards.
+ * - The cladding top follows the wall top (sloped on pent front/back) and, for apex roofs, fills the
+ *   gable triangle up to the roof line on the two gable-end walls.
+ */
+export function computeCladdingForWalls(state, prof, flags = normalizeWallFlags(state)) {
+  const variant = state.walls?.variant || "insulated";
+  const height = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
+  const plateY = prof.studW;
+  const wallThk = prof.studH;
+
+  const frameW = Math.max(1, Math.floor(state.w));
+  const frameD = Math.max(1, Math.floor(state.d));
+  const sideLen = Math.max(1, frameD - 2 * wallThk);
+  const clad = resolveCladding(state);
+  const sideExt = wallThk + clad.thickness_mm + (clad.batten ? clad.batten.t : 0);
+
+  const roofStyle = String(state?.roof?.style || "apex");
+  const isPent = roofStyle === "pent";
+  const minH = isPent ? Math.max(100, Math.floor(Number(state?.roof?.pent?.minHeight_mm ?? height))) : height;
+  const maxH = isPent ? Math.max(100, Math.floor(Number(state?.roof?.pent?.maxHeight_mm ?? height))) : height;
+
+  // Apex gables: ridge runs along the longer frame axis and trusses span A (same rules as roof.js buildApex).
+  let gable = null;
+  if (roofStyle === "apex") {
+    const R = resolveDims(state);
+    const A = Math.min(R.roof.w_mm, R.roof.d_mm);
+    const ridgeAlongWorldX = R.frame.w_mm >= R.frame.d_mm;
+    gable = {
+      walls: ridgeAlongWorldX ? ["left", "right"] : ["front", "back"],
+      ridgeS: ridgeAlongWorldX ? (-R.overhang.f_mm + A / 2 - wallThk) : (-R.overhang.l_mm + A / 2),
+      halfSpan: Math.max(1, A / 2),
+      rise: Math.max(0, resolveApexHeights(state).rise_mm),
+    };
+  }
+
+  const defs = {
+    front: { axis: "x", len: frameW, origin: { x: 0, z: 0 }, s0: 0, s1: frameW, h: height },
+    back: { axis: "x", len: frameW, origin: { x: 0, z: frameD - wallThk }, s0: 0, s1: frameW, h: height },
+    left: { axis: "z", len: sideLen, origin: { x: 0, z: wallThk }, s0: -sideExt, s1: sideLen + sideExt, h: minH },
+    right: { axis: "z", len: sideLen, origin: { x: frameW - wallThk, z: wallThk }, s0: -sideExt, s1: sideLen + sideExt, h: maxH },
+  };
+
+  const out = [];
+
+  for (const wallId of ["front", "back", "left", "right"]) {
+    if (!flags[wallId]) continue;
+    const def = defs[wallId];
+
+    let top;
+    if (isPent && def.axis === "x") {
+      const hAt = (x) => minH + (maxH - minH) * (Math.max(0, Math.min(frameW, x)) / frameW);
+      top = [[def.s0, hAt(def.s0)], [def.s1, hAt(def.s1)]];
+    } else if (gable && gable.walls.indexOf(wallId) >= 0) {
+      const gAt = (sv) => def.h + gable.rise * Math.max(0, 1 - Math.abs(sv - gable.ridgeS) / gable.halfSpan);
+      top = [[def.s0, gAt(def.s0)]];
+      if (gable.ridgeS > def.s0 && gable.ridgeS < def.s1) top.push([gable.ridgeS, gAt(gable.ridgeS)]);
+      top.push([def.s1, gAt(def.s1)]);
+    } else {
+      top = [[def.s0, def.h], [def.s1, def.h]];
+    }
+
+    const doors = getDoorIntervalsForWallFromState(state, wallId);
+    const wins = getWindowIntervalsForWallFromState(state, wallId);
+    const rects = doors
+      .map((d) => ({ x0: d.x0, x1: d.x1, y0: -Infinity, y1: plateY + d.h }))
+      .concat(wins.map((w) => ({ x0: w.x0, x1: w.x1, y0: plateY + w.y, y1: plateY + w.y + w.h })));
+
+    let panels = [{ start: 0, len: def.len }];
+    if (variant === "basic") {
+      panels = computeBasicPanels(def.len, prof, doors.concat(wins));
+      if (!panels.length) panels = [{ start: 0, len: def.len }];
+    }
+
+    const runs = [];
+    for (let p = 0; p < panels.length; p++) {
+      const pan = panels[p];
+      const s0 = p === 0 ? def.s0 : pan.start;
+      const s1 = p === panels.length - 1 ? def.s1 : pan.start + pan.len;
+      runs.push({
+        panelIndex: variant === "basic" ? p + 1 : 1,
+        plateStart: pan.start,
+        plateLen: pan.len,
+        s0,
+        s1,
+        boards: computeCladdingBoards(s0, s1, top, rects, plateY, clad),
+      });
+    }
+
+    out.push({ wallId, axis: def.axis, origin: def.origin, gable: !!(gable && gable.walls.indexOf(wallId) >= 0), runs });
+  }
+
+  return { clad, walls: out };
+}
+
+/**
+ * Boards between s0..s1. `top` is a polyline [[s, y], ...] (cladding top along the wall),
+ * openings are rects {x0, x1, y0, y1} the boards stop at. The bottom edge sits clad.drip_mm below anchorY
+ * (bottom plate top). Horizontal profiles lay courses at clad.cover_mm pitch; vertical ones lay columns.
+ * Returns pieces [{ kind, key, course, s0, s1, colStart, yLow, yBot, yTop0, yTop1, sloped, ripH, ripW, area_mm2 }];
+ * pieces sharing a key are cut from one board (vertical boards notched around an opening).
+ */
+function computeCladdingBoards(s0, s1, top, openings, anchorY, clad) {
+  const MIN = 5;
+
+  const topAt = (sv) => {
+    if (sv <= top[0][0]) return top[0][1];
+    for (let i = 1; i < top.length; i++) {
+      const [a, ya] = top[i - 1];
+      const [b, yb] = top[i];
+      if (sv <= b) return b > a ? ya + (yb - ya) * ((sv - a) / (b - a)) : yb;
+    }
+    return top[top.length - 1][1];
+  };
+
+  const breaks = [s0, s1];
+  for (let i = 0; i < top.length; i++) if (top[i][0] > s0 && top[i][0] < s1) breaks.push(top[i][0]);
+  breaks.sort((a, b) => a - b);
+
+  if (clad.orientation === "vertical") return verticalCladdingBoards(s0, s1, topAt, breaks, openings, anchorY - clad.drip_mm, clad);
+
+  let maxTop = -Infinity;
+  for (let i = 0; i < breaks.length; i++) maxTop = Math.max(maxTop, topAt(breaks[i]));
+
+  const lerpPiece = (pc, sv) => (pc.s1 > pc.s0 ? pc.t0 + (pc.t1 - pc.t0) * ((sv - pc.s0) / (pc.s1 - pc.s0)) : pc.t0);
+
+  const pitch = clad.cover_mm;
+  const boards = [];
+  for (let course = 0; anchorY + course * pitch < maxTop - MIN; course++) {
+    const yBot = anchorY + course * pitch;
+    const yTop = yBot + clad.faceDepth_mm;
+    const yLow = course === 0 ? yBot - clad.drip_mm : yBot;
+
+    // Clip the top polyline to this course band: split each segment where it crosses yBot / yTop.
+    let pieces = [];
+    for (let k = 0; k + 1 < breaks.length; k++) {
+      const a = breaks[k];
+      const b = breaks[k + 1];
+      if (b - a <= 0) continue;
+      const ta = topAt(a);
+      const tb = topAt(b);
+      const pts = [a, b];
+      for (const yc of [yBot, yTop]) {
+        if ((ta - yc) * (tb - yc) < 0) pts.push(a + (b - a) * ((yc - ta) / (tb - ta)));
+      }
+      pts.sort((m, n) => m - n);
+      for (let q = 0; q + 1 < pts.length; q++) {
+        const u = pts[q];
+        const v = pts[q + 1];
+        if (v - u <= 0) continue;
+        if (topAt((u + v) / 2) <= yBot) continue;
+        pieces.push({ s0: u, s1: v, t0: Math.min(yTop, topAt(u)), t1: Math.min(yTop, topAt(v)) });
+      }
+    }
+
+    // Boards stop at door/window openings.
+    for (let i = 0; i < openings.length; i++) {
+      const o = openings[i];
+      if (!(o.y0 < yTop && o.y1 > yLow)) continue;
+      const next = [];
+      for (const pc of pieces) {
+        if (o.x1 <= pc.s0 || o.x0 >= pc.s1) { next.push(pc); continue; }
+        if (o.x0 > pc.s0) next.push({ s0: pc.s0, s1: o.x0, t0: pc.t0, t1: lerpPiece(pc, o.x0) });
+        if (o.x1 < pc.s1) next.push({ s0: o.x1, s1: pc.s1, t0: lerpPiece(pc, o.x1), t1: pc.t1 });
+      }
+      pieces = next;
+    }
+
+    pieces.sort((m, n) => m.s0 - n.s0);
+    const merged = [];
+    for (const pc of pieces) {
+      const prev = merged.length ? merged[merged.length - 1] : null;
+      const full = pc.t0 >= yTop && pc.t1 >= yTop;
+      if (prev && prev.t0 >= yTop && prev.t1 >= yTop && full && Math.abs(prev.s1 - pc.s0) < 0.5) prev.s1 = pc.s1;
+      else merged.push(Object.assign({}, pc));
+    }
+
+    // Touching pieces (the sloped ends and flat middle of a gable course) are one board with angled ends;
+    // only an opening starts a new board.
+    let board = -1;
+    let lastS1 = -Infinity;
+    for (const pc of merged) {
+      if (Math.abs(pc.s0 - lastS1) >= 0.5) board++;
+      lastS1 = pc.s1;
+      if (pc.s1 - pc.s0 < MIN) continue;
+      if (Math.max(pc.t0, pc.t1) - yBot < MIN) continue;
+      const flat = Math.abs(pc.t0 - pc.t1) <= 0.5;
+      const exposed = Math.min(pitch, (pc.t0 + pc.t1) / 2 - yBot);
+      boards.push({
+        kind: "board",
+        key: `c${course}-${board}`,
+        course,
+        s0: pc.s0,
+        s1: pc.s1,
+        colStart: null,
+        yLow,
+        yBot,
+        yTop0: pc.t0,
+        yTop1: pc.t1,
+        sloped: !flat,
+        ripH: (flat && pc.t0 < yTop) ? Math.round(pc.t0 - yBot) : null,
+        ripW: null,
+        area_mm2: (pc.s1 - pc.s0) * Math.max(0, exposed),
+      });
+    }
+  }
+
+  return boards;
+}
+
+/** Vertical boards (and battens over the joints for board & batten) as columns at clad.cover_mm pitch. */
+function verticalCladdingBoards(s0, s1, topAt, breaks, openings, yLow, clad) {
+  const MIN = 5;
+  const pitch = clad.cover_mm;
+  const colW = clad.faceDepth_mm;
+  const pieces = [];
+
+  function column(a0, a1, key, kind, course, ripW) {
+    const xs = [a0, a1];
+    for (const b of breaks) if (b > a0 && b < a1) xs.push(b);
+    for (const o of openings) {
+      if (o.x0 > a0 && o.x0 < a1) xs.push(o.x0);
+      if (o.x1 > a0 && o.x1 < a1) xs.push(o.x1);
+    }
+    xs.sort((m, n) => m - n);
+
+    // Each sub-column keeps the vertical intervals left after removing the openings above it (hi null = wall top).
+    const subs = [];
+    for (let i = 0; i + 1 < xs.length; i++) {
+      const u = xs[i];
+      const v = xs[i + 1];
+      if (v - u < 0.5) continue;
+      const mid = (u + v) / 2;
+      const covering = openings.filter((o) => o.x0 < mid && o.x1 > mid);
+      let ivs = [{ lo: yLow, hi: null }];
+      for (const o of covering) {
+        const next = [];
+        for (const iv of ivs) {
+          if (o.y1 <= iv.lo || (iv.hi != null && o.y0 >= iv.hi)) { next.push(iv); continue; }
+          if (o.y0 > iv.lo) next.push({ lo: iv.lo, hi: o.y0 });
+          if (iv.hi == null || o.y1 < iv.hi) next.push({ lo: o.y1, hi: iv.hi });
+        }
+        ivs = next;
+      }
+      ivs.sort((m, n) => m.lo - n.lo);
+      subs.push({ u, v, ivs, full: covering.length === 0 });
+    }
+
+    const hasFull = subs.some((sb) => sb.full);
+    for (const sb of subs) {
+      sb.ivs.forEach((iv, idx) => {
+        const t0 = iv.hi == null ? topAt(sb.u) : Math.min(iv.hi, topAt(sb.u));
+        const t1 = iv.hi == null ? topAt(sb.v) : Math.min(iv.hi, topAt(sb.v));
+        if (Math.max(t0, t1) - iv.lo < MIN) return;
+        pieces.push({
+          kind,
+          key: hasFull ? key : `${key}:${idx}`,
+          course,
+          s0: sb.u,
+          s1: sb.v,
+          colStart: a0,
+          yLow: iv.lo,
+          yBot: iv.lo,
+          yTop0: t0,
+          yTop1: t1,
+          sloped: iv.hi == null && Math.abs(t0 - t1) > 0.5,
+          ripH: null,
+          ripW,
+          area_mm2: kind === "board" ? (sb.v - sb.u) * ((t0 + t1) / 2 - iv.lo) * (pitch / colW) : 0,
+        });
+      });
+    }
+  }
+
+  const cols = [];
+  for (let a = s0; a < s1 - MIN; a += pitch) cols.push({ a0: a, a1: Math.min(s1, a + colW) });
+
+  for (let k = 0; k < cols.length; k++) {
+    const c = cols[k];
+    const w = c.a1 - c.a0;
+    column(c.a0, c.a1, `b${k}`, "board", k, w < colW - 0.5 ? Math.round(w) : null);
+  }
+
+  if (clad.batten) {
+    for (let k = 1; k < cols.length; k++) {
+      const j = cols[k].a0 - clad.gap_mm / 2;
+      const a0 = Math.max(s0, j - clad.batten.w / 2);
+      const a1 = Math.min(s1, j + clad.batten.w / 2);
+      if (a1 - a0 >= MIN) column(a0, a1, `t${k}`, "batten", k, null);
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Cross-section of one board piece as prisms (wall-local mm; n offsets measured outward from the wall face).
+ * rebated = shiplap lip + rebate, vgroove = flush face with a small V at the leading edge,
+ * tapered = feather-edge wedge (thick bottom, thin top), flat = square board; battens sit on the boards.
+ */
+export function claddingBoardParts(clad, bd) {
+  const T = clad.thickness_mm;
+  const D = clad.faceDepth_mm;
+
+  if (bd.kind === "batten") {
+    const bt = T + (clad.batten ? clad.batten.t : T);
+    return [{ part: "batten", a0: bd.s0, a1: bd.s1, yBot: bd.yLow, yTop0: bd.yTop0, yTop1: bd.yTop1, nIn: T, nOutBot: bt, nOutTop: bt }];
+  }
+
+  let bands;
+  if (clad.section === "rebated") {
+    const lip = Math.min(20, Math.floor(D / 3));
+    const reb = Math.min(5, Math.floor(T / 4));
+    bands = [{ u0: 0, u1: lip, t0: T, t1: T }, { u0: lip, u1: D, t0: T - reb, t1: T - reb }];
+  } else if (clad.section === "vgroove") {
+    bands = [{ u0: 0, u1: 4, t0: Math.max(1, T - 3), t1: Math.max(1, T - 3) }, { u0: 4, u1: D, t0: T, t1: T }];
+  } else if (clad.section === "tapered") {
+    bands = [{ u0: 0, u1: D, t0: T, t1: clad.thinEdge_mm }];
+  } else {
+    bands = [{ u0: 0, u1: D, t0: T, t1: T }];
+  }
+
+  const out = [];
+  const lerpTop = (sv) => (bd.s1 > bd.s0 ? bd.yTop0 + (bd.yTop1 - bd.yTop0) * ((sv - bd.s0) / (bd.s1 - bd.s0)) : bd.yTop0);
+
+  for (let k = 0; k < bands.length; k++) {
+    const b = bands[k];
+
+    if (clad.orientation === "vertical") {
+      const a0 = Math.max(bd.s0, bd.colStart + b.u0);
+      const a1 = Math.min(bd.s1, bd.colStart + b.u1);
+      if (a1 - a0 < 0.5) continue;
+      out.push({ part: `s${k}`, a0, a1, yBot: bd.yLow, yTop0: lerpTop(a0), yTop1: lerpTop(a1), nIn: 0, nOutBot: b.t0, nOutTop: b.t0 });
+      continue;
+    }
+
+    const yb = b.u0 === 0 ? bd.yLow : bd.yBot + b.u0;
+    const ye = bd.yBot + b.u1;
+    const top0 = Math.min(ye, bd.yTop0);
+    const top1 = Math.min(ye, bd.yTop1);
+    const topMax = Math.max(top0, top1);
+    if (topMax <= yb) continue;
+    const f = (topMax - (bd.yBot + b.u0)) / Math.max(1, b.u1 - b.u0);
+    out.push({ part: `s${k}`, a0: bd.s0, a1: bd.s1, yBot: yb, yTop0: top0, yTop1: top1, nIn: 0, nOutBot: b.t0, nOutTop: b.t0 + (b.t1 - b.t0) * f });
+  }
+
+  return out;
+}
+
+/** Walls BOM rows for the cladding schedule (boards grouped by cut length per wall, plus coverage). */
+function claddingBomSections(state, prof) {
+  const { clad, walls } = computeCladdingForWalls(state, prof);
+  const rows = [];
+  if (!walls.length) return rows;
+  const lenTxt = noteLength(state);
+  const runTxt = (mm) => formatRunUnit(mm, resolveUnits(state));
+
+  const spec = clad.batten
+    ? `gap ${lenTxt(clad.gap_mm)}; battens ${lenTxt(clad.batten.w)} x ${lenTxt(clad.batten.t)}`
+    : `overlap ${lenTxt(clad.overlap_mm)}`;
+  rows.push([`CLADDING: ${clad.label}`, "", "", "", "", `${clad.orientation}; cover ${lenTxt(clad.cover_mm)}; board ${lenTxt(clad.boardWidth_mm)} x ${lenTxt(clad.thickness_mm)}; ${spec}`]);
+
+  let totalCount = 0;
+  let totalRun = 0;
+  let totalArea = 0;
+
+  for (const w of walls) {
+    // Pieces sharing a key are one board: length along the wall (horizontal) or up the wall (vertical).
+    const byKey = {};
+    w.runs.forEach((r, ri) => {
+      for (const bd of r.boards) {
+        const k = `${ri}|${bd.key}`;
+        if (!byKey[k]) byKey[k] = { kind: bd.kind, s0: bd.s0, s1: bd.s1, lo: bd.yLow, hi: Math.max(bd.yTop0, bd.yTop1), sloped: false, ripH: null, ripW: null };
+        const g = byKey[k];
+        g.s0 = Math.min(g.s0, bd.s0);
+        g.s1 = Math.max(g.s1, bd.s1);
+        g.lo = Math.min(g.lo, bd.yLow);
+        g.hi = Math.max(g.hi, bd.yTop0, bd.yTop1);
+        g.sloped = g.sloped || bd.sloped;
+        if (bd.ripH != null) g.ripH = bd.ripH;
+        if (bd.ripW != null) g.ripW = bd.ripW;
+        totalArea += bd.area_mm2;
+      }
+    });
+
+    const groups = {};
+    let count = 0;
+    let run = 0;
+
+    Object.keys(byKey).forEach((k) => {
+      const g = byKey[k];
+      const L = Math.ceil(clad.orientation === "vertical" ? g.hi - g.lo : g.s1 - g.s0);
+      const note = g.sloped ? "sloped/gable cut"
+        : (g.ripH != null ? `ripped to ${lenTxt(g.ripH)}` : (g.ripW != null ? `ripped to ${lenTxt(g.ripW)} wide` : ""));
+      const gk = `${g.kind}|${L}|${note}`;
+      if (!groups[gk]) groups[gk] = { kind: g.kind, L, note, qty: 0 };
+      groups[gk].qty += 1;
+      if (g.kind === "board") {
+        count += 1;
+        run += L;
+      }
+    });
+
+    totalCount += count;
+    totalRun += run;
+
+    rows.push([`  ${w.wallId}`, count, "", "", "", `${runTxt(run)} run${w.gable ? "; incl. gable" : ""}`]);
+
+    Object.keys(groups)
+      .map((k) => groups[k])
+      .sort((a, b) => a.kind.localeCompare(b.kind) || (b.L - a.L) || a.note.localeCompare(b.note))
+      .forEach((g) => {
+        const notes = g.note ? `${w.wallId}; ${g.note}` : w.wallId;
+        if (g.kind === "batten") rows.push([`    Cladding Batten`, g.qty, g.L, clad.batten.w, clad.batten.t, notes]);
+        else rows.push([`    Cladding Board`, g.qty, g.L, clad.boardWidth_mm, clad.thickness_mm, notes]);
+      });
+  }
+
+  rows.push([`  Cladding Total`, totalCount, "", "", "", `${runTxt(totalRun)} run`]);
+
+  // Coverage maths: clad area / cover width = theoretical run; the difference to the cut run is offcut waste.
+  const areaM2 = totalArea / 1e6;
+  const theoretical_mm = totalArea / clad.cover_mm;
+  rows.push([`  Coverage`, "", "", "", "", `${areaM2.toFixed(2)} m² clad; ${runTxt(theoretical_mm)} at ${lenTxt(clad.cover_mm)} cover (board ${lenTxt(clad.boardWidth_mm)})`]);
+  return rows;
+}
+
+/**
+ * Walls cutting list as structured BOM items (bom/model.js), the same rows elements/walls.js renders.
+ */
+export function bomItems(state) {
+  const isPent = !!(state && state.roof && String(state.roof.style || "") === "pent");
+  const lenTxt = noteLength(state);
+  if (!isPent) {
+    const sections = [];
+    const variant = state.walls?.variant || "insulated";
+    const height = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
+
+    const prof = resolveProfile(state, variant);
+
+    const plateY = prof.studW;
+    const wallThk = prof.studH;
+    const studLen = Math.max(1, height - 2 * plateY);
+
+    const frameW = Math.max(1, Math.floor(state.w));
+    const frameD = Math.max(1, Math.floor(state.d));
+
+    const lengths = {
+      front: frameW,
+      back: frameW,
+      left: Math.max(1, frameD - 2 * wallThk),
+      right: Math.max(1, frameD - 2 * wallThk),
+    };
+
+    const flags = normalizeWallFlags(state);
+    const walls = ["front", "back", "left", "right"].filter((w) => flags[w]);
+
+    for (const wname of walls) {
+      const L = lengths[wname];
+
+      // Wall header row
+      sections.push([`WALL: ${wname} (${variant})`, "", "", "", "", `Frame L=${lenTxt(L)}`]);
+
+      // Panels for grouping (no geometry changes; basic uses same segmentation as buildWall)
+      let panels = [{ start: 0, len: L }];
+      if (variant === "basic") {
+        const doors = getDoorIntervalsForWallFromState(state, wname);
+        const wins = getWindowIntervalsForWallFromState(state, wname);
+        const openingsX = doors.concat(wins);
+        panels = computeBasicPanels(L, prof, openingsX);
+        if (!panels.length) panels = [{ start: 0, len: L }];
+      }
+
+      // Precompute per-wall openings for attribution
+      const doorsW = getDoorIntervalsForWallFromState(state, wname);
+      const winsW = getWindowIntervalsForWallFromState(state, wname);
+
+      const openingItemsByPanel = {};
+      for (let i = 0; i < panels.length; i++) openingItemsByPanel[i] = [];
+
+      // Doors -> panel that contains center point
+      for (let i = 0; i < doorsW.length; i++) {
+        const d = doorsW[i];
+        const pi = pickPanelIndexForCenter(panels, d.x0, d.x1);
+        if (pi < 0) continue;
+
+        const id = String(d.id || "");
+        const headerL = (d.w + 2 * prof.studW);
+
+        openingItemsByPanel[pi].push(["  Door Uprights", 2, studLen, prof.studW, wallThk, `door ${id}`]);
+        openingItemsByPanel[pi].push(["  Door Header", 1, headerL, prof.studH, wallThk, `door ${id}`]);
+      }
+
+      // Windows -> panel that contains center point
+      for (let i = 0; i < winsW.length; i++) {
+        const w = winsW[i];
+        const pi = pickPanelIndexForCenter(panels, w.x0, w.x1);
+        if (pi < 0) continue;
+
+        const id = String(w.id || "");
+        const headerL = (w.w + 2 * prof.studW);
+
+        openingItemsByPanel[pi].push(["  Window Uprights", 2, studLen, prof.studW, wallThk, `window ${id}`]);
+        openingItemsByPanel[pi].push(["  Window Header", 1, headerL, prof.studH, wallThk, `window ${id}`]);
+        openingItemsByPanel[pi].push(["  Window Sill", 1, headerL, prof.studH, wallThk, `window ${id}`]);
+      }
+
+      for (let p = 0; p < panels.length; p++) {
+        const pan = panels[p];
+
+        // Panel header row
+        sections.push([`  PANEL ${p + 1}`, "", "", "", "", `start=${lenTxt(pan.start)}, len=${lenTxt(pan.len)}`]);
+
+        // Panel contents (all include L/W/D)
+        sections.push([`  Bottom Plate`, 1, pan.len, plateY, wallThk, ""]);
+        sections.push([`  Top Plate`, 1, pan.len, plateY, wallThk, ""]);
+
+        if (variant === "basic") {
+          // Mirrors current basic wall panel stud policy (3 studs per panel in buildBasicPanel; suppression is geometric-only)
+          sections.push([`  Studs`, 3, studLen, prof.studW, wallThk, "basic"]);
+        } else {
+          // Insulated stud count logic preserved (was previously per wall; now attributed under single panel)
+          let count = 2;
+          let run = 400;
+          while (run <= pan.len - prof.studW) {
+            count += 1;
+            run += prof.spacing;
+          }
+          sections.push([`  Studs`, count, studLen, prof.studW, wallThk, `@${lenTxt(prof.spacing)}`]);
+        }
+
+        // Opening framing items attributed to this panel
+        const items = openingItemsByPanel[p] || [];
+        for (let i = 0; i < items.length; i++) sections.push(items[i]);
+      }
+    }
+
+    sections.push(...claddingBomSections(state, prof));
+
+    return bomItemsFromRows(sections);
+  }
+
+  const sections = [];
+  const variant = state.walls?.variant || "insulated";
+  const baseHeight = Math.max(100, Math.floor(state.walls?.height_mm || 2400));
+
+  const prof = resolveProfile(state, variant);
+
+  const plateY = prof.studW;
+  const wallThk = prof.studH;
+
+  const frameW = Math.max(1, Math.floor(state.w));
+  const frameD = Math.max(1, Math.floor(state.d));
+
+  const minH = Math.max(100, Math.floor(Number(state?.roof?.pent?.minHeight_mm ?? baseHeight)));
+  const maxH = Math.max(100, Math.floor(Number(state?.roof?.pent?.maxHeight_mm ?? baseHeight)));
+
+  function heightAtX(x_mm) {
+    const x = Math.max(0, Math.min(frameW, Math.floor(Number(x_mm))));
+    const t = frameW > 0 ? (x / frameW) : 0;
+    return Math.max(100, Math.floor(minH + (maxH - minH) * t));
+  }
+
+  const lengths = {
+    front: frameW,
+    back: frameW,
+    left: Math.max(1, frameD - 2 * wallThk),
+    right: Math.max(1, frameD - 2 * wallThk),
+  };
+
+  const flags = normalizeWallFlags(state);
+  const walls = ["front", "back", "left", "right"].filter((w) => flags[w]);
+
+  function isInsideAnyOpeningAt(pos, intervals) {
+    for (let i = 0; i < intervals.length; i++) {
+      const d = intervals[i];
+      const c = pos + prof.studW / 2;
+      if (c > d.x0 && c < d.x1) return true;
+    }
+    return false;
+  }
+
+  for (const wname of walls) {
+    const L = lengths[wname];
+
+    const isFrontBack = (wname === "front" || wname === "back");
+    const isSlopeWall = isFrontBack;
+
+    const wallHFlat = (wname === "left") ? minH : (wname === "right") ? maxH : baseHeight;
+    const studLenFlat = Math.max(1, wallHFlat - 2 * plateY);
+
+    sections.push([`WALL: ${wname} (${variant})`, "", "", "", "", `pent slope X; minH=${lenTxt(minH)}, maxH=${lenTxt(maxH)}; L=${lenTxt(L)}`]);
+
+    let panels = [{ start: 0, len: L }];
+    if (variant === "basic" && isFrontBack) {
+      const doors = getDoorIntervalsForWallFromState(state, wname);
+      const wins = getWindowIntervalsForWallFromState(state, wname);
+      const openingsX = doors.concat(wins);
+      panels = computeBasicPanels(L, prof, openingsX);
+      if (!panels.length) panels = [{ start: 0, len: L }];
+    }
+
+    const doorsW = getDoorIntervalsForWallFromState(state, wname);
+    const winsW = getWindowIntervalsForWallFromState(state, wname);
+    const openingsX = doorsW.concat(winsW);
+
+    const openingItemsByPanel = {};
+    for (let i = 0; i < panels.length; i++) openingItemsByPanel[i] = [];
+
+    for (let i = 0; i < doorsW.length; i++) {
+      const d = doorsW[i];
+      const pi = pickPanelIndexForCenter(panels, d.x0, d.x1);
+      if (pi < 0) continue;
+
+      const id = String(d.id || "");
+      const headerL = (d.w + 2 * prof.studW);
+
+      const cx = Math.floor((d.x0 + d.x1) / 2);
+      const topH = isSlopeWall ? heightAtX(cx) : wallHFlat;
+      const studLenLocal = Math.max(1, topH - 2 * plateY);
+
+      openingItemsByPanel[pi].push(["  Door Uprights", 2, studLenLocal, prof.studW, wallThk, `door ${id}; pent slope; ${wname}`]);
+      openingItemsByPanel[pi].push(["  Door Header", 1, headerL, prof.studH, wallThk, `door ${id}; pent slope; ${wname}`]);
+    }
+
+    for (let i = 0; i < winsW.length; i++) {
+      const w = winsW[i];
+      const pi = pickPanelIndexForCenter(panels, w.x0, w.x1);
+      if (pi < 0) continue;
+
+      const id = String(w.id || "");
+      const headerL = (w.w + 2 * prof.studW);
+
+      const cx = Math.floor((w.x0 + w.x1) / 2);
+      const topH = isSlopeWall ? heightAtX(cx) : wallHFlat;
+      const studLenLocal = Math.max(1, topH - 2 * plateY);
+
+      openingItemsByPanel[pi].push(["  Window Uprights", 2, studLenLocal, prof.studW, wallThk, `window ${id}; pent slope; ${wname}`]);
+      openingItemsByPanel[pi].push(["  Window Header", 1, headerL, prof.studH, wallThk, `window ${id}; pent slope; ${wname}`]);
+      openingItemsByPanel[pi].push(["  Window Sill", 1, headerL, prof.studH, wallThk, `window ${id}; pent slope; ${wname}`]);
+    }
+
+    for (let p = 0; p < panels.length; p++) {
+      const pan = panels[p];
+
+      sections.push([`  PANEL ${p + 1}`, "", "", "", "", `start=${lenTxt(pan.start)}, len=${lenTxt(pan.len)}`]);
+
+      sections.push([`  Bottom Plate`, 1, pan.len, plateY, wallThk, isSlopeWall ? `pent slope; ${wname}` : ""]);
+
+      if (isSlopeWall) {
+        const x0 = pan.start;
+        const x1 = pan.start + pan.len;
+        const h0 = heightAtX(x0);
+        const h1 = heightAtX(x1);
+        sections.push([`  Top Plate (Sloped)`, 1, pan.len, plateY, wallThk, `pent slope; ${wname}; minH=${lenTxt(h0)} maxH=${lenTxt(h1)}`]);
+      } else {
+        sections.push([`  Top Plate`, 1, pan.len, plateY, wallThk, `pent; ${wname}; H=${lenTxt(wallHFlat)}`]);
+      }
+
+      if (!isSlopeWall) {
+        if (variant === "basic") sections.push([`  Studs`, 3, studLenFlat, prof.studW, wallThk, `pent; ${wname}`]);
+        else {
+          let count = 2;
+          let run = 400;
+          while (run <= pan.len - prof.studW) { count += 1; run += prof.spacing; }
+          sections.push([`  Studs`, count, studLenFlat, prof.studW, wallThk, `pent; ${wname}; @${lenTxt(prof.spacing)}`]);
+        }
+      } else {
+        const studsByLen = {};
+
+        function addStudLen(len) {
+          const Lmm = Math.max(1, Math.floor(len));
+          studsByLen[Lmm] = (studsByLen[Lmm] || 0) + 1;
+        }
+
+        if (variant === "basic") {
+          const offsetAlong = pan.start;
+          const panelLen = pan.len;
+
+          const x0s = offsetAlong;
+          const x1s = offsetAlong + panelLen - prof.studW;
+          const xm = Math.max(x0s, Math.floor(offsetAlong + panelLen / 2 - prof.studW / 2));
+
+          const panelOpenings = openingsX.filter((d) => {
+            const s = d.x0;
+            const e = d.x1;
+            return e > offsetAlong && s < (offsetAlong + panelLen);
+          });
+
+          const studAt = (posStart) => {
+            for (let i = 0; i < panelOpenings.length; i++) {
+              const d = panelOpenings[i];
+              if (posStart + prof.studW > d.x0 && posStart < d.x1) return false;
+            }
+            return true;
+          };
+
+          if (studAt(x0s)) {
+            const cx = Math.floor(x0s + prof.studW / 2);
+            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
+          }
+          if (studAt(x1s)) {
+            const cx = Math.floor(x1s + prof.studW / 2);
+            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
+          }
+
+          let midAllowed = true;
+          for (let i = 0; i < panelOpenings.length; i++) {
+            const d = panelOpenings[i];
+            if (xm + prof.studW > d.x0 && xm < d.x1) { midAllowed = false; break; }
+          }
+          if (midAllowed) {
+            const cx = Math.floor(xm + prof.studW / 2);
+            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
+          }
+        } else {
+          const offset = pan.start;
+          const len = pan.len;
+
+          if (!isInsideAnyOpeningAt(offset, openingsX)) {
+            const cx = Math.floor(offset + prof.studW / 2);
+            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
+          }
+          if (!isInsideAnyOpeningAt(offset + (len - prof.studW), openingsX)) {
+            const cx = Math.floor(offset + (len - prof.studW) + prof.studW / 2);
+            addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
+          }
+
+          let x = 400;
+          while (x <= len - prof.studW) {
+            if (Math.abs(x - (len - prof.studW)) < 1) break;
+            const posStart = offset + x;
+            if (!isInsideAnyOpeningAt(posStart, openingsX)) {
+              const cx = Math.floor(posStart + prof.studW / 2);
+              addStudLen(Math.max(1, heightAtX(cx) - 2 * plateY));
+            }
+            x += prof.spacing;
+          }
+        }
+
+        Object.keys(studsByLen).sort((a, b) => Number(a) - Number(b)).forEach((k) => {
+          sections.push([`  Studs`, studsByLen[k], Number(k), prof.studW, wallThk, `pent slope; ${wname}`]);
+        });
+      }
+
+      const items = openingItemsByPanel[p] || [];
+      for (let i = 0; i < items.length; i++) sections.push(items[i]);
+    }
+  }
+
+  sections.push(...claddingBomSections(state, prof));
+
+  return bomItemsFromRows(sections);
+}
+
+// Lengths in cutting-list notes, in the chosen unit ("2400mm" / "7' 10 1/2\"").
+function noteLength(state) {
+  const units = resolveUnits(state);
+  return (mm) => formatLengthUnit(mm, units);
+}
+
+/**
+ * Structured BOM from the cutting list rows built above.
+ * Rows with a blank qty are headings (WALL / PANEL / CLADDING) that set the group; rows with a qty but no
+ * length are summaries; everything else is a part. Leading spaces in the row label give the indent level.
+ */
+function bomItemsFromRows(rows) {
+  const items = [];
+  let wall = "";
+  let group = "";
+  for (const row of rows) {
+    const raw = String(row[0] || "");
+    const label = raw.trim();
+    const level = Math.floor((raw.length - raw.trimStart().length) / 2);
+    const hasQty = row[1] !== "" && row[1] != null;
+    const hasL = row[2] !== "" && row[2] != null;
+
+    if (!hasQty) {
+      if (label.indexOf("WALL:") === 0) wall = group = label.slice(5).trim().split(" ")[0];
+      else if (label.indexOf("CLADDING:") === 0) wall = group = "cladding";
+      else group = `${wall} ${label.toLowerCase()}`.trim();
+      items.push(bomItem({ kind: "heading", element: "walls", group, level, item: label, notes: row[5] }));
+      continue;
+    }
+
+    if (!hasL) {
+      if (wall === "cladding") group = (label === "Cladding Total" || label === "Coverage") ? "cladding" : `cladding ${label}`;
+      items.push(bomItem({ kind: "summary", element: "walls", group, level, item: label, qty: row[1], notes: row[5] }));
+      continue;
+    }
+
+    const isCladding = label.indexOf("Cladding") === 0;
+    items.push(bomItem({
+      element: "walls",
+      group,
+      level,
+      item: label,
+      material: isCladding ? "cladding" : "timber",
+      qty: row[1],
+      length_mm: row[2],
+      width_mm: row[3],
+      depth_mm: row[4],
+      notes: row[5],
+    }));
+  }
+  return uniquePartIds(items);
+}
+
+/**
+ * Cut pieces for the stock-length optimiser, taken from the BOM parts so the two never drift.
+ * Cladding keeps its own section so boards are not mixed with framing of the same size.
+ */
+export function timberCuts(state) {
+  const out = [];
+  for (const it of bomItems(state)) {
+    if (it.kind !== "part" || !(it.qty > 0 && it.length_mm > 0)) continue;
+    const piece = { item: it.item, qty: it.qty, L: it.length_mm, W: it.width_mm, D: it.depth_mm, source: "walls" };
+    if (it.material === "cladding") piece.section = `cladding ${it.width_mm}×${it.depth_mm}`;
+    out.push(piece);
+  }
+  return out;
+}
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
@@ -1,4 +1,5 @@
 // FILE: docs/src/params.js
+import { SCHEMA_VERSION } from "./migrations.js";
 
 /** BASE constants (from reference single-file) */
 export const CONFIG = {
@@ -9,8 +10,48 @@ export const CONFIG = {
   spacing: 400
 };
 
+/**
+ * Cladding profile catalogue (mm). cover = exposed face per board (course pitch / column pitch);
+ * overlap = hidden lap/tongue; section = cross-section shape used by walls.js.
+ * - rebated: shiplap lip + rebate.   - vgroove: flush face with V joint.
+ * - tapered: feather-edge wedge, visibly lapped over the course below (thin edge at the top).
+ * - flat: square-edged boards laid with a gap, battens over every joint.
+ */
+export const CLADDING_PROFILES = {
+  shiplap: {
+    label: "Shiplap", section: "rebated", orientation: "horizontal", orientations: ["horizontal", "vertical"],
+    cover_mm: 140, thickness_mm: 20, overlap_mm: 10
+  },
+  tongueGroove: {
+    label: "Tongue & groove", section: "vgroove", orientation: "horizontal", orientations: ["horizontal", "vertical"],
+    cover_mm: 121, thickness_mm: 19, overlap_mm: 12
+  },
+  featherEdge: {
+    label: "Feather-edge", section: "tapered", orientation: "horizontal", orientations: ["horizontal"],
+    cover_mm: 125, thickness_mm: 22, overlap_mm: 25, thinEdge_mm: 6
+  },
+  boardBatten: {
+    label: "Board & batten", section: "flat", orientation: "vertical", orientations: ["vertical"],
+    cover_mm: 160, thickness_mm: 19, overlap_mm: 0, gap_mm: 10, batten: { w: 50, t: 19 }
+  },
+  vertical: {
+    label: "Vertical T&G", section: "vgroove", orientation: "vertical", orientations: ["vertical"],
+    cover_mm: 121, thickness_mm: 19, overlap_mm: 12
+  }
+};
+
+// Size (mm) of a newly added door / window, and the fallback wherever an opening has no width_mm / height_mm
+// (model, validation, snapping and the 3D opening editor all read it).
+export const OPENING_DEFAULTS = {
+  door: { width_mm: 900, height_mm: 2000 },
+  window: { width_mm: 900, height_mm: 600 }
+};
+
 /** Walls + Dimension Mode defaults + Base visibility */
 export const DEFAULTS = {
+  // Saved snapshots carry this; older ones are upgraded by migrations.js on load/import.
+  schemaVersion: SCHEMA_VERSION,
+
   // legacy placeholders; engines use derived states
   w: 3000,
   d: 4000,
@@ -28,6 +69,9 @@ export const DEFAULTS = {
     walls: { front: true, back: true, left: true, right: true }
   },
 
+  // Unit system for inputs and cutting lists ("metric" | "imperial"); state itself is always mm (see units.js).
+  units: "metric",
+
   // Dimension Mode system (mode is UI lens; canonical dims are in dim.frameW_mm / dim.frameD_mm)
   dimMode: "base",   // "base" | "frame" | "roof"
 
@@ -48,14 +92,26 @@ export const DEFAULTS = {
     right_mm: null,
   },
 
-  // Legacy per-mode input fields kept for compatibility (UI may still reference)
-  dimInputs: {
-    baseW_mm: 3000,
-    baseD_mm: 4000,
-    frameW_mm: 3050,
-    frameD_mm: 4050,
-    roofW_mm: 3050,
-    roofD_mm: 4050,
+  // Floor base. foundation.type: "grid" (plastic tiles), "pads" (concrete pads), "screws" (ground screws),
+  // "bearers" (treated bearers on concrete pads) or "slab" (concrete slab on DPM); see model/foundation.js.
+  // grid_mm: max centres of pads / screws / bearers, which snap to the joists.
+  // joists: centres (JOIST_SPACINGS), nominal section (w × h, h from JOIST_DEPTHS), span "auto" (across the
+  // shorter side), "width" or "depth", and nogginRows rows of blocking evenly along the span; see model/base.js.
+  base: {
+    foundation: {
+      type: "grid",
+      grid_mm: 1200,
+      pad_mm: 450,
+      padDepth_mm: 450,
+      screwLength_mm: 800,
+      slabThickness_mm: 100
+    },
+    joists: {
+      spacing_mm: 400,
+      section: { w: 50, h: 100 },
+      span: "auto",
+      nogginRows: 0
+    }
   },
 
   roof: {
@@ -63,6 +119,19 @@ export const DEFAULTS = {
     pent: {
       minHeight_mm: 2400,
       maxHeight_mm: 2400
+    },
+    // Apex heights use the same convention. Eave + crest are authoritative; pitch_deg is kept in sync
+    // by the UI. null = legacy behaviour (eave = walls.height_mm, rise = 20% of span clamped 200..900).
+    apex: {
+      eaveHeight_mm: null,
+      crestHeight_mm: null,
+      pitch_deg: null
+    },
+    // Hipped heights are measured like pent heights (wall frame bottom to roof bearing / crest).
+    // Walls are built to eaveHeight_mm while the hipped style is active.
+    hipped: {
+      eaveHeight_mm: 2000,
+      crestHeight_mm: 2400
     }
   },
 
@@ -74,7 +143,54 @@ export const DEFAULTS = {
     basic:     { section: { w: 50, h: 75 },  spacing: null },
     openings: [],
     invalidDoorIds: [],
-    invalidWindowIds: []
+    invalidWindowIds: [],
+    // External cladding. null = profile default from CLADDING_PROFILES.
+    cladding: {
+      profile: "shiplap",
+      cover_mm: null,
+      thickness_mm: null,
+      orientation: null
+    }
+  },
+
+  // Quotation settings (prices themselves live in the catalogue, see bom/pricing.js).
+  quote: {
+    customer: "",
+    reference: "",
+    labourHours: 16,
+    labourRate: 35,
+    marginPct: 25
+  },
+
+  // Timber stock lengths (mm) the yard sells, and saw kerf allowed per cut. Used by bom/stock.js.
+  stock: {
+    lengths_mm: [2400, 3000, 3600, 4800, 5400],
+    kerf_mm: 3
+  },
+
+  // Structural checks (model/structure.js): timber grade and characteristic loads (kN/m²).
+  // floorSupport_mm: joist span between supports under the floor; null = from the foundation layout.
+  structure: {
+    grade: "C16",
+    snow_kN_m2: 0.6,
+    roofDead_kN_m2: 0.5,
+    floorImposed_kN_m2: 1.5,
+    floorSupport_mm: null
+  },
+
+  // Plot, for the permitted-development check (model/compliance.js). boundary_mm: clear distance from
+  // each wall face to the site boundary; null = not entered. Areas in m²; plotArea_m2 excludes the house.
+  // ground (model/ground.js): "flat", "corners" (depth_mm measured down to the ground from a level line at
+  // each base corner; only the differences matter) or "fall" (falling toward one side at gradient_pct).
+  site: {
+    boundary_mm: { front: null, back: null, left: null, right: null },
+    plotArea_m2: null,
+    otherBuildings_m2: 0,
+    ground: {
+      mode: "flat",
+      depth_mm: { frontLeft: 0, frontRight: 0, backLeft: 0, backRight: 0 },
+      fall: { toward: "front", gradient_pct: 0 }
+    }
   }
 };
 
@@ -112,44 +228,204 @@ export function resolveDims(state) {
 
   const pair = (w, d) => ({ w_mm: clampPosInt(num(w, 1)), d_mm: clampPosInt(num(d, 1)) });
 
-  // Canonical: frame dims
-  let frameW = null;
-  let frameD = null;
+  // Canonical: frame dims (pre-v1 snapshots with only dimInputs are upgraded by migrations.js).
+  const frame = pair(optNum(state?.dim?.frameW_mm, DEFAULTS.dim.frameW_mm), optNum(state?.dim?.frameD_mm, DEFAULTS.dim.frameD_mm));
+  const base = pair(Math.max(1, frame.w_mm - G), Math.max(1, frame.d_mm - G));
+  const roof = pair(frame.w_mm + sumX, frame.d_mm + sumZ);
 
-  if (state && state.dim && state.dim.frameW_mm != null && state.dim.frameD_mm != null) {
-    frameW = num(state.dim.frameW_mm, null);
-    frameD = num(state.dim.frameD_mm, null);
-  }
+  return { base, frame, roof, overhang: ovh };
+}
 
-  // Fallback (legacy): derive frame dims from per-mode input fields if canonical not present.
-  if (frameW == null || frameD == null) {
-    const mode = (state?.dimMode || "base");
-    const inputs = state?.dimInputs || DEFAULTS.dimInputs;
-
-    if (mode === "frame") {
-      frameW = num(inputs.frameW_mm, DEFAULTS.dimInputs.frameW_mm);
-      frameD = num(inputs.frameD_mm, DEFAULTS.dimInputs.frameD_mm);
-    } else if (mode === "roof") {
-      const roofW = num(inputs.roofW_mm, DEFAULTS.dimInputs.roofW_mm);
-      const roofD = num(inputs.roofD_mm, DEFAULTS.dimInputs.roofD_mm);
-      frameW = Math.max(1, roofW - sumX);
-      frameD = Math.max(1, roofD - sumZ);
-    } else { // base
-      const baseW = num(inputs.baseW_mm, DEFAULTS.dimInputs.baseW_mm);
-      const baseD = num(inputs.baseD_mm, DEFAULTS.dimInputs.baseD_mm);
-      frameW = baseW + G;
-      frameD = baseD + G;
-    }
+/**
+ * Apex heights resolver. Pitch is derived from eave/crest over half the roof span (shorter roof side).
+ * Returns { eave_mm, crest_mm, rise_mm, halfSpan_mm, pitch_deg }.
+ */
+export function resolveApexHeights(state) {
+  const R = resolveDims(state);
+  const halfSpan = Math.min(R.roof.w_mm, R.roof.d_mm) / 2;
+  const wallH = clampHeight(num(state?.walls?.height_mm, DEFAULTS.walls.height_mm));
+  const a = state?.roof?.apex || {};
+
+  const eave = clampHeight(optNum(a.eaveHeight_mm, wallH));
+  const legacyRise = Math.max(200, Math.min(900, Math.floor(halfSpan * 2 * 0.20)));
+  const crest = Math.max(eave + 1, clampHeight(optNum(a.crestHeight_mm, eave + legacyRise)));
+
+  return heightsResult(eave, crest, halfSpan);
+}
+
+/** Hipped heights resolver (all four slopes share one pitch, so the half span sets it). */
+export function resolveHippedHeights(state) {
+  const R = resolveDims(state);
+  const halfSpan = Math.min(R.roof.w_mm, R.roof.d_mm) / 2;
+  const wallH = clampHeight(num(state?.walls?.height_mm, DEFAULTS.walls.height_mm));
+  const h = state?.roof?.hipped || {};
+
+  const eave = clampHeight(optNum(h.eaveHeight_mm, wallH));
+  const crest = Math.max(eave + 1, clampHeight(optNum(h.crestHeight_mm, eave + 400)));
+
+  return heightsResult(eave, crest, halfSpan);
+}
+
+/** Crest height that gives `pitch_deg` from `eave_mm` over `halfSpan_mm`. */
+export function crestFromPitch(eave_mm, pitch_deg, halfSpan_mm) {
+  const p = Math.max(1, Math.min(75, num(pitch_deg, 30)));
+  return Math.floor(eave_mm + Math.tan(p * Math.PI / 180) * Math.max(1, halfSpan_mm));
+}
+
+function heightsResult(eave, crest, halfSpan) {
+  const rise = crest - eave;
+  const pitch = Math.atan2(rise, Math.max(1, halfSpan)) * 180 / Math.PI;
+  return { eave_mm: eave, crest_mm: crest, rise_mm: rise, halfSpan_mm: halfSpan, pitch_deg: Math.round(pitch * 10) / 10 };
+}
+
+/**
+ * Cladding resolver: profile defaults + state overrides.
+ * boardWidth_mm is the sawn board width bought (cover + overlap, or cover - gap for board & batten);
+ * faceDepth_mm is the board extent drawn across the pitch (lapped profiles show their overlap).
+ */
+export function resolveCladding(state) {
+  const c = state?.walls?.cladding || {};
+  const id = CLADDING_PROFILES[c.profile] ? String(c.profile) : "shiplap";
+  const p = CLADDING_PROFILES[id];
+
+  const cover = Math.max(20, Math.floor(optNum(c.cover_mm, p.cover_mm)));
+  const thickness = Math.max(6, Math.floor(optNum(c.thickness_mm, p.thickness_mm)));
+  const orientation = p.orientations.indexOf(c.orientation) >= 0 ? c.orientation : p.orientation;
+
+  const overlap = p.overlap_mm || 0;
+  const gap = Math.min(p.gap_mm || 0, Math.floor(cover / 4));
+  const boardWidth = p.section === "flat" ? cover - gap : cover + overlap;
+  const faceDepth = p.section === "tapered" ? cover + overlap : (p.section === "flat" ? cover - gap : cover);
+
+  return {
+    id,
+    label: p.label,
+    section: p.section,
+    orientation,
+    cover_mm: cover,
+    thickness_mm: thickness,
+    overlap_mm: overlap,
+    gap_mm: gap,
+    thinEdge_mm: Math.min(thickness, p.thinEdge_mm || thickness),
+    batten: p.batten ? { w: p.batten.w, t: p.batten.t } : null,
+    boardWidth_mm: boardWidth,
+    faceDepth_mm: faceDepth,
+    drip_mm: 30
+  };
+}
+
+/** Stock resolver: sorted unique positive lengths (falls back to defaults when none are usable) + kerf. */
+export function resolveStock(state) {
+  const st = state?.stock || {};
+  const raw = Array.isArray(st.lengths_mm) ? st.lengths_mm : DEFAULTS.stock.lengths_mm;
+  const lengths = [];
+  for (const v of raw) {
+    const n = Math.floor(num(v, 0));
+    if (n > 0 && lengths.indexOf(n) < 0) lengths.push(n);
   }
+  lengths.sort((a, b) => a - b);
 
-  const frame = pair(frameW, frameD);
-  const base = pair(Math.max(1, frame.w_mm - G), Math.max(1, frame.d_mm - G));
-  const roof = pair(frame.w_mm + sumX, frame.d_mm + sumZ);
+  return {
+    lengths_mm: lengths.length ? lengths : DEFAULTS.stock.lengths_mm.slice(),
+    kerf_mm: Math.max(0, Math.min(20, num(optNum(st.kerf_mm, DEFAULTS.stock.kerf_mm), DEFAULTS.stock.kerf_mm)))
+  };
+}
 
-  return { base, frame, roof, overhang: ovh };
+export const JOIST_SPACINGS = [300, 400, 600];
+export const JOIST_DEPTHS = [75, 100, 125, 150];
+export const JOIST_SPANS = ["auto", "width", "depth"];
+
+/** Joist resolver: known spacing / depth / span (else defaults), nominal 50 wide, 0–4 noggin rows. */
+export function resolveJoists(state) {
+  const j = state?.base?.joists || {};
+  const d = DEFAULTS.base.joists;
+  const spacing = Math.floor(num(j.spacing_mm, d.spacing_mm));
+  const depth = Math.floor(num(j.section?.h, d.section.h));
+
+  return {
+    spacing_mm: JOIST_SPACINGS.indexOf(spacing) >= 0 ? spacing : d.spacing_mm,
+    section: { w: d.section.w, h: JOIST_DEPTHS.indexOf(depth) >= 0 ? depth : d.section.h },
+    span: JOIST_SPANS.indexOf(j.span) >= 0 ? j.span : d.span,
+    nogginRows: Math.max(0, Math.min(4, Math.floor(num(j.nogginRows, d.nogginRows))))
+  };
+}
+
+export const FOUNDATION_TYPES = ["grid", "pads", "screws", "bearers", "slab"];
+
+/** Foundation resolver: known type (falls back to grid) + clamped sizes (mm). */
+export function resolveFoundation(state) {
+  const f = state?.base?.foundation || {};
+  const d = DEFAULTS.base.foundation;
+  const type = FOUNDATION_TYPES.indexOf(f.type) >= 0 ? f.type : d.type;
+  const size = (v, def, min, max) => Math.max(min, Math.min(max, Math.floor(num(optNum(v, def), def))));
+
+  return {
+    type,
+    grid_mm: size(f.grid_mm, d.grid_mm, 400, 3000),
+    pad_mm: size(f.pad_mm, d.pad_mm, 200, 1000),
+    padDepth_mm: size(f.padDepth_mm, d.padDepth_mm, 100, 1500),
+    screwLength_mm: size(f.screwLength_mm, d.screwLength_mm, 500, 2000),
+    slabThickness_mm: size(f.slabThickness_mm, d.slabThickness_mm, 75, 300)
+  };
+}
+
+/** Structure resolver: known grade (falls back to C16) + non-negative loads + floor support spacing (mm, null = foundation). */
+export function resolveStructure(state) {
+  const st = state?.structure || {};
+  const d = DEFAULTS.structure;
+  const grade = String(st.grade || d.grade).toUpperCase();
+  const support = optNum(st.floorSupport_mm, null);
+
+  return {
+    grade: grade === "C24" ? "C24" : "C16",
+    snow_kN_m2: Math.max(0, num(optNum(st.snow_kN_m2, d.snow_kN_m2), d.snow_kN_m2)),
+    roofDead_kN_m2: Math.max(0, num(optNum(st.roofDead_kN_m2, d.roofDead_kN_m2), d.roofDead_kN_m2)),
+    floorImposed_kN_m2: Math.max(0, num(optNum(st.floorImposed_kN_m2, d.floorImposed_kN_m2), d.floorImposed_kN_m2)),
+    floorSupport_mm: support != null && support > 0 ? Math.floor(support) : null
+  };
+}
+
+/** Site resolver: boundary distances (mm or null per side) + plot / other-building areas (m², plot null when unknown). */
+export function resolveSite(state) {
+  const st = state?.site || {};
+  const b = st.boundary_mm || {};
+  const dist = (v) => { const n = optNum(v, null); return n == null ? null : Math.max(0, Math.floor(n)); };
+  const plot = optNum(st.plotArea_m2, null);
+
+  return {
+    boundary_mm: { front: dist(b.front), back: dist(b.back), left: dist(b.left), right: dist(b.right) },
+    plotArea_m2: plot != null && plot > 0 ? plot : null,
+    otherBuildings_m2: Math.max(0, num(optNum(st.otherBuildings_m2, 0), 0))
+  };
+}
+
+export const GROUND_MODES = ["flat", "corners", "fall"];
+export const FALL_DIRECTIONS = ["front", "back", "left", "right"];
+
+/** Ground resolver: known mode, corner depths below the level line (mm, >= 0), fall side + gradient (0–25%). */
+export function resolveGround(state) {
+  const g = state?.site?.ground || {};
+  const d = DEFAULTS.site.ground;
+  const depth = g.depth_mm || {};
+  const fall = g.fall || {};
+  const dep = (v) => clampNonNeg(num(optNum(v, 0), 0));
+
+  return {
+    mode: GROUND_MODES.indexOf(g.mode) >= 0 ? g.mode : d.mode,
+    depth_mm: {
+      frontLeft: dep(depth.frontLeft), frontRight: dep(depth.frontRight),
+      backLeft: dep(depth.backLeft), backRight: dep(depth.backRight)
+    },
+    fall: {
+      toward: FALL_DIRECTIONS.indexOf(fall.toward) >= 0 ? fall.toward : d.fall.toward,
+      gradient_pct: Math.max(0, Math.min(25, num(optNum(fall.gradient_pct, 0), 0)))
+    }
+  };
 }
 
 /** Utilities */
 function num(v, def) { const n = Number(v); return Number.isFinite(n) ? n : def; }
+function optNum(v, def) { return v == null || v === "" ? def : num(v, def); }
 function clampNonNeg(n) { return Math.max(0, Math.floor(n)); }
 function clampPosInt(n) { return Math.max(1, Math.floor(n)); }
+function clampHeight(n) { return Math.max(100, Math.floor(n)); }
@@ -0,0 +1,59 @@
+// FILE: docs/src/renderer/export.js
+/**
+ * glTF / GLB export of the generated model (needs babylonjs.serializers, loaded in index.html).
+ * - Only model nodes go out: meshes / transform nodes tagged metadata.dynamic and their ancestors.
+ *   Cameras, lights and disabled or hidden meshes stay behind.
+ * - The Babylon hierarchy is kept as-is (root -> base boxes, roof-root -> roof-truss-N -> members, …).
+ * - StandardMaterials are converted by the exporter; each mesh keeps its material.
+ * - Member metadata (roof / part / member / wallId / …) is written to glTF node extras; the internal
+ *   "dynamic" flag is dropped. Units are metres, as in the scene.
+ */
+
+export function exportModel(scene, opts = {}) {
+  const format = opts.format === 'gltf' ? 'gltf' : 'glb';
+  const filename = opts.filename || 'shed';
+  const exporter = typeof BABYLON !== 'undefined' ? BABYLON.GLTF2Export : null;
+  if (!exporter) return Promise.reject(new Error('glTF exporter not loaded'));
+  if (!scene) return Promise.reject(new Error('No 3D scene'));
+
+  const options = {
+    shouldExportNode: (node) => isModelNode(node),
+    metadataSelector: (metadata) => memberExtras(metadata),
+    removeNoopRootNodes: true
+  };
+
+  const run = format === 'gltf'
+    ? exporter.GLTFAsync(scene, filename, options)
+    : exporter.GLBAsync(scene, filename, options);
+
+  return run.then((data) => {
+    data.downloadFiles();
+    return { format, files: Object.keys(data.glTFFiles || {}) };
+  });
+}
+
+function isModelNode(node) {
+  if (!node || (typeof node.isEnabled === 'function' && !node.isEnabled())) return false;
+  if (typeof BABYLON.Camera === 'function' && node instanceof BABYLON.Camera) return false;
+  if (typeof BABYLON.Light === 'function' && node instanceof BABYLON.Light) return false;
+  if (node.isVisible === false) return false;
+  if (node.metadata && node.metadata.dynamic === true) return true;
+
+  // Untagged parents (e.g. a plain grouping node) are kept when they hold model nodes.
+  const kids = typeof node.getDescendants === 'function' ? node.getDescendants(false) : [];
+  return kids.some(k => k.metadata && k.metadata.dynamic === true);
+}
+
+function memberExtras(metadata) {
+  if (!metadata || typeof metadata !== 'object') return undefined;
+  const out = {};
+  for (const k of Object.keys(metadata)) {
+    if (k === 'dynamic') continue;
+    const v = metadata[k];
+    if (v == null || typeof v === 'function') continue;
+    // Plain data only; Babylon objects (vectors, nodes) are skipped.
+    if (typeof v === 'object' && !Array.isArray(v) && Object.getPrototypeOf(v) !== Object.prototype) continue;
+    try { out[k] = JSON.parse(JSON.stringify(v)); } catch (e) {}
+  }
+  return Object.keys(out).length ? out : undefined;
+}
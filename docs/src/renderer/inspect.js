@@ -0,0 +1,379 @@
+// FILE: docs/src/renderer/inspect.js
+import { formatLengthUnit } from '../units.js';
+
+/**
+ * Click-to-inspect for the 3D view.
+ * - A click (tap without drag) on a member highlights it and fills #memberInfo with its element, part,
+ *   cut length, section, position and the matching cutting-list line. Empty space, × or Esc clears it.
+ * - Meshes carry no BOM reference, so members are matched to BOM parts (bom/model.js) by element,
+ *   wall / panel or roof style, name keywords and size — see matchBomItem.
+ * - Hovering a cutting-list row (tr[data-part-id]) highlights every member it covers; clicking the row
+ *   pins that highlight (click again to release). Cladding boards are merged per panel in the scene, so a
+ *   board row lights its wall's cladding.
+ * - The selection is kept across rebuilds where the member still exists (call refresh() after render).
+ */
+
+const MM = 1000;
+const TOL_MM = 2;
+const SHEET_MIN_MM = 250; // second-largest size above this: a sheet / board, not a length of timber
+const SELECT_COLOR = [1, 0.55, 0];
+const HOVER_COLOR = [0.1, 0.55, 1];
+
+const BASE_PARTS = {
+  r: { label: 'Rim joist', tokens: ['rim', 'joist'] },
+  j: { label: 'Inner joist', tokens: ['inner', 'joist'] },
+  n: { label: 'Noggin', tokens: ['noggin'] },
+  d: { label: 'OSB deck piece', tokens: ['osb', 'piece'] },
+  i: { label: 'PIR insulation', tokens: ['pir'] },
+  g: { label: 'Grid tile', tokens: ['grid'] },
+  p: { label: 'Concrete pad', tokens: ['concrete', 'pad'] },
+  s: { label: 'Ground screw', tokens: ['ground', 'screw'] },
+  b: { label: 'Bearer', tokens: ['bearer'] },
+  c: { label: 'Concrete slab', tokens: ['slab'] },
+  m: { label: 'DPM', tokens: ['dpm'] },
+  h: { label: 'Sub-base', tokens: ['sub', 'base'] },
+  k: { label: 'Packer', tokens: ['packer'] },
+  f: { label: 'Levelling fill', tokens: ['fill'] }
+};
+
+const ROOF_LABELS = {
+  rim: 'Rim joist', rafter: 'Rafter', osb: 'Roof OSB', ridge: 'Ridge beam', purlin: 'Purlin',
+  hip: 'Hip rafter', common: 'Common rafter', jack: 'Jack rafter', truss: 'Truss'
+};
+const TRUSS_MEMBERS = {
+  tie: { label: 'tie (bottom chord)', tokens: ['tie'] },
+  rafterL: { label: 'rafter (left)', tokens: ['rafter'] },
+  rafterR: { label: 'rafter (right)', tokens: ['rafter'] },
+  web: { label: 'web', tokens: ['web'] }
+};
+
+const ELEMENT_NAMES = { base: 'Base', walls: 'Walls', roof: 'Roof' };
+
+/** True for generated, visible members (not helpers such as roof-dbg-*). */
+export function isMember(mesh) {
+  if (!mesh || !mesh.metadata || mesh.metadata.dynamic !== true) return false;
+  if (typeof mesh.isDisposed === 'function' && mesh.isDisposed()) return false;
+  if (typeof mesh.isEnabled === 'function' && !mesh.isEnabled()) return false;
+  if (mesh.isVisible === false || typeof mesh.getBoundingInfo !== 'function') return false;
+  return !/^roof-dbg-/.test(mesh.name || '');
+}
+
+/**
+ * Describe a member from its name, metadata and bounding box:
+ * { name, element, label, where, tokens, wallId, panel, roof, cladding, dims: [mm, desc], position_mm: [x, y, z], sheet }.
+ * Returns null for meshes that are not members.
+ */
+export function describeMember(mesh) {
+  if (!isMember(mesh)) return null;
+  const name = String(mesh.name || '');
+  const meta = mesh.metadata || {};
+  // Rebuilt meshes have not been rendered yet: bring world matrix and bounds up to date.
+  if (typeof mesh.computeWorldMatrix === 'function') mesh.computeWorldMatrix(true);
+  const bb = mesh.getBoundingInfo().boundingBox;
+  const s = mesh.absoluteScaling || mesh.scaling || { x: 1, y: 1, z: 1 };
+  const dims = [bb.extendSize.x * Math.abs(s.x), bb.extendSize.y * Math.abs(s.y), bb.extendSize.z * Math.abs(s.z)]
+    .map(v => Math.round(v * 2 * MM))
+    .sort((a, b) => b - a);
+  const c = bb.centerWorld;
+  const info = {
+    name, element: null, label: name, where: '', tokens: [], wallId: null, panel: null, roof: null, cladding: false,
+    dims, position_mm: [c.x, c.y, c.z].map(v => Math.round(v * MM)), sheet: dims[1] > SHEET_MIN_MM
+  };
+
+  if (BASE_PARTS[name]) return Object.assign(info, { element: 'base', where: 'Floor base' }, BASE_PARTS[name]);
+
+  const w = /^(wall|clad)-([a-z]+)-(.*)$/.exec(name);
+  if (w) return Object.assign(info, wallPart(w[1] === 'clad', w[2], w[3]));
+
+  if (/^roof-/.test(name)) return Object.assign(info, roofPart(name, meta));
+  return null;
+}
+
+function wallPart(cladding, wallId, rest) {
+  const out = { element: 'walls', wallId, cladding, tokens: [] };
+  const p = /^panel-(\d+)(?:-(.*))?$/.exec(rest);
+  if (p) { out.panel = Number(p[1]); rest = p[2] || ''; }
+  out.where = `${cap(wallId)} wall${out.panel != null ? `, panel ${out.panel}` : ''}`;
+
+  if (cladding) {
+    out.tokens = ['cladding', 'board'];
+    out.label = rest ? 'Cladding board' : 'Cladding (boards merged per panel)';
+    return out;
+  }
+
+  const o = /^(door|win)-(.+)-(upright-left|upright-right|header|sill)$/.exec(rest);
+  if (o) {
+    const kind = o[1] === 'win' ? 'window' : 'door';
+    const [member, side] = o[3].split('-');
+    out.tokens = [kind, member];
+    out.label = `${cap(kind)} ${member}${side ? ` (${side})` : ''} — ${o[2]}`;
+    return out;
+  }
+
+  const st = /^stud-(\d+)$/.exec(rest);
+  if (st) return Object.assign(out, { tokens: ['stud'], label: `Stud ${Number(st[1]) + 1}` });
+  const pl = /^plate-(bottom|top)$/.exec(rest);
+  if (pl) return Object.assign(out, { tokens: [pl[1], 'plate'], label: `${cap(pl[1])} plate` });
+
+  return Object.assign(out, { tokens: words(rest), label: cap(rest.replace(/-/g, ' ')) });
+}
+
+function roofPart(name, meta) {
+  const part = String(meta.part || '');
+  const out = { element: 'roof', roof: meta.roof || null, where: `${cap(meta.roof || '')} roof`.trim() };
+  if (part === 'truss') {
+    const n = /^roof-truss-(\d+)/.exec(name);
+    const m = TRUSS_MEMBERS[meta.member] || { label: String(meta.member || ''), tokens: [] };
+    out.tokens = ['truss'].concat(m.tokens);
+    out.label = `Truss ${n ? Number(n[1]) + 1 : ''} ${m.label}`.replace(/\s+/g, ' ').trim();
+    return out;
+  }
+  const detail = meta.side || meta.face || meta.edge || '';
+  out.tokens = part ? [part] : words(name.replace(/^roof-/, ''));
+  // Hipped roof faces: the long sides are trapezoids, the ends triangles (as listed in the BOM).
+  if (part === 'osb' && meta.roof === 'hipped') out.tokens.push(meta.face === 'L' || meta.face === 'R' ? 'trapezoid' : 'triangle');
+  out.label = `${ROOF_LABELS[part] || cap(part || name)}${detail ? ` (${detail})` : ''}`;
+  return out;
+}
+
+/**
+ * Best cutting-list part for a described member, or null.
+ * Candidates share the element (and wall, roof style, cladding-or-framing) and at least one name keyword;
+ * a size match (length / width / depth within 2 mm) and the same panel number break ties.
+ */
+export function matchBomItem(info, items) {
+  if (!info) return null;
+  let best = null, bestScore = 0;
+  for (const it of items || []) {
+    const s = scoreItem(info, it);
+    if (s > bestScore) { best = it; bestScore = s; }
+  }
+  return best;
+}
+
+function scoreItem(info, it) {
+  if (!it || it.kind !== 'part' || it.element !== info.element) return 0;
+  const group = words(it.group);
+  if (info.element === 'walls') {
+    if (!group.includes(info.wallId) || info.cladding !== group.includes('cladding')) return 0;
+  }
+  if (info.element === 'roof' && info.roof && it.group !== info.roof) return 0;
+
+  const shared = words(it.item).filter(t => info.tokens.includes(t)).length;
+  if (!shared) return 0;
+  let score = shared * 3;
+  if (sizeMatches(info.dims, it)) score += 4;
+  else if (info.cladding) return 0; // merged panels never match a single board
+  if (info.panel != null && group.includes(String(info.panel))) score += 1;
+  return score;
+}
+
+function sizeMatches(dims, it) {
+  const want = [it.length_mm, it.width_mm, it.depth_mm].filter(v => Number.isFinite(v) && v > 0);
+  if (!want.length) return false;
+  const free = dims.slice();
+  return want.every(v => {
+    const k = free.findIndex(d => Math.abs(d - v) <= TOL_MM);
+    if (k < 0) return false;
+    free.splice(k, 1);
+    return true;
+  });
+}
+
+/**
+ * Every member covered by a cutting-list part. Assembly rows cover all their members; a member whose size
+ * matches none of its candidates (e.g. a full-length wall plate listed per panel) covers each same-named row.
+ */
+export function meshesForPart(scene, items, partId) {
+  const item = (items || []).find(it => it.partId === partId);
+  if (!scene || !item || item.kind !== 'part') return [];
+  const group = words(item.group);
+  const assembly = /assembly/i.test(item.item || '');
+  return scene.meshes.filter(m => {
+    const info = describeMember(m);
+    if (!info) return false;
+    if (info.cladding) return item.element === 'walls' && group.includes('cladding') && group.includes(info.wallId);
+    if (assembly) return scoreItem(info, item) > 0;
+    const best = matchBomItem(info, items);
+    if (best === item) return true;
+    return !!best && best.item === item.item && !sizeMatches(info.dims, best) && scoreItem(info, item) > 0;
+  });
+}
+
+/**
+ * Wire picking and BOM-row highlighting.
+ * opts: { scene, getItems: () => bomItems, getUnits: () => 'metric' | 'imperial', infoId = 'memberInfo' }.
+ * Returns { select(mesh), selectPart(partId), clear(), refresh() }.
+ */
+export function createInspector(opts) {
+  const o = Object.assign({ infoId: 'memberInfo', getItems: () => [], getUnits: () => 'metric' }, opts);
+  const scene = o.scene;
+  if (!scene) return null;
+
+  let sel = null;     // { key, name, at } for a member, or { partId } for a pinned row
+  let hoverId = null;
+  let painted = [];
+
+  const items = () => o.getItems() || [];
+  const units = () => o.getUnits();
+
+  function paint() {
+    for (const m of painted) {
+      if (m.isDisposed()) continue;
+      m.renderOverlay = false;
+      m.renderOutline = false;
+    }
+    painted = [];
+    const on = (meshes, rgb) => meshes.forEach(m => {
+      m.renderOverlay = true;
+      m.overlayColor = new BABYLON.Color3(rgb[0], rgb[1], rgb[2]);
+      m.overlayAlpha = 0.55;
+      m.renderOutline = true;
+      m.outlineColor = m.overlayColor;
+      m.outlineWidth = 0.01;
+      painted.push(m);
+    });
+    on(selectedMeshes(), SELECT_COLOR);
+    if (hoverId && (!sel || sel.partId !== hoverId)) on(meshesForPart(scene, items(), hoverId), HOVER_COLOR);
+  }
+
+  function selectedMeshes() {
+    if (!sel) return [];
+    if (sel.partId) return meshesForPart(scene, items(), sel.partId);
+    return sel.mesh && !sel.mesh.isDisposed() ? [sel.mesh] : [];
+  }
+
+  function select(mesh) {
+    const info = describeMember(mesh);
+    if (!info) { clear(); return; }
+    sel = { mesh, name: info.name, at: info.position_mm };
+    show();
+  }
+
+  function selectPart(partId) {
+    if (!partId || (sel && sel.partId === partId)) { clear(); return; }
+    sel = { partId };
+    show();
+  }
+
+  function clear() {
+    sel = null;
+    show();
+  }
+
+  // After a rebuild the old meshes are gone: re-find the member by name, nearest to where it was.
+  function refresh() {
+    if (sel && sel.mesh && sel.mesh.isDisposed()) {
+      let best = null, bestD = Infinity;
+      for (const m of scene.meshes) {
+        if (m.name !== sel.name || !isMember(m)) continue;
+        const c = m.getBoundingInfo().boundingBox.centerWorld;
+        const d = Math.hypot(c.x * MM - sel.at[0], c.y * MM - sel.at[1], c.z * MM - sel.at[2]);
+        if (d < bestD) { best = m; bestD = d; }
+      }
+      if (best) sel = { mesh: best, name: sel.name, at: describeMember(best).position_mm };
+      else sel = null;
+    }
+    if (sel && sel.partId && !items().some(it => it.partId === sel.partId)) sel = null;
+    show();
+  }
+
+  function show() {
+    paint();
+    const el = document.getElementById(o.infoId);
+    let partId = null;
+    if (el) {
+      if (!sel) {
+        el.hidden = true;
+        el.innerHTML = '';
+      } else if (sel.partId) {
+        const item = items().find(it => it.partId === sel.partId);
+        partId = sel.partId;
+        el.innerHTML = infoHtml(item ? `${item.item}` : sel.partId, [
+          ['Element', item ? ELEMENT_NAMES[item.element] || item.element : ''],
+          ['BOM line', item ? bomLine(item, units()) : ''],
+          ['In model', `${selectedMeshes().length} highlighted`]
+        ]);
+        el.hidden = false;
+      } else {
+        const info = describeMember(sel.mesh);
+        const item = matchBomItem(info, items());
+        partId = item ? item.partId : null;
+        el.innerHTML = infoHtml(info.label, memberRows(info, item, units()));
+        el.hidden = false;
+      }
+    }
+    document.querySelectorAll('tr.bom-lit').forEach(tr => tr.classList.remove('bom-lit'));
+    if (partId) document.querySelectorAll('tr[data-part-id]').forEach(tr => { if (tr.dataset.partId === partId) tr.classList.add('bom-lit'); });
+  }
+
+  scene.onPointerObservable.add((pi) => {
+    if (pi.event && pi.event.button) return;
+    const hit = scene.pick(scene.pointerX, scene.pointerY, isMember);
+    if (hit && hit.hit && hit.pickedMesh) select(hit.pickedMesh);
+    else clear();
+  }, BABYLON.PointerEventTypes.POINTERTAP);
+
+  const rowOf = (target) => (target && target.closest ? target.closest('tr[data-part-id]') : null);
+  document.addEventListener('mouseover', (e) => {
+    const tr = rowOf(e.target);
+    const id = tr && tr.dataset.partId ? tr.dataset.partId : null;
+    if (id === hoverId) return;
+    hoverId = id;
+    paint();
+  });
+  document.addEventListener('click', (e) => {
+    if (e.target && e.target.closest && e.target.closest(`#${o.infoId} [data-close]`)) { clear(); return; }
+    const tr = rowOf(e.target);
+    if (tr && tr.dataset.partId) selectPart(tr.dataset.partId);
+  });
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && sel) clear();
+  });
+
+  return { select, selectPart, clear, refresh };
+}
+
+function memberRows(info, item, units) {
+  const L = (mm) => formatLengthUnit(mm, units);
+  const [a, b, c] = info.dims;
+  const rows = [['Element', `${ELEMENT_NAMES[info.element] || info.element} — ${info.where}`]];
+  if (info.sheet) {
+    rows.push(['Size', `${L(a)} × ${L(b)}`]);
+    rows.push(['Thickness', L(c)]);
+  } else {
+    rows.push(['Cut length', L(a)]);
+    rows.push(['Section', `${L(c)} × ${L(b)}`]);
+  }
+  const p = info.position_mm;
+  rows.push(['Position', `x ${L(p[0])} · y ${L(p[1])} · z ${L(p[2])}`]);
+  rows.push(['BOM line', item ? bomLine(item, units) + (sizeMatches(info.dims, item) ? '' : ' — closest line; sizes differ')
+    : (info.cladding ? `See cladding ${info.wallId} in the walls cutting list` : 'Not in the cutting list')]);
+  return rows;
+}
+
+function bomLine(item, units) {
+  const size = item.length_mm != null ? ` @ ${formatLengthUnit(item.length_mm, units)}` : '';
+  return `${item.item} ×${item.qty}${size} (${item.group})`;
+}
+
+function infoHtml(title, rows) {
+  return `<div class="memberInfo-head"><strong>${esc(title)}</strong>` +
+    '<button type="button" data-close aria-label="Close">×</button></div>' +
+    `<dl>${rows.map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v)}</dd>`).join('')}</dl>`;
+}
+
+// Lower-case keywords with plurals folded (studs → stud, uprights → upright; truss stays).
+function words(s) {
+  return String(s || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)
+    .map(w => (w.length > 3 && /[^s]s$/.test(w) ? w.slice(0, -1) : w));
+}
+
+function cap(s) {
+  const t = String(s || '');
+  return t ? t[0].toUpperCase() + t.slice(1) : t;
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
@@ -0,0 +1,255 @@
+// FILE: docs/src/renderer/openings.js
+import { OPENING_DEFAULTS } from '../params.js';
+
+/**
+ * Direct manipulation of doors and windows in the 3D view.
+ * - Press on an opening's framing (uprights / header / sill) to select it: two handles appear,
+ *   one on the right upright (width) and one on the header (height).
+ * - Drag the opening to slide it along its wall (windows also move up and down); drag it over another
+ *   wall to move it there. Drag a handle to resize. Hold Alt to turn snapping off.
+ * - The pointer is projected onto the wall's mid-plane; positions are wall-local mm, as in state.walls.openings.
+ * - Snapping and writing state belong to the caller (index.js owns the stud grid and clearance rules);
+ *   invalid positions are allowed while dragging and show in red like any other invalid opening.
+ * - A whole drag is one undo step; state is written at most once per animation frame.
+ *
+ * opts: {
+ *   scene, canvas, getCamera: () => camera, getState: () => state,
+ *   frames(state) -> [{ id, axis: 'x'|'z', plane_mm, u0_mm, y0_mm, length_mm, top_mm }],  // world mm
+ *   snap(state, opening, patch, { free }) -> patch,
+ *   apply(id, patch), begin(), end()
+ * }
+ * Returns { refresh(), clear() } — call refresh() after each rebuild to move the handles.
+ */
+
+const MM = 1000;
+const DRAG_START_PX = 4;
+const HANDLE_MM = 110;
+const OPENING_NAME = /^wall-([a-z]+)-(door|win)-(.+)-(upright-left|upright-right|header|sill)$/;
+
+export function createOpeningEditor(opts) {
+  const scene = opts && opts.scene;
+  if (!scene) return null;
+
+  const handleMat = new BABYLON.StandardMaterial('openingHandleMat', scene);
+  handleMat.diffuseColor = new BABYLON.Color3(0.1, 0.55, 1);
+  handleMat.emissiveColor = new BABYLON.Color3(0.05, 0.3, 0.6);
+  handleMat.specularColor = new BABYLON.Color3(0, 0, 0);
+
+  const handles = ['width', 'height'].map(kind => {
+    const h = BABYLON.MeshBuilder.CreateSphere(`opening-handle-${kind}`, { diameter: HANDLE_MM / MM, segments: 12 }, scene);
+    h.material = handleMat;
+    h.renderingGroupId = 1; // drawn over the cladding that hides the framing
+    h.isVisible = false;
+    h.metadata = { openingHandle: kind };
+    return h;
+  });
+
+  let selectedId = null;
+  let press = null;    // { x, y, target: { id } | { id, handle } }
+  let drag = null;     // active drag: { id, handle, wall, grabU, grabV }
+  let pending = null;
+  let frameReq = 0;
+
+  const state = () => opts.getState();
+  const openingById = (id) => openingsOf(state()).find(o => String(o.id) === String(id)) || null;
+
+  function ray(x = scene.pointerX, y = scene.pointerY) {
+    const cam = opts.getCamera();
+    return cam ? scene.createPickingRay(x, y, BABYLON.Matrix.Identity(), cam) : null;
+  }
+
+  // Wall-local (u along the wall, v above the bottom plate) point under the pointer on one wall, or null.
+  function hitWall(r, f) {
+    const o = f.axis === 'x' ? r.origin.z : r.origin.x;
+    const d = f.axis === 'x' ? r.direction.z : r.direction.x;
+    if (Math.abs(d) < 1e-6) return null;
+    const t = (f.plane_mm / MM - o) / d;
+    if (!(t > 0)) return null;
+    const p = r.origin.add(r.direction.scale(t));
+    const u = (f.axis === 'x' ? p.x : p.z) * MM - f.u0_mm;
+    const v = p.y * MM - f.y0_mm;
+    return { t, u, v };
+  }
+
+  // Nearest wall face under the pointer (within its extent) — that is the wall the user is looking at.
+  function wallUnderPointer(frames) {
+    const r = ray();
+    if (!r) return null;
+    let best = null;
+    for (const f of frames) {
+      const h = hitWall(r, f);
+      if (!h || h.u < 0 || h.u > f.length_mm || h.v < -200 || h.v > f.top_mm + 200) continue;
+      if (!best || h.t < best.hit.t) best = { frame: f, hit: h };
+    }
+    return best;
+  }
+
+  function placeHandles() {
+    const o = selectedId ? openingById(selectedId) : null;
+    const f = o ? opts.frames(state()).find(fr => fr.id === String(o.wall || 'front')) : null;
+    if (!o || !f || o.enabled === false) {
+      handles.forEach(h => { h.isVisible = false; });
+      return;
+    }
+    const g = geometry(o);
+    const at = (u, v) => (f.axis === 'x'
+      ? new BABYLON.Vector3((f.u0_mm + u) / MM, (f.y0_mm + v) / MM, f.plane_mm / MM)
+      : new BABYLON.Vector3(f.plane_mm / MM, (f.y0_mm + v) / MM, (f.u0_mm + u) / MM));
+    handles[0].position = at(g.x + g.w, g.y + g.h / 2);
+    handles[1].position = at(g.x + g.w / 2, g.y + g.h);
+    handles.forEach(h => { h.isVisible = true; });
+  }
+
+  function select(id) {
+    selectedId = id;
+    placeHandles();
+  }
+
+  function clear() {
+    selectedId = null;
+    placeHandles();
+  }
+
+  function schedule(id, patch) {
+    pending = { id, patch };
+    if (frameReq) return;
+    frameReq = requestAnimationFrame(() => {
+      frameReq = 0;
+      const p = pending;
+      pending = null;
+      if (p) opts.apply(p.id, p.patch);
+    });
+  }
+
+  // Grab offsets come from where the button went down, not where the drag threshold was crossed.
+  function startDrag(target, x, y) {
+    const o = openingById(target.id);
+    const frames = opts.frames(state());
+    const f = o ? frames.find(fr => fr.id === String(o.wall || 'front')) : null;
+    const r = ray(x, y);
+    const h = f && r ? hitWall(r, f) : null;
+    if (!h) return false;
+    const g = geometry(o);
+    drag = { id: target.id, handle: target.handle || null, wall: f.id, grabU: h.u - g.x, grabV: h.v - g.y };
+    opts.begin();
+    return true;
+  }
+
+  function moveDrag(free) {
+    const o = openingById(drag.id);
+    if (!o) return;
+    const frames = opts.frames(state());
+    const g = geometry(o);
+    let patch;
+
+    if (drag.handle) {
+      const f = frames.find(fr => fr.id === drag.wall);
+      const r = ray();
+      const h = f && r ? hitWall(r, f) : null;
+      if (!h) return;
+      patch = drag.handle === 'width'
+        ? { width_mm: Math.max(100, Math.round(h.u - g.x)) }
+        : (o.type === 'window' ? { height_mm: Math.max(100, Math.round(h.v - g.y)) } : { height_mm: Math.max(100, Math.round(h.v)) });
+    } else {
+      const under = wallUnderPointer(frames);
+      if (!under) return;
+      if (under.frame.id !== drag.wall) {
+        // New wall: carry the opening over centred on the pointer.
+        drag.wall = under.frame.id;
+        drag.grabU = g.w / 2;
+      }
+      patch = { wall: drag.wall, x_mm: Math.round(under.hit.u - drag.grabU) };
+      if (o.type === 'window') patch.y_mm = Math.max(0, Math.round(under.hit.v - drag.grabV));
+    }
+
+    schedule(drag.id, opts.snap(state(), o, patch, { free }));
+  }
+
+  function endDrag() {
+    if (frameReq) {
+      cancelAnimationFrame(frameReq);
+      frameReq = 0;
+    }
+    if (pending) opts.apply(pending.id, pending.patch);
+    pending = null;
+    drag = null;
+    opts.end();
+  }
+
+  function setCamera(attached) {
+    const cam = opts.getCamera();
+    if (!cam) return;
+    try {
+      if (attached) cam.attachControl(opts.canvas, true);
+      else cam.detachControl();
+    } catch (e) {}
+  }
+
+  function pickTarget() {
+    const hit = scene.pick(scene.pointerX, scene.pointerY, m => m.isVisible && (handles.includes(m) || OPENING_NAME.test(m.name || '')));
+    return hit && hit.hit ? hit.pickedMesh : null;
+  }
+
+  scene.onPointerObservable.add((pi) => {
+    const ev = pi.event || {};
+    const T = BABYLON.PointerEventTypes;
+
+    if (pi.type === T.POINTERTAP) {
+      // A click on anything but an opening drops the selection (orbiting from empty space keeps it).
+      if (selectedId && !pickTarget()) clear();
+      return;
+    }
+
+    if (pi.type === T.POINTERDOWN) {
+      if (ev.button) return;
+      const m = pickTarget();
+      if (!m) return;
+      const target = handles.includes(m)
+        ? { id: selectedId, handle: m.metadata.openingHandle }
+        : { id: (m.metadata && (m.metadata.doorId || m.metadata.windowId)) || OPENING_NAME.exec(m.name)[3] };
+      if (!target.id) return;
+      if (!target.handle) select(target.id);
+      press = { x: scene.pointerX, y: scene.pointerY, target };
+      setCamera(false);
+      return;
+    }
+
+    if (pi.type === T.POINTERMOVE && press) {
+      const free = !!ev.altKey;
+      if (!drag) {
+        if (Math.hypot(scene.pointerX - press.x, scene.pointerY - press.y) < DRAG_START_PX) return;
+        if (!startDrag(press.target, press.x, press.y)) return;
+      }
+      moveDrag(free);
+      return;
+    }
+
+    if (pi.type === T.POINTERUP && press) {
+      if (drag) endDrag();
+      press = null;
+      setCamera(true);
+    }
+  });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && selectedId && !drag) clear();
+  });
+
+  return { refresh: placeHandles, clear };
+}
+
+function openingsOf(state) {
+  return (state && state.walls && Array.isArray(state.walls.openings)) ? state.walls.openings : [];
+}
+
+// Clear opening in wall-local mm: x / w along the wall, y / h above the bottom plate (doors start at 0).
+function geometry(o) {
+  const win = o.type === 'window';
+  const def = OPENING_DEFAULTS[win ? 'window' : 'door'];
+  return {
+    x: Math.floor(Number(o.x_mm || 0)),
+    w: Math.max(100, Math.floor(Number(o.width_mm || def.width_mm))),
+    y: win ? Math.max(0, Math.floor(Number(o.y_mm || 0))) : 0,
+    h: Math.max(100, Math.floor(Number(o.height_mm || def.height_mm)))
+  };
+}
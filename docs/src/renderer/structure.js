@@ -0,0 +1,52 @@
+// FILE: docs/src/renderer/structure.js
+import { isMember } from './inspect.js';
+
+/**
+ * Red glow on members that fail a structural check (model/structure.js). Uses its own HighlightLayer so
+ * it survives the inspector's overlay / outline painting; call update(result) after every rebuild.
+ */
+
+const FAIL_COLOR = [0.9, 0.1, 0.1];
+
+// Scene mesh names per check id (base meshes are named by part, see elements/base.js).
+const MEMBERS = {
+  'floor-joists': /^j$/,
+  'wall-studs': /^wall-[a-z]+-(?:panel-\d+-)?stud-\d+$/,
+  'rafters': /^roof-(?:rafter-\d+|truss-\d+-rafter-[LR]|common-)/
+};
+
+export function createStructureHighlighter(scene) {
+  if (!scene) return null;
+  let layer = null;
+
+  function getLayer() {
+    if (!layer) {
+      try {
+        layer = new BABYLON.HighlightLayer('structureHL', scene);
+      } catch (e) {
+        layer = false; // no stencil buffer: warnings still show next to the BOM
+      }
+    }
+    return layer;
+  }
+
+  function update(result) {
+    const failing = (result && result.failures) || [];
+    if (!failing.length && !layer) return;
+
+    const hl = getLayer();
+    if (!hl) return;
+    hl.removeAllMeshes();
+
+    const color = new BABYLON.Color3(FAIL_COLOR[0], FAIL_COLOR[1], FAIL_COLOR[2]);
+    for (const c of failing) {
+      const re = MEMBERS[c.id];
+      if (!re) continue;
+      for (const m of scene.meshes) {
+        if (isMember(m) && re.test(m.name || '')) hl.addMesh(m, color);
+      }
+    }
+  }
+
+  return { update };
+}
@@ -0,0 +1,90 @@
+// FILE: docs/src/share.js
+import { migrateState } from "./migrations.js";
+
+/**
+ * Shareable design links: the whole design travels in a "?cfg=" query parameter, so a link opens
+ * exactly the configured shed without storage on either side.
+ * - Payload = JSON of the design state (view toggles, quote details and derived fields left out),
+ *   deflate-raw compressed and base64url encoded, prefixed "z". Browsers without CompressionStream
+ *   write plain JSON prefixed "j"; both are always decodable where the stream API exists.
+ * - Decoded designs pass through migrateState(), so old links keep working as the schema moves.
+ * - "#cfg=" in the hash is also read, for links pasted into places that strip query strings.
+ */
+
+export const SHARE_PARAM = "cfg";
+
+// Not part of the design itself: display toggles, customer/quote details, yard stock, re-render nudges.
+const EXCLUDED_KEYS = ["vis", "quote", "stock", "_noop"];
+const DERIVED_WALL_KEYS = ["invalidDoorIds", "invalidWindowIds"];
+
+export function designForShare(state) {
+  const out = JSON.parse(JSON.stringify(state || {}));
+  for (const k of EXCLUDED_KEYS) delete out[k];
+  if (out.walls) for (const k of DERIVED_WALL_KEYS) delete out.walls[k];
+  return out;
+}
+
+/** Resolves to the cfg string for state. */
+export function encodeDesign(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(designForShare(state)));
+  if (typeof CompressionStream !== "function") return Promise.resolve("j" + toBase64Url(bytes));
+  return pipeBytes(bytes, new CompressionStream("deflate-raw")).then((z) => "z" + toBase64Url(z));
+}
+
+/** Resolves to { state, from, to, newer } (see migrateState) or rejects on a damaged link. */
+export function decodeDesign(cfg) {
+  const s = String(cfg || "");
+  const kind = s.charAt(0);
+  let bytes;
+  try { bytes = fromBase64Url(s.slice(1)); } catch (e) { return Promise.reject(new Error("Link is damaged")); }
+
+  let textP;
+  if (kind === "j") textP = Promise.resolve(new TextDecoder().decode(bytes));
+  else if (kind === "z" && typeof DecompressionStream === "function") {
+    textP = pipeBytes(bytes, new DecompressionStream("deflate-raw")).then((b) => new TextDecoder().decode(b));
+  } else return Promise.reject(new Error(kind === "z" ? "This browser cannot open compressed links" : "Link is damaged"));
+
+  return textP.then((text) => {
+    const raw = JSON.parse(text);
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("not a design");
+    return migrateState(raw);
+  }).catch(() => { throw new Error("Link is damaged"); });
+}
+
+/** cfg value from ?cfg= (preferred) or #…cfg=, or null. */
+export function readShareParam(href) {
+  try {
+    const u = new URL(href);
+    const q = u.searchParams.get(SHARE_PARAM);
+    if (q) return q;
+    const m = (u.hash || "").match(new RegExp("(?:^|[&#])" + SHARE_PARAM + "=([A-Za-z0-9_-]+)"));
+    return m ? m[1] : null;
+  } catch (e) { return null; }
+}
+
+/** Link to the current page with cfg set; the view hash is kept, any #cfg= is dropped. */
+export function shareUrl(href, cfg) {
+  const u = new URL(href);
+  u.searchParams.set(SHARE_PARAM, cfg);
+  u.hash = (u.hash || "").replace(/^#/, "").split("&").filter((p) => p && p.indexOf(SHARE_PARAM + "=") !== 0).join("&");
+  return u.toString();
+}
+
+function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Response(stream).arrayBuffer().then((buf) => new Uint8Array(buf));
+}
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((s.length + 3) % 4);
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
@@ -1,20 +1,124 @@
 // FILE: docs/src/state.js
 
-export function createStateStore(initial) {
+/**
+ * State store with undo/redo.
+ * - Every top-level setState is one history step (no-op patches are not recorded).
+ * - transaction(fn) / beginTransaction()+endTransaction() group several setStates into one step; live inputs
+ *   open a transaction on first keystroke and close it on commit.
+ * - setState calls made from inside an onChange callback (derived state such as invalid opening ids) join
+ *   the step that triggered them and never clear the redo stack.
+ * - setState(patch, { history: false }) applies without recording (re-render nudges, boot-time fixes).
+ * - replaceState(next, options) swaps in a whole state (opened designs) with the same history rules; nothing of
+ *   the previous state is kept.
+ */
+export function createStateStore(initial, opts) {
+  const historyLimit = Math.max(1, Math.floor((opts && opts.historyLimit) || 100));
   let state = deepClone(initial);
   /** @type {Array<(s:any)=>void>} */
   const subs = [];
+  /** @type {Array<(h:{canUndo:boolean, canRedo:boolean})=>void>} */
+  const historySubs = [];
+
+  let past = [];
+  let future = [];
+  let txDepth = 0;
+  let txStart = null;
+  let notifying = 0;
 
   function getState() {
     return state;
   }
 
-  function setState(patch) {
-    state = deepMerge(state, patch);
-    subs.forEach((fn) => fn(state));
+  function setState(patch, options) {
+    return commit(deepMerge(state, patch), options);
+  }
+
+  function replaceState(next, options) {
+    return commit(deepClone(next), options);
+  }
+
+  function commit(next, options) {
+    const prev = state;
+    state = next;
+    const record = !(options && options.history === false) && notifying === 0 && txDepth === 0;
+    if (record) pushStep(prev);
+    notify();
     return state;
   }
 
+  function pushStep(prev) {
+    if (JSON.stringify(prev) === JSON.stringify(state)) return;
+    past.push(prev);
+    if (past.length > historyLimit) past = past.slice(past.length - historyLimit);
+    future = [];
+    notifyHistory();
+  }
+
+  function notify() {
+    notifying += 1;
+    try {
+      subs.forEach((fn) => fn(state));
+    } finally {
+      notifying -= 1;
+    }
+  }
+
+  function beginTransaction() {
+    if (txDepth === 0) txStart = state;
+    txDepth += 1;
+  }
+
+  function endTransaction() {
+    if (txDepth === 0) return;
+    txDepth -= 1;
+    if (txDepth === 0) {
+      const start = txStart;
+      txStart = null;
+      pushStep(start);
+    }
+  }
+
+  function transaction(fn) {
+    beginTransaction();
+    try {
+      return fn();
+    } finally {
+      endTransaction();
+    }
+  }
+
+  function undo() {
+    if (!past.length || txDepth > 0) return false;
+    future.push(state);
+    state = past.pop();
+    notify();
+    notifyHistory();
+    return true;
+  }
+
+  function redo() {
+    if (!future.length || txDepth > 0) return false;
+    past.push(state);
+    state = future.pop();
+    notify();
+    notifyHistory();
+    return true;
+  }
+
+  function canUndo() {
+    return past.length > 0;
+  }
+
+  function canRedo() {
+    return future.length > 0;
+  }
+
+  function clearHistory() {
+    past = [];
+    future = [];
+    notifyHistory();
+  }
+
   function onChange(fn) {
     subs.push(fn);
     return () => {
@@ -23,11 +127,28 @@ export function createStateStore(initial) {
     };
   }
 
-  return { getState, setState, onChange };
+  function onHistoryChange(fn) {
+    historySubs.push(fn);
+    return () => {
+      const i = historySubs.indexOf(fn);
+      if (i >= 0) historySubs.splice(i, 1);
+    };
+  }
+
+  function notifyHistory() {
+    const h = { canUndo: past.length > 0, canRedo: future.length > 0 };
+    historySubs.forEach((fn) => fn(h));
+  }
+
+  return {
+    getState, setState, replaceState, onChange,
+    undo, redo, canUndo, canRedo, clearHistory, onHistoryChange,
+    transaction, beginTransaction, endTransaction,
+  };
 }
 
-// Deep merge tailored to project shapes (objects/arrays of POJOs).
-function deepMerge(target, patch) {
+// Deep merge tailored to project shapes (objects/arrays of POJOs). Neither argument is modified.
+export function deepMerge(target, patch) {
   if (patch === null || typeof patch !== 'object') return patch;
   if (Array.isArray(patch)) return patch.map((v) => deepMerge(undefined, v));
   const out = { ...(target || {}) };
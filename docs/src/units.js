@@ -0,0 +1,90 @@
+// FILE: docs/src/units.js
+
+/**
+ * Unit system for inputs and cutting lists. State is always canonical mm; state.units only changes
+ * how lengths are typed and shown.
+ * - "metric": whole mm ("3050"). Typed values may carry mm / cm / m.
+ * - "imperial": feet-inches to the nearest 1/16" ("10' 6 1/2\"", "10' 0 1/16\""). Typed values accept ' " ft in,
+ *   mixed fractions ("6-1/2\"", "10'6\"", "126.5\"") and metric suffixes; a bare number ("600") is not read,
+ *   as it could mean either mm or inches.
+ */
+
+export const UNIT_SYSTEMS = ["metric", "imperial"];
+
+const MM_PER_IN = 25.4;
+
+export function resolveUnits(state) {
+  return state && state.units === "imperial" ? "imperial" : "metric";
+}
+
+/** Short unit name for labels: "mm" or "ft-in". */
+export function unitLabel(system) {
+  return system === "imperial" ? "ft-in" : "mm";
+}
+
+/** Typed length -> mm. null for blank, NaN when it cannot be read. */
+export function parseLength(text, system) {
+  const s = String(text == null ? "" : text).trim().toLowerCase()
+    .replace(/[′’]/g, "'").replace(/[″”]/g, '"')
+    .replace(/\s*(feet|foot|ft)\b/g, "'").replace(/\s*(inches|inch|in)\b/g, '"');
+  if (!s) return null;
+
+  const metric = s.match(/^(\d+(?:\.\d+)?|\.\d+)\s*(mm|cm|m)?$/);
+  if (metric) {
+    const n = Number(metric[1]);
+    if (metric[2] === "m") return n * 1000;
+    if (metric[2] === "cm") return n * 10;
+    if (metric[2] === "mm" || system !== "imperial") return n;
+    return NaN;
+  }
+
+  // A dash is only read as the feet-inches separator (10'-6", 10' - 6"); a sign on either part ("-5\"",
+  // "1' -6\"") is rejected, as for metric.
+  if (/'\s+-\d/.test(s)) return NaN;
+  const m = s.match(/^(?:(\d+(?:\.\d+)?)\s*'\s*-?)?\s*(?:(\d+(?:\.\d+)?)(?:(?:\s+|\s*-\s*)(\d+)\s*\/\s*(\d+))?|(\d+)\s*\/\s*(\d+))?\s*("?)$/);
+  if (!m) return NaN;
+  const [, ft, whole, fn, fd, onlyN, onlyD, inchMark] = m;
+  const hasInches = whole != null || onlyN != null;
+  if (ft == null && !hasInches) return NaN;
+  if (ft == null && !inchMark && fn == null && onlyN == null) return NaN;
+
+  let inches = Number(whole || 0);
+  const num = fn != null ? fn : onlyN;
+  const den = fd != null ? fd : onlyD;
+  if (num != null) {
+    if (!(Number(den) > 0)) return NaN;
+    inches += Number(num) / Number(den);
+  }
+  return (Number(ft || 0) * 12 + inches) * MM_PER_IN;
+}
+
+/** mm -> text in the given system (no unit suffix for metric, so it can go straight into an input). */
+export function formatLength(mm, system) {
+  if (mm == null || mm === "") return "";
+  const n = Number(mm);
+  if (!Number.isFinite(n)) return String(mm);
+  if (system !== "imperial") return String(n);
+
+  const sign = n < 0 ? "-" : "";
+  const sixteenths = Math.round((Math.abs(n) / MM_PER_IN) * 16);
+  const ft = Math.floor(sixteenths / 192);
+  const rem = sixteenths - ft * 192;
+  const inches = Math.floor(rem / 16);
+  let fn = rem - inches * 16, fd = 16;
+  while (fn && fn % 2 === 0) { fn /= 2; fd /= 2; }
+
+  const inTxt = fn ? (inches || ft ? `${inches} ${fn}/${fd}"` : `${fn}/${fd}"`) : `${inches}"`;
+  return sign + (ft ? `${ft}' ${inTxt}` : inTxt);
+}
+
+/** mm -> text with its unit ("2400mm" / "7' 10 1/2\""), for tables and notes. */
+export function formatLengthUnit(mm, system) {
+  if (mm == null || mm === "") return "";
+  return system === "imperial" ? formatLength(mm, system) : `${formatLength(mm, system)}mm`;
+}
+
+/** Long run (mm) for totals: metres to 2 places ("244.26 m") or feet-inches. */
+export function formatRunUnit(mm, system) {
+  if (mm == null || mm === "") return "";
+  return system === "imperial" ? formatLength(mm, system) : `${(Number(mm) / 1000).toFixed(2)} m`;
+}
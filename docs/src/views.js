@@ -4,6 +4,8 @@ export function initViews() {
   var basePage = document.getElementById("bomPage");
   var wallsPage = document.getElementById("wallsBomPage");
   var roofPage = document.getElementById("roofBomPage");
+  var quotePage = document.getElementById("quotePage");
+  var drawingsPage = document.getElementById("drawingsPage");
   var viewSelect = document.getElementById("viewSelect");
   var topbar = document.getElementById("topbar");
   var controls = document.getElementById("controls");
@@ -17,12 +19,12 @@ export function initViews() {
   var snapLeftBtn = document.getElementById("snapLeftBtn");
   var snapRightBtn = document.getElementById("snapRightBtn");
 
-  // Roof page is optional at init; required only when selecting roof view.
+  // Roof/quote/drawings pages are optional at init; required only when selecting those views.
   if (!canvas || !basePage || !wallsPage || !viewSelect || !topbar) return;
 
   function readHashView() {
     try {
-      var m = (window.location.hash || "").match(/(?:^|[&#])view=(3d|base|walls|roof)\b/i);
+      var m = (window.location.hash || "").match(/(?:^|[&#])view=(3d|base|walls|roof|quote|drawings)\b/i);
       return m ? String(m[1] || "").toLowerCase() : null;
     } catch (e) { return null; }
   }
@@ -38,7 +40,7 @@ export function initViews() {
   function readStoredView() {
     try {
       var v = localStorage.getItem("viewMode");
-      return (v === "3d" || v === "base" || v === "walls" || v === "roof") ? v : null;
+      return (v === "3d" || v === "base" || v === "walls" || v === "roof" || v === "quote" || v === "drawings") ? v : null;
     } catch (e) { return null; }
   }
 
@@ -75,7 +77,7 @@ export function initViews() {
       try { viewSelect.focus({ preventScroll: true }); } catch (e) {}
       return;
     }
-    var page = view === "base" ? basePage : (view === "walls" ? wallsPage : roofPage);
+    var page = view === "base" ? basePage : (view === "walls" ? wallsPage : (view === "quote" ? quotePage : (view === "drawings" ? drawingsPage : roofPage)));
     if (!page) return;
     var h = page.querySelector("h1,h2");
     var target = h || page;
@@ -95,6 +97,8 @@ export function initViews() {
     if (el === basePage || basePage.contains(el) || el.contains(basePage)) return true;
     if (el === wallsPage || wallsPage.contains(el) || el.contains(wallsPage)) return true;
     if (roofPage && (el === roofPage || roofPage.contains(el) || el.contains(roofPage))) return true;
+    if (quotePage && (el === quotePage || quotePage.contains(el) || el.contains(quotePage))) return true;
+    if (drawingsPage && (el === drawingsPage || drawingsPage.contains(el) || el.contains(drawingsPage))) return true;
     return false;
   }
 
@@ -147,11 +151,13 @@ export function initViews() {
   }
 
   function applyView(view, reason) {
-    var requested = (view === "3d" || view === "base" || view === "walls" || view === "roof") ? view : "3d";
+    var requested = (view === "3d" || view === "base" || view === "walls" || view === "roof" || view === "quote" || view === "drawings") ? view : "3d";
     var v = requested;
 
     // Roof view requires the page to exist; otherwise fall back to 3d (and only then).
     if (v === "roof" && !roofPage) v = "3d";
+    if (v === "quote" && !quotePage) v = "3d";
+    if (v === "drawings" && !drawingsPage) v = "3d";
 
     document.body.dataset.view = v;
 
@@ -159,6 +165,8 @@ export function initViews() {
     var isBase = v === "base";
     var isWalls = v === "walls";
     var isRoof = v === "roof";
+    var isQuote = v === "quote";
+    var isDrawings = v === "drawings";
 
     canvas.style.display = is3d ? "block" : "none";
     canvas.setAttribute("aria-hidden", String(!is3d));
@@ -174,6 +182,23 @@ export function initViews() {
       roofPage.setAttribute("aria-hidden", String(!isRoof));
     }
 
+    if (quotePage) {
+      quotePage.style.display = isQuote ? "block" : "none";
+      quotePage.setAttribute("aria-hidden", String(!isQuote));
+    }
+
+    if (drawingsPage) {
+      drawingsPage.style.display = isDrawings ? "block" : "none";
+      drawingsPage.setAttribute("aria-hidden", String(!isDrawings));
+      // Sheets are drawn from the current scene when the page is opened (index.js keeps them fresh while it is open).
+      if (isDrawings) {
+        try {
+          var hooks = window.__viewHooks || null;
+          if (hooks && typeof hooks.showDrawings === "function") hooks.showDrawings();
+        } catch (e) {}
+      }
+    }
+
     if (viewSelect.value !== v) viewSelect.value = v;
 
     writeStoredView(v);
@@ -220,6 +245,18 @@ export function initViews() {
     if (!e || e.defaultPrevented) return;
     if (isTypingTarget(document.activeElement)) return;
 
+    // Ctrl/Cmd+Z = undo; Ctrl/Cmd+Shift+Z or Ctrl+Y = redo (hooks provided by index.js).
+    var k = String(e.key || "").toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && (k === "z" || k === "y")) {
+      var hooks = window.__viewHooks || null;
+      var fn = hooks ? ((k === "y" || e.shiftKey) ? hooks.redo : hooks.undo) : null;
+      if (typeof fn === "function") {
+        e.preventDefault();
+        fn();
+      }
+      return;
+    }
+
     if (e.key === "1") applyView("3d", "key");
     else if (e.key === "2") applyView("walls", "key");
     else if (e.key === "3") applyView("base", "key");